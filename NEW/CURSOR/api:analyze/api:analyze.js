@@ -7,6 +7,7 @@ import { HfInference } from '@huggingface/inference';
 import { RealTimeBehavioralIntelligence } from '../celeste7-real-engine.js';
 import { BrutalInterventionGenerator } from '../brutal-interventions.js';
 import { BrutalQueryOptimizer } from '../pattern-queries-optimized.js';
+import { FrequencyGovernor, SupabaseFrequencyStore } from '../frequency-caps.js';
 import applyCorsMiddleware from '../middleware/cors.js';
 import { createRateLimitMiddleware } from '../rate-limiter.js';
 
@@ -44,7 +45,7 @@ const circuitBreakers = {
 };
 
 // Initialize services with fallbacks
-let supabase, hf, intelligence, queryOptimizer, interventionGenerator;
+let supabase, hf, intelligence, queryOptimizer, interventionGenerator, frequencyGovernor;
 
 try {
   supabase = createClient(config.supabase.url, config.supabase.key, {
@@ -56,6 +57,7 @@ try {
   intelligence = new RealTimeBehavioralIntelligence();
   queryOptimizer = new BrutalQueryOptimizer(supabase);
   interventionGenerator = new BrutalInterventionGenerator();
+  frequencyGovernor = new FrequencyGovernor({ store: new SupabaseFrequencyStore(supabase) });
   
 } catch (error) {
   console.error('Service initialization failed:', error);
@@ -107,7 +109,10 @@ async function handleAnalyze(req, res) {
   const startTime = Date.now();
   
   try {
-    const { userId, message, sessionId } = req.body;
+    // timezone: the user's IANA zone, for quiet hours when none is stored for them
+    // tenantId: whose tone policy applies (CELESTE7_TENANT_ID when the caller doesn't say)
+    const { userId, message, sessionId, timezone } = req.body;
+    const tenantId = req.body.tenantId || process.env.CELESTE7_TENANT_ID || null;
     
     // Validate input
     if (!userId || !message) {
@@ -122,20 +127,37 @@ async function handleAnalyze(req, res) {
     const patterns = await queryOptimizer.detectAllPatternsBrutally(userId);
     
     let intervention = null;
+    let suppressed = null;
     if (patterns.patterns && patterns.patterns.length > 0) {
       const criticalPattern = patterns.patterns.find(p => p.severity === 'critical');
       
       if (criticalPattern) {
-        // 2. Get user's resistance level for escalation
+        // Get user's resistance level for escalation
         const resistanceLevel = await getUserResistanceLevel(userId);
         
-        // 3. Generate brutal intervention using THE CROWN JEWEL
-        intervention = await interventionGenerator.generateIntervention(
+        // 2. Generate brutal intervention using THE CROWN JEWEL
+        const generated = await interventionGenerator.generateIntervention(
           criticalPattern,           // Pattern detected
           criticalPattern.evidence,  // Real financial data
-          { userId, currentMessage: message }, // User context
+          { userId, tenantId, lastMessage: message }, // User context; message is screened for distress
           resistanceLevel           // Escalation level
         );
+        
+        // 3. Frequency caps - every message is analyzed, not every message gets an intervention.
+        // Checked after tone review, so a supportive response always goes out.
+        const gate = await frequencyGovernor.admit({
+          userId,
+          pattern: criticalPattern.pattern_type,
+          severity: criticalPattern.severity,
+          intervention: generated,
+          timezone,
+          source: 'analyze'
+        });
+        if (gate.allowed) {
+          intervention = { ...generated, tracking_id: gate.tracking_id };
+        } else {
+          suppressed = { reason: gate.reason, retry_at: gate.retry_at };
+        }
       }
     }
     
@@ -152,6 +174,7 @@ async function handleAnalyze(req, res) {
       intervention,
       confidence: patterns.patterns?.[0]?.confidence || 0,
       should_intervene: !!intervention,
+      suppressed,
       processing_time_ms: processingTime,
       cached: patterns.cached || false
     });
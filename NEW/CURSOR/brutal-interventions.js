@@ -2,18 +2,24 @@
 // These aren't suggestions. They're mirrors showing your failures.
 
 import { createClient } from '@supabase/supabase-js';
+import { ToneGovernor, SupabaseTonePolicyStore, detectDistress } from './tone-governance.js';
+import { StyleBandit, SupabaseBanditStore } from './style-bandit.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_ANON_KEY
 );
 
+// Shared by both generators so policy caps and safety overrides apply everywhere
+const defaultGovernor = new ToneGovernor({ store: new SupabaseTonePolicyStore(supabase) });
+
 // ============================================
 // ESCALATING DISCOMFORT ENGINE
 // ============================================
 
 export class BrutalInterventionGenerator {
-  constructor() {
+  constructor(options = {}) {
+    this.governor = options.governor || defaultGovernor;
     this.resistanceLevels = {
       0: 'first_contact',
       1: 'gentle_nudge',
@@ -25,6 +31,7 @@ export class BrutalInterventionGenerator {
   }
 
   // Generate intervention based on resistance level
+  // userData: { userId, tenantId?, lastMessage? } - lastMessage is screened for distress
   async generateIntervention(pattern, evidence, userData, resistanceLevel = 0) {
     // Defensive check for required arguments
     if (!pattern || !evidence || !userData) {
@@ -35,7 +42,20 @@ export class BrutalInterventionGenerator {
         severity: 'error'
       };
     }
-    const level = this.resistanceLevels[Math.min(resistanceLevel, 5)];
+    // Tone policy caps the level; distress language replaces the intervention entirely
+    const tone = await this.governor.review({
+      userId: userData.userId,
+      tenantId: userData.tenantId,
+      level: resistanceLevel,
+      text: userData.lastMessage,
+      source: `intervention:${pattern.type}`
+    });
+
+    if (tone.safe_response) {
+      return tone.safe_response;
+    }
+
+    const level = this.resistanceLevels[tone.level];
     const generator = this.interventionGenerators[pattern.type]?.[level];
     
     if (!generator) {
@@ -314,7 +334,13 @@ export class BrutalInterventionGenerator {
   }
 
   // Track user resistance and escalate accordingly
-  async trackResistance(userId, interventionId, userResponse) {
+  async trackResistance(userId, interventionId, userResponse, tenantId) {
+    // Someone in distress is not "resisting" - never escalate, flag for review instead
+    if (detectDistress(userResponse).detected) {
+      await this.governor.review({ userId, tenantId, text: userResponse, source: 'resistance_tracking' });
+      return 0;
+    }
+
     const resistanceMarkers = [
       'but', 'however', 'yes but', "can't", 'impossible',
       'maybe later', 'not ready', 'need to think',
@@ -359,7 +385,8 @@ export class BrutalInterventionGenerator {
 // ============================================
 
 export class InterventionABTester {
-  constructor() {
+  constructor(options = {}) {
+    this.governor = options.governor || defaultGovernor;
     this.styles = [
       'brutal_numbers',    // Pure data, no emotion
       'personal_attack',   // Attack their identity
@@ -368,29 +395,103 @@ export class InterventionABTester {
       'legacy_destroyer',  // What they'll leave behind
       'public_shame'      // How others see them
     ];
+    this.bandit = options.bandit || new StyleBandit({ store: new SupabaseBanditStore(supabase) });
   }
 
-  async selectInterventionStyle(userId, pattern) {
-    // Get historical effectiveness
-    const { data: history } = await supabase
-      .from('intervention_effectiveness')
-      .select('delivery_style, effectiveness_score, led_to_breakthrough')
-      .eq('user_id', userId)
-      .eq('intervention_type', pattern.type)
-      .order('effectiveness_score', { ascending: false });
-
-    if (history && history.length > 0) {
-      // Use most effective style 70% of the time
-      if (Math.random() < 0.7) {
-        return history[0].delivery_style;
-      }
+  // decision: { interventionId, severity, trust_level, pattern_repetition_count } - logged with the
+  // choice so policies can be replayed offline against the outcome
+  async selectInterventionStyle(userId, pattern, tenantId, decision = {}) {
+    // Only styles the tenant/user tone policy allows
+    const policy = await this.governor.resolvePolicy({ userId, tenantId });
+    const allowedStyles = this.styles.filter(style => this.governor.isStyleAllowed(policy, style));
+
+    if (allowedStyles.length === 0) {
+      await this.logChoice({ userId, tenantId, pattern, decision, style: 'brutal_numbers', propensities: { brutal_numbers: 1 } });
+      return 'brutal_numbers';
+    }
+
+    // Thompson sampling over (pattern, severity, style): posteriors are shared across users
+    const severity = this.decisionSeverity(pattern, decision);
+    let choice;
+    try {
+      choice = await this.bandit.select({ pattern: pattern.type, severity, styles: allowedStyles });
+    } catch (error) {
+      // No posteriors, no problem: pick uniformly and say so in the log
+      console.error('Style bandit unavailable, choosing uniformly:', error);
+      const style = allowedStyles[Math.floor(Math.random() * allowedStyles.length)];
+      choice = { style, propensities: Object.fromEntries(allowedStyles.map(s => [s, 1 / allowedStyles.length])) };
     }
 
-    // Otherwise, random selection for testing
-    return this.styles[Math.floor(Math.random() * this.styles.length)];
+    await this.logChoice({ userId, tenantId, pattern, decision, style: choice.style, propensities: choice.propensities });
+    return choice.style;
+  }
+
+  decisionSeverity(pattern, decision = {}) {
+    return decision.severity ?? pattern.severity ?? 'medium';
+  }
+
+  // Feed a measured outcome back into the bandit. effectivenessScore is the 0-1 score
+  // calculateEffectiveness produces for intervention_effectiveness.
+  async recordStyleOutcome({ pattern, severity, style, effectivenessScore }) {
+    await this.bandit.update({
+      pattern: typeof pattern === 'string' ? pattern : pattern.type,
+      severity: severity || (typeof pattern === 'string' ? 'medium' : this.decisionSeverity(pattern)),
+      style,
+      reward: Math.min(1, Math.max(0, effectivenessScore))
+    });
+  }
+
+  // Every arm's posterior, for the dashboard endpoint
+  async getStylePosteriors({ pattern, severity } = {}) {
+    return this.bandit.describe({ pattern, severity, styles: this.styles });
+  }
+
+  async logChoice({ userId, tenantId, pattern, decision, style, propensities }) {
+    try {
+      const { error } = await supabase
+        .from('intervention_choices')
+        .insert({
+          intervention_id: decision.interventionId || null,
+          user_id: userId,
+          tenant_id: tenantId || null,
+          action_type: 'style',
+          action: style,
+          propensity: propensities[style],
+          propensities,
+          policy: 'thompson_sampling',
+          context: {
+            pattern: pattern.type,
+            severity: decision.severity ?? pattern.severity,
+            trust_level: decision.trust_level,
+            pattern_repetition_count: decision.pattern_repetition_count
+          },
+          chosen_at: new Date().toISOString()
+        });
+      if (error) throw error;
+    } catch (error) {
+      // A missing log only costs replay data, never the intervention
+      console.error('Failed to log intervention choice:', error);
+    }
   }
 
-  async generateStyledIntervention(style, pattern, evidence, comparison) {
+  // options: { userId, tenantId, lastMessage } for tone policy and distress screening
+  async generateStyledIntervention(style, pattern, evidence, comparison, options = {}) {
+    const tone = await this.governor.review({
+      userId: options.userId,
+      tenantId: options.tenantId,
+      text: options.lastMessage,
+      source: `styled_intervention:${style}`
+    });
+
+    if (tone.safe_response) {
+      return tone.safe_response;
+    }
+
+    // Blocked styles fall back to plain numbers
+    if (!this.governor.isStyleAllowed(tone.policy, style)) {
+      style = 'brutal_numbers';
+    }
+
     const generators = {
       brutal_numbers: () => ({
         message: `Numbers: ${Object.entries(evidence).map(([k,v]) => `${k}: ${v}`).join('. ')}. Math doesn't lie. You do.`,
@@ -448,14 +549,18 @@ import { BrutalInterventionGenerator, InterventionABTester } from './brutal-inte
 const interventionGen = new BrutalInterventionGenerator();
 const abTester = new InterventionABTester();
 
-// Generate intervention based on resistance
-const resistanceLevel = await interventionGen.trackResistance(userId, lastInterventionId, userResponse);
-const style = await abTester.selectInterventionStyle(userId, pattern);
+// Generate intervention based on resistance (capped by the tenant/user tone policy)
+const resistanceLevel = await interventionGen.trackResistance(userId, lastInterventionId, userResponse, tenantId);
+const style = await abTester.selectInterventionStyle(userId, pattern, tenantId, {
+  interventionId,
+  trust_level: userData.trust_level,
+  pattern_repetition_count: userData.pattern_repetition_count
+});
 
 const intervention = await interventionGen.generateIntervention(
   pattern,
   evidence,
-  userData,
+  { ...userData, tenantId, lastMessage: userResponse },
   resistanceLevel
 );
 
@@ -464,6 +569,12 @@ const styledIntervention = await abTester.generateStyledIntervention(
   style,
   pattern,
   evidence,
-  comparisonData
+  comparisonData,
+  { userId, tenantId, lastMessage: userResponse }
 );
+
+// Either call returns { safe_response: true, ... } instead when the user's message shows distress
+
+// Once the outcome is measured, teach the bandit
+await abTester.recordStyleOutcome({ pattern, severity: pattern.severity, style, effectivenessScore });
 */
\ No newline at end of file
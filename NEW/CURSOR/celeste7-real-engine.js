@@ -13,6 +13,13 @@ import pinoHttp from 'pino-http';
 import CircuitBreaker from 'opossum';
 import LRU from 'lru-cache';
 import { v4 as uuidv4 } from 'uuid';
+import { sharedCalibration, recordPredictions } from './confidence-calibration.js';
+import {
+  ClientSignalAggregator,
+  DecisionHesitationDetector,
+  SupabaseClientSignalStore,
+  describeHesitation
+} from './client-signals.js';
 
 // ============================================
 // CONFIGURATION
@@ -65,17 +72,44 @@ const supabaseBreaker = new CircuitBreaker(
 // REAL-TIME BEHAVIORAL INTELLIGENCE ENGINE
 // ============================================
 
-class RealTimeBehavioralIntelligence {
-  constructor() {
+// Detectors here name a pattern `type`; Supabase rows and the query optimizer use `pattern_type`
+const patternType = (pattern) => pattern.type ?? pattern.pattern_type;
+
+export class RealTimeBehavioralIntelligence {
+  constructor(options = {}) {
     this.patternDetectors = {
       procrastination: new ProcrastinationDetector(),
       pricing_cowardice: new PricingCowardiceDetector(),
       execution_paralysis: new ExecutionParalysisDetector(),
       competitive_delusion: new CompetitiveDelusionDetector(),
-      revenue_stagnation: new RevenueStagnationDetector()
+      revenue_stagnation: new RevenueStagnationDetector(),
+      decision_hesitation: new DecisionHesitationDetector()
     };
     
     this.mlEngine = new BehavioralMLEngine();
+
+    // Typing and attention signals reported by client-realtime.js (POST /api/pattern)
+    this.clientSignals = options.clientSignals || new ClientSignalAggregator({
+      store: new SupabaseClientSignalStore(supabase)
+    });
+  }
+
+  // Validated batch from validatePatternBatch(); the next analysis sees the updated profile
+  async ingestClientSignals(batch) {
+    const result = await this.clientSignals.ingest(batch);
+    if (result.accepted > 0) {
+      patternCache.delete(`behavioral:${batch.userId}`);
+    }
+    return result;
+  }
+
+  async getClientSignalProfile(userId) {
+    try {
+      return await this.clientSignals.getProfile(userId);
+    } catch (error) {
+      logger.warn({ error, userId }, 'Client signals unavailable');
+      return null;
+    }
   }
 
   async analyzeUser(userId, currentMessage) {
@@ -120,16 +154,30 @@ class RealTimeBehavioralIntelligence {
       // Track for learning
       await this.trackInterventionDelivery(userId, intervention, patterns);
 
+      // Raw scores and their sources, so npm run calibrate can fit each detector's scale.
+      // Not awaited: the answer shouldn't wait on a log write, but a failure still gets logged.
+      const rawConfidence = this.calculateRawConfidence(patterns, behavioralHistory);
+      recordPredictions(supabase, userId, [
+        ...(mlPredictions.predictions || []),
+        {
+          pattern_type: patterns[0]?.type || null,
+          confidence_source: 'real_engine',
+          raw_confidence: rawConfidence,
+          confidence: sharedCalibration().calibrate('real_engine', rawConfidence)
+        }
+      ]).catch(error => logger.warn({ error, userId }, 'Failed to record predictions'));
+
       const processingTime = Date.now() - startTime;
       
       return {
         patterns,
         intervention,
-        confidence: this.calculateRealConfidence(patterns, behavioralHistory),
+        confidence: sharedCalibration().calibrate('real_engine', rawConfidence),
         should_intervene: patterns.some(p => p.severity === 'critical' || p.cost > 1000),
         processing_time_ms: processingTime,
         data_sources_used: {
           behavioral_signals: behavioralHistory.total_signals,
+          client_sessions: behavioralHistory.client_signals?.sessions || 0,
           business_metrics: Object.keys(businessMetrics).length,
           competitor_data_points: competitorAnalysis.data_points,
           ml_models_used: mlPredictions.models_used
@@ -148,7 +196,7 @@ class RealTimeBehavioralIntelligence {
     if (cached) return cached;
 
     // Get raw behavioral signals
-    const [patterns, predictions, evolution, stateData] = await Promise.all([
+    const [patterns, predictions, evolution, stateData, clientSignals] = await Promise.all([
       supabaseBreaker.fire(async () => 
         supabase
           .from('user_patterns')
@@ -183,7 +231,9 @@ class RealTimeBehavioralIntelligence {
           .eq('user_id', userId)
           .order('state_timestamp', { ascending: false })
           .limit(100)
-      )
+      ),
+
+      this.getClientSignalProfile(userId)
     ]);
 
     // Analyze behavioral trajectory
@@ -194,7 +244,8 @@ class RealTimeBehavioralIntelligence {
       verified_predictions: predictions.data || [],
       evolution: evolution.data || [],
       trajectory: behaviorTrajectory,
-      total_signals: (patterns.data?.length || 0) + (predictions.data?.length || 0),
+      client_signals: clientSignals,
+      total_signals: (patterns.data?.length || 0) + (predictions.data?.length || 0) + (clientSignals?.sessions || 0),
       dominant_pattern: this.findDominantPattern(patterns.data || []),
       prediction_accuracy: this.calculatePredictionAccuracy(predictions.data || [])
     };
@@ -410,7 +461,7 @@ class RealTimeBehavioralIntelligence {
     return {
       intervention: uncomfortableDetails.intervention,
       directive: uncomfortableDetails.directive,
-      pattern: primaryPattern.type,
+      pattern: patternType(primaryPattern),
       severity: primaryPattern.severity,
       confidence: primaryPattern.confidence,
       estimated_cost: primaryPattern.cost,
@@ -460,6 +511,13 @@ class RealTimeBehavioralIntelligence {
         };
       },
       
+      decision_hesitation: () => {
+        return {
+          intervention: `${mlIntervention}. ${describeHesitation(pattern.evidence)}`,
+          directive: `Write it once. Send it without editing.`
+        };
+      },
+      
       revenue_stagnation: () => {
         const monthsFlat = pattern.evidence.months_stagnant;
         const peakRevenue = pattern.evidence.peak_revenue;
@@ -472,7 +530,7 @@ class RealTimeBehavioralIntelligence {
       }
     };
 
-    const specificGenerator = specifics[pattern.type] || (() => ({
+    const specificGenerator = specifics[patternType(pattern)] || (() => ({
       intervention: mlIntervention,
       directive: "Take massive action NOW."
     }));
@@ -521,13 +579,14 @@ class RealTimeBehavioralIntelligence {
     return accurate / predictions.length;
   }
 
-  calculateRealConfidence(patterns, behavioralHistory) {
+  // Uncalibrated blend; callers calibrate it as the 'real_engine' source
+  calculateRawConfidence(patterns, behavioralHistory) {
     // Base confidence on actual data quality and prediction accuracy
     const dataQuality = Math.min(behavioralHistory.total_signals / 10, 1);
     const predictionAccuracy = behavioralHistory.prediction_accuracy || 0.5;
     const patternClarity = patterns.length > 0 ? patterns[0].confidence : 0.5;
     
-    return (dataQuality * 0.3 + predictionAccuracy * 0.5 + patternClarity * 0.2);
+    return dataQuality * 0.3 + predictionAccuracy * 0.5 + patternClarity * 0.2;
   }
 
   async trackInterventionDelivery(userId, intervention, patterns) {
@@ -1027,9 +1086,12 @@ class BehavioralMLEngine {
         }
       });
 
+      // Zero-shot scores rank labels but aren't probabilities
       return result.labels.map((label, idx) => ({
         pattern: label,
-        confidence: result.scores[idx]
+        confidence: sharedCalibration().calibrate('zero_shot', result.scores[idx]),
+        raw_confidence: result.scores[idx],
+        confidence_source: 'zero_shot'
       }));
     } catch (error) {
       logger.error({ error }, 'Pattern classification failed');
@@ -1065,7 +1127,7 @@ class BehavioralMLEngine {
     const mlSuggestion = data.mlPredictions?.suggestions;
     
     // Get historical effectiveness data
-    const effectiveStyles = data.interventionHistory[pattern.type] || [];
+    const effectiveStyles = data.interventionHistory[patternType(pattern)] || [];
     const bestStyle = effectiveStyles
       .filter(s => s.led_to_breakthrough)
       .sort((a, b) => b.score - a.score)[0];
@@ -1087,10 +1149,11 @@ class BehavioralMLEngine {
       pricing_cowardice: `Your $${pattern.evidence.your_price} vs market $${pattern.evidence.market_average}. Monthly loss: $${Math.round(pattern.cost)}.`,
       execution_paralysis: `${pattern.evidence.planned_but_not_started} plans, zero execution. Competitors shipped ${pattern.evidence.competitor_launches}.`,
       competitive_delusion: `Rank #${pattern.evidence.your_rank} of ${pattern.evidence.total_competitors}. Bottom ${pattern.evidence.percentile}%.`,
+      decision_hesitation: `${pattern.evidence.hesitations_per_session} long pauses per session, ${Math.round(pattern.evidence.deletion_ratio * 100)}% deleted.`,
       revenue_stagnation: `${pattern.evidence.months_stagnant} months at $${pattern.evidence.current_revenue}. Should be $${pattern.evidence.current_revenue * 2}.`
     };
 
-    return templates[pattern.type] || 'Stop hiding from reality.';
+    return templates[patternType(pattern)] || 'Stop hiding from reality.';
   }
 }
 
@@ -1,22 +1,549 @@
 // client-realtime.js
 // CELESTE7 CLIENT SSE + POLLING - MVP
-// Handles reconnection, typing detection, and brutal interventions
+// Handles reconnection, typing detection, offline pattern buffering and brutal interventions
 
 (function(window) {
   'use strict';
 
+  // Unsent patterns kept per browser; oldest are dropped past the limit
+  const BUFFER_LIMIT = 500;
+  const BUFFER_DB = 'celeste7-realtime';
+  const BUFFER_STORE = 'pending_patterns';
+
+  // Failed sends back off 3s, 6s, 12s ... up to 2 minutes
+  const RETRY_BASE_MS = 3000;
+  const RETRY_MAX_MS = 120000;
+
+  // keepalive requests are capped around 64KB; patterns are well under 1KB each
+  const KEEPALIVE_BATCH_SIZE = 50;
+
+  // ============================================
+  // CONSENT
+  // ============================================
+
+  // Nothing is captured until the user opts in to a category:
+  //   typing    - pauses and deletion counts while typing (hesitation, uncertainty)
+  //   attention - leaving the tab or window (distraction, procrastination)
+  //   forms     - numbers entered in pricing fields (pricing_cowardice)
+  //   content   - snippets of typed text as evidence, PII redacted
+  // Mirrors CONSENT_CATEGORIES in client-signals.js; the server drops anything not consented to.
+  const CONSENT_CATEGORIES = ['typing', 'attention', 'forms', 'content'];
+  const CONSENT_STORAGE_KEY = 'celeste7_consent';
+
+  const PATTERN_CATEGORY = {
+    hesitation: 'typing',
+    uncertainty: 'typing',
+    distraction: 'attention',
+    procrastination: 'attention',
+    pricing_cowardice: 'forms'
+  };
+
+  const CONTENT_EVIDENCE = ['textBeforePause', 'originalValue', 'fieldName'];
+
+  function parseConsent(value) {
+    if (!value) return null;
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(c => String(c).trim()).filter(c => CONSENT_CATEGORIES.includes(c));
+  }
+
+  function storedConsent() {
+    try {
+      return parseConsent(JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY)));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Emails and digit runs (phone, card, account numbers) never leave the browser
+  function redactText(text) {
+    return String(text)
+      .replace(/\S*@\S*/g, '[email]')
+      .replace(/\+?\d[\d\s().-]{3,}\d/g, '[number]');
+  }
+
+  function browserTimeZone() {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // ============================================
+  // CLIENT RULES
+  // ============================================
+
+  // Pattern -> intervention rules from GET /api/client-rules (format in client-rules.js),
+  // cached so they keep working offline. Re-checked every 10 minutes and when back online.
+  const RULES_STORAGE_KEY = 'celeste7_rules';
+  const RULES_SYNC_MS = 10 * 60 * 1000;
+
+  // Quiet hours and the daily budget apply to rules too. POST /api/interventions/client-rule
+  // decides and counts; its last allowance (absolute quiet periods, budget left today) is kept
+  // here and stands in while the server can't be reached.
+  const ALLOWANCE_STORAGE_KEY = 'celeste7_rule_allowance';
+
+  function storedAllowance() {
+    try {
+      return JSON.parse(localStorage.getItem(ALLOWANCE_STORAGE_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function compare(actual, { operator, value }) {
+    if (actual === undefined || actual === null) return false;
+
+    switch (operator) {
+      case '>': return actual > value;
+      case '>=': return actual >= value;
+      case '<': return actual < value;
+      case '<=': return actual <= value;
+      case '!=': return String(actual) !== String(value);
+      default: return String(actual) === String(value);
+    }
+  }
+
+  // The server sends rules already parsed (compileForClient in client-rules.js). null for anything
+  // this client can't evaluate (an older cache or a newer server format); it's skipped.
+  function compileRule(rule) {
+    const when = rule && rule.when;
+    if (!when || !rule.then || rule.enabled === false) return null;
+
+    const conditions = rule.conditions;
+    if (!(rule.withinMs > 0) || !(when.count >= 1) || !Array.isArray(conditions)) return null;
+
+    return {
+      id: rule.id,
+      when,
+      then: rule.then,
+      count: when.count,
+      withinMs: rule.withinMs,
+      cooldownMs: rule.cooldownMs || 0,
+      matches: (pattern) => pattern.type === when.pattern &&
+        (!when.field || pattern.evidence?.fieldType === when.field) &&
+        conditions.every(condition => compare(pattern.evidence?.[condition.key], condition))
+    };
+  }
+
+  // ============================================
+  // INTERVENTION RENDERERS
+  // ============================================
+
+  // Brand defaults from BRAND_GUIDELINES.md: high contrast (jet black, stark white, one accent
+  // red), bold condensed headlines, minimal decoration. Override keys with options.theme or
+  // setTheme(), or set the --celeste7-* variables in the host stylesheet (they win over these).
+  const DEFAULT_THEME = {
+    background: '#0a0a0a',
+    foreground: '#ffffff',
+    accent: '#e10600',
+    muted: '#a3a3a3',
+    border: '#2a2a2a',
+    headingFont: "'Oswald', 'Bebas Neue', 'Arial Narrow', Impact, sans-serif",
+    bodyFont: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif",
+    radius: '2px',
+    zIndex: '999999'
+  };
+
+  // Host apps can pick per intervention with options.renderer (name or function)
+  const DEFAULT_RENDERER_BY_SEVERITY = {
+    critical: 'modal',
+    high: 'toast',
+    medium: 'toast',
+    low: 'banner'
+  };
+  const FALLBACK_RENDERER = 'toast';
+  // Dismiss actions the server hears about (POST /api/interventions/outcome); dismissals stretch
+  // the pattern's cooldown, acknowledging resets it. 'replaced' says nothing about the user.
+  const OUTCOME_BY_ACTION = {
+    acknowledged: 'acknowledged',
+    later: 'dismissed',
+    dismissed: 'dismissed',
+    timeout: 'dismissed'
+  };
+  const AUTO_DISMISS_MS = 45000;
+  const STYLE_ELEMENT_ID = 'celeste7-styles';
+
+  const FOCUSABLE = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+  const themeVariable = (key) => `--celeste7-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+
+  function themeCss(theme) {
+    const variables = Object.entries(theme)
+      .map(([key, value]) => `${themeVariable(key)}: ${value};`)
+      .join(' ');
+
+    // :where() keeps the defaults at zero specificity so any host :root rule overrides them
+    return `
+      :where(:root) { ${variables} }
+      .celeste7-card {
+        background: var(--celeste7-background);
+        color: var(--celeste7-foreground);
+        border: 1px solid var(--celeste7-border);
+        border-left: 4px solid var(--celeste7-accent);
+        border-radius: var(--celeste7-radius);
+        padding: 20px 24px;
+        font-family: var(--celeste7-body-font);
+        box-shadow: 0 12px 40px rgba(0, 0, 0, 0.6);
+        box-sizing: border-box;
+      }
+      .celeste7-card[data-severity="critical"] { border-left-width: 8px; }
+      .celeste7-heading {
+        margin: 0 0 10px;
+        color: var(--celeste7-accent);
+        font-family: var(--celeste7-heading-font);
+        font-size: 14px;
+        font-weight: 700;
+        letter-spacing: 1.5px;
+        text-transform: uppercase;
+      }
+      .celeste7-message { margin: 0 0 12px; font-size: 15px; line-height: 1.5; }
+      .celeste7-directive {
+        margin: 0 0 12px;
+        font-family: var(--celeste7-heading-font);
+        font-size: 18px;
+        font-weight: 700;
+        text-transform: uppercase;
+      }
+      .celeste7-evidence {
+        margin: 0 0 12px;
+        color: var(--celeste7-muted);
+        font-family: Menlo, Monaco, monospace;
+        font-size: 11px;
+        word-break: break-word;
+      }
+      .celeste7-resources { margin: 0 0 12px; padding-left: 20px; font-size: 14px; line-height: 1.5; }
+      .celeste7-actions { display: flex; gap: 12px; margin-top: 16px; }
+      .celeste7-btn {
+        padding: 10px 18px;
+        border-radius: var(--celeste7-radius);
+        font-family: var(--celeste7-heading-font);
+        font-size: 14px;
+        font-weight: 700;
+        letter-spacing: 1px;
+        text-transform: uppercase;
+        cursor: pointer;
+      }
+      .celeste7-btn-primary { flex: 1; background: var(--celeste7-accent); color: var(--celeste7-foreground); border: none; }
+      .celeste7-btn-secondary { background: transparent; color: var(--celeste7-muted); border: 1px solid var(--celeste7-border); }
+      .celeste7-btn:focus-visible { outline: 2px solid var(--celeste7-foreground); outline-offset: 2px; }
+      .celeste7-backdrop {
+        position: fixed;
+        inset: 0;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        padding: 16px;
+        background: rgba(0, 0, 0, 0.8);
+        z-index: var(--celeste7-z-index);
+      }
+      .celeste7-dialog { width: 100%; max-width: 480px; outline: none; }
+      .celeste7-toast {
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        width: calc(100% - 40px);
+        max-width: 420px;
+        z-index: var(--celeste7-z-index);
+        animation: celeste7-slide-in 0.3s ease-out;
+      }
+      .celeste7-banner .celeste7-card { border-radius: 0; box-shadow: none; }
+      .celeste7-chat-message { margin: 8px 0; }
+      .celeste7-chat-message .celeste7-card { box-shadow: none; }
+      @keyframes celeste7-slide-in {
+        from { transform: translateX(24px); opacity: 0; }
+        to { transform: none; opacity: 1; }
+      }
+      @media (prefers-reduced-motion: reduce) {
+        .celeste7-toast { animation: none; }
+      }
+    `;
+  }
+
+  // Everything is built with textContent: server text never becomes markup
+  function el(tag, attributes = {}, children = []) {
+    const node = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+      if (name === 'text') node.textContent = value;
+      else if (name === 'className') node.className = value;
+      else node.setAttribute(name, value);
+    });
+    children.filter(Boolean).forEach(child => node.appendChild(child));
+    return node;
+  }
+
+  function resolveElement(target) {
+    if (!target) return null;
+    return typeof target === 'string' ? document.querySelector(target) : target;
+  }
+
+  function focusableWithin(container) {
+    return [...container.querySelectorAll(FOCUSABLE)].filter(node => !node.disabled);
+  }
+
+  function headingFor(intervention) {
+    return `${String(intervention.pattern || 'pattern').replace(/_/g, ' ')} detected`;
+  }
+
+  // Heading, message, directive, evidence, support resources and the two actions; shared by the
+  // visual renderers
+  function interventionCard(intervention, ui, { actions = true } = {}) {
+    return el('div', { className: 'celeste7-card', 'data-severity': intervention.severity || 'medium' }, [
+      el('h2', { className: 'celeste7-heading', id: ui.ids.title, text: headingFor(intervention) }),
+      el('p', { className: 'celeste7-message', id: ui.ids.body, text: intervention.intervention || intervention.message || '' }),
+      intervention.directive && el('p', { className: 'celeste7-directive', text: intervention.directive }),
+      intervention.evidence && el('p', { className: 'celeste7-evidence', text: ui.formatEvidence(intervention.evidence) }),
+      intervention.resources?.length > 0 && el('ul', { className: 'celeste7-resources' },
+        intervention.resources.map(resource => el('li', { text: `${resource.name}: ${resource.contact}` }))),
+      actions && el('div', { className: 'celeste7-actions' }, [
+        actionButton('Got it', 'primary', () => ui.dismiss('acknowledged')),
+        actionButton('Later', 'secondary', () => ui.dismiss('later'))
+      ])
+    ]);
+  }
+
+  function actionButton(label, variant, onClick) {
+    const button = el('button', { type: 'button', className: `celeste7-btn celeste7-btn-${variant}`, text: label });
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // A renderer is { render(intervention, ui) } returning { close() }, or null when it can't
+  // show this one (no chat container, notifications not granted) so the fallback takes over.
+  const BUILT_IN_RENDERERS = {
+    // Blocking dialog: focus trapped inside, Escape = later, focus restored on close
+    modal: {
+      render(intervention, ui) {
+        const previousFocus = document.activeElement;
+        const dialog = el('div', {
+          className: 'celeste7-dialog',
+          role: 'alertdialog',
+          'aria-modal': 'true',
+          'aria-labelledby': ui.ids.title,
+          'aria-describedby': ui.ids.body,
+          tabindex: '-1'
+        }, [interventionCard(intervention, ui)]);
+        const backdrop = el('div', { className: 'celeste7-backdrop celeste7-intervention' }, [dialog]);
+
+        const onKeydown = (event) => {
+          if (event.key === 'Escape') {
+            event.preventDefault();
+            ui.dismiss('later');
+          } else if (event.key === 'Tab') {
+            const focusable = focusableWithin(dialog);
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (!first) {
+              event.preventDefault();
+            } else if (event.shiftKey && document.activeElement === first) {
+              event.preventDefault();
+              last.focus();
+            } else if (!event.shiftKey && document.activeElement === last) {
+              event.preventDefault();
+              first.focus();
+            }
+          }
+        };
+        // Focus that lands outside (programmatic, assistive tech) is pulled back in
+        const onFocusIn = (event) => {
+          if (!dialog.contains(event.target)) (focusableWithin(dialog)[0] || dialog).focus();
+        };
+
+        document.addEventListener('keydown', onKeydown, true);
+        document.addEventListener('focusin', onFocusIn);
+        document.body.appendChild(backdrop);
+        (focusableWithin(dialog)[0] || dialog).focus();
+
+        return {
+          close() {
+            document.removeEventListener('keydown', onKeydown, true);
+            document.removeEventListener('focusin', onFocusIn);
+            backdrop.remove();
+            if (previousFocus && typeof previousFocus.focus === 'function') previousFocus.focus();
+          }
+        };
+      }
+    },
+
+    // Corner card, announced without taking focus; dismisses itself unless hovered or focused
+    toast: {
+      render(intervention, ui) {
+        const urgent = intervention.severity === 'critical' || intervention.severity === 'high';
+        const toast = el('div', {
+          className: 'celeste7-toast celeste7-intervention',
+          role: urgent ? 'alert' : 'status',
+          'aria-live': urgent ? 'assertive' : 'polite',
+          'aria-atomic': 'true'
+        }, [interventionCard(intervention, ui)]);
+
+        document.body.appendChild(toast);
+        const stopTimer = ui.autoDismiss(toast);
+
+        return {
+          close() {
+            stopTimer();
+            toast.remove();
+          }
+        };
+      }
+    },
+
+    // Full-width strip at the top of options.bannerContainer (default: the page); stays until dismissed
+    banner: {
+      render(intervention, ui) {
+        const container = resolveElement(ui.options.bannerContainer) || document.body;
+        const banner = el('section', {
+          className: 'celeste7-banner celeste7-intervention',
+          role: 'region',
+          'aria-labelledby': ui.ids.title,
+          'aria-live': 'polite'
+        }, [interventionCard(intervention, ui)]);
+
+        container.insertBefore(banner, container.firstChild);
+        return { close: () => banner.remove() };
+      }
+    },
+
+    // A message in the host's chat (options.chatContainer). Dismissing keeps the message in the
+    // conversation and only removes its buttons.
+    chat: {
+      render(intervention, ui) {
+        const container = resolveElement(ui.options.chatContainer);
+        if (!container) return null;
+
+        const card = interventionCard(intervention, ui);
+        const message = el('article', {
+          className: 'celeste7-chat-message celeste7-intervention',
+          'aria-labelledby': ui.ids.title
+        }, [card]);
+
+        container.appendChild(message);
+        message.scrollIntoView?.({ block: 'end', behavior: 'smooth' });
+        return { close: () => card.querySelector('.celeste7-actions')?.remove() };
+      }
+    },
+
+    // OS notification; only when permission was already granted (never prompts by itself)
+    notification: {
+      render(intervention, ui) {
+        if (!('Notification' in window) || window.Notification.permission !== 'granted') return null;
+
+        const notification = new window.Notification(headingFor(intervention).toUpperCase(), {
+          body: [intervention.intervention || intervention.message, intervention.directive].filter(Boolean).join('\n'),
+          tag: 'celeste7-intervention',
+          requireInteraction: intervention.severity === 'critical'
+        });
+        notification.onclick = () => {
+          window.focus();
+          ui.dismiss('acknowledged');
+        };
+        notification.onclose = () => ui.dismiss('closed');
+
+        return { close: () => notification.close() };
+      }
+    },
+
+    // Nothing drawn: the app listens for celeste7:intervention-shown and reports back
+    // with celeste7.dismissIntervention(action)
+    headless: {
+      render() {
+        return { close() {} };
+      }
+    }
+  };
+
+  // ============================================
+  // PERSISTENT PATTERN BUFFER
+  // ============================================
+
+  // Unsent patterns in IndexedDB so they survive reloads and closed tabs. Every method
+  // resolves to null when IndexedDB is unavailable (private mode, old browsers) and the
+  // client carries on with the in-memory buffer only.
+  class PatternStore {
+    constructor(userId) {
+      this.userId = userId;
+      this.db = this.open();
+    }
+
+    open() {
+      if (!window.indexedDB) return Promise.resolve(null);
+
+      return new Promise((resolve) => {
+        const request = window.indexedDB.open(BUFFER_DB, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(BUFFER_STORE, { keyPath: 'key' });
+          store.createIndex('userId', 'userId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+        request.onblocked = () => resolve(null);
+      });
+    }
+
+    async run(mode, operation) {
+      const db = await this.db;
+      if (!db) return null;
+
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(BUFFER_STORE, mode);
+        const request = operation(tx.objectStore(BUFFER_STORE));
+        tx.oncomplete = () => resolve(request ? request.result : true);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    }
+
+    loadAll() {
+      return this.run('readonly', store => store.index('userId').getAll(this.userId));
+    }
+
+    put(patterns) {
+      return this.run('readwrite', store => {
+        patterns.forEach(pattern => store.put({ key: pattern.bufferKey, userId: this.userId, pattern }));
+      });
+    }
+
+    remove(keys) {
+      if (keys.length === 0) return Promise.resolve(true);
+      return this.run('readwrite', store => {
+        keys.forEach(key => store.delete(key));
+      });
+    }
+  }
+
   class Celeste7VercelRealTime {
     constructor(userId, options = {}) {
       this.userId = userId;
+      // Signed by the host app's server (signUserToken in request-auth.js); the consent and
+      // intervention endpoints need it
+      this.userToken = options.userToken || null;
       this.apiUrl = options.apiUrl || window.location.origin;
       this.debug = options.debug || false;
       
+      // Privacy: opted-in categories, and whether only data-celeste7="track" fields are observed
+      this.consent = new Set(parseConsent(options.consent) || storedConsent() || []);
+      this.fieldMode = options.fieldMode === 'allowlist' ? 'allowlist' : 'denylist';
+      
+      // Rendering: renderer is a name or (intervention) => name; headless only fires events
+      this.renderers = new Map(Object.entries(BUILT_IN_RENDERERS));
+      this.rendererOption = options.renderer || null;
+      this.rendererBySeverity = { ...DEFAULT_RENDERER_BY_SEVERITY, ...options.rendererBySeverity };
+      this.headless = options.headless || false;
+      this.theme = { ...DEFAULT_THEME, ...options.theme };
+      this.renderOptions = {
+        bannerContainer: options.bannerContainer || null,
+        chatContainer: options.chatContainer || null
+      };
+      this.activeIntervention = null;
+      
       // Connection state
       this.sseConnection = null;
       this.isConnected = false;
       this.reconnectAttempts = 0;
       this.maxReconnectAttempts = 5;
       this.connectionId = Date.now(); // Track connection instances
+      // Last server event seen; reconnects ask the server to replay anything after it
+      this.lastEventId = null;
       
       // Performance tracking
       this.latencyStats = {
@@ -35,9 +562,24 @@
         pauseDetected: false
       };
       
-      // Pattern buffer (batched every 3s)
+      // Pattern buffer (batched every 3s), mirrored to IndexedDB until the server accepts it
       this.patternBuffer = [];
+      this.patternStore = new PatternStore(userId);
+      this.instanceId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+      this.patternSeq = 0;
       this.lastPatternSend = Date.now();
+      this.isSending = false;
+      this.sendFailures = 0;
+      this.nextSendAt = 0;
+      this.droppedCount = 0;
+      
+      // Client rules: hit timestamps inside each rule's window, and when each may fire again
+      this.rules = [];
+      this.rulesVersion = null;
+      this.ruleHits = {};
+      this.ruleCooldowns = {};
+      this.ruleAllowance = storedAllowance();
+      this.loadCachedRules();
       
       // Event timers
       this.typingTimer = null;
@@ -49,26 +591,48 @@
     }
 
     init() {
+      if (this.consent.size > 0) {
+        this.syncConsent();
+      }
       this.connectSSE();
       this.setupEventListeners();
+      this.restorePatterns();
       this.startPatternBatching();
+      this.syncRules();
+      setInterval(() => this.syncRules(), RULES_SYNC_MS);
     }
 
     // ============================================
     // SSE CONNECTION WITH RECONNECTION
     // ============================================
 
-    connectSSE() {
+    async connectSSE() {
       const connectionStart = Date.now();
       
       if (this.sseConnection) {
         this.sseConnection.close();
+        this.sseConnection = null;
       }
 
-      const sseUrl = `${this.apiUrl}/api/realtime/${this.userId}`;
+      // EventSource can't send the user token, so every connection starts with a fresh ticket
+      let ticket;
+      try {
+        ticket = await this.fetchStreamTicket();
+      } catch (error) {
+        this.log('Stream ticket request failed:', error);
+        this.handleConnectionDrop();
+        return;
+      }
+
+      // A fresh EventSource doesn't send Last-Event-ID, so it goes in the query instead.
+      // tz lets the server keep to the user's quiet hours.
+      const params = new URLSearchParams({ ticket });
+      if (this.lastEventId) params.set('lastEventId', this.lastEventId);
+      if (browserTimeZone()) params.set('tz', browserTimeZone());
+      const sseUrl = `${this.apiUrl}/api/realtime/${encodeURIComponent(this.userId)}`;
       this.log(`Connecting SSE: ${sseUrl}`);
       
-      this.sseConnection = new EventSource(sseUrl);
+      this.sseConnection = new EventSource(`${sseUrl}?${params}`);
       this.connectionId = Date.now();
       
       this.sseConnection.onopen = () => {
@@ -85,6 +649,7 @@
       
       this.sseConnection.onmessage = (event) => {
         const messageStart = Date.now();
+        if (event.lastEventId) this.lastEventId = event.lastEventId;
         try {
           const data = JSON.parse(event.data);
           this.handleServerMessage(data);
@@ -97,12 +662,25 @@
         }
       };
       
-      this.sseConnection.onerror = (error) => {
+      // The browser's own retry would reuse an expired ticket; reconnect with a new one instead
+      const connection = this.sseConnection;
+      connection.onerror = (error) => {
         this.log('SSE error:', error);
+        connection.close();
         this.handleConnectionDrop();
       };
     }
 
+    async fetchStreamTicket() {
+      const response = await fetch(`${this.apiUrl}/api/realtime/ticket`, {
+        method: 'POST',
+        headers: this.userHeaders(),
+        body: JSON.stringify({ userId: this.userId })
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return (await response.json()).ticket;
+    }
+
     handleConnectionDrop() {
       this.isConnected = false;
       
@@ -177,157 +755,138 @@
         return; // App handled it
       }
       
-      // Default brutal intervention UI
-      this.showBrutalIntervention(intervention);
+      // Default UI: modal, toast, banner, chat or notification (see chooseRenderer)
+      this.renderIntervention(intervention);
     }
 
     // ============================================
-    // BRUTAL INTERVENTION UI
+    // INTERVENTION RENDERING
     // ============================================
 
-    showBrutalIntervention(intervention) {
-      const existing = document.querySelector('.celeste7-intervention');
-      if (existing) existing.remove();
-      
-      const div = document.createElement('div');
-      div.className = 'celeste7-intervention';
-      div.innerHTML = `
-        <style>
-          .celeste7-intervention {
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            max-width: 420px;
-            z-index: 999999;
-            animation: celeste7-slide-brutal 0.5s cubic-bezier(0.68, -0.55, 0.265, 1.55);
-          }
-          .celeste7-content {
-            background: linear-gradient(135deg, #1a1a1a 0%, #2d1b1b 100%);
-            color: #fff;
-            padding: 24px;
-            border-radius: 12px;
-            box-shadow: 0 12px 40px rgba(0,0,0,0.7), 0 0 0 1px rgba(255,68,68,0.3);
-            border-left: 6px solid ${intervention.severity === 'critical' ? '#ff1744' : '#ff5722'};
-          }
-          .celeste7-header {
-            color: #ff6b6b;
-            font-size: 13px;
-            font-weight: 800;
-            text-transform: uppercase;
-            letter-spacing: 1.2px;
-            margin: 0 0 12px 0;
-            font-family: -apple-system, BlinkMacSystemFont, sans-serif;
-          }
-          .celeste7-message {
-            color: #e8e8e8;
-            font-size: 15px;
-            line-height: 1.6;
-            margin: 12px 0;
-            font-family: -apple-system, BlinkMacSystemFont, sans-serif;
-          }
-          .celeste7-directive {
-            background: rgba(255, 183, 77, 0.15);
-            border-left: 4px solid #ffb74d;
-            padding: 14px 16px;
-            margin: 16px 0;
-            border-radius: 6px;
-            color: #ffb74d;
-            font-weight: 600;
-            font-size: 16px;
-            font-family: -apple-system, BlinkMacSystemFont, sans-serif;
-          }
-          .celeste7-evidence {
-            background: rgba(0,0,0,0.4);
-            padding: 8px 12px;
-            border-radius: 4px;
-            font-size: 11px;
-            color: #999;
-            margin: 12px 0;
-            font-family: 'Monaco', 'Menlo', monospace;
-            word-break: break-all;
-          }
-          .celeste7-actions {
-            display: flex;
-            gap: 12px;
-            margin-top: 20px;
-          }
-          .celeste7-btn {
-            padding: 10px 18px;
-            border: none;
-            border-radius: 6px;
-            cursor: pointer;
-            font-weight: 600;
-            font-size: 14px;
-            transition: all 0.2s ease;
-            font-family: -apple-system, BlinkMacSystemFont, sans-serif;
-          }
-          .celeste7-btn-primary {
-            background: #ff4444;
-            color: white;
-            flex: 1;
-          }
-          .celeste7-btn-primary:hover {
-            background: #ff6666;
-            transform: translateY(-1px);
-          }
-          .celeste7-btn-secondary {
-            background: rgba(255,255,255,0.1);
-            color: #ccc;
-            border: 1px solid rgba(255,255,255,0.2);
-          }
-          .celeste7-btn-secondary:hover {
-            background: rgba(255,255,255,0.2);
-          }
-          @keyframes celeste7-slide-brutal {
-            0% {
-              transform: translateX(450px) scale(0.8);
-              opacity: 0;
-            }
-            70% {
-              transform: translateX(-15px) scale(1.02);
-            }
-            100% {
-              transform: translateX(0) scale(1);
-              opacity: 1;
-            }
-          }
-        </style>
-        <div class="celeste7-content">
-          <div class="celeste7-header">
-            ⚡ ${intervention.pattern.toUpperCase()} DETECTED
-          </div>
-          <div class="celeste7-message">
-            ${intervention.intervention}
-          </div>
-          <div class="celeste7-directive">
-            ${intervention.directive}
-          </div>
-          ${intervention.evidence ? `
-            <div class="celeste7-evidence">
-              ${this.formatEvidence(intervention.evidence)}
-            </div>
-          ` : ''}
-          <div class="celeste7-actions">
-            <button class="celeste7-btn celeste7-btn-primary" onclick="this.parentElement.parentElement.parentElement.remove()">
-              Got it
-            </button>
-            <button class="celeste7-btn celeste7-btn-secondary" onclick="this.parentElement.parentElement.parentElement.style.opacity='0.3'">
-              Later
-            </button>
-          </div>
-        </div>
-      `;
-      
-      document.body.appendChild(div);
-      
-      // Auto-remove after 45 seconds
-      setTimeout(() => {
-        if (div.parentNode) {
-          div.style.transform = 'translateX(450px)';
-          div.style.opacity = '0';
-          setTimeout(() => div.remove(), 300);
+    registerRenderer(name, renderer) {
+      if (!renderer || typeof renderer.render !== 'function') {
+        throw new Error(`Renderer ${name} needs a render(intervention, ui) method`);
+      }
+      this.renderers.set(name, renderer);
+    }
+
+    setTheme(overrides = {}) {
+      this.theme = { ...this.theme, ...overrides };
+      this.injectStyles(true);
+    }
+
+    injectStyles(force = false) {
+      let style = document.getElementById(STYLE_ELEMENT_ID);
+      if (style && !force) return;
+      
+      if (!style) {
+        style = document.createElement('style');
+        style.id = STYLE_ELEMENT_ID;
+        document.head.appendChild(style);
+      }
+      style.textContent = themeCss(this.theme);
+    }
+
+    chooseRenderer(intervention) {
+      if (this.headless) return 'headless';
+      
+      const choice = typeof this.rendererOption === 'function'
+        ? this.rendererOption(intervention)
+        : this.rendererOption;
+      const name = choice || this.rendererBySeverity[intervention.severity] || FALLBACK_RENDERER;
+      return this.renderers.has(name) ? name : FALLBACK_RENDERER;
+    }
+
+    // One intervention on screen at a time; a new one replaces the last
+    renderIntervention(intervention) {
+      this.dismissIntervention('replaced');
+      
+      let renderer = this.chooseRenderer(intervention);
+      const ui = this.rendererContext(intervention);
+      let handle = null;
+      
+      if (renderer !== 'headless') this.injectStyles();
+      
+      try {
+        handle = this.renderers.get(renderer).render(intervention, ui);
+      } catch (error) {
+        this.log(`Renderer ${renderer} failed:`, error);
+      }
+      
+      if (!handle && renderer !== FALLBACK_RENDERER) {
+        renderer = FALLBACK_RENDERER;
+        handle = this.renderers.get(FALLBACK_RENDERER).render(intervention, ui);
+      }
+      
+      this.activeIntervention = { intervention, renderer, handle, shownAt: Date.now() };
+      this.fireEvent('intervention-shown', { intervention, renderer });
+    }
+
+    dismissIntervention(action = 'dismissed') {
+      const active = this.activeIntervention;
+      if (!active) return;
+      
+      this.activeIntervention = null;
+      try {
+        active.handle?.close();
+      } catch (error) {
+        this.log('Renderer close failed:', error);
+      }
+      
+      this.fireEvent('intervention-dismissed', {
+        intervention: active.intervention,
+        renderer: active.renderer,
+        action,
+        visibleMs: Date.now() - active.shownAt
+      });
+      
+      if (OUTCOME_BY_ACTION[action]) this.reportOutcome(active.intervention, OUTCOME_BY_ACTION[action]);
+    }
+
+    // Interventions without a tracking id (rules admitted offline) are not reported
+    reportOutcome(intervention, outcome) {
+      if (!intervention.tracking_id) return;
+
+      fetch(`${this.apiUrl}/api/interventions/outcome`, {
+        method: 'POST',
+        headers: this.userHeaders(),
+        keepalive: true,
+        body: JSON.stringify({ userId: this.userId, tracking_id: intervention.tracking_id, outcome })
+      }).catch(error => this.log('Outcome report failed:', error));
+    }
+
+    // What a renderer gets besides the intervention
+    rendererContext(intervention) {
+      const id = `celeste7-${Date.now().toString(36)}`;
+      
+      return {
+        options: this.renderOptions,
+        theme: this.theme,
+        ids: { title: `${id}-title`, body: `${id}-body` },
+        formatEvidence: (evidence) => this.formatEvidence(evidence),
+        // Ignored once this intervention is no longer the one on screen
+        dismiss: (action) => {
+          if (this.activeIntervention?.intervention === intervention) this.dismissIntervention(action);
+        },
+        // Dismisses after AUTO_DISMISS_MS unless the user is hovering or inside it; returns a stop function
+        autoDismiss: (element) => {
+          let timer = null;
+          const start = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+              if (this.activeIntervention?.intervention === intervention) this.dismissIntervention('timeout');
+            }, AUTO_DISMISS_MS);
+          };
+          const pause = () => clearTimeout(timer);
+          
+          element.addEventListener('mouseenter', pause);
+          element.addEventListener('focusin', pause);
+          element.addEventListener('mouseleave', start);
+          element.addEventListener('focusout', start);
+          start();
+          return pause;
         }
-      }, 45000);
+      };
     }
 
     formatEvidence(evidence) {
@@ -363,10 +922,20 @@
       document.addEventListener('focusin', this.handleFormFocus.bind(this));
       document.addEventListener('focusout', this.handleFormBlur.bind(this));
       
+      // DELIVERY: flush on the way out, retry straight away when the network is back
+      window.addEventListener('pagehide', this.flushOnPagehide.bind(this));
+      window.addEventListener('online', () => {
+        this.nextSendAt = 0;
+        this.sendPatterns();
+        this.syncRules();
+      });
+      
       this.log('Event listeners attached');
     }
 
     handleInput(event) {
+      if (!this.hasConsent('typing') || !this.isTrackedField(event.target)) return;
+      
       const now = Date.now();
       const timeSinceLastKey = now - this.typingSession.lastKeyTime;
       
@@ -403,6 +972,8 @@
     }
 
     handleKeydown(event) {
+      if (!this.hasConsent('typing') || !this.isTrackedField(event.target)) return;
+      
       if (event.key === 'Backspace' || event.key === 'Delete') {
         this.typingSession.deletions++;
       } else if (event.key.length === 1) {
@@ -456,6 +1027,8 @@
     // ============================================
 
     handleVisibilityChange() {
+      if (!this.hasConsent('attention')) return;
+      
       if (document.hidden) {
         this.tabSwitchTime = Date.now();
       } else if (this.tabSwitchTime) {
@@ -479,6 +1052,7 @@
     }
 
     handleWindowBlur() {
+      if (!this.hasConsent('attention')) return;
       this.windowBlurTime = Date.now();
     }
 
@@ -508,6 +1082,8 @@
     // ============================================
 
     handleFormFocus(event) {
+      if (!this.hasConsent('forms') || !this.isTrackedField(event.target)) return;
+      
       const fieldType = this.getFieldType(event.target);
       if (fieldType === 'pricing') {
         this.log('Pricing field focused');
@@ -515,6 +1091,8 @@
     }
 
     handleFormBlur(event) {
+      if (!this.hasConsent('forms') || !this.isTrackedField(event.target) || this.isSensitiveField(event.target)) return;
+      
       const value = event.target.value;
       const fieldType = this.getFieldType(event.target);
       
@@ -541,56 +1119,329 @@
     // ============================================
 
     detectPattern(pattern) {
+      if (!this.hasConsent(PATTERN_CATEGORY[pattern.type])) return;
+      
+      // Typed text only with content consent, and redacted even then
+      if (pattern.evidence) {
+        CONTENT_EVIDENCE.forEach(field => {
+          if (!(field in pattern.evidence)) return;
+          if (this.hasConsent('content')) pattern.evidence[field] = redactText(pattern.evidence[field]);
+          else delete pattern.evidence[field];
+        });
+      }
+      
       pattern.detectedAt = Date.now();
       pattern.source = 'client';
       pattern.connectionId = this.connectionId;
+      pattern.bufferKey = `${this.instanceId}:${this.patternSeq++}`;
       
       this.patternBuffer.push(pattern);
+      this.patternStore.put([pattern]).catch(error => this.log('Pattern persist failed:', error));
+      this.enforceBufferLimit();
       
       this.log(`Pattern: ${pattern.type} (${pattern.confidence})`);
       
       // Fire immediate event
       this.fireEvent('pattern', pattern);
+      
+      this.evaluateRules(pattern);
+    }
+
+    // Patterns a previous page (or another tab) couldn't deliver. Another open tab may still be
+    // sending some of them; the server dedupes by connection, type and detectedAt.
+    async restorePatterns() {
+      try {
+        const records = await this.patternStore.loadAll();
+        if (!records || records.length === 0) return;
+
+        const buffered = new Set(this.patternBuffer.map(p => p.bufferKey));
+        const restored = records
+          .map(record => record.pattern)
+          .filter(pattern => !buffered.has(pattern.bufferKey))
+          .sort((a, b) => a.detectedAt - b.detectedAt);
+
+        this.patternBuffer.unshift(...restored);
+        this.enforceBufferLimit();
+        this.log(`Restored ${restored.length} unsent patterns`);
+      } catch (error) {
+        this.log('Pattern restore failed:', error);
+      }
+    }
+
+    enforceBufferLimit() {
+      const overflow = this.patternBuffer.length - BUFFER_LIMIT;
+      if (overflow <= 0) return;
+
+      this.dropPatterns(this.patternBuffer.slice(0, overflow), 'buffer full');
+    }
+
+    dropPatterns(patterns, reason) {
+      this.droppedCount += patterns.length;
+      this.removeFromBuffer(patterns);
+      this.log(`Dropped ${patterns.length} patterns (${reason})`);
+    }
+
+    removeFromBuffer(patterns) {
+      const keys = new Set(patterns.map(p => p.bufferKey));
+      this.patternBuffer = this.patternBuffer.filter(p => !keys.has(p.bufferKey));
+      this.patternStore.remove([...keys]).catch(error => this.log('Pattern cleanup failed:', error));
+    }
+
+    // Patterns keep the connectionId they were detected on, so a retried batch dedupes server-side
+    groupByConnection(patterns) {
+      const groups = new Map();
+      patterns.forEach(pattern => {
+        const connectionId = pattern.connectionId || this.connectionId;
+        if (!groups.has(connectionId)) groups.set(connectionId, []);
+        groups.get(connectionId).push(pattern);
+      });
+      return [...groups.entries()].map(([connectionId, group]) => ({ connectionId, patterns: group }));
+    }
+
+    batchBody(connectionId, patterns) {
+      return JSON.stringify({
+        userId: this.userId,
+        patterns: patterns.map(({ bufferKey, ...pattern }) => pattern),
+        timestamp: Date.now(),
+        connectionId
+      });
     }
 
     startPatternBatching() {
-      // Send patterns every 3 seconds
+      // Send patterns every 3 seconds, unless backing off after a failure
       setInterval(() => {
-        if (this.patternBuffer.length > 0) {
+        if (this.patternBuffer.length > 0 && Date.now() >= this.nextSendAt) {
           this.sendPatterns();
         }
       }, 3000);
     }
 
     async sendPatterns() {
-      if (this.patternBuffer.length === 0) return;
+      if (this.patternBuffer.length === 0 || this.isSending) return;
       
+      // Patterns stay buffered until the server has them; new ones can arrive meanwhile
       const patterns = [...this.patternBuffer];
-      this.patternBuffer = [];
+      this.isSending = true;
       
       const sendStart = Date.now();
       
       try {
-        const response = await fetch(`${this.apiUrl}/api/pattern`, {
+        for (const batch of this.groupByConnection(patterns)) {
+          const response = await fetch(`${this.apiUrl}/api/pattern`, {
+            method: 'POST',
+            headers: this.userHeaders(),
+            body: this.batchBody(batch.connectionId, batch.patterns)
+          });
+          
+          // Rejected outright: retrying won't help (429 and 5xx will, and 401 once the page has a
+          // fresh user token)
+          if (response.status >= 400 && response.status < 500 && response.status !== 429 && response.status !== 401) {
+            this.dropPatterns(batch.patterns, `HTTP ${response.status}`);
+            continue;
+          }
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          
+          const result = await response.json();
+          this.droppedCount += result.rejected?.length || 0;
+          this.removeFromBuffer(batch.patterns);
+        }
+        
+        this.sendFailures = 0;
+        this.nextSendAt = 0;
+        this.latencyStats.patternReport = Date.now() - sendStart;
+        
+        this.log(`Sent ${patterns.length} patterns (${this.latencyStats.patternReport}ms)`);
+        
+      } catch (error) {
+        this.sendFailures++;
+        const delay = Math.min(RETRY_BASE_MS * Math.pow(2, this.sendFailures - 1), RETRY_MAX_MS);
+        // Jitter so tabs that lost the network together don't retry together
+        this.nextSendAt = Date.now() + delay * (0.5 + Math.random() / 2);
+        
+        this.log(`Pattern send failed, retrying in ~${Math.round(delay / 1000)}s:`, error);
+      } finally {
+        this.isSending = false;
+      }
+    }
+
+    // pagehide: hand whatever is buffered to a keepalive request, which outlives the page and,
+    // unlike a beacon, carries the user token. The page can't wait for the answer, so a pattern
+    // sent here may come back on the next load; the server drops the repeat.
+    flushOnPagehide() {
+      if (this.patternBuffer.length === 0) return;
+      
+      let sent = 0;
+      this.groupByConnection(this.patternBuffer).forEach(({ connectionId, patterns }) => {
+        for (let i = 0; i < patterns.length; i += KEEPALIVE_BATCH_SIZE) {
+          const chunk = patterns.slice(i, i + KEEPALIVE_BATCH_SIZE);
+          sent += chunk.length;
+          
+          // Past the browser's keepalive quota the request is refused; it stays in IndexedDB
+          // for next time
+          fetch(`${this.apiUrl}/api/pattern`, {
+            method: 'POST',
+            headers: this.userHeaders(),
+            keepalive: true,
+            body: this.batchBody(connectionId, chunk)
+          }).then(response => {
+            if (response.ok) this.removeFromBuffer(chunk);
+          }).catch(error => this.log('Pagehide flush refused:', error));
+        }
+      });
+      
+      this.log(`Flushing ${sent} patterns on pagehide`);
+    }
+
+    // ============================================
+    // CLIENT RULES
+    // ============================================
+
+    loadCachedRules() {
+      try {
+        const cached = JSON.parse(localStorage.getItem(RULES_STORAGE_KEY));
+        if (cached) this.applyRules(cached);
+      } catch (error) {
+        this.log('Cached rules unreadable:', error);
+      }
+    }
+
+    applyRules({ version, rules }) {
+      this.rules = (rules || []).map(compileRule).filter(Boolean);
+      this.rulesVersion = version || null;
+      
+      // Progress toward rules that no longer exist is forgotten
+      const ids = new Set(this.rules.map(rule => rule.id));
+      Object.keys(this.ruleHits).forEach(id => {
+        if (!ids.has(id)) delete this.ruleHits[id];
+      });
+    }
+
+    async syncRules() {
+      try {
+        const headers = this.rulesVersion ? { 'If-None-Match': `"${this.rulesVersion}"` } : {};
+        const response = await fetch(`${this.apiUrl}/api/client-rules`, { headers });
+        
+        if (response.status === 304) return;
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        
+        const { version, rules } = await response.json();
+        this.applyRules({ version, rules });
+        
+        try {
+          localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify({ version, rules }));
+        } catch (error) {
+          this.log('Rules not cached:', error);
+        }
+        
+        this.log(`Rules synced: ${this.rules.length} active (${version})`);
+      } catch (error) {
+        this.log('Rule sync failed, keeping cached rules:', error);
+      }
+    }
+
+    evaluateRules(pattern) {
+      const now = pattern.detectedAt || Date.now();
+      
+      this.rules.forEach(rule => {
+        if (!rule.matches(pattern) || (this.ruleCooldowns[rule.id] || 0) > now) return;
+        
+        const hits = (this.ruleHits[rule.id] || []).filter(at => now - at < rule.withinMs);
+        hits.push(now);
+        
+        if (hits.length < rule.count) {
+          this.ruleHits[rule.id] = hits;
+          return;
+        }
+        
+        this.ruleHits[rule.id] = [];
+        this.ruleCooldowns[rule.id] = now + rule.cooldownMs;
+        this.fireRule(rule, pattern);
+      });
+    }
+
+    // Local interventions go through handleIntervention like server ones, so the
+    // celeste7:intervention event and default UI behave the same
+    async fireRule(rule, pattern) {
+      this.log(`Rule fired: ${rule.id}`);
+      this.fireEvent('rule', { ruleId: rule.id, rulesVersion: this.rulesVersion, pattern });
+      
+      const admission = await this.admitRule(rule);
+      if (!admission.allowed) {
+        this.log(`Rule ${rule.id} held back: ${admission.reason}`);
+        this.fireEvent('rule-suppressed', { ruleId: rule.id, reason: admission.reason, retryAt: admission.retry_at });
+        return;
+      }
+      
+      this.handleIntervention({
+        type: 'intervention',
+        source: 'client_rule',
+        rule_id: rule.id,
+        rules_version: this.rulesVersion,
+        tracking_id: admission.tracking_id || null,
+        pattern: rule.then.pattern || rule.when.pattern,
+        severity: rule.then.severity || 'medium',
+        intervention: rule.then.intervention,
+        directive: rule.then.directive || '',
+        evidence: pattern.evidence,
+        timestamp: Date.now()
+      });
+    }
+
+    // Resolves { allowed, tracking_id? } or { allowed: false, reason, retry_at }
+    async admitRule(rule) {
+      try {
+        const response = await fetch(`${this.apiUrl}/api/interventions/client-rule`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: this.userHeaders(),
           body: JSON.stringify({
             userId: this.userId,
-            patterns,
-            timestamp: Date.now(),
-            connectionId: this.connectionId
+            rule_id: rule.id,
+            pattern: rule.then.pattern || rule.when.pattern,
+            severity: rule.then.severity || 'medium',
+            timezone: browserTimeZone()
           })
         });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
         
         const result = await response.json();
-        this.latencyStats.patternReport = Date.now() - sendStart;
-        
-        this.log(`Sent ${patterns.length} patterns (${this.latencyStats.patternReport}ms)`);
-        
+        if (result.allowance) this.storeAllowance(result.allowance);
+        return result.allowed
+          ? { allowed: true, tracking_id: result.tracking_id }
+          : { allowed: false, ...result.suppressed };
       } catch (error) {
-        this.log('Pattern send failed:', error);
-        // Re-add to buffer for retry
-        this.patternBuffer.unshift(...patterns);
+        this.log('Rule admission unavailable, using the cached allowance:', error);
+        return this.admitOffline(Date.now());
+      }
+    }
+
+    // No allowance, or one past its expiry, lets the rule through
+    admitOffline(now) {
+      const allowance = this.ruleAllowance;
+      if (!allowance || !(allowance.expires_at > now)) return { allowed: true };
+      
+      const quiet = (allowance.quiet || []).find(period => period.start <= now && now < period.end);
+      if (quiet) {
+        return { allowed: false, reason: 'quiet_hours', retry_at: new Date(quiet.end).toISOString() };
+      }
+      
+      // The budget is only known for the day it was given for
+      if (now < allowance.day_ends_at) {
+        if (allowance.budget_left <= 0) {
+          return { allowed: false, reason: 'daily_budget', retry_at: new Date(allowance.day_ends_at).toISOString() };
+        }
+        this.storeAllowance({ ...allowance, budget_left: allowance.budget_left - 1 });
+      }
+      return { allowed: true };
+    }
+
+    storeAllowance(allowance) {
+      this.ruleAllowance = allowance;
+      try {
+        localStorage.setItem(ALLOWANCE_STORAGE_KEY, JSON.stringify(allowance));
+      } catch (error) {
+        this.log('Could not cache the rule allowance:', error);
       }
     }
 
@@ -612,11 +1463,47 @@
     }
 
     getTextBeforeCursor(element) {
-      if (!element.value) return '';
+      if (!element.value || this.isSensitiveField(element) || !this.hasConsent('content')) return '';
       const pos = element.selectionStart || element.value.length;
       return element.value.substring(Math.max(0, pos - 20), pos);
     }
 
+    // ============================================
+    // PRIVACY
+    // ============================================
+
+    hasConsent(category) {
+      return this.consent.has(category);
+    }
+
+    // Passwords, one-time codes and card fields: never observed at all
+    isSecretField(element) {
+      const type = (element.type || '').toLowerCase();
+      const autocomplete = (element.autocomplete || '').toLowerCase();
+      return type === 'password' || autocomplete.includes('password') ||
+        autocomplete === 'one-time-code' || autocomplete.startsWith('cc-');
+    }
+
+    // Secret fields plus email addresses: timing is fine, text is never read
+    isSensitiveField(element) {
+      const type = (element.type || '').toLowerCase();
+      const autocomplete = (element.autocomplete || '').toLowerCase();
+      const identifier = (element.name || element.id || '').toLowerCase();
+      return this.isSecretField(element) || type === 'email' ||
+        autocomplete.includes('email') || identifier.includes('email');
+    }
+
+    // data-celeste7="ignore" on a field or any ancestor keeps it out, data-celeste7="track" lets
+    // it in; the nearest one wins. In allowlist mode unmarked fields are ignored too.
+    isTrackedField(element) {
+      if (!element || typeof element.closest !== 'function') return false;
+      if (this.isSecretField(element)) return false;
+      
+      const marked = element.closest('[data-celeste7]');
+      if (marked) return marked.dataset.celeste7 !== 'ignore';
+      return this.fieldMode !== 'allowlist';
+    }
+
     fireEvent(type, data) {
       window.dispatchEvent(new CustomEvent(`celeste7:${type}`, {
         detail: { ...data, stats: this.getStats() }
@@ -628,7 +1515,12 @@
         isConnected: this.isConnected,
         reconnectAttempts: this.reconnectAttempts,
         connectionId: this.connectionId,
+        consent: [...this.consent],
         bufferSize: this.patternBuffer.length,
+        droppedPatterns: this.droppedCount,
+        rulesVersion: this.rulesVersion,
+        activeRules: this.rules.length,
+        sendFailures: this.sendFailures,
         latency: this.latencyStats
       };
     }
@@ -656,14 +1548,55 @@
       }
     }
 
+    getConsent() {
+      return [...this.consent];
+    }
+
+    // Replaces the opted-in categories. Withdrawn categories are purged from the buffer
+    // before anything else is sent, and the server is told so it rejects stragglers.
+    setConsent(categories) {
+      this.consent = new Set(parseConsent(categories) || []);
+      
+      try {
+        localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify([...this.consent]));
+      } catch (error) {
+        this.log('Consent not persisted:', error);
+      }
+      
+      const withdrawn = this.patternBuffer.filter(p => !this.hasConsent(PATTERN_CATEGORY[p.type]));
+      this.removeFromBuffer(withdrawn);
+      if (!this.hasConsent('content')) {
+        this.patternBuffer.forEach(p => CONTENT_EVIDENCE.forEach(field => delete p.evidence?.[field]));
+        this.patternStore.put(this.patternBuffer).catch(error => this.log('Pattern persist failed:', error));
+      }
+      
+      this.fireEvent('consent', { categories: [...this.consent] });
+      return this.syncConsent();
+    }
+
+    // JSON headers plus the user token, for the per-user endpoints
+    userHeaders() {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.userToken) headers.Authorization = `Bearer ${this.userToken}`;
+      return headers;
+    }
+
+    syncConsent() {
+      return fetch(`${this.apiUrl}/api/consent`, {
+        method: 'POST',
+        headers: this.userHeaders(),
+        body: JSON.stringify({ userId: this.userId, categories: [...this.consent] })
+      }).catch(error => this.log('Consent sync failed:', error));
+    }
+
     async analyze(message) {
       return await fetch(`${this.apiUrl}/api/pattern`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: this.userHeaders(),
         body: JSON.stringify({
           userId: this.userId,
           eventType: 'message_analysis',
-          eventData: { text: message, manual: true }
+          eventData: { text: message, manual: true, timezone: browserTimeZone() }
         })
       }).then(r => r.json());
     }
@@ -680,7 +1613,22 @@
     
     if (userId) {
       const debug = window.CELESTE7_DEBUG || false;
-      window.celeste7 = new Celeste7VercelRealTime(userId, { debug });
+      // Consent from the host page if it has one; otherwise whatever the user chose last time
+      const consent = window.CELESTE7_CONSENT ||
+                      document.querySelector('[data-celeste7-consent]')?.dataset.celeste7Consent;
+      const fieldMode = window.CELESTE7_FIELD_MODE;
+      const userToken = window.CELESTE7_USER_TOKEN ||
+                        document.querySelector('[data-celeste7-token]')?.dataset.celeste7Token;
+      window.celeste7 = new Celeste7VercelRealTime(userId, {
+        debug,
+        userToken,
+        consent,
+        fieldMode,
+        renderer: window.CELESTE7_RENDERER,
+        headless: window.CELESTE7_HEADLESS,
+        theme: window.CELESTE7_THEME,
+        chatContainer: window.CELESTE7_CHAT_CONTAINER
+      });
       console.log('🚀 CELESTE7 Real-Time activated');
     }
   }
@@ -0,0 +1,211 @@
+/**
+ * @jest-environment jsdom
+ */
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+
+// The browser script registers window.Celeste7VercelRealTime. init() opens the SSE stream and
+// starts timers, none of which the renderers need.
+let Tracker;
+// Closed after each test, so no modal keeps its document listeners
+const trackers = [];
+
+beforeAll(() => {
+  const source = fs.readFileSync(new URL('./client-realtime.js', import.meta.url), 'utf8');
+  new Function(source)();
+  Tracker = class extends window.Celeste7VercelRealTime {
+    init() {
+      trackers.push(this);
+    }
+  };
+});
+
+const intervention = (severity, extra = {}) => ({
+  pattern: 'pricing_cowardice',
+  severity,
+  intervention: 'You already know the number.',
+  directive: 'Type the higher price.',
+  ...extra
+});
+
+// Records celeste7:* events until events.stop()
+function recordEvents(...types) {
+  const events = [];
+  const listeners = types.map(type => {
+    const listener = (event) => events.push({ type, detail: event.detail });
+    window.addEventListener(`celeste7:${type}`, listener);
+    return [type, listener];
+  });
+  events.stop = () => listeners.forEach(([type, listener]) => window.removeEventListener(`celeste7:${type}`, listener));
+  return events;
+}
+
+const press = (key, options = {}) => {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+  (document.activeElement || document.body).dispatchEvent(event);
+  return event;
+};
+
+beforeEach(() => {
+  document.head.innerHTML = '';
+  document.body.innerHTML = '<button id="composer">Compose</button><div id="chat"></div>';
+});
+
+afterEach(() => {
+  trackers.splice(0).forEach(tracker => tracker.dismissIntervention('replaced'));
+  document.body.innerHTML = '';
+});
+
+describe('modal renderer', () => {
+  it('is a labelled alert dialog that takes focus', () => {
+    const tracker = new Tracker('user_1');
+    tracker.renderIntervention(intervention('critical'));
+
+    const dialog = document.querySelector('[role="alertdialog"]');
+    expect(dialog.getAttribute('aria-modal')).toBe('true');
+    expect(document.getElementById(dialog.getAttribute('aria-labelledby')).textContent).toBe('pricing cowardice detected');
+    expect(document.getElementById(dialog.getAttribute('aria-describedby')).textContent).toBe('You already know the number.');
+    expect(document.activeElement.textContent).toBe('Got it');
+    expect(document.getElementById('celeste7-styles')).not.toBeNull();
+  });
+
+  it('traps Tab and Shift+Tab inside the dialog', () => {
+    const tracker = new Tracker('user_1');
+    tracker.renderIntervention(intervention('critical'));
+    const [gotIt, later] = document.querySelectorAll('.celeste7-dialog button');
+
+    press('Tab');
+    expect(document.activeElement).toBe(gotIt);
+
+    later.focus();
+    expect(press('Tab').defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(gotIt);
+
+    press('Tab', { shiftKey: true });
+    expect(document.activeElement).toBe(later);
+  });
+
+  it('pulls focus that escapes back inside', () => {
+    const tracker = new Tracker('user_1');
+    tracker.renderIntervention(intervention('critical'));
+
+    document.getElementById('composer').focus();
+    expect(document.querySelector('.celeste7-dialog').contains(document.activeElement)).toBe(true);
+  });
+
+  it('treats Escape as later and gives focus back', () => {
+    const composer = document.getElementById('composer');
+    composer.focus();
+    const events = recordEvents('intervention-dismissed');
+    const tracker = new Tracker('user_1');
+    tracker.renderIntervention(intervention('critical'));
+
+    press('Escape');
+    events.stop();
+
+    expect(document.querySelector('.celeste7-backdrop')).toBeNull();
+    expect(document.activeElement).toBe(composer);
+    expect(events.map(event => event.detail.action)).toEqual(['later']);
+    expect(tracker.activeIntervention).toBeNull();
+  });
+});
+
+describe('toast and banner renderers', () => {
+  it('announce by urgency', () => {
+    const tracker = new Tracker('user_1');
+
+    tracker.renderIntervention(intervention('high'));
+    expect(document.querySelector('.celeste7-toast').getAttribute('role')).toBe('alert');
+    expect(document.querySelector('.celeste7-toast').getAttribute('aria-live')).toBe('assertive');
+
+    tracker.renderIntervention(intervention('medium'));
+    expect(document.querySelectorAll('.celeste7-toast')).toHaveLength(1);
+    expect(document.querySelector('.celeste7-toast').getAttribute('role')).toBe('status');
+    expect(document.querySelector('.celeste7-toast').getAttribute('aria-live')).toBe('polite');
+  });
+
+  it('labels the banner region with its heading', () => {
+    const tracker = new Tracker('user_1');
+    tracker.renderIntervention(intervention('low'));
+
+    const banner = document.querySelector('[role="region"]');
+    expect(document.body.firstChild).toBe(banner);
+    expect(document.getElementById(banner.getAttribute('aria-labelledby')).tagName).toBe('H2');
+  });
+
+  it('lists support resources under the message', () => {
+    const tracker = new Tracker('user_1');
+    tracker.renderIntervention(intervention('high', {
+      intervention: undefined,
+      message: 'You do not have to handle this alone.',
+      resources: [{ name: 'Crisis line', contact: 'Call or text 988' }]
+    }));
+
+    expect(document.querySelector('.celeste7-message').textContent).toBe('You do not have to handle this alone.');
+    expect([...document.querySelectorAll('.celeste7-resources li')].map(item => item.textContent))
+      .toEqual(['Crisis line: Call or text 988']);
+  });
+
+  it('falls back to a toast when the chat container is missing', () => {
+    const events = recordEvents('intervention-shown');
+    const tracker = new Tracker('user_1', { renderer: 'chat' });
+    tracker.renderIntervention(intervention('medium'));
+    events.stop();
+
+    expect(events[0].detail.renderer).toBe('toast');
+  });
+});
+
+describe('headless mode', () => {
+  it('emits shown and dismissed events without touching the DOM', () => {
+    const before = document.body.innerHTML;
+    const events = recordEvents('intervention-shown', 'intervention-dismissed');
+    const tracker = new Tracker('user_1', { headless: true });
+
+    tracker.renderIntervention(intervention('critical'));
+    tracker.dismissIntervention('acknowledged');
+    events.stop();
+
+    expect(document.body.innerHTML).toBe(before);
+    expect(document.getElementById('celeste7-styles')).toBeNull();
+    expect(events.map(event => [event.type, event.detail.renderer])).toEqual([
+      ['intervention-shown', 'headless'],
+      ['intervention-dismissed', 'headless']
+    ]);
+    expect(events[0].detail.intervention.severity).toBe('critical');
+    expect(events[1].detail.action).toBe('acknowledged');
+  });
+});
+
+describe('client rule allowance offline', () => {
+  const NOW = Date.parse('2026-01-01T12:00:00Z');
+  const allowance = (extra = {}) => ({
+    quiet: [{ start: NOW + 10 * 3600000, end: NOW + 20 * 3600000 }],
+    budget_left: 1,
+    day_ends_at: NOW + 12 * 3600000,
+    expires_at: NOW + 48 * 3600000,
+    ...extra
+  });
+
+  afterEach(() => localStorage.clear());
+
+  it('holds rules back in the cached quiet periods and past the budget', () => {
+    const tracker = new Tracker('user_1');
+    tracker.storeAllowance(allowance());
+
+    expect(tracker.admitOffline(NOW + 11 * 3600000))
+      .toEqual({ allowed: false, reason: 'quiet_hours', retry_at: new Date(NOW + 20 * 3600000).toISOString() });
+    expect(tracker.admitOffline(NOW)).toEqual({ allowed: true });
+    expect(tracker.admitOffline(NOW + 1000))
+      .toEqual({ allowed: false, reason: 'daily_budget', retry_at: new Date(NOW + 12 * 3600000).toISOString() });
+    expect(new Tracker('user_1').ruleAllowance.budget_left).toBe(0);
+  });
+
+  it('lets rules through without a current allowance', () => {
+    const tracker = new Tracker('user_1');
+    expect(tracker.admitOffline(NOW)).toEqual({ allowed: true });
+
+    tracker.storeAllowance(allowance({ budget_left: 0, expires_at: NOW - 1 }));
+    expect(tracker.admitOffline(NOW)).toEqual({ allowed: true });
+  });
+});
@@ -0,0 +1,153 @@
+// CELESTE7 CLIENT RULES
+// Declarative pattern -> intervention rules that client-realtime.js evaluates in the browser,
+// so a nudge shows the moment the pattern happens, offline included. The server owns the rule
+// set (GET /api/client-rules); clients cache the last version they saw.
+//
+//   {
+//     id: 'pricing_hesitation_nudge',
+//     when: {
+//       pattern: 'hesitation',               // client pattern type
+//       field: 'pricing',                    // optional: evidence.fieldType
+//       evidence: { pauseSeconds: '>10' },   // optional: >, >=, <, <=, =, != against evidence values
+//       count: 3,                            // matching patterns needed ...
+//       within: '5m'                         // ... inside this window (s, m, h)
+//     },
+//     then: { pattern, intervention, directive, severity },
+//     cooldown: '30m'                        // optional: quiet period after firing
+//   }
+//
+// Rules are served pre-parsed (withinMs, cooldownMs, conditions; see compileForClient), so the
+// browser only compares values and never parses durations or conditions itself.
+
+import fs from 'fs';
+import { createHash } from 'crypto';
+import { CLIENT_PATTERN_TYPES } from './client-signals.js';
+
+export const DEFAULT_CLIENT_RULES = [
+  {
+    id: 'pricing_hesitation_nudge',
+    when: { pattern: 'hesitation', field: 'pricing', evidence: { pauseSeconds: '>10' }, count: 3, within: '5m' },
+    then: {
+      pattern: 'pricing_cowardice',
+      intervention: 'Three long stalls on one price. You already know the number - you just don\'t like saying it.',
+      directive: 'Type the higher price and move on.',
+      severity: 'high'
+    },
+    cooldown: '30m'
+  },
+  {
+    id: 'rewrite_spiral',
+    when: { pattern: 'uncertainty', evidence: { deletionRatio: '>=0.5' }, count: 2, within: '10m' },
+    then: {
+      pattern: 'execution_paralysis',
+      intervention: 'You\'ve deleted half of everything you wrote, twice. Editing is the new stalling.',
+      directive: 'Send the next version without changing a word.',
+      severity: 'medium'
+    },
+    cooldown: '1h'
+  },
+  {
+    id: 'tab_switch_escape',
+    when: { pattern: 'distraction', count: 3, within: '30m' },
+    then: {
+      pattern: 'procrastination',
+      intervention: 'Third escape in half an hour. The tab you keep leaving is the one that pays.',
+      directive: 'Close every other tab for the next 25 minutes.',
+      severity: 'medium'
+    },
+    cooldown: '2h'
+  }
+];
+
+export class ClientRuleError extends Error {
+  constructor(ruleId, reason) {
+    super(`Invalid client rule "${ruleId}": ${reason}`);
+    this.name = 'ClientRuleError';
+    this.ruleId = ruleId;
+  }
+}
+
+const DURATION = /^(\d+(?:\.\d+)?)\s*(s|m|h)$/;
+const DURATION_MS = { s: 1000, m: 60000, h: 3600000 };
+const CONDITION = /^(>=|<=|!=|>|<|=)?\s*(.+)$/;
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+export function parseDuration(value) {
+  const match = DURATION.exec(String(value).trim());
+  return match ? Number(match[1]) * DURATION_MS[match[2]] : null;
+}
+
+export function parseCondition(expression) {
+  const match = CONDITION.exec(String(expression).trim());
+  if (!match) return null;
+
+  const number = Number(match[2]);
+  return { operator: match[1] || '=', value: Number.isFinite(number) ? number : match[2] };
+}
+
+function validateRule(rule) {
+  const id = rule?.id;
+  const fail = (reason) => { throw new ClientRuleError(id || '?', reason); };
+
+  if (typeof id !== 'string' || !/^[a-z0-9_]+$/.test(id)) fail('id must be snake_case');
+  if (!rule.when || !rule.then) fail('when and then are required');
+
+  const { when, then } = rule;
+  if (!CLIENT_PATTERN_TYPES.includes(when.pattern)) fail(`when.pattern must be one of ${CLIENT_PATTERN_TYPES.join(', ')}`);
+  if (when.field !== undefined && typeof when.field !== 'string') fail('when.field must be a string');
+  if (!Number.isInteger(when.count) || when.count < 1) fail('when.count must be a positive integer');
+  if (parseDuration(when.within) === null) fail(`when.within "${when.within}" is not a duration like 30s, 5m or 2h`);
+  if (rule.cooldown !== undefined && parseDuration(rule.cooldown) === null) {
+    fail(`cooldown "${rule.cooldown}" is not a duration like 30s, 5m or 2h`);
+  }
+
+  Object.entries(when.evidence || {}).forEach(([key, expression]) => {
+    const condition = parseCondition(expression);
+    if (!condition) fail(`when.evidence.${key} "${expression}" is not a comparison`);
+    if (!['=', '!='].includes(condition.operator) && typeof condition.value !== 'number') {
+      fail(`when.evidence.${key} compares "${condition.value}" with ${condition.operator}; only numbers can`);
+    }
+  });
+
+  if (typeof then.intervention !== 'string' || !then.intervention) fail('then.intervention is required');
+  if (then.severity !== undefined && !SEVERITIES.includes(then.severity)) {
+    fail(`then.severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+
+  return { enabled: true, ...rule };
+}
+
+// What client-realtime.js evaluates: the rule plus its parsed window, cooldown and conditions
+export function compileForClient(rule) {
+  return {
+    ...rule,
+    withinMs: parseDuration(rule.when.within),
+    cooldownMs: rule.cooldown === undefined ? 0 : parseDuration(rule.cooldown),
+    conditions: Object.entries(rule.when.evidence || {})
+      .map(([key, expression]) => ({ key, ...parseCondition(expression) }))
+  };
+}
+
+export function validateClientRules(rules) {
+  if (!Array.isArray(rules)) throw new ClientRuleError('?', 'rule set must be an array');
+
+  const ids = new Set();
+  return rules.map(rule => {
+    const valid = validateRule(rule);
+    if (ids.has(valid.id)) throw new ClientRuleError(valid.id, 'duplicate id');
+    ids.add(valid.id);
+    return valid;
+  });
+}
+
+// Content hash, so clients can ask "has it changed?" with If-None-Match
+export function rulesVersion(rules) {
+  return createHash('sha1').update(JSON.stringify(rules)).digest('hex').slice(0, 12);
+}
+
+// CLIENT_RULES_FILE (JSON array) replaces the defaults. A bad file fails at startup.
+export function loadClientRules(file = process.env.CLIENT_RULES_FILE) {
+  const rules = validateClientRules(file ? JSON.parse(fs.readFileSync(file, 'utf8')) : DEFAULT_CLIENT_RULES)
+    .map(compileForClient);
+  return { version: rulesVersion(rules), rules };
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from '@jest/globals';
+import fs from 'fs';
+import vm from 'vm';
+import { DEFAULT_CLIENT_RULES, compileForClient, loadClientRules, validateClientRules } from './client-rules.js';
+
+// client-realtime.js is a browser script; run it against a bare window and use its rule engine
+// through Celeste7VercelRealTime without constructing a tracker
+function loadClientRealtime() {
+  const document = { readyState: 'complete', querySelector: () => null };
+  const localStorage = { getItem: () => null, setItem: () => {} };
+  const window = { document, localStorage };
+  const source = fs.readFileSync(new URL('./client-realtime.js', import.meta.url), 'utf8');
+  vm.runInNewContext(source, { window, document, localStorage, console });
+  return window.Celeste7VercelRealTime;
+}
+
+function createEngine(served) {
+  const Celeste7VercelRealTime = loadClientRealtime();
+  const engine = Object.create(Celeste7VercelRealTime.prototype);
+  Object.assign(engine, { ruleHits: {}, ruleCooldowns: {}, fired: [] });
+  engine.fireRule = (rule) => engine.fired.push(rule.id);
+  engine.applyRules(served);
+  return engine;
+}
+
+const hesitation = (detectedAt, pauseSeconds, fieldType = 'pricing') =>
+  ({ type: 'hesitation', detectedAt, evidence: { pauseSeconds, fieldType } });
+
+describe('client rules in client-realtime.js', () => {
+  it('accepts every default rule as served', () => {
+    const served = loadClientRules();
+    const engine = createEngine(served);
+
+    expect(engine.rulesVersion).toBe(served.version);
+    expect(engine.rules.map(rule => rule.id)).toEqual(DEFAULT_CLIENT_RULES.map(rule => rule.id));
+    expect(engine.rules.find(rule => rule.id === 'pricing_hesitation_nudge'))
+      .toMatchObject({ count: 3, withinMs: 5 * 60000, cooldownMs: 30 * 60000 });
+  });
+
+  it('evaluates the served conditions', () => {
+    const engine = createEngine(loadClientRules());
+    const start = Date.parse('2026-01-01T12:00:00Z');
+
+    engine.evaluateRules(hesitation(start, 12));
+    engine.evaluateRules(hesitation(start + 1000, 8));
+    engine.evaluateRules(hesitation(start + 2000, 15, 'email'));
+    engine.evaluateRules(hesitation(start + 3000, 11));
+    expect(engine.fired).toEqual([]);
+
+    engine.evaluateRules(hesitation(start + 4000, 20));
+    expect(engine.fired).toEqual(['pricing_hesitation_nudge']);
+  });
+
+  it('skips rules cached before they were served parsed', () => {
+    const engine = createEngine({ version: 'old', rules: validateClientRules(DEFAULT_CLIENT_RULES) });
+    expect(engine.rules).toEqual([]);
+  });
+});
+
+describe('compileForClient', () => {
+  it('parses the window, cooldown and evidence conditions', () => {
+    const [rule] = validateClientRules([{
+      id: 'example',
+      when: { pattern: 'uncertainty', evidence: { deletionRatio: '>=0.5', fieldType: 'pricing' }, count: 2, within: '90s' },
+      then: { intervention: 'Stop rewriting.' }
+    }]);
+
+    expect(compileForClient(rule)).toMatchObject({
+      withinMs: 90000,
+      cooldownMs: 0,
+      conditions: [
+        { key: 'deletionRatio', operator: '>=', value: 0.5 },
+        { key: 'fieldType', operator: '=', value: 'pricing' }
+      ]
+    });
+  });
+});
@@ -0,0 +1,513 @@
+// CELESTE7 CLIENT SIGNALS
+// Pattern batches from client-realtime.js (POST /api/pattern): hesitation, uncertainty, distraction,
+// procrastination and pricing_cowardice, detected in the browser while the user types.
+// Batches are validated, deduped per connection (the client re-sends a batch when the POST fails),
+// and folded into per-session typing metrics. Recent sessions roll up into a client profile that
+// RealTimeBehavioralIntelligence reads next to the Supabase behavioral tables.
+// Nothing is folded in without the user's consent for the pattern's category (POST /api/consent).
+
+import { LRUCache } from 'lru-cache';
+import { hourlyRate } from './revenue-math.js';
+
+export const CLIENT_PATTERN_TYPES = [
+  'hesitation',
+  'uncertainty',
+  'distraction',
+  'procrastination',
+  'pricing_cowardice'
+];
+
+// Opt-in categories. content covers typed text that rides along as evidence.
+export const CONSENT_CATEGORIES = ['typing', 'attention', 'forms', 'content'];
+
+const PATTERN_CATEGORY = {
+  hesitation: 'typing',
+  uncertainty: 'typing',
+  distraction: 'attention',
+  procrastination: 'attention',
+  pricing_cowardice: 'forms'
+};
+
+const CONTENT_EVIDENCE = ['textBeforePause', 'originalValue', 'fieldName'];
+
+const MAX_BATCH_SIZE = 200;
+const MAX_PATTERN_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_EVIDENCE_STRING = 200;
+
+// Profile window
+const PROFILE_SESSIONS = 20;
+const PROFILE_DAYS = 14;
+
+export class PatternBatchError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'PatternBatchError';
+    this.details = details;
+  }
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Evidence is kept flat: numbers, booleans and short strings only
+function sanitizeEvidence(evidence) {
+  if (!isObject(evidence)) return {};
+
+  return Object.fromEntries(
+    Object.entries(evidence)
+      .filter(([, value]) => ['number', 'boolean', 'string'].includes(typeof value))
+      .filter(([, value]) => typeof value !== 'number' || Number.isFinite(value))
+      .map(([key, value]) => [key, typeof value === 'string' ? value.slice(0, MAX_EVIDENCE_STRING) : value])
+  );
+}
+
+function validatePattern(pattern, index, now) {
+  const errors = [];
+  if (!isObject(pattern)) return { errors: ['must be an object'] };
+
+  if (!CLIENT_PATTERN_TYPES.includes(pattern.type)) {
+    errors.push(`type must be one of ${CLIENT_PATTERN_TYPES.join(', ')}`);
+  }
+  if (typeof pattern.confidence !== 'number' || !(pattern.confidence >= 0 && pattern.confidence <= 1)) {
+    errors.push('confidence must be a number from 0 to 1');
+  }
+  if (!Number.isFinite(pattern.detectedAt)) {
+    errors.push('detectedAt must be a millisecond timestamp');
+  } else if (pattern.detectedAt > now + MAX_CLOCK_SKEW_MS || pattern.detectedAt < now - MAX_PATTERN_AGE_MS) {
+    errors.push('detectedAt is outside the accepted window');
+  }
+  if (pattern.evidence !== undefined && !isObject(pattern.evidence)) {
+    errors.push('evidence must be an object');
+  }
+
+  if (errors.length > 0) return { errors };
+  return {
+    pattern: {
+      index,
+      type: pattern.type,
+      confidence: pattern.confidence,
+      detectedAt: pattern.detectedAt,
+      evidence: sanitizeEvidence(pattern.evidence)
+    }
+  };
+}
+
+// Envelope problems reject the batch (PatternBatchError); individual bad patterns are dropped
+// and reported back so one malformed entry doesn't cost the rest of the batch.
+export function validatePatternBatch(body, now = Date.now()) {
+  const details = [];
+  if (!isObject(body)) throw new PatternBatchError('Request body must be a JSON object');
+
+  if (typeof body.userId !== 'string' || body.userId.trim() === '') {
+    details.push({ field: 'userId', message: 'required non-empty string' });
+  }
+  if (!['string', 'number'].includes(typeof body.connectionId) || String(body.connectionId) === '') {
+    details.push({ field: 'connectionId', message: 'required string or number' });
+  }
+  if (!Array.isArray(body.patterns) || body.patterns.length === 0) {
+    details.push({ field: 'patterns', message: 'required non-empty array' });
+  } else if (body.patterns.length > MAX_BATCH_SIZE) {
+    details.push({ field: 'patterns', message: `at most ${MAX_BATCH_SIZE} patterns per batch` });
+  }
+
+  if (details.length > 0) throw new PatternBatchError('Invalid pattern batch', details);
+
+  const patterns = [];
+  const rejected = [];
+  body.patterns.forEach((raw, index) => {
+    const { pattern, errors } = validatePattern(raw, index, now);
+    if (pattern) patterns.push(pattern);
+    else rejected.push({ index, errors });
+  });
+
+  return {
+    userId: body.userId,
+    connectionId: String(body.connectionId),
+    patterns,
+    rejected
+  };
+}
+
+// ============================================
+// CONSENT
+// ============================================
+
+export const patternCategory = (type) => PATTERN_CATEGORY[type];
+
+export function normalizeConsent(categories) {
+  if (!Array.isArray(categories)) {
+    throw new PatternBatchError('categories must be an array', [{ field: 'categories', message: 'required array' }]);
+  }
+  const unknown = categories.filter(category => !CONSENT_CATEGORIES.includes(category));
+  if (unknown.length > 0) {
+    throw new PatternBatchError('Unknown consent category', [
+      { field: 'categories', message: `unknown: ${unknown.join(', ')}; allowed: ${CONSENT_CATEGORIES.join(', ')}` }
+    ]);
+  }
+  return [...new Set(categories)];
+}
+
+// Same rules as redactText in client-realtime.js, for clients that predate it
+export function redactText(text) {
+  return String(text)
+    .replace(/\S*@\S*/g, '[email]')
+    .replace(/\+?\d[\d\s().-]{3,}\d/g, '[number]');
+}
+
+// Splits a validated batch into what the user agreed to and what they didn't. Typed text is
+// removed from evidence without content consent and redacted with it.
+export function applyConsent(batch, granted) {
+  const allowed = new Set(granted || []);
+  const patterns = [];
+  const unconsented = [];
+
+  batch.patterns.forEach(pattern => {
+    const category = patternCategory(pattern.type);
+    if (!allowed.has(category)) {
+      unconsented.push({ index: pattern.index, errors: [`no consent for ${category} signals`] });
+      return;
+    }
+
+    const evidence = { ...pattern.evidence };
+    CONTENT_EVIDENCE.forEach(field => {
+      if (!(field in evidence)) return;
+      if (allowed.has('content') && typeof evidence[field] === 'string') evidence[field] = redactText(evidence[field]);
+      else delete evidence[field];
+    });
+    patterns.push({ ...pattern, evidence });
+  });
+
+  return { batch: { ...batch, patterns }, unconsented };
+}
+
+// ============================================
+// SESSION METRICS
+// ============================================
+
+export function emptySession(userId, connectionId) {
+  return {
+    user_id: userId,
+    connection_id: connectionId,
+    started_at: null,
+    last_seen_at: null,
+    pattern_counts: {},
+    hesitation: { count: 0, total_pause_ms: 0, max_pause_ms: 0 },
+    uncertainty: { count: 0, deletions: 0, additions: 0, rewrites: 0, max_deletion_ratio: 0 },
+    // distraction (tab switch) and procrastination (window blur) both measure time away
+    away: { count: 0, total_ms: 0 },
+    pricing: { count: 0, lowest_price: null }
+  };
+}
+
+export function foldPatterns(session, patterns) {
+  const next = structuredClone(session);
+
+  patterns.forEach(({ type, detectedAt, evidence }) => {
+    next.pattern_counts[type] = (next.pattern_counts[type] || 0) + 1;
+
+    const at = new Date(detectedAt).toISOString();
+    if (!next.started_at || at < next.started_at) next.started_at = at;
+    if (!next.last_seen_at || at > next.last_seen_at) next.last_seen_at = at;
+
+    switch (type) {
+      case 'hesitation': {
+        const pause = evidence.pauseDuration || 0;
+        next.hesitation.count++;
+        next.hesitation.total_pause_ms += pause;
+        next.hesitation.max_pause_ms = Math.max(next.hesitation.max_pause_ms, pause);
+        break;
+      }
+      case 'uncertainty':
+        next.uncertainty.count++;
+        next.uncertainty.deletions += evidence.deletions || 0;
+        next.uncertainty.additions += evidence.additions || 0;
+        next.uncertainty.rewrites += evidence.rewriteCount || 0;
+        next.uncertainty.max_deletion_ratio = Math.max(next.uncertainty.max_deletion_ratio, evidence.deletionRatio || 0);
+        break;
+      case 'distraction':
+      case 'procrastination':
+        next.away.count++;
+        next.away.total_ms += evidence.awayDuration || 0;
+        break;
+      case 'pricing_cowardice':
+        next.pricing.count++;
+        if (typeof evidence.suggestedPrice === 'number') {
+          next.pricing.lowest_price = next.pricing.lowest_price === null
+            ? evidence.suggestedPrice
+            : Math.min(next.pricing.lowest_price, evidence.suggestedPrice);
+        }
+        break;
+    }
+  });
+
+  return next;
+}
+
+// Roll recent sessions up into the profile the engine sees
+export function summarizeSessions(sessions) {
+  if (!sessions || sessions.length === 0) return null;
+
+  const total = (pick) => sessions.reduce((sum, session) => sum + pick(session), 0);
+  const hesitations = total(s => s.hesitation.count);
+  const deletions = total(s => s.uncertainty.deletions);
+  const additions = total(s => s.uncertainty.additions);
+  const prices = sessions.map(s => s.pricing.lowest_price).filter(p => p !== null);
+
+  const patternCounts = {};
+  sessions.forEach(session => {
+    Object.entries(session.pattern_counts).forEach(([type, count]) => {
+      patternCounts[type] = (patternCounts[type] || 0) + count;
+    });
+  });
+
+  return {
+    sessions: sessions.length,
+    total_signals: Object.values(patternCounts).reduce((sum, count) => sum + count, 0),
+    pattern_counts: patternCounts,
+    hesitations_per_session: hesitations / sessions.length,
+    avg_pause_seconds: hesitations > 0 ? Math.round(total(s => s.hesitation.total_pause_ms) / hesitations / 1000) : 0,
+    max_pause_seconds: Math.round(Math.max(...sessions.map(s => s.hesitation.max_pause_ms)) / 1000),
+    deletion_ratio: additions > 0 ? Number((deletions / additions).toFixed(2)) : 0,
+    rewrites: total(s => s.uncertainty.rewrites),
+    away_minutes: Number((total(s => s.away.total_ms) / 60000).toFixed(1)),
+    pricing_hesitations: total(s => s.pricing.count),
+    lowest_price_typed: prices.length > 0 ? Math.min(...prices) : null,
+    last_seen_at: sessions.map(s => s.last_seen_at).filter(Boolean).sort().pop() || null
+  };
+}
+
+// ============================================
+// DECISION HESITATION
+// ============================================
+
+// Second-guessing while typing, read from the profile summarizeSessions() builds. data is what
+// RealTimeBehavioralIntelligence passes every detector: { behavioralHistory: { client_signals },
+// businessMetrics, ... }
+export class DecisionHesitationDetector {
+  async detect(data) {
+    const signals = data.behavioralHistory?.client_signals;
+    if (!signals || signals.sessions < 3) {
+      return null;
+    }
+
+    // Per-session rates against what a decisive writer looks like
+    const hesitationScore = Math.min(signals.hesitations_per_session / 3, 1);
+    const deletionScore = Math.min(signals.deletion_ratio / 0.6, 1);
+    const pricingScore = Math.min(signals.pricing_hesitations / signals.sessions, 1);
+
+    if (hesitationScore < 0.5 && deletionScore < 0.5) {
+      return null;
+    }
+
+    const confidence = Math.min(0.95, hesitationScore * 0.45 + deletionScore * 0.35 + pricingScore * 0.2 + 0.1);
+    const hoursLost = (signals.avg_pause_seconds * signals.hesitations_per_session * signals.sessions) / 3600;
+
+    return {
+      confidence,
+      severity: pricingScore > 0.5 ? 'critical' : confidence > 0.8 ? 'high' : 'medium',
+      estimated_cost: hoursLost * (hourlyRate(data.businessMetrics) || 0),
+      evidence: {
+        sessions: signals.sessions,
+        hesitations_per_session: Number(signals.hesitations_per_session.toFixed(1)),
+        avg_pause_seconds: signals.avg_pause_seconds,
+        max_pause_seconds: signals.max_pause_seconds,
+        deletion_ratio: signals.deletion_ratio,
+        rewrites: signals.rewrites,
+        pricing_hesitations: signals.pricing_hesitations,
+        lowest_price_typed: signals.lowest_price_typed
+      },
+      insight: `Freezing ${signals.hesitations_per_session.toFixed(1)} times per session, deleting ${Math.round(signals.deletion_ratio * 100)}% of what you write`
+    };
+  }
+}
+
+// The specifics the intervention quotes back, from the detector's evidence
+export function describeHesitation(evidence) {
+  return `${evidence.hesitations_per_session} long pauses per session, ${Math.round(evidence.deletion_ratio * 100)}% of what you type gets deleted. Longest freeze: ${evidence.max_pause_seconds}s.`;
+}
+
+// ============================================
+// SESSION STORES
+// ============================================
+
+// One row per (user_id, connection_id) with the session metrics as columns, and one
+// consent row per user_id
+export class SupabaseClientSignalStore {
+  constructor(client, table = 'client_signal_sessions', consentTable = 'client_signal_consent') {
+    this.client = client;
+    this.table = table;
+    this.consentTable = consentTable;
+  }
+
+  async getConsent(userId) {
+    const { data, error } = await this.client
+      .from(this.consentTable)
+      .select('categories')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.categories || [];
+  }
+
+  async saveConsent(userId, categories) {
+    const { error } = await this.client
+      .from(this.consentTable)
+      .upsert({ user_id: userId, categories, updated_at: new Date().toISOString() }, { onConflict: 'user_id' });
+
+    if (error) throw error;
+  }
+
+  async getSession(userId, connectionId) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .eq('connection_id', connectionId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async saveSession(session) {
+    const { error } = await this.client
+      .from(this.table)
+      .upsert({ ...session, updated_at: new Date().toISOString() }, { onConflict: 'user_id,connection_id' });
+
+    if (error) throw error;
+  }
+
+  async listSessions(userId, { since, limit }) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .gte('last_seen_at', since)
+      .order('last_seen_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+export class InMemoryClientSignalStore {
+  constructor() {
+    this.sessions = new Map();
+    this.consent = new Map();
+  }
+
+  async getConsent(userId) {
+    return [...(this.consent.get(userId) || [])];
+  }
+
+  async saveConsent(userId, categories) {
+    this.consent.set(userId, [...categories]);
+  }
+
+  key(userId, connectionId) {
+    return `${userId}:${connectionId}`;
+  }
+
+  async getSession(userId, connectionId) {
+    const session = this.sessions.get(this.key(userId, connectionId));
+    return session ? structuredClone(session) : null;
+  }
+
+  async saveSession(session) {
+    this.sessions.set(this.key(session.user_id, session.connection_id), structuredClone(session));
+  }
+
+  async listSessions(userId, { since, limit }) {
+    return [...this.sessions.values()]
+      .filter(s => s.user_id === userId && s.last_seen_at >= since)
+      .sort((a, b) => b.last_seen_at.localeCompare(a.last_seen_at))
+      .slice(0, limit)
+      .map(s => structuredClone(s));
+  }
+}
+
+// ============================================
+// AGGREGATOR
+// ============================================
+
+export class ClientSignalAggregator {
+  constructor(options = {}) {
+    this.store = options.store || new InMemoryClientSignalStore();
+    this.now = options.now || (() => Date.now());
+    // Pattern keys already folded in, per connection. In-memory: a retry that lands on another
+    // instance can be counted twice, which only nudges the averages.
+    this.seen = new LRUCache({ max: 10000, ttl: MAX_PATTERN_AGE_MS });
+    // Batches for the same session are folded one at a time (read-modify-write on the store)
+    this.queues = new Map();
+  }
+
+  patternKey(pattern) {
+    return `${pattern.type}:${pattern.detectedAt}`;
+  }
+
+  async ingest(batch) {
+    const sessionKey = `${batch.userId}:${batch.connectionId}`;
+    const previous = this.queues.get(sessionKey) || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => this.fold(batch));
+
+    this.queues.set(sessionKey, run);
+    try {
+      return await run;
+    } finally {
+      if (this.queues.get(sessionKey) === run) this.queues.delete(sessionKey);
+    }
+  }
+
+  async getConsent(userId) {
+    return this.store.getConsent(userId);
+  }
+
+  async setConsent(userId, categories) {
+    const granted = normalizeConsent(categories);
+    await this.store.saveConsent(userId, granted);
+    return granted;
+  }
+
+  async fold(received) {
+    const consented = applyConsent(received, await this.store.getConsent(received.userId));
+    const { userId, connectionId, patterns } = consented.batch;
+    const unconsented = consented.unconsented;
+
+    const seenKey = `${userId}:${connectionId}`;
+    const seen = this.seen.get(seenKey) || new Set();
+
+    const freshKeys = new Set();
+    const fresh = patterns.filter(pattern => {
+      const key = this.patternKey(pattern);
+      if (seen.has(key) || freshKeys.has(key)) return false;
+      freshKeys.add(key);
+      return true;
+    });
+
+    if (fresh.length === 0) {
+      return { accepted: 0, duplicates: patterns.length, unconsented, session: null };
+    }
+
+    const current = await this.store.getSession(userId, connectionId) || emptySession(userId, connectionId);
+    const session = foldPatterns(current, fresh);
+    await this.store.saveSession(session);
+
+    // Only marked as seen once stored, so a failed save can be retried
+    freshKeys.forEach(key => seen.add(key));
+    this.seen.set(seenKey, seen);
+
+    return { accepted: fresh.length, duplicates: patterns.length - fresh.length, unconsented, session };
+  }
+
+  async getProfile(userId) {
+    const since = new Date(this.now() - PROFILE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const sessions = await this.store.listSessions(userId, { since, limit: PROFILE_SESSIONS });
+    return summarizeSessions(sessions);
+  }
+}
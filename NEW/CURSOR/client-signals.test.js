@@ -0,0 +1,189 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  ClientSignalAggregator,
+  DecisionHesitationDetector,
+  InMemoryClientSignalStore,
+  PatternBatchError,
+  describeHesitation,
+  emptySession,
+  foldPatterns,
+  summarizeSessions,
+  validatePatternBatch
+} from './client-signals.js';
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+const hesitation = (detectedAt, pauseDuration = 12000) =>
+  ({ type: 'hesitation', confidence: 0.8, detectedAt, evidence: { pauseDuration } });
+
+const batch = (patterns, connectionId = 'conn_1') => ({ userId: 'user_1', connectionId, patterns });
+
+describe('validatePatternBatch', () => {
+  it('rejects a bad envelope with the fields at fault', () => {
+    expect(() => validatePatternBatch([])).toThrow(PatternBatchError);
+
+    try {
+      validatePatternBatch({ userId: ' ', patterns: [] }, NOW);
+      throw new Error('expected a PatternBatchError');
+    } catch (error) {
+      expect(error).toBeInstanceOf(PatternBatchError);
+      expect(error.details.map(detail => detail.field)).toEqual(['userId', 'connectionId', 'patterns']);
+    }
+  });
+
+  it('drops bad patterns and keeps the rest', () => {
+    const result = validatePatternBatch(batch([
+      hesitation(NOW - 1000),
+      { type: 'doomscrolling', confidence: 0.5, detectedAt: NOW },
+      { type: 'uncertainty', confidence: 2, detectedAt: NOW },
+      hesitation(NOW - 2 * 24 * 60 * 60 * 1000),
+      { ...hesitation(NOW), evidence: { pauseDuration: 5000, nested: { a: 1 }, note: 'x'.repeat(500) } }
+    ]), NOW);
+
+    expect(result.connectionId).toBe('conn_1');
+    expect(result.patterns.map(pattern => pattern.index)).toEqual([0, 4]);
+    expect(result.rejected.map(rejection => rejection.index)).toEqual([1, 2, 3]);
+    expect(result.patterns[1].evidence).toEqual({ pauseDuration: 5000, note: 'x'.repeat(200) });
+  });
+});
+
+describe('session folding', () => {
+  it('accumulates metrics per pattern type', () => {
+    const session = foldPatterns(emptySession('user_1', 'conn_1'), [
+      hesitation(NOW, 10000),
+      hesitation(NOW - 60000, 30000),
+      { type: 'uncertainty', detectedAt: NOW, evidence: { deletions: 40, additions: 50, rewriteCount: 2, deletionRatio: 0.8 } },
+      { type: 'distraction', detectedAt: NOW, evidence: { awayDuration: 90000 } },
+      { type: 'procrastination', detectedAt: NOW, evidence: { awayDuration: 30000 } },
+      { type: 'pricing_cowardice', detectedAt: NOW, evidence: { suggestedPrice: 49 } },
+      { type: 'pricing_cowardice', detectedAt: NOW, evidence: { suggestedPrice: 29 } }
+    ]);
+
+    expect(session.started_at).toBe(new Date(NOW - 60000).toISOString());
+    expect(session.last_seen_at).toBe(new Date(NOW).toISOString());
+    expect(session.hesitation).toEqual({ count: 2, total_pause_ms: 40000, max_pause_ms: 30000 });
+    expect(session.uncertainty).toEqual({ count: 1, deletions: 40, additions: 50, rewrites: 2, max_deletion_ratio: 0.8 });
+    expect(session.away).toEqual({ count: 2, total_ms: 120000 });
+    expect(session.pricing).toEqual({ count: 2, lowest_price: 29 });
+  });
+
+  it('rolls sessions up into a profile', () => {
+    const first = foldPatterns(emptySession('user_1', 'a'), [hesitation(NOW, 10000), hesitation(NOW, 20000)]);
+    const second = foldPatterns(emptySession('user_1', 'b'), [
+      hesitation(NOW + 1000, 30000),
+      { type: 'pricing_cowardice', detectedAt: NOW, evidence: { suggestedPrice: 99 } }
+    ]);
+
+    expect(summarizeSessions([first, second])).toMatchObject({
+      sessions: 2,
+      total_signals: 4,
+      hesitations_per_session: 1.5,
+      avg_pause_seconds: 20,
+      max_pause_seconds: 30,
+      lowest_price_typed: 99,
+      last_seen_at: new Date(NOW + 1000).toISOString()
+    });
+    expect(summarizeSessions([])).toBeNull();
+  });
+});
+
+describe('DecisionHesitationDetector', () => {
+  // A session of three 30s freezes that deletes 60% of what was typed
+  const freezingSession = (connectionId, extra = []) => foldPatterns(emptySession('user_1', connectionId), [
+    hesitation(NOW, 30000),
+    hesitation(NOW, 30000),
+    hesitation(NOW, 30000),
+    { type: 'uncertainty', detectedAt: NOW, evidence: { deletions: 30, additions: 50, rewriteCount: 1, deletionRatio: 0.6 } },
+    ...extra
+  ]);
+
+  // What getBehavioralHistory hands the detectors once sessions have been summarized
+  const history = (sessions) => ({ client_signals: summarizeSessions(sessions) });
+
+  const detector = new DecisionHesitationDetector();
+
+  it('prices the time lost at the business hourly rate', async () => {
+    const sessions = [
+      freezingSession('a', [{ type: 'pricing_cowardice', detectedAt: NOW, evidence: { suggestedPrice: 49 } }]),
+      freezingSession('b'),
+      freezingSession('c')
+    ];
+
+    const pattern = await detector.detect({
+      behavioralHistory: history(sessions),
+      businessMetrics: { current_mrr: 16000, monthly_working_hours: 100 }
+    });
+
+    expect(pattern).toMatchObject({
+      confidence: 0.95,
+      severity: 'high',
+      evidence: {
+        sessions: 3,
+        hesitations_per_session: 3,
+        avg_pause_seconds: 30,
+        max_pause_seconds: 30,
+        deletion_ratio: 0.6,
+        rewrites: 3,
+        pricing_hesitations: 1,
+        lowest_price_typed: 49
+      }
+    });
+    // 3 sessions x 3 freezes x 30s = 0.075h at 16000 / 100h
+    expect(pattern.estimated_cost).toBeCloseTo(12);
+    expect(describeHesitation(pattern.evidence))
+      .toBe('3 long pauses per session, 60% of what you type gets deleted. Longest freeze: 30s.');
+  });
+
+  it('falls back to the default working month and needs three sessions', async () => {
+    const sessions = [freezingSession('a'), freezingSession('b'), freezingSession('c')];
+
+    const pattern = await detector.detect({ behavioralHistory: history(sessions), businessMetrics: { current_mrr: 16000 } });
+    expect(pattern.estimated_cost).toBeCloseTo(7.5);
+
+    expect(await detector.detect({ behavioralHistory: history(sessions.slice(1)), businessMetrics: {} })).toBeNull();
+    expect(await detector.detect({ behavioralHistory: {}, businessMetrics: {} })).toBeNull();
+  });
+});
+
+describe('ClientSignalAggregator', () => {
+  const createAggregator = async (categories = ['typing']) => {
+    const aggregator = new ClientSignalAggregator({ store: new InMemoryClientSignalStore(), now: () => NOW });
+    await aggregator.setConsent('user_1', categories);
+    return aggregator;
+  };
+
+  it('counts a re-sent pattern once per connection', async () => {
+    const aggregator = await createAggregator();
+    const patterns = [hesitation(NOW), hesitation(NOW)];
+
+    const first = await aggregator.ingest(validatePatternBatch(batch(patterns), NOW));
+    const retry = await aggregator.ingest(validatePatternBatch(batch(patterns), NOW));
+    const otherTab = await aggregator.ingest(validatePatternBatch(batch(patterns, 'conn_2'), NOW));
+
+    expect(first).toMatchObject({ accepted: 1, duplicates: 1 });
+    expect(retry).toMatchObject({ accepted: 0, duplicates: 2, session: null });
+    expect(otherTab.accepted).toBe(1);
+    expect((await aggregator.getProfile('user_1')).sessions).toBe(2);
+  });
+
+  it('folds concurrent batches for one session without losing any', async () => {
+    const aggregator = await createAggregator();
+
+    await Promise.all([0, 1, 2, 3].map(i =>
+      aggregator.ingest(validatePatternBatch(batch([hesitation(NOW - i * 1000)]), NOW))));
+
+    expect((await aggregator.getProfile('user_1')).total_signals).toBe(4);
+  });
+
+  it('only folds consented categories', async () => {
+    const aggregator = await createAggregator(['attention']);
+    const result = await aggregator.ingest(validatePatternBatch(batch([
+      hesitation(NOW),
+      { type: 'distraction', confidence: 0.6, detectedAt: NOW, evidence: { awayDuration: 60000 } }
+    ]), NOW));
+
+    expect(result.accepted).toBe(1);
+    expect(result.unconsented).toEqual([{ index: 0, errors: ['no consent for typing signals'] }]);
+    expect(result.session.hesitation.count).toBe(0);
+  });
+});
@@ -0,0 +1,420 @@
+// CELESTE7 CONFIDENCE CALIBRATION
+// Every detector reports "confidence" on its own scale. This maps each source's raw score onto
+// the probability the detection turned out right, fitted on verified outcomes in
+// behavioral_predictions (outcome_verified = true, accuracy_score in [0, 1]).
+// Platt scaling (a logistic curve) needs little data; isotonic regression (a monotone step
+// curve) follows any shape but wants a lot of it.
+//
+// Detectors tag their output with confidence_source and raw_confidence, and recordPredictions()
+// writes it to behavioral_predictions with the RAW score in `confidence` and the source in
+// prediction_basis.confidence_source; calibrating calibrated scores fits the wrong curve.
+// No side effects on import: the fit/report CLI (scripts/calibrate-confidence.js in the API repo
+// root) loads this file directly.
+
+import { createClient } from '@supabase/supabase-js';
+
+export const CONFIDENCE_SOURCES = {
+  procrastination_query: 'BrutalQueryOptimizer.detectProcrastinationBrutally',
+  fallback_rules: 'HuggingFaceFallback.fallbackDetection',
+  zero_shot: 'BehavioralMLEngine.classifyPatterns',
+  real_engine: 'RealTimeBehavioralIntelligence.calculateRawConfidence'
+};
+
+// sklearn's rule of thumb: isotonic overfits below ~1000 samples
+const ISOTONIC_MIN_SAMPLES = 1000;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// ============================================
+// VERIFIED OUTCOMES
+// ============================================
+
+// A behavioral_predictions row -> { source, confidence, outcome }. Rows without a
+// confidence_source can't be tied to a detector's scale and are left out.
+export function fromPrediction(row) {
+  return {
+    source: row.prediction_basis?.confidence_source || null,
+    confidence: row.confidence,
+    outcome: typeof row.accuracy_score === 'number' ? clamp01(row.accuracy_score) : null
+  };
+}
+
+export function isUsableSample(sample) {
+  return Boolean(sample.source) &&
+    Number.isFinite(sample.confidence) &&
+    Number.isFinite(sample.outcome);
+}
+
+export async function loadVerifiedPredictions(client, { since, limit = 20000 } = {}) {
+  let query = client
+    .from('behavioral_predictions')
+    .select('prediction_type, confidence, prediction_basis, accuracy_score, created_at')
+    .eq('outcome_verified', true)
+    .not('accuracy_score', 'is', null)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+  if (since) query = query.gte('created_at', since);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(fromPrediction).filter(isUsableSample);
+}
+
+// A detector result ({ confidence_source, raw_confidence, confidence, pattern_type | pattern }) ->
+// an unverified behavioral_predictions row; n8n fills in outcome_verified and accuracy_score later
+export function predictionRow(userId, detection, basis = {}) {
+  const raw = detection.raw_confidence ?? detection.confidence;
+  return {
+    user_id: userId,
+    prediction_type: detection.pattern_type || detection.pattern || detection.confidence_source,
+    confidence: raw,
+    predicted_behavior: { pattern: detection.pattern_type || detection.pattern || null },
+    prediction_basis: {
+      ...basis,
+      confidence_source: detection.confidence_source,
+      raw_confidence: raw,
+      calibrated_confidence: detection.confidence
+    },
+    outcome_verified: false,
+    created_at: new Date().toISOString()
+  };
+}
+
+// Writes every detection that says where its score came from. Never throws: a lost row costs
+// one calibration sample, not the detection.
+export async function recordPredictions(client, userId, detections, basis = {}) {
+  const rows = detections
+    .filter(d => d && CONFIDENCE_SOURCES[d.confidence_source] && Number.isFinite(d.raw_confidence ?? d.confidence))
+    .map(d => predictionRow(userId, d, basis));
+  if (rows.length === 0 || !client) return 0;
+
+  try {
+    const { error } = await client.from('behavioral_predictions').insert(rows);
+    if (error) throw error;
+    return rows.length;
+  } catch (error) {
+    console.error('Failed to record behavioral predictions:', error.message);
+    return 0;
+  }
+}
+
+// ============================================
+// FITTING
+// ============================================
+
+// Platt scaling: p = 1 / (1 + exp(a * score + b)), fitted by Newton's method on smoothed targets
+// (Platt 1999; Lin, Lin & Weng 2007). Outcomes may be fractional.
+export function fitPlatt(samples) {
+  const positives = samples.reduce((sum, s) => sum + s.outcome, 0);
+  const negatives = samples.length - positives;
+  const hi = (positives + 1) / (positives + 2);
+  const lo = 1 / (negatives + 2);
+  const targets = samples.map(s => s.outcome * hi + (1 - s.outcome) * lo);
+
+  const loss = (a, b) => samples.reduce((sum, s, i) => {
+    const f = a * s.confidence + b;
+    // log(1 + exp(f)) without overflow
+    const softplus = f > 0 ? f + Math.log1p(Math.exp(-f)) : Math.log1p(Math.exp(f));
+    return sum + (targets[i] - 1) * f + softplus;
+  }, 0);
+
+  let a = 0;
+  let b = Math.log((negatives + 1) / (positives + 1));
+  let current = loss(a, b);
+
+  for (let iteration = 0; iteration < 100; iteration++) {
+    let gA = 0, gB = 0, hAA = 1e-12, hAB = 0, hBB = 1e-12;
+    samples.forEach((s, i) => {
+      const p = 1 / (1 + Math.exp(a * s.confidence + b));
+      const d1 = targets[i] - p;
+      const d2 = p * (1 - p);
+      gA += s.confidence * d1;
+      gB += d1;
+      hAA += s.confidence * s.confidence * d2;
+      hAB += s.confidence * d2;
+      hBB += d2;
+    });
+    if (Math.abs(gA) < 1e-6 && Math.abs(gB) < 1e-6) break;
+
+    const det = hAA * hBB - hAB * hAB;
+    const stepA = -(hBB * gA - hAB * gB) / det;
+    const stepB = -(-hAB * gA + hAA * gB) / det;
+
+    // Backtrack until the loss goes down
+    let scale = 1;
+    while (scale > 1e-10) {
+      const next = loss(a + scale * stepA, b + scale * stepB);
+      if (next < current + 1e-4 * scale * (gA * stepA + gB * stepB)) {
+        a += scale * stepA;
+        b += scale * stepB;
+        current = next;
+        break;
+      }
+      scale /= 2;
+    }
+    if (scale <= 1e-10) break;
+  }
+
+  return { a, b };
+}
+
+// Isotonic regression by pool-adjacent-violators; returns the block means as interpolation knots
+export function fitIsotonic(samples) {
+  const sorted = [...samples].sort((p, q) => p.confidence - q.confidence);
+  const blocks = [];
+
+  sorted.forEach(s => {
+    blocks.push({ weight: 1, xSum: s.confidence, ySum: s.outcome });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      if (prev.ySum / prev.weight <= last.ySum / last.weight) break;
+      blocks.splice(-2, 2, {
+        weight: prev.weight + last.weight,
+        xSum: prev.xSum + last.xSum,
+        ySum: prev.ySum + last.ySum
+      });
+    }
+  });
+
+  return {
+    x: blocks.map(block => block.xSum / block.weight),
+    y: blocks.map(block => block.ySum / block.weight)
+  };
+}
+
+export function applyCalibrator(model, raw) {
+  if (!model || !Number.isFinite(raw)) return raw;
+
+  if (model.method === 'platt') {
+    return 1 / (1 + Math.exp(model.params.a * raw + model.params.b));
+  }
+
+  if (model.method === 'isotonic') {
+    const { x, y } = model.params;
+    if (raw <= x[0]) return y[0];
+    if (raw >= x[x.length - 1]) return y[y.length - 1];
+    const upper = x.findIndex(knot => knot >= raw);
+    const span = x[upper] - x[upper - 1];
+    return span === 0 ? y[upper] : y[upper - 1] + (y[upper] - y[upper - 1]) * (raw - x[upper - 1]) / span;
+  }
+
+  return raw;
+}
+
+export function fitCalibrator(source, samples, { method = 'auto' } = {}) {
+  const chosen = method === 'auto'
+    ? (samples.length >= ISOTONIC_MIN_SAMPLES ? 'isotonic' : 'platt')
+    : method;
+
+  if (!['platt', 'isotonic'].includes(chosen)) {
+    throw new Error(`Unknown calibration method: ${method} (expected platt, isotonic or auto)`);
+  }
+
+  return {
+    source,
+    method: chosen,
+    params: chosen === 'platt' ? fitPlatt(samples) : fitIsotonic(samples),
+    sample_size: samples.length,
+    fitted_at: new Date().toISOString()
+  };
+}
+
+// ============================================
+// RELIABILITY
+// ============================================
+
+// Equal-width bins of predicted confidence vs how often the detection was right.
+// ECE: count-weighted mean gap; MCE: largest gap; Brier: mean squared error.
+export function reliabilityCurve(samples, { bins = 10, predict = (s) => s.confidence } = {}) {
+  const buckets = Array.from({ length: bins }, (_, i) => ({
+    lower: i / bins,
+    upper: (i + 1) / bins,
+    count: 0,
+    confidenceSum: 0,
+    outcomeSum: 0
+  }));
+
+  let brier = 0;
+  samples.forEach(s => {
+    const predicted = clamp01(predict(s));
+    const bucket = buckets[Math.min(bins - 1, Math.floor(predicted * bins))];
+    bucket.count++;
+    bucket.confidenceSum += predicted;
+    bucket.outcomeSum += s.outcome;
+    brier += (predicted - s.outcome) ** 2;
+  });
+
+  const n = samples.length;
+  const curve = buckets.map(b => ({
+    lower: b.lower,
+    upper: b.upper,
+    count: b.count,
+    mean_confidence: b.count ? b.confidenceSum / b.count : null,
+    observed_rate: b.count ? b.outcomeSum / b.count : null,
+    gap: b.count ? Math.abs(b.confidenceSum - b.outcomeSum) / b.count : null
+  }));
+  const filled = curve.filter(b => b.count > 0);
+
+  return {
+    samples: n,
+    bins: curve,
+    ece: n ? filled.reduce((sum, b) => sum + b.gap * b.count, 0) / n : null,
+    mce: filled.length ? Math.max(...filled.map(b => b.gap)) : null,
+    brier: n ? brier / n : null
+  };
+}
+
+// Fit one calibrator per source. Every `holdoutEvery`-th sample is held out to measure the
+// before/after reliability honestly; the saved model is then refitted on everything.
+export function calibrateSources(samples, options = {}) {
+  const { method = 'auto', bins = 10, minSamples = 50, holdoutEvery = 5 } = options;
+  const bySource = {};
+  samples.filter(isUsableSample).forEach(s => {
+    (bySource[s.source] = bySource[s.source] || []).push(s);
+  });
+
+  return Object.entries(bySource).map(([source, sourceSamples]) => {
+    if (sourceSamples.length < minSamples) {
+      return { source, samples: sourceSamples.length, model: null, skipped: `fewer than ${minSamples} verified outcomes` };
+    }
+
+    const holdout = sourceSamples.filter((_, i) => i % holdoutEvery === holdoutEvery - 1);
+    const training = sourceSamples.filter((_, i) => i % holdoutEvery !== holdoutEvery - 1);
+    const trial = fitCalibrator(source, training, { method });
+
+    return {
+      source,
+      samples: sourceSamples.length,
+      model: fitCalibrator(source, sourceSamples, { method: trial.method }),
+      holdout: {
+        before: reliabilityCurve(holdout, { bins }),
+        after: reliabilityCurve(holdout, { bins, predict: (s) => applyCalibrator(trial, s.confidence) })
+      }
+    };
+  });
+}
+
+const fmt = (value) => (value === null || value === undefined ? '    -' : value.toFixed(3));
+
+export function formatReliabilityReport(results) {
+  const lines = [];
+
+  results.forEach(result => {
+    const label = CONFIDENCE_SOURCES[result.source] ? ` (${CONFIDENCE_SOURCES[result.source]})` : '';
+    lines.push(`== ${result.source}${label}: ${result.samples} verified outcomes ==`);
+
+    if (!result.model) {
+      lines.push(`  skipped: ${result.skipped}`, '');
+      return;
+    }
+
+    const { before, after } = result.holdout;
+    lines.push(`  method ${result.model.method}, holdout ${before.samples}`);
+    lines.push(`  ECE   ${fmt(before.ece)} -> ${fmt(after.ece)}`);
+    lines.push(`  MCE   ${fmt(before.mce)} -> ${fmt(after.mce)}`);
+    lines.push(`  Brier ${fmt(before.brier)} -> ${fmt(after.brier)}`);
+    lines.push(`  ${'bin'.padEnd(12)}${'n'.padStart(6)}${'raw conf'.padStart(10)}${'calibrated'.padStart(12)}${'observed'.padStart(10)}`);
+
+    // Bins by raw confidence, so each row shows what the calibrator does to that range
+    before.bins.forEach(bin => {
+      if (!bin.count) return;
+      const range = `${bin.lower.toFixed(1)}-${bin.upper.toFixed(1)}`;
+      const calibrated = applyCalibrator(result.model, bin.mean_confidence);
+      lines.push(`  ${range.padEnd(12)}${String(bin.count).padStart(6)}${fmt(bin.mean_confidence).padStart(10)}${fmt(calibrated).padStart(12)}${fmt(bin.observed_rate).padStart(10)}`);
+    });
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+// ============================================
+// STORES
+// ============================================
+
+// One row per source: source (unique), method, params (jsonb), sample_size, fitted_at
+export class SupabaseCalibrationStore {
+  constructor(client, table = 'confidence_calibrations') {
+    this.client = client;
+    this.table = table;
+  }
+
+  async listCalibrations() {
+    const { data, error } = await this.client.from(this.table).select('*');
+    if (error) throw error;
+    return data || [];
+  }
+
+  async saveCalibration(model) {
+    const { error } = await this.client.from(this.table).upsert(model, { onConflict: 'source' });
+    if (error) throw error;
+  }
+}
+
+export class InMemoryCalibrationStore {
+  constructor(models = []) {
+    this.models = new Map(models.map(model => [model.source, model]));
+  }
+
+  async listCalibrations() {
+    return [...this.models.values()];
+  }
+
+  async saveCalibration(model) {
+    this.models.set(model.source, model);
+  }
+}
+
+// ============================================
+// RUNTIME
+// ============================================
+
+// calibrate() is synchronous so it can sit inside existing scoring code; models load in the
+// background and raw scores pass through until they arrive
+export class ConfidenceCalibration {
+  constructor(options = {}) {
+    this.store = options.store || new InMemoryCalibrationStore();
+    this.refreshMs = options.refreshMs ?? 5 * 60 * 1000;
+    this.models = new Map();
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  async refresh() {
+    const models = await this.store.listCalibrations();
+    this.models = new Map(models.map(model => [model.source, model]));
+    this.loadedAt = Date.now();
+    return this.models;
+  }
+
+  calibrate(source, raw) {
+    if (!this.loading && Date.now() - this.loadedAt > this.refreshMs) {
+      this.loading = this.refresh()
+        .catch(error => {
+          // Keep the last models; try again next interval
+          this.loadedAt = Date.now();
+          console.error('Failed to load confidence calibrations:', error.message);
+        })
+        .finally(() => { this.loading = null; });
+    }
+
+    const calibrated = applyCalibrator(this.models.get(source), raw);
+    return Number.isFinite(calibrated) ? Math.round(calibrated * 1000) / 1000 : raw;
+  }
+}
+
+let shared = null;
+
+// One instance per process so every detector shares the model cache. Falls back to raw scores
+// when Supabase isn't configured.
+export function sharedCalibration() {
+  if (!shared) {
+    const url = process.env.SUPABASE_URL;
+    const key = process.env.SUPABASE_KEY || process.env.SUPABASE_ANON_KEY;
+    shared = new ConfidenceCalibration({
+      store: url && key ? new SupabaseCalibrationStore(createClient(url, key)) : new InMemoryCalibrationStore()
+    });
+  }
+  return shared;
+}
@@ -0,0 +1,135 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  applyCalibrator,
+  fitPlatt,
+  fitIsotonic,
+  fromPrediction,
+  isUsableSample,
+  recordPredictions,
+  reliabilityCurve
+} from './confidence-calibration.js';
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+// Scores on [0, 1] whose true hit rate is sigmoid(6 * score - 3)
+const logisticSamples = (n = 200) => Array.from({ length: n }, (_, i) => {
+  const confidence = i / (n - 1);
+  return { source: 'zero_shot', confidence, outcome: sigmoid(6 * confidence - 3) };
+});
+
+function fakeClient() {
+  const inserted = [];
+  return {
+    inserted,
+    from: (table) => ({
+      insert: async (rows) => {
+        inserted.push(...rows.map(row => ({ table, ...row })));
+        return { error: null };
+      }
+    })
+  };
+}
+
+describe('fitPlatt', () => {
+  it('recovers a logistic curve', () => {
+    const params = fitPlatt(logisticSamples());
+    const model = { method: 'platt', params };
+
+    expect(params.a).toBeLessThan(0);
+    [0.1, 0.5, 0.9].forEach(score => {
+      expect(applyCalibrator(model, score)).toBeCloseTo(sigmoid(6 * score - 3), 1);
+    });
+  });
+});
+
+describe('fitIsotonic', () => {
+  it('pools adjacent violators into a monotone curve', () => {
+    const model = fitIsotonic([
+      { confidence: 0.1, outcome: 1 },
+      { confidence: 0.2, outcome: 0 },
+      { confidence: 0.3, outcome: 1 }
+    ]);
+
+    expect(model.x).toHaveLength(2);
+    expect(model.x[0]).toBeCloseTo(0.15, 10);
+    expect(model.x[1]).toBe(0.3);
+    expect(model.y).toEqual([0.5, 1]);
+  });
+
+  it('never decreases', () => {
+    const { y } = fitIsotonic(logisticSamples().map(s => ({ ...s, outcome: s.outcome > 0.5 ? 1 : 0 })).reverse());
+    y.slice(1).forEach((value, i) => expect(value).toBeGreaterThanOrEqual(y[i]));
+  });
+});
+
+describe('reliabilityCurve', () => {
+  it('reports no gap for calibrated scores and a large one for overconfident scores', () => {
+    const calibrated = [0.25, 0.75].flatMap(p =>
+      Array.from({ length: 4 }, (_, i) => ({ confidence: p, outcome: i < p * 4 ? 1 : 0 })));
+    const report = reliabilityCurve(calibrated, { bins: 4 });
+    expect(report.samples).toBe(8);
+    expect(report.bins).toHaveLength(4);
+    expect(report.ece).toBeCloseTo(0, 10);
+
+    const overconfident = reliabilityCurve(
+      calibrated.map(s => ({ ...s, confidence: 0.95 })),
+      { bins: 4 }
+    );
+    expect(overconfident.ece).toBeCloseTo(0.45, 10);
+    expect(overconfident.mce).toBeCloseTo(0.45, 10);
+    expect(overconfident.brier).toBeGreaterThan(report.brier);
+  });
+});
+
+describe('behavioral_predictions', () => {
+  it('only uses rows that name their confidence source', () => {
+    const tagged = fromPrediction({
+      prediction_type: 'procrastination',
+      confidence: 0.4,
+      prediction_basis: { confidence_source: 'procrastination_query' },
+      accuracy_score: 1
+    });
+    const untagged = fromPrediction({ prediction_type: 'procrastination', confidence: 0.4, accuracy_score: 1 });
+
+    expect(tagged).toEqual({ source: 'procrastination_query', confidence: 0.4, outcome: 1 });
+    expect(isUsableSample(tagged)).toBe(true);
+    expect(isUsableSample(untagged)).toBe(false);
+  });
+
+  it('records the raw score and its source for every tagged detection', async () => {
+    const client = fakeClient();
+
+    const written = await recordPredictions(client, 'user_1', [
+      { pattern_type: 'procrastination', confidence: 0.62, raw_confidence: 0.4, confidence_source: 'procrastination_query' },
+      { pattern: 'perfectionism', confidence: 0.3, raw_confidence: 0.81, confidence_source: 'zero_shot' },
+      { pattern_type: 'pricing_cowardice', confidence: 0.9 }
+    ]);
+
+    expect(written).toBe(2);
+    expect(client.inserted[0]).toMatchObject({
+      table: 'behavioral_predictions',
+      user_id: 'user_1',
+      prediction_type: 'procrastination',
+      confidence: 0.4,
+      outcome_verified: false,
+      prediction_basis: { confidence_source: 'procrastination_query', raw_confidence: 0.4, calibrated_confidence: 0.62 }
+    });
+    expect(fromPrediction({ ...client.inserted[1], accuracy_score: 0 })).toEqual({
+      source: 'zero_shot',
+      confidence: 0.81,
+      outcome: 0
+    });
+  });
+
+  it('does not throw when the insert fails', async () => {
+    const client = { from: () => ({ insert: async () => ({ error: new Error('insert failed') }) }) };
+    const detection = { pattern_type: 'procrastination', confidence: 0.5, raw_confidence: 0.5, confidence_source: 'real_engine' };
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      expect(await recordPredictions(client, 'user_1', [detection])).toBe(0);
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
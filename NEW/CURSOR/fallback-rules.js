@@ -0,0 +1,42 @@
+// CELESTE7 FALLBACK RULES
+// Keyword rules used when HuggingFace is down. Kept free of imports and side effects so the
+// offline evaluation harness (scripts/eval-patterns.js in the API repo root) scores the exact
+// rules production falls back to.
+
+export const FALLBACK_RULES = {
+  procrastination: {
+    keywords: ['tomorrow', 'later', 'when i', 'maybe', 'planning', 'thinking about'],
+    confidence: 0.8,
+    pattern: 'PROCRASTINATION_DETECTED'
+  },
+  pricing_cowardice: {
+    keywords: ['too expensive', 'cheap', 'free', 'discount', 'price point'],
+    confidence: 0.7,
+    pattern: 'PRICING_FEAR_DETECTED'
+  },
+  execution_paralysis: {
+    keywords: ['perfect', 'research', 'more info', 'not ready', 'need to'],
+    confidence: 0.75,
+    pattern: 'EXECUTION_PARALYSIS_DETECTED'
+  }
+};
+
+export function detectWithFallbackRules(message, rule) {
+  if (!rule) return null;
+
+  const messageLower = message.toLowerCase();
+  const matches = rule.keywords.filter(keyword =>
+    messageLower.includes(keyword)
+  );
+
+  if (matches.length > 0) {
+    return {
+      pattern: rule.pattern,
+      confidence: rule.confidence * (matches.length / rule.keywords.length),
+      method: 'FALLBACK_RULES',
+      keywords_matched: matches
+    };
+  }
+
+  return null;
+}
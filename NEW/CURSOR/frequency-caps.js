@@ -0,0 +1,375 @@
+// CELESTE7 INTERVENTION FREQUENCY CAPS
+// Detection fires far more often than anyone should be interrupted. Every intervention passes
+// FrequencyGovernor.check() before it is sent. The checks, in order:
+//   1. quiet_hours      - nothing inside the user's quiet hours, in their timezone
+//   2. daily_budget     - at most N interventions per local day
+//   3. pattern_cooldown - a minimum gap between two interventions for the same pattern
+//      dismissal_decay  - the same gap, doubled for every dismissal in a row (acknowledging resets it)
+//   4. pattern_cap      - at most N per pattern in a rolling window
+// Suppressed interventions are logged with their reason next to delivered ones. Supportive
+// responses from tone governance are never capped, so callers check after tone review (admit()).
+// Client rules keep their own cooldowns and only go through quiet hours and the daily budget.
+
+import { randomUUID } from 'crypto';
+
+// ============================================
+// POLICY
+// ============================================
+
+export const SUPPRESSION_REASONS = [
+  'quiet_hours',
+  'daily_budget',
+  'pattern_cooldown',
+  'dismissal_decay',
+  'pattern_cap',
+  'history_unavailable'
+];
+
+export const INTERVENTION_OUTCOMES = ['acknowledged', 'dismissed'];
+
+// Which checks apply: everything for server interventions, the user-wide ones for client rules
+export const ALL_CHECKS = ['quiet_hours', 'daily_budget', 'pattern_cooldown', 'pattern_cap'];
+export const CLIENT_RULE_CHECKS = ['quiet_hours', 'daily_budget'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_DECAY_MS = 7 * 24 * HOUR_MS;
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Platform defaults; a user's preferences can move quiet hours and lower the budget
+export const DEFAULT_FREQUENCY_POLICY = {
+  daily_budget: envNumber('INTERVENTION_DAILY_BUDGET', 5),
+  pattern_cap: envNumber('INTERVENTION_PATTERN_CAP', 2),
+  pattern_window_hours: envNumber('INTERVENTION_PATTERN_WINDOW_HOURS', 24),
+  cooldown_minutes: envNumber('INTERVENTION_COOLDOWN_MINUTES', 240),
+  quiet_hours: process.env.INTERVENTION_QUIET_HOURS || '22:00-08:00',
+  timezone: process.env.INTERVENTION_DEFAULT_TIMEZONE || 'UTC'
+};
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// '22:00-08:00' -> { start: 1320, end: 480 } in minutes after local midnight; 'off' -> null
+export function parseQuietHours(value) {
+  if (!value || value === 'off') return null;
+
+  const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match) throw new Error(`Quiet hours must look like 22:00-08:00 or off, got: ${value}`);
+
+  const [start, end] = [[match[1], match[2]], [match[3], match[4]]].map(([h, m]) => {
+    const hours = parseInt(h, 10);
+    const minutes = parseInt(m, 10);
+    if (hours > 23 || minutes > 59) throw new Error(`Invalid time in quiet hours: ${value}`);
+    return hours * 60 + minutes;
+  });
+  return start === end ? null : { start, end };
+}
+
+// Wall-clock date and minutes after midnight in timeZone
+export function localTime(timestamp, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+// Minutes left in the quiet window, or 0 when outside it
+function quietMinutesLeft(quiet, minutes) {
+  if (!quiet) return 0;
+  const inside = quiet.start < quiet.end
+    ? minutes >= quiet.start && minutes < quiet.end
+    : minutes >= quiet.start || minutes < quiet.end;
+  if (!inside) return 0;
+  return (quiet.end - minutes + 24 * 60) % (24 * 60);
+}
+
+// ============================================
+// HISTORY STORES
+// ============================================
+
+// intervention_frequency_log: user_id, pattern, severity, status ('delivered' | 'suppressed'),
+// reason, retry_at, source, tracking_id, occurred_at, outcome, outcome_at.
+// intervention_preferences: user_id (unique), timezone, quiet_hours, daily_budget.
+export class SupabaseFrequencyStore {
+  constructor(client, tables = {}) {
+    this.client = client;
+    this.logTable = tables.log || 'intervention_frequency_log';
+    this.preferencesTable = tables.preferences || 'intervention_preferences';
+  }
+
+  async getPreferences(userId) {
+    const { data, error } = await this.client
+      .from(this.preferencesTable)
+      .select('timezone, quiet_hours, daily_budget')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Delivered interventions since the given ISO date, newest first
+  async listDeliveries(userId, since) {
+    const { data, error } = await this.client
+      .from(this.logTable)
+      .select('pattern, occurred_at, outcome')
+      .eq('user_id', userId)
+      .eq('status', 'delivered')
+      .gte('occurred_at', since)
+      .order('occurred_at', { ascending: false })
+      .limit(500);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async recordEvent(event) {
+    const { error } = await this.client.from(this.logTable).insert(event);
+    if (error) throw error;
+  }
+
+  // Returns false when no delivered intervention has that tracking id
+  async recordOutcome(userId, trackingId, outcome, at) {
+    const { data, error } = await this.client
+      .from(this.logTable)
+      .update({ outcome, outcome_at: at })
+      .eq('user_id', userId)
+      .eq('tracking_id', trackingId)
+      .eq('status', 'delivered')
+      .select('tracking_id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+}
+
+export class InMemoryFrequencyStore {
+  constructor(preferences = {}) {
+    this.preferences = preferences; // userId -> preferences
+    this.events = [];
+  }
+
+  async getPreferences(userId) {
+    return this.preferences[userId] || null;
+  }
+
+  async listDeliveries(userId, since) {
+    return this.events
+      .filter(event => event.user_id === userId && event.status === 'delivered' && event.occurred_at >= since)
+      .sort((a, b) => b.occurred_at.localeCompare(a.occurred_at));
+  }
+
+  async recordEvent(event) {
+    this.events.push({ ...event });
+  }
+
+  async recordOutcome(userId, trackingId, outcome, at) {
+    const event = this.events.find(e =>
+      e.user_id === userId && e.tracking_id === trackingId && e.status === 'delivered');
+    if (!event) return false;
+    Object.assign(event, { outcome, outcome_at: at });
+    return true;
+  }
+}
+
+// ============================================
+// GOVERNOR
+// ============================================
+
+export class FrequencyGovernor {
+  constructor(options = {}) {
+    this.store = options.store || new InMemoryFrequencyStore();
+    this.defaults = { ...DEFAULT_FREQUENCY_POLICY, ...options.policy };
+    this.now = options.now || (() => Date.now());
+    // Fail at startup on a bad INTERVENTION_QUIET_HOURS rather than on the first intervention
+    parseQuietHours(this.defaults.quiet_hours);
+  }
+
+  // timezoneHint: what the client reported (e.g. the browser's zone); a stored preference wins
+  async resolvePolicy(userId, timezoneHint) {
+    let preferences = null;
+    try {
+      preferences = await this.store.getPreferences(userId);
+    } catch (error) {
+      console.error('Intervention preferences lookup failed, using defaults:', error);
+    }
+
+    const timezone = [preferences?.timezone, timezoneHint, this.defaults.timezone].find(isValidTimeZone) || 'UTC';
+    let quiet;
+    try {
+      quiet = parseQuietHours(preferences?.quiet_hours ?? this.defaults.quiet_hours);
+    } catch (error) {
+      console.error(`Ignoring quiet hours for ${userId}:`, error.message);
+      quiet = parseQuietHours(this.defaults.quiet_hours);
+    }
+
+    return {
+      ...this.defaults,
+      timezone,
+      quiet,
+      // Users can only lower the platform budget
+      daily_budget: Number.isFinite(preferences?.daily_budget)
+        ? Math.min(preferences.daily_budget, this.defaults.daily_budget)
+        : this.defaults.daily_budget
+    };
+  }
+
+  // Decide whether an intervention may go out now. Returns { allowed, reason?, retry_at?, policy,
+  // deliveries } with the history it was judged on. Suppressions are logged here; callers log
+  // what they actually send with recordDelivery(), or use admit() for both.
+  async check({ userId, pattern, severity, timezone, source, checks = ALL_CHECKS } = {}) {
+    if (severity === 'support') return { allowed: true };
+
+    const policy = await this.resolvePolicy(userId, timezone);
+    let decision;
+    let deliveries = null;
+    try {
+      deliveries = await this.store.listDeliveries(userId, new Date(this.now() - MAX_DECAY_MS).toISOString());
+      decision = this.evaluate(policy, pattern, deliveries, checks);
+    } catch (error) {
+      // Without history every cap is a guess, so hold back until the store is reachable
+      console.error('Intervention history lookup failed, suppressing:', error);
+      decision = { allowed: false, reason: 'history_unavailable' };
+    }
+
+    if (!decision.allowed) {
+      await this.log({
+        user_id: userId,
+        pattern,
+        severity: severity || null,
+        status: 'suppressed',
+        reason: decision.reason,
+        retry_at: decision.retry_at || null,
+        source: source || null,
+        tracking_id: null
+      });
+    }
+    return { ...decision, policy, deliveries };
+  }
+
+  // check() for an intervention that is ready to send, i.e. after tone review: a supportive
+  // replacement (severity 'support') is never capped. Allowed ones are logged as delivered under
+  // trackingId (a fresh id by default), which the caller sends along so outcomes can be matched.
+  // Returns check()'s answer plus tracking_id when allowed.
+  async admit({ userId, pattern, severity, intervention, timezone, source, checks, trackingId = randomUUID() } = {}) {
+    const reviewedSeverity = intervention?.severity === 'support' ? 'support' : severity;
+    const gate = await this.check({ userId, pattern, severity: reviewedSeverity, timezone, source, checks });
+    if (!gate.allowed) return gate;
+
+    await this.recordDelivery({ userId, pattern, severity: reviewedSeverity, trackingId, source });
+    return { ...gate, tracking_id: trackingId };
+  }
+
+  // What client-realtime.js needs to apply quiet hours and the budget on its own while offline,
+  // as absolute times so the browser needs no timezone rules: the quiet periods in the next 48h,
+  // interventions left today and when the local day ends. deliveries excludes the one just admitted.
+  clientAllowance(policy, deliveries, { admitted = 0 } = {}) {
+    const now = this.now();
+    const local = localTime(now, policy.timezone);
+    const dayEndsAt = now + (24 * 60 - local.minutes) * 60000;
+    const today = (deliveries || []).filter(d => localTime(Date.parse(d.occurred_at), policy.timezone).date === local.date);
+
+    const quiet = [];
+    if (policy.quiet) {
+      const length = (policy.quiet.end - policy.quiet.start + 24 * 60) % (24 * 60);
+      const left = quietMinutesLeft(policy.quiet, local.minutes);
+      if (left > 0) quiet.push({ start: now, end: now + left * 60000 });
+      for (let start = now + ((policy.quiet.start - local.minutes + 24 * 60) % (24 * 60) || 24 * 60) * 60000;
+        start < now + 48 * HOUR_MS; start += 24 * HOUR_MS) {
+        quiet.push({ start, end: start + length * 60000 });
+      }
+    }
+
+    return {
+      quiet,
+      budget_left: Math.max(0, policy.daily_budget - today.length - admitted),
+      day_ends_at: dayEndsAt,
+      expires_at: now + 48 * HOUR_MS
+    };
+  }
+
+  evaluate(policy, pattern, deliveries, checks = ALL_CHECKS) {
+    const now = this.now();
+    const suppress = (reason, retryAt) => ({
+      allowed: false,
+      reason,
+      retry_at: retryAt ? new Date(retryAt).toISOString() : null
+    });
+
+    const local = localTime(now, policy.timezone);
+    const quietLeft = quietMinutesLeft(policy.quiet, local.minutes);
+    if (checks.includes('quiet_hours') && quietLeft > 0) return suppress('quiet_hours', now + quietLeft * 60000);
+
+    const today = deliveries.filter(d => localTime(Date.parse(d.occurred_at), policy.timezone).date === local.date);
+    if (checks.includes('daily_budget') && today.length >= policy.daily_budget) {
+      // Next local midnight
+      return suppress('daily_budget', now + (24 * 60 - local.minutes) * 60000);
+    }
+
+    const forPattern = deliveries.filter(d => d.pattern === pattern);
+    if (checks.includes('pattern_cooldown') && forPattern.length > 0) {
+      const dismissals = forPattern.findIndex(d => d.outcome !== 'dismissed');
+      const streak = dismissals === -1 ? forPattern.length : dismissals;
+      const cooldownMs = Math.min(policy.cooldown_minutes * 60000 * 2 ** streak, MAX_DECAY_MS);
+      const readyAt = Date.parse(forPattern[0].occurred_at) + cooldownMs;
+      if (readyAt > now) return suppress(streak > 0 ? 'dismissal_decay' : 'pattern_cooldown', readyAt);
+    }
+
+    const windowMs = policy.pattern_window_hours * HOUR_MS;
+    const inWindow = forPattern.filter(d => Date.parse(d.occurred_at) > now - windowMs);
+    if (checks.includes('pattern_cap') && inWindow.length >= policy.pattern_cap) {
+      return suppress('pattern_cap', Date.parse(inWindow[inWindow.length - 1].occurred_at) + windowMs);
+    }
+
+    return { allowed: true };
+  }
+
+  async recordDelivery({ userId, pattern, severity, trackingId, source } = {}) {
+    await this.log({
+      user_id: userId,
+      pattern,
+      severity: severity || null,
+      status: 'delivered',
+      reason: null,
+      retry_at: null,
+      source: source || null,
+      tracking_id: trackingId || null
+    });
+  }
+
+  // outcome: 'dismissed' extends the pattern's cooldown, 'acknowledged' resets it
+  async recordOutcome(userId, trackingId, outcome) {
+    if (!INTERVENTION_OUTCOMES.includes(outcome)) {
+      throw new Error(`Unknown intervention outcome: ${outcome}`);
+    }
+    return this.store.recordOutcome(userId, trackingId, outcome, new Date(this.now()).toISOString());
+  }
+
+  async log(event) {
+    try {
+      await this.store.recordEvent({ ...event, occurred_at: new Date(this.now()).toISOString() });
+    } catch (error) {
+      // A lost log line must not block or duplicate the intervention
+      console.error('Failed to log intervention frequency event:', error);
+    }
+  }
+}
@@ -0,0 +1,169 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  CLIENT_RULE_CHECKS,
+  FrequencyGovernor,
+  InMemoryFrequencyStore,
+  parseQuietHours
+} from './frequency-caps.js';
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const iso = (timestamp) => new Date(timestamp).toISOString();
+
+const POLICY = {
+  daily_budget: 10,
+  pattern_cap: 10,
+  pattern_window_hours: 24,
+  cooldown_minutes: 0,
+  quiet_hours: 'off',
+  timezone: 'UTC'
+};
+
+// evaluate() at a fixed time with a resolved policy
+function evaluateAt(now, policy, pattern, deliveries) {
+  const governor = new FrequencyGovernor({ now: () => Date.parse(now) });
+  const resolved = { ...POLICY, ...policy };
+  return governor.evaluate({ ...resolved, quiet: parseQuietHours(resolved.quiet_hours) }, pattern, deliveries);
+}
+
+describe('FrequencyGovernor.evaluate', () => {
+  it('keeps quiet hours that wrap past midnight', () => {
+    const policy = { quiet_hours: '22:00-08:00' };
+
+    expect(evaluateAt('2026-01-01T23:30:00Z', policy, 'hesitation', []))
+      .toEqual({ allowed: false, reason: 'quiet_hours', retry_at: '2026-01-02T08:00:00.000Z' });
+    expect(evaluateAt('2026-01-02T07:59:00Z', policy, 'hesitation', []))
+      .toEqual({ allowed: false, reason: 'quiet_hours', retry_at: '2026-01-02T08:00:00.000Z' });
+    expect(evaluateAt('2026-01-02T08:00:00Z', policy, 'hesitation', [])).toEqual({ allowed: true });
+    expect(evaluateAt('2026-01-02T21:59:00Z', policy, 'hesitation', [])).toEqual({ allowed: true });
+  });
+
+  it('resets the daily budget at local midnight', () => {
+    // New York is UTC-5 in January; both deliveries fall on January 1st there
+    const policy = { daily_budget: 1, timezone: 'America/New_York' };
+    const deliveries = [
+      { pattern: 'uncertainty', occurred_at: '2026-01-02T03:00:00.000Z' },
+      { pattern: 'distraction', occurred_at: '2026-01-01T15:00:00.000Z' }
+    ];
+
+    expect(evaluateAt('2026-01-02T04:30:00Z', policy, 'hesitation', deliveries))
+      .toEqual({ allowed: false, reason: 'daily_budget', retry_at: '2026-01-02T05:00:00.000Z' });
+    // Already January 2nd in UTC at 03:00, but not in New York
+    expect(evaluateAt('2026-01-02T05:30:00Z', policy, 'hesitation', deliveries)).toEqual({ allowed: true });
+  });
+
+  it('doubles the cooldown for every dismissal in a row', () => {
+    const now = Date.parse('2026-01-01T12:00:00Z');
+    const policy = { cooldown_minutes: 60 };
+    const at = (minutesAgo, outcome = null) => ({ pattern: 'hesitation', occurred_at: iso(now - minutesAgo * MINUTE), outcome });
+
+    expect(evaluateAt(iso(now), policy, 'hesitation', [at(30)]))
+      .toEqual({ allowed: false, reason: 'pattern_cooldown', retry_at: iso(now + 30 * MINUTE) });
+    expect(evaluateAt(iso(now), policy, 'hesitation', [at(90)])).toEqual({ allowed: true });
+    expect(evaluateAt(iso(now), policy, 'hesitation', [at(90, 'dismissed')]))
+      .toEqual({ allowed: false, reason: 'dismissal_decay', retry_at: iso(now + 30 * MINUTE) });
+    expect(evaluateAt(iso(now), policy, 'hesitation', [at(90, 'dismissed'), at(300, 'dismissed')]))
+      .toEqual({ allowed: false, reason: 'dismissal_decay', retry_at: iso(now + 150 * MINUTE) });
+    // An acknowledgement ends the streak
+    expect(evaluateAt(iso(now), policy, 'hesitation', [at(90, 'acknowledged'), at(300, 'dismissed')]))
+      .toEqual({ allowed: true });
+    // Other patterns don't count
+    expect(evaluateAt(iso(now), policy, 'uncertainty', [at(30)])).toEqual({ allowed: true });
+  });
+
+  it('caps each pattern in a rolling window', () => {
+    const now = Date.parse('2026-01-01T12:00:00Z');
+    const policy = { pattern_cap: 2 };
+    const at = (hoursAgo) => ({ pattern: 'hesitation', occurred_at: iso(now - hoursAgo * HOUR) });
+
+    expect(evaluateAt(iso(now), policy, 'hesitation', [at(2), at(20)]))
+      .toEqual({ allowed: false, reason: 'pattern_cap', retry_at: iso(now + 4 * HOUR) });
+    expect(evaluateAt(iso(now), policy, 'hesitation', [at(2), at(25)])).toEqual({ allowed: true });
+  });
+});
+
+describe('FrequencyGovernor.resolvePolicy', () => {
+  it('takes the client timezone only as a valid fallback to the stored one', async () => {
+    const store = new InMemoryFrequencyStore({ user_1: { timezone: 'Europe/Berlin' } });
+    const governor = new FrequencyGovernor({ store, policy: POLICY });
+
+    expect((await governor.resolvePolicy('user_1', 'America/New_York')).timezone).toBe('Europe/Berlin');
+    expect((await governor.resolvePolicy('user_2', 'America/New_York')).timezone).toBe('America/New_York');
+    expect((await governor.resolvePolicy('user_2', 'Mars/Olympus')).timezone).toBe('UTC');
+  });
+});
+
+describe('FrequencyGovernor.admit', () => {
+  const NOW = Date.parse('2026-01-01T12:00:00Z');
+  const createGovernor = (policy = {}) => {
+    const store = new InMemoryFrequencyStore();
+    const governor = new FrequencyGovernor({ store, now: () => NOW, policy: { ...POLICY, ...policy } });
+    return { store, governor };
+  };
+
+  it('logs the delivery under a fresh tracking id', async () => {
+    const { store, governor } = createGovernor();
+
+    const first = await governor.admit({ userId: 'user_1', pattern: 'hesitation', severity: 'high', source: 'realtime' });
+    const second = await governor.admit({ userId: 'user_1', pattern: 'hesitation', severity: 'high', source: 'realtime' });
+
+    expect(first.allowed).toBe(true);
+    expect(first.tracking_id).toEqual(expect.any(String));
+    expect(second.tracking_id).not.toBe(first.tracking_id);
+    expect(store.events.map(event => [event.status, event.tracking_id])).toEqual([
+      ['delivered', first.tracking_id],
+      ['delivered', second.tracking_id]
+    ]);
+  });
+
+  it('judges the reviewed intervention, so support goes through a full cap', async () => {
+    const { store, governor } = createGovernor({ pattern_cap: 1 });
+    await governor.admit({ userId: 'user_1', pattern: 'hesitation', severity: 'high' });
+
+    const capped = await governor.admit({ userId: 'user_1', pattern: 'hesitation', severity: 'high', intervention: { severity: 'high' } });
+    const support = await governor.admit({ userId: 'user_1', pattern: 'hesitation', severity: 'high', intervention: { severity: 'support' } });
+
+    expect(capped).toMatchObject({ allowed: false, reason: 'pattern_cap' });
+    expect(capped.tracking_id).toBeUndefined();
+    expect(support.allowed).toBe(true);
+    expect(store.events.map(event => [event.status, event.severity])).toEqual([
+      ['delivered', 'high'],
+      ['suppressed', 'high'],
+      ['delivered', 'support']
+    ]);
+  });
+
+  it('applies only quiet hours and the budget to client rules', async () => {
+    const { governor } = createGovernor({ pattern_cap: 1, cooldown_minutes: 60, daily_budget: 2 });
+    const rule = { userId: 'user_1', pattern: 'hesitation', source: 'client_rule', checks: CLIENT_RULE_CHECKS };
+
+    expect((await governor.admit(rule)).allowed).toBe(true);
+    expect((await governor.admit(rule)).allowed).toBe(true);
+    expect(await governor.admit(rule)).toMatchObject({ allowed: false, reason: 'daily_budget' });
+  });
+});
+
+describe('FrequencyGovernor.clientAllowance', () => {
+  it('lists the coming quiet periods and what is left of the budget', async () => {
+    const now = Date.parse('2026-01-01T12:00:00Z');
+    const governor = new FrequencyGovernor({
+      now: () => now,
+      policy: { ...POLICY, daily_budget: 5, quiet_hours: '22:00-08:00' }
+    });
+    const policy = await governor.resolvePolicy('user_1');
+    const deliveries = [
+      { pattern: 'hesitation', occurred_at: '2026-01-01T09:00:00.000Z' },
+      { pattern: 'hesitation', occurred_at: '2025-12-31T20:00:00.000Z' }
+    ];
+
+    expect(governor.clientAllowance(policy, deliveries, { admitted: 1 })).toEqual({
+      quiet: [
+        { start: Date.parse('2026-01-01T22:00:00Z'), end: Date.parse('2026-01-02T08:00:00Z') },
+        { start: Date.parse('2026-01-02T22:00:00Z'), end: Date.parse('2026-01-03T08:00:00Z') }
+      ],
+      budget_left: 3,
+      day_ends_at: Date.parse('2026-01-02T00:00:00Z'),
+      expires_at: now + 48 * HOUR
+    });
+  });
+});
@@ -18,6 +18,23 @@ import LRU from 'lru-cache';
 
 // Behavioral intelligence engine (no dependencies)
 import { RealTimeBehavioralIntelligence } from './celeste7-real-engine.js';
+import { validatePatternBatch, PatternBatchError } from './client-signals.js';
+import { loadClientRules } from './client-rules.js';
+import { requireAdminKey, requireUser, signStreamTicket, STREAM_TICKET_TTL_MS } from './request-auth.js';
+import {
+  RealtimeHub,
+  RealtimeHubError,
+  UserRefreshScheduler,
+  watchPatternTables,
+  interventionEvent
+} from './realtime-hub.js';
+import {
+  FrequencyGovernor,
+  SupabaseFrequencyStore,
+  INTERVENTION_OUTCOMES,
+  CLIENT_RULE_CHECKS,
+  isValidTimeZone
+} from './frequency-caps.js';
 
 // Brutal interventions (depends on engine types only)
 import { 
@@ -44,7 +61,12 @@ const config = {
   node_env: process.env.NODE_ENV || 'production',
   is_vercel: !!process.env.VERCEL,
   redis_available: !!(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN),
-  allowed_origins: process.env.ALLOWED_ORIGINS?.split(',') || ['*']
+  allowed_origins: process.env.ALLOWED_ORIGINS?.split(',') || ['*'],
+  // Tables whose changes re-run pattern detection for connected users (never pattern_cache)
+  realtime_change_tables: process.env.REALTIME_CHANGE_TABLES?.split(',') ||
+    ['user_messages_categorized', 'task_history', 'user_patterns'],
+  // Tenant whose tone policy applies to browser streams; set by the deployment, never by the client
+  tenant_id: process.env.CELESTE7_TENANT_ID || null
 };
 
 const logger = pino({
@@ -183,6 +205,16 @@ class Celeste7ProductionServer {
     this.interventionGenerator = new BrutalInterventionGenerator();
     this.abTester = new InterventionABTester();
     
+    // Cooldowns, quiet hours and daily budget in front of every intervention we push
+    this.frequencyGovernor = new FrequencyGovernor({
+      store: new SupabaseFrequencyStore(this.queryOptimizer.supabase)
+    });
+    
+    // Rules client-realtime.js runs in the browser
+    this.clientRules = loadClientRules();
+
+    this.initializeRealtime();
+    
     logger.info({
       cache_type: this.cache.isRedis ? 'redis' : 'lru',
       brutal_interventions: 'INTEGRATED',
@@ -190,6 +222,46 @@ class Celeste7ProductionServer {
     }, 'Core systems initialized - ready for war against mediocrity');
   }
 
+  // SSE fan-out: detection runs when a user's data changes, not on a timer per connection
+  initializeRealtime() {
+    this.realtimeHub = new RealtimeHub({ logger });
+    this.realtimeRefresh = new UserRefreshScheduler({
+      run: (userId, options) => this.refreshRealtimePatterns(userId, options),
+      logger
+    });
+    // Last published pattern set per connected user, so unchanged results aren't re-sent
+    this.realtimeSignatures = new Map();
+    // Browser timezone from ?tz=, for quiet hours when the user hasn't stored one
+    this.realtimeTimezones = new Map();
+    // Last message the user sent for analysis, screened for distress before any escalation
+    this.realtimeMessages = new Map();
+
+    this.realtimeHub.on('subscribe', (userId, { first }) => {
+      if (first) this.realtimeRefresh.schedule(userId);
+    });
+    this.realtimeHub.on('idle', (userId) => {
+      this.realtimeRefresh.cancel(userId);
+      this.realtimeSignatures.delete(userId);
+      this.realtimeTimezones.delete(userId);
+      this.realtimeMessages.delete(userId);
+    });
+
+    const supabase = this.queryOptimizer.supabase;
+    if (typeof supabase?.channel !== 'function') {
+      logger.warn('No Supabase realtime client - SSE updates only come from the analyze path');
+      return;
+    }
+    this.patternChangeFeed = watchPatternTables(supabase, {
+      tables: config.realtime_change_tables,
+      logger,
+      onChange: (userId) => {
+        if (this.realtimeHub.hasSubscribers(userId)) {
+          this.realtimeRefresh.schedule(userId, { skipCache: true });
+        }
+      }
+    });
+  }
+
   setupMiddleware() {
     // Security hardened
     this.app.use(helmet({
@@ -219,6 +291,7 @@ class Celeste7ProductionServer {
     // **RATE LIMITING INTEGRATION** - Multi-tier approach
     this.app.use('/api', createRateLimitMiddleware('global')); // 600/min global
     this.app.use('/api/analyze', createRateLimitMiddleware('perUser')); // 60/min per user
+    this.app.use('/api/pattern', createRateLimitMiddleware('perUser')); // client batches every 3s
     this.app.use('/api/realtime', createRateLimitMiddleware('realtime')); // 600/min for SSE
   }
 
@@ -234,6 +307,7 @@ class Celeste7ProductionServer {
       const metrics = {
         performance: performanceMonitor.getMetrics(),
         cache: this.cache.getHealth(),
+        realtime: this.realtimeHub.getStats(),
         interventions: {
           generator_ready: !!this.interventionGenerator,
           ab_tester_ready: !!this.abTester
@@ -260,7 +334,15 @@ class Celeste7ProductionServer {
         brutality_level: 'MAXIMUM',
         endpoints: {
           analyze: 'POST /api/analyze (handled by separate endpoint)',
-          realtime: 'GET /api/realtime/:userId',
+          realtime: 'GET /api/realtime/:userId?ticket=',
+          realtimeTicket: 'POST /api/realtime/ticket',
+          pattern: 'POST /api/pattern (client-realtime.js batches)',
+          consent: 'GET /api/consent/:userId, POST /api/consent',
+          clientRules: 'GET /api/client-rules',
+          stylePosteriors: 'GET /api/styles/posteriors?pattern=&severity=',
+          styleOutcome: 'POST /api/styles/outcome',
+          interventionOutcome: 'POST /api/interventions/outcome',
+          clientRuleAdmission: 'POST /api/interventions/client-rule',
           health: 'GET /health',
           metrics: 'GET /metrics',
           client: 'GET /client.js'
@@ -268,81 +350,352 @@ class Celeste7ProductionServer {
       });
     });
 
-    // Server-Sent Events for real-time on Vercel (Agent #1's solution)
-    this.app.get('/api/realtime/:userId', (req, res) => {
-      res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'X-Accel-Buffering': 'no'
-      });
+    // Style bandit posteriors: one row per (pattern, severity, style) arm. Operator-only (x-admin-key).
+    this.app.get('/api/styles/posteriors', requireAdminKey, async (req, res) => {
+      try {
+        const arms = await this.abTester.getStylePosteriors({
+          pattern: req.query.pattern,
+          severity: req.query.severity
+        });
+        res.json({ success: true, algorithm: 'thompson_sampling', arms });
+      } catch (error) {
+        logger.error({ error }, 'Failed to load style posteriors');
+        res.status(500).json({ success: false, error: 'Failed to load style posteriors' });
+      }
+    });
+
+    // Measured outcome of a styled intervention -> bandit update. Operator-only (x-admin-key).
+    this.app.post('/api/styles/outcome', requireAdminKey, async (req, res) => {
+      const { pattern, severity, style, effectiveness_score } = req.body || {};
+
+      if (!pattern || !style || typeof effectiveness_score !== 'number') {
+        return res.status(400).json({
+          success: false,
+          error: 'pattern, style and a numeric effectiveness_score are required'
+        });
+      }
+      if (!this.abTester.styles.includes(style)) {
+        return res.status(400).json({ success: false, error: `Unknown style: ${style}` });
+      }
+
+      try {
+        await this.abTester.recordStyleOutcome({
+          pattern,
+          severity: severity || 'medium',
+          style,
+          effectivenessScore: effectiveness_score
+        });
+        res.json({ success: true });
+      } catch (error) {
+        logger.error({ error, pattern, style }, 'Failed to record style outcome');
+        res.status(500).json({ success: false, error: 'Failed to record style outcome' });
+      }
+    });
+
+    // How the user answered a delivered intervention; dismissals stretch that pattern's cooldown
+    this.app.post('/api/interventions/outcome', requireUser(req => req.body?.userId), async (req, res) => {
+      const { userId } = req;
+      const { tracking_id, outcome } = req.body || {};
+
+      if (typeof tracking_id !== 'string' || !tracking_id) {
+        return res.status(400).json({ success: false, error: 'tracking_id is required' });
+      }
+      if (!INTERVENTION_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({
+          success: false,
+          error: `outcome must be one of ${INTERVENTION_OUTCOMES.join(', ')}`
+        });
+      }
+
+      try {
+        const found = await this.frequencyGovernor.recordOutcome(userId, tracking_id, outcome);
+        if (!found) {
+          return res.status(404).json({ success: false, error: `No delivered intervention ${tracking_id}` });
+        }
+        res.json({ success: true });
+      } catch (error) {
+        logger.error({ error, userId, tracking_id }, 'Failed to record intervention outcome');
+        res.status(500).json({ success: false, error: 'Failed to record intervention outcome' });
+      }
+    });
+
+    // A client rule is about to fire. Quiet hours and the daily budget apply to it as to server
+    // interventions (the rule's own cooldown stands in for the per-pattern caps), and it counts
+    // toward the budget. The allowance is what client-realtime.js falls back on while offline.
+    this.app.post('/api/interventions/client-rule', requireUser(req => req.body?.userId), async (req, res) => {
+      const { userId } = req;
+      const { rule_id, pattern, severity, timezone } = req.body || {};
+
+      if (typeof rule_id !== 'string' || !rule_id) {
+        return res.status(400).json({ success: false, error: 'rule_id is required' });
+      }
+
+      try {
+        const gate = await this.frequencyGovernor.admit({
+          userId,
+          pattern: typeof pattern === 'string' && pattern ? pattern : rule_id,
+          severity: typeof severity === 'string' ? severity : null,
+          timezone,
+          source: 'client_rule',
+          checks: CLIENT_RULE_CHECKS
+        });
+        const allowance = gate.policy && gate.deliveries
+          ? this.frequencyGovernor.clientAllowance(gate.policy, gate.deliveries, { admitted: gate.allowed ? 1 : 0 })
+          : null;
+
+        res.json({
+          success: true,
+          allowed: gate.allowed,
+          tracking_id: gate.tracking_id || null,
+          suppressed: gate.allowed ? null : { reason: gate.reason, retry_at: gate.retry_at },
+          allowance
+        });
+      } catch (error) {
+        logger.error({ error, userId, rule_id }, 'Failed to admit client rule intervention');
+        res.status(500).json({ success: false, error: 'Failed to check intervention caps' });
+      }
+    });
 
-      const userId = req.params.userId;
-      let patternCheckInterval;
+    // Client-side signals from client-realtime.js: pattern batches every 3s, or a manual
+    // message analysis (eventType: 'message_analysis'). Consent says what may be stored; the user
+    // token says who is sending it.
+    this.app.post('/api/pattern', requireUser(req => req.body?.userId), async (req, res) => {
+      if (req.body?.eventType === 'message_analysis') {
+        const { userId } = req;
+        const { eventData } = req.body;
+        if (typeof eventData?.text !== 'string') {
+          return res.status(400).json({ success: false, error: 'eventData.text is required' });
+        }
 
-      // **EXACT BRUTAL-INTERVENTIONS INTEGRATION**
-      patternCheckInterval = setInterval(async () => {
         try {
-          // 1. Detect patterns using optimized queries
-          const patterns = await this.queryOptimizer.detectAllPatternsBrutally(userId);
-          
-          if (patterns.patterns && patterns.patterns.length > 0) {
-            const criticalPattern = patterns.patterns.find(p => p.severity === 'critical');
-            
-            if (criticalPattern) {
-              // 2. Get user's resistance level for escalation
-              const resistanceLevel = await this.getUserResistanceLevel(userId);
-              
-              // 3. Generate brutal intervention using THE CROWN JEWEL
-              const intervention = await this.interventionGenerator.generateIntervention(
-                criticalPattern,           // Pattern detected
-                criticalPattern.evidence,  // Real financial data
-                { userId },               // User context
-                resistanceLevel           // Escalation level
-              );
-
-              // 4. Track intervention delivery for A/B testing
-              await this.abTester.trackInterventionDelivery(userId, intervention, criticalPattern);
-
-              // 5. Send brutal truth to client
-              res.write(`data: ${JSON.stringify({
-                type: 'intervention',
-                pattern: criticalPattern.pattern_type,
-                severity: criticalPattern.severity,
-                confidence: criticalPattern.confidence,
-                estimated_cost: criticalPattern.estimated_cost,
-                intervention: intervention.intervention,
-                directive: intervention.directive,
-                tracking_id: intervention.tracking_id,
-                resistance_level: resistanceLevel,
-                timestamp: Date.now()
-              })}\n\n`);
-            } else {
-              // Non-critical patterns - just notify
-              res.write(`data: ${JSON.stringify({
-                type: 'pattern_detected',
-                patterns: patterns.patterns,
-                timestamp: Date.now()
-              })}\n\n`);
-            }
-          }
+          const analysis = await this.intelligence.analyzeUser(userId, eventData.text);
+          if (this.realtimeHub.hasSubscribers(userId)) this.realtimeMessages.set(userId, eventData.text);
+          this.realtimeRefresh.schedule(userId, { skipCache: true });
+          return res.json({ success: true, ...await this.capAnalysisIntervention(userId, analysis, eventData) });
         } catch (error) {
-          logger.error({ error, userId }, 'SSE pattern check failed');
+          logger.error({ error, userId }, 'Manual message analysis failed');
+          return res.status(500).json({ success: false, error: 'Analysis failed' });
         }
-      }, 2000);
-
-      // Heartbeat every 30s
-      const heartbeat = setInterval(() => {
-        res.write(':heartbeat\n\n');
-      }, 30000);
-
-      // Cleanup on disconnect
-      req.on('close', () => {
-        clearInterval(patternCheckInterval);
-        clearInterval(heartbeat);
-        logger.debug({ userId }, 'SSE connection closed');
+      }
+
+      let batch;
+      try {
+        batch = validatePatternBatch(req.body);
+      } catch (error) {
+        if (!(error instanceof PatternBatchError)) throw error;
+        return res.status(400).json({ success: false, error: error.message, details: error.details });
+      }
+
+      try {
+        const result = batch.patterns.length > 0
+          ? await this.intelligence.ingestClientSignals(batch)
+          : { accepted: 0, duplicates: 0, unconsented: [], session: null };
+        const rejected = [...batch.rejected, ...result.unconsented].sort((a, b) => a.index - b.index);
+        if (result.accepted > 0 && this.realtimeHub.hasSubscribers(batch.userId)) {
+          this.realtimeRefresh.schedule(batch.userId);
+        }
+
+        logger.debug({
+          userId: batch.userId,
+          connectionId: batch.connectionId,
+          accepted: result.accepted,
+          duplicates: result.duplicates,
+          rejected: rejected.length,
+          unconsented: result.unconsented.length
+        }, 'Client patterns ingested');
+
+        // Nothing in the batch was consented to
+        if (result.unconsented.length > 0 && result.unconsented.length === batch.patterns.length) {
+          return res.status(403).json({
+            success: false,
+            error: 'No consent for these signals',
+            details: rejected
+          });
+        }
+
+        res.json({
+          success: true,
+          accepted: result.accepted,
+          duplicates: result.duplicates,
+          rejected,
+          session: result.session
+        });
+      } catch (error) {
+        logger.error({ error, userId: batch.userId }, 'Failed to ingest client patterns');
+        res.status(500).json({ success: false, error: 'Failed to store patterns' });
+      }
+    });
+
+    // Client-side intervention rules; clients send If-None-Match with the version they cached
+    this.app.get('/api/client-rules', (req, res) => {
+      const { version, rules } = this.clientRules;
+      res.setHeader('ETag', `"${version}"`);
+      res.setHeader('Cache-Control', 'no-cache');
+
+      if (req.get('If-None-Match') === `"${version}"`) {
+        return res.status(304).end();
+      }
+      res.json({ success: true, version, rules: rules.filter(rule => rule.enabled) });
+    });
+
+    // Telemetry consent per user: categories from CONSENT_CATEGORIES in client-signals.js.
+    // Only the user themselves can read or change it (user token; see request-auth.js).
+    this.app.get('/api/consent/:userId', requireUser(req => req.params.userId), async (req, res) => {
+      try {
+        const categories = await this.intelligence.clientSignals.getConsent(req.params.userId);
+        res.json({ success: true, userId: req.params.userId, categories });
+      } catch (error) {
+        logger.error({ error, userId: req.params.userId }, 'Failed to load consent');
+        res.status(500).json({ success: false, error: 'Failed to load consent' });
+      }
+    });
+
+    this.app.post('/api/consent', requireUser(req => req.body?.userId), async (req, res) => {
+      const { userId, categories } = req.body || {};
+      if (typeof userId !== 'string' || !userId) {
+        return res.status(400).json({ success: false, error: 'userId is required' });
+      }
+
+      try {
+        const granted = await this.intelligence.clientSignals.setConsent(userId, categories);
+        logger.info({ userId, categories: granted }, 'Telemetry consent updated');
+        res.json({ success: true, userId, categories: granted });
+      } catch (error) {
+        if (error instanceof PatternBatchError) {
+          return res.status(400).json({ success: false, error: error.message, details: error.details });
+        }
+        logger.error({ error, userId }, 'Failed to save consent');
+        res.status(500).json({ success: false, error: 'Failed to save consent' });
+      }
+    });
+
+    // EventSource can't send the user token, so the page trades it for a one-minute ticket first
+    this.app.post('/api/realtime/ticket', requireUser(req => req.body?.userId), (req, res) => {
+      res.json({ success: true, ticket: signStreamTicket(req.userId), expires_in: STREAM_TICKET_TTL_MS / 1000 });
+    });
+
+    // Server-Sent Events for real-time on Vercel (Agent #1's solution). The stream only carries
+    // what the hub publishes; reconnecting clients send Last-Event-ID (or ?lastEventId=) to catch up.
+    this.app.get('/api/realtime/:userId', requireUser(req => req.params.userId, { ticket: true }), (req, res) => {
+      const { userId } = req;
+      // Only a hint: a stored timezone preference still wins in FrequencyGovernor.resolvePolicy
+      if (isValidTimeZone(req.query.tz)) this.realtimeTimezones.set(userId, req.query.tz);
+
+      try {
+        this.realtimeHub.subscribe(userId, req, res, {
+          lastEventId: req.get('Last-Event-ID') || req.query.lastEventId
+        });
+      } catch (error) {
+        if (!(error instanceof RealtimeHubError)) throw error;
+        logger.warn({ userId, code: error.code }, 'SSE connection rejected');
+        res.setHeader('Retry-After', '30');
+        res.status(error.status).json({ success: false, error: error.message, code: error.code });
+      }
+    });
+  }
+
+  // Message analysis answers every message; only let the intervention through when the caps allow
+  async capAnalysisIntervention(userId, analysis, eventData) {
+    const primary = analysis.patterns?.[0];
+    if (!analysis.should_intervene || !primary) return analysis;
+
+    // The engine's tracking id is kept, so its own delivery records line up with the frequency log
+    const gate = await this.frequencyGovernor.admit({
+      userId,
+      pattern: primary.type,
+      severity: primary.severity,
+      intervention: analysis.intervention,
+      timezone: eventData.timezone,
+      source: 'message_analysis',
+      ...(analysis.intervention?.tracking_id && { trackingId: analysis.intervention.tracking_id })
+    });
+    if (!gate.allowed) {
+      return {
+        ...analysis,
+        intervention: null,
+        should_intervene: false,
+        suppressed: { reason: gate.reason, retry_at: gate.retry_at }
+      };
+    }
+
+    return analysis.intervention && typeof analysis.intervention === 'object'
+      ? { ...analysis, intervention: { ...analysis.intervention, tracking_id: gate.tracking_id } }
+      : analysis;
+  }
+
+  // **EXACT BRUTAL-INTERVENTIONS INTEGRATION** - one detection per change, fanned out to every
+  // connection the user has open
+  async refreshRealtimePatterns(userId, { skipCache = false } = {}) {
+    if (!this.realtimeHub.hasSubscribers(userId)) return;
+
+    // 1. Detect patterns using optimized queries
+    const patterns = await this.queryOptimizer.detectAllPatternsBrutally(userId, { skipCache });
+    if (!patterns.patterns || patterns.patterns.length === 0) return;
+
+    const signature = patterns.patterns
+      .map(p => `${p.pattern_type}:${p.severity}`)
+      .sort()
+      .join('|');
+    // Remembered only once something went out, so a failed refresh is retried on the next change
+    if (this.realtimeSignatures.get(userId) === signature) return;
+
+    const criticalPattern = patterns.patterns.find(p => p.severity === 'critical');
+    if (!criticalPattern) {
+      // Non-critical patterns - just notify
+      this.realtimeHub.publish(userId, {
+        type: 'pattern_detected',
+        patterns: patterns.patterns,
+        timestamp: Date.now()
       });
+      this.realtimeSignatures.set(userId, signature);
+      return;
+    }
+
+    // Get user's resistance level for escalation
+    const resistanceLevel = await this.getUserResistanceLevel(userId);
+
+    // 2. Generate brutal intervention using THE CROWN JEWEL
+    const intervention = await this.interventionGenerator.generateIntervention(
+      criticalPattern,           // Pattern detected
+      criticalPattern.evidence,  // Real financial data
+      {                          // User context; tone policy and distress screening
+        userId,
+        tenantId: config.tenant_id,
+        lastMessage: this.realtimeMessages.get(userId)
+      },
+      resistanceLevel           // Escalation level
+    );
+
+    // 3. Frequency caps, after tone review so a supportive response is never held back. A capped
+    // intervention is logged as suppressed and only the patterns go out; a sent one gets a
+    // tracking id.
+    const gate = await this.frequencyGovernor.admit({
+      userId,
+      pattern: criticalPattern.pattern_type,
+      severity: criticalPattern.severity,
+      intervention,
+      timezone: this.realtimeTimezones.get(userId),
+      source: 'realtime'
     });
+    if (!gate.allowed) {
+      // Signature left unset: re-evaluate on the next change even if the pattern set stays the same
+      this.realtimeHub.publish(userId, {
+        type: 'pattern_detected',
+        patterns: patterns.patterns,
+        suppressed: { reason: gate.reason, retry_at: gate.retry_at },
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    // 4. Send brutal truth to every open tab
+    this.realtimeHub.publish(userId, interventionEvent({
+      pattern: criticalPattern,
+      intervention,
+      trackingId: gate.tracking_id,
+      resistanceLevel
+    }));
+    this.realtimeSignatures.set(userId, signature);
   }
 
   setupErrorHandling() {
@@ -446,6 +799,11 @@ class Celeste7ProductionServer {
 
   async shutdown(code = 0) {
     logger.info('Shutting down gracefully...');
+
+    // Open SSE streams would keep server.close() waiting
+    this.realtimeRefresh.clear();
+    this.realtimeHub.close();
+    this.patternChangeFeed?.unsubscribe();
     
     if (this.server) {
       this.server.close(() => {
@@ -477,7 +835,7 @@ class Celeste7ProductionServer {
         '✅ Intervention engine: CROWN JEWEL INTEGRATED',
         '✅ A/B testing: RESISTANCE TRACKING',
         '✅ Cache layer: ' + (this.cache.isRedis ? 'REDIS' : 'LRU FALLBACK'),
-        '✅ Real-time: SSE (Vercel compatible)',
+        '✅ Real-time: SSE hub, change-feed driven (Vercel compatible)',
         '✅ Memory: 512MB optimized',
         '✅ Target: <200ms response time',
         '🎯 READY TO MAKE ENTREPRENEURS UNCOMFORTABLE THEN SUCCESSFUL'
@@ -6,6 +6,7 @@
 import pino from 'pino';
 import { getPooler } from './vercel-connection-pooler.js';
 import pLimit from 'p-limit';
+import { sharedCalibration, recordPredictions } from './confidence-calibration.js';
 
 const logger = pino({ name: 'pattern-queries-optimized' });
 
@@ -24,18 +25,22 @@ export class BrutalQueryOptimizer {
     
     // Financial data cache (static, updates daily)
     this.financialComparisons = this.loadFinancialComparisons();
+    
+    // Raw detector scores -> probabilities fitted on verified outcomes
+    this.calibration = sharedCalibration();
   }
 
   // ============================================
   // DETECT ALL PATTERNS WITH PROPER LIMITS
   // ============================================
 
-  async detectAllPatternsBrutally(userId) {
+  // skipCache: the caller knows the user's data just changed (realtime change feed)
+  async detectAllPatternsBrutally(userId, { skipCache = false } = {}) {
     const start = Date.now();
     
     try {
       // Check cache first (30 second expiry on Vercel)
-      const cached = await this.getCachedPatterns(userId);
+      const cached = skipCache ? null : await this.getCachedPatterns(userId);
       if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
         logger.debug({ userId, cacheAge: Date.now() - cached.timestamp }, 'Using cached patterns');
         return cached.data;
@@ -60,6 +65,11 @@ export class BrutalQueryOptimizer {
 
       const totalTime = Date.now() - start;
 
+      // Every scored detection, not only those over the threshold: calibration needs the misses too
+      const scored = patterns.filter(p => p.status === 'fulfilled' && p.value).map(p => p.value);
+      recordPredictions(this.supabase, userId, scored, { detector: 'BrutalQueryOptimizer' })
+        .catch(error => logger.warn({ error, userId }, 'Failed to record predictions'));
+
       // Filter and sort valid patterns
       const detectedPatterns = patterns
         .filter(p => p.status === 'fulfilled' && p.value && p.value.confidence > 0.7)
@@ -115,10 +125,13 @@ export class BrutalQueryOptimizer {
       const costOfBullshit = (metrics.total_delay_days || 0) * dailyBurn;
 
       const queryTime = Date.now() - start;
+      const rawConfidence = Math.min((metrics.total_delay_days || 0) / 30, 0.95);
 
       return {
         pattern_type: 'procrastination',
-        confidence: Math.min((metrics.total_delay_days || 0) / 30, 0.95),
+        confidence: this.calibration.calibrate('procrastination_query', rawConfidence),
+        raw_confidence: rawConfidence,
+        confidence_source: 'procrastination_query',
         severity: metrics.total_delay_days > 60 ? 'critical' : 'high',
         evidence: {
           total_delay_days: metrics.total_delay_days || 0,
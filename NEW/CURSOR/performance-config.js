@@ -3,6 +3,8 @@
 
 import pino from 'pino';
 import LRUCache from 'lru-cache';
+import { FALLBACK_RULES, detectWithFallbackRules } from './fallback-rules.js';
+import { sharedCalibration } from './confidence-calibration.js';
 
 const logger = pino({ name: 'performance-config' });
 
@@ -474,23 +476,9 @@ export class HuggingFaceFallback {
   }
 
   initializeFallbacks() {
-    // Rule-based pattern detection fallbacks
-    this.fallbackResponses.set('procrastination', {
-      keywords: ['tomorrow', 'later', 'when i', 'maybe', 'planning', 'thinking about'],
-      confidence: 0.8,
-      pattern: 'PROCRASTINATION_DETECTED'
-    });
-    
-    this.fallbackResponses.set('pricing_cowardice', {
-      keywords: ['too expensive', 'cheap', 'free', 'discount', 'price point'],
-      confidence: 0.7,
-      pattern: 'PRICING_FEAR_DETECTED'
-    });
-    
-    this.fallbackResponses.set('execution_paralysis', {
-      keywords: ['perfect', 'research', 'more info', 'not ready', 'need to'],
-      confidence: 0.75,
-      pattern: 'EXECUTION_PARALYSIS_DETECTED'
+    // Rule-based pattern detection fallbacks (fallback-rules.js)
+    Object.entries(FALLBACK_RULES).forEach(([patternType, rule]) => {
+      this.fallbackResponses.set(patternType, rule);
     });
   }
 
@@ -516,24 +504,16 @@ export class HuggingFaceFallback {
   }
 
   fallbackDetection(message, patternType) {
-    const fallback = this.fallbackResponses.get(patternType);
-    if (!fallback) return null;
-    
-    const messageLower = message.toLowerCase();
-    const matches = fallback.keywords.filter(keyword => 
-      messageLower.includes(keyword)
-    );
-    
-    if (matches.length > 0) {
-      return {
-        pattern: fallback.pattern,
-        confidence: fallback.confidence * (matches.length / fallback.keywords.length),
-        method: 'FALLBACK_RULES',
-        keywords_matched: matches
-      };
-    }
+    const result = detectWithFallbackRules(message, this.fallbackResponses.get(patternType));
+    if (!result) return result;
     
-    return null;
+    // Keyword share is not a probability; calibrate it against verified outcomes
+    return {
+      ...result,
+      confidence: sharedCalibration().calibrate('fallback_rules', result.confidence),
+      raw_confidence: result.confidence,
+      confidence_source: 'fallback_rules'
+    };
   }
 
   async huggingFaceDetection(message, patternType) {
@@ -0,0 +1,347 @@
+// CELESTE7 REALTIME HUB
+// Fan-out for GET /api/realtime/:userId. Pattern changes are published once per user (from the
+// Supabase change feed or the analyze path) and written to every open SSE connection for that user.
+//
+// - Event ids increase across users and restarts, so a reconnecting client sends Last-Event-ID
+//   (header or ?lastEventId=) and gets the events it missed from a short per-user replay buffer.
+// - Connections per user and in total are capped. Over the cap the request gets a 429/503 instead
+//   of a stream: evicting an older tab would just make it reconnect and evict the next one.
+// - A connection whose socket stops draining queues a few frames, then is closed; the client
+//   reconnects and catches up from the replay buffer.
+
+import { EventEmitter } from 'events';
+import { LRUCache } from 'lru-cache';
+
+export const REALTIME_DEFAULTS = {
+  maxConnectionsPerUser: 5,
+  maxConnections: 2000,
+  replayLimit: 50,         // events kept per user for Last-Event-ID catch-up
+  replayTtlMs: 5 * 60 * 1000,
+  maxQueuedFrames: 100,    // frames held for a congested connection before it is dropped
+  heartbeatMs: 30000,
+  retryMs: 3000            // reconnect delay suggested to EventSource
+};
+
+export class RealtimeHubError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = 'RealtimeHubError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// Frames without an id leave the client's Last-Event-ID where it was
+export function formatEvent(id, data) {
+  const idLine = id === null ? '' : `id: ${id}\n`;
+  return `${idLine}data: ${JSON.stringify(data)}\n\n`;
+}
+
+// The 'intervention' event for a detected pattern. The text comes from the generator as it
+// returned it (message, directive); a supportive response from tone review also brings its
+// crisis resources.
+export function interventionEvent({ pattern, intervention, trackingId, resistanceLevel, timestamp = Date.now() }) {
+  return {
+    type: 'intervention',
+    pattern: pattern.pattern_type,
+    severity: pattern.severity,
+    confidence: pattern.confidence,
+    estimated_cost: pattern.estimated_cost,
+    message: intervention.message,
+    directive: intervention.directive,
+    ...(intervention.safe_response && { safe_response: true, resources: intervention.resources || [] }),
+    tracking_id: trackingId,
+    resistance_level: resistanceLevel,
+    timestamp
+  };
+}
+
+class SseConnection {
+  constructor({ id, userId, res, maxQueuedFrames, onOverflow }) {
+    this.id = id;
+    this.userId = userId;
+    this.res = res;
+    this.maxQueuedFrames = maxQueuedFrames;
+    this.onOverflow = onOverflow;
+    this.queue = [];
+    this.congested = false;
+    this.closed = false;
+    this.openedAt = Date.now();
+
+    this.onDrain = () => this.flush();
+    res.on('drain', this.onDrain);
+  }
+
+  // Writes now, or queues until the socket drains
+  send(frame) {
+    if (this.closed) return false;
+    if (this.congested) {
+      if (this.queue.length >= this.maxQueuedFrames) {
+        this.onOverflow(this);
+        return false;
+      }
+      this.queue.push(frame);
+      return true;
+    }
+
+    this.congested = !this.res.write(frame);
+    return true;
+  }
+
+  flush() {
+    this.congested = false;
+    while (this.queue.length > 0 && !this.congested && !this.closed) {
+      this.congested = !this.res.write(this.queue.shift());
+    }
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.queue = [];
+    this.res.off('drain', this.onDrain);
+    this.res.end();
+  }
+}
+
+// Events: 'subscribe' (userId, { first }) and 'idle' (userId) when a user's last connection closes
+export class RealtimeHub extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.maxConnectionsPerUser = options.maxConnectionsPerUser
+      || envInt('REALTIME_MAX_CONNECTIONS_PER_USER', REALTIME_DEFAULTS.maxConnectionsPerUser);
+    this.maxConnections = options.maxConnections
+      || envInt('REALTIME_MAX_CONNECTIONS', REALTIME_DEFAULTS.maxConnections);
+    this.replayLimit = options.replayLimit || REALTIME_DEFAULTS.replayLimit;
+    this.maxQueuedFrames = options.maxQueuedFrames || REALTIME_DEFAULTS.maxQueuedFrames;
+    this.heartbeatMs = options.heartbeatMs || REALTIME_DEFAULTS.heartbeatMs;
+    this.retryMs = options.retryMs || REALTIME_DEFAULTS.retryMs;
+    this.logger = options.logger || null;
+    this.now = options.now || (() => Date.now());
+
+    this.users = new Map(); // userId -> Set<SseConnection>
+    this.connectionCount = 0;
+    this.nextConnectionId = 1;
+    // Seeded from the clock so ids keep increasing across restarts
+    this.lastEventId = this.now() * 1000;
+    this.replay = new LRUCache({ max: 10000, ttl: options.replayTtlMs || REALTIME_DEFAULTS.replayTtlMs });
+    this.stats = { published: 0, delivered: 0, replayed: 0, rejected: 0, dropped_slow: 0 };
+    this.heartbeat = null;
+  }
+
+  hasSubscribers(userId) {
+    return this.users.has(userId);
+  }
+
+  // Checks the limits and opens the stream. Throws RealtimeHubError before any headers are sent.
+  subscribe(userId, req, res, { lastEventId } = {}) {
+    const existing = this.users.get(userId);
+    if (existing && existing.size >= this.maxConnectionsPerUser) {
+      this.stats.rejected++;
+      throw new RealtimeHubError('too_many_connections',
+        `At most ${this.maxConnectionsPerUser} realtime connections per user`, 429);
+    }
+    if (this.connectionCount >= this.maxConnections) {
+      this.stats.rejected++;
+      throw new RealtimeHubError('server_busy', 'Realtime connection limit reached', 503);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders?.();
+
+    const connection = new SseConnection({
+      id: this.nextConnectionId++,
+      userId,
+      res,
+      maxQueuedFrames: this.maxQueuedFrames,
+      onOverflow: (slow) => this.dropSlow(slow)
+    });
+    const first = !existing;
+    this.users.set(userId, (existing || new Set()).add(connection));
+    this.connectionCount++;
+    this.startHeartbeat();
+
+    req.on('close', () => this.unsubscribe(connection));
+
+    connection.send(`retry: ${this.retryMs}\n`);
+    connection.send(formatEvent(null, {
+      type: 'connected',
+      connectionId: connection.id,
+      timestamp: this.now()
+    }));
+    this.replaySince(connection, lastEventId);
+
+    this.emit('subscribe', userId, { first });
+    this.logger?.debug({ userId, connectionId: connection.id, connections: this.connectionCount }, 'SSE connection opened');
+    return connection;
+  }
+
+  unsubscribe(connection) {
+    const connections = this.users.get(connection.userId);
+    if (!connections?.delete(connection)) return;
+
+    connection.close();
+    this.connectionCount--;
+    if (connections.size === 0) {
+      this.users.delete(connection.userId);
+      this.emit('idle', connection.userId);
+    }
+    if (this.connectionCount === 0) this.stopHeartbeat();
+    this.logger?.debug({ userId: connection.userId, connectionId: connection.id }, 'SSE connection closed');
+  }
+
+  // Buffers the event for catch-up and writes it to every open connection for the user.
+  // Returns the event id.
+  publish(userId, data) {
+    const id = ++this.lastEventId;
+    const frame = formatEvent(id, data);
+
+    const buffered = this.replay.get(userId) || [];
+    buffered.push({ id, frame });
+    if (buffered.length > this.replayLimit) buffered.shift();
+    this.replay.set(userId, buffered);
+
+    this.stats.published++;
+    (this.users.get(userId) || []).forEach(connection => {
+      if (connection.send(frame)) this.stats.delivered++;
+    });
+    return id;
+  }
+
+  replaySince(connection, lastEventId) {
+    const since = Number(lastEventId);
+    if (!lastEventId || !Number.isFinite(since)) return;
+
+    (this.replay.get(connection.userId) || [])
+      .filter(event => event.id > since)
+      .forEach(event => {
+        if (connection.send(event.frame)) this.stats.replayed++;
+      });
+  }
+
+  dropSlow(connection) {
+    this.stats.dropped_slow++;
+    this.logger?.warn({ userId: connection.userId, connectionId: connection.id }, 'SSE client not draining, closing');
+    this.unsubscribe(connection);
+  }
+
+  // One timer for all connections; congested ones skip the beat rather than queue it
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      this.users.forEach(connections => connections.forEach(connection => {
+        if (!connection.congested) connection.send(':heartbeat\n\n');
+      }));
+    }, this.heartbeatMs);
+    this.heartbeat.unref?.();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  getStats() {
+    return {
+      connections: this.connectionCount,
+      users: this.users.size,
+      congested: [...this.users.values()].reduce(
+        (sum, connections) => sum + [...connections].filter(c => c.congested).length, 0),
+      ...this.stats
+    };
+  }
+
+  close() {
+    this.users.forEach(connections => connections.forEach(connection => connection.close()));
+    this.users.clear();
+    this.connectionCount = 0;
+    this.stopHeartbeat();
+  }
+}
+
+// Runs a job per user at most once at a time, after a short debounce. A change that lands while
+// the job runs queues exactly one more run, so bursts of row inserts cost one or two checks.
+export class UserRefreshScheduler {
+  constructor({ run, delayMs = 500, logger = null }) {
+    this.run = run;
+    this.delayMs = delayMs;
+    this.logger = logger;
+    this.pending = new Map(); // userId -> { timer, running, again, options }
+  }
+
+  schedule(userId, options = {}) {
+    const state = this.pending.get(userId);
+    if (state) {
+      state.options = { ...state.options, ...options };
+      if (state.running) state.again = true;
+      return;
+    }
+
+    const fresh = { timer: null, running: false, again: false, options };
+    fresh.timer = setTimeout(() => this.execute(userId), this.delayMs);
+    this.pending.set(userId, fresh);
+  }
+
+  async execute(userId) {
+    const state = this.pending.get(userId);
+    const { options } = state;
+    state.running = true;
+    state.again = false;
+    state.options = {};
+
+    try {
+      await this.run(userId, options);
+    } catch (error) {
+      this.logger?.error({ error, userId }, 'Realtime refresh failed');
+    }
+
+    if (state.again) {
+      state.running = false;
+      state.timer = setTimeout(() => this.execute(userId), this.delayMs);
+    } else {
+      this.pending.delete(userId);
+    }
+  }
+
+  cancel(userId) {
+    const state = this.pending.get(userId);
+    if (state && !state.running) {
+      clearTimeout(state.timer);
+      this.pending.delete(userId);
+    }
+  }
+
+  clear() {
+    this.pending.forEach(state => clearTimeout(state.timer));
+    this.pending.clear();
+  }
+}
+
+// Supabase Realtime subscription on the tables pattern detection reads. onChange(userId, table)
+// fires for every insert/update/delete that carries a user_id.
+export function watchPatternTables(supabase, { tables, onChange, logger = null }) {
+  const channel = supabase.channel('celeste7-pattern-changes');
+
+  tables.forEach(table => {
+    channel.on('postgres_changes', { event: '*', schema: 'public', table }, (payload) => {
+      const userId = payload.new?.user_id || payload.old?.user_id;
+      if (userId) onChange(userId, table);
+    });
+  });
+
+  channel.subscribe((status, error) => {
+    if (status === 'SUBSCRIBED') {
+      logger?.info({ tables }, 'Watching pattern tables for realtime changes');
+    } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+      logger?.error({ status, error }, 'Pattern change feed unavailable');
+    }
+  });
+  return channel;
+}
@@ -0,0 +1,239 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { RealtimeHub, RealtimeHubError, UserRefreshScheduler, interventionEvent } from './realtime-hub.js';
+import { supportiveResponse } from './tone-governance.js';
+
+// Response stand-in; write() answers false (socket full) while blocked is set
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.frames = [];
+  res.blocked = false;
+  res.ended = false;
+  res.writeHead = jest.fn();
+  res.write = (frame) => {
+    res.frames.push(frame);
+    return !res.blocked;
+  };
+  res.end = () => { res.ended = true; };
+  res.events = () => res.frames
+    .filter(frame => frame.startsWith('id: '))
+    .map(frame => JSON.parse(frame.split('\n')[1].slice(6)));
+  return res;
+}
+
+function connect(hub, userId, options) {
+  const req = new EventEmitter();
+  const res = fakeResponse();
+  const connection = hub.subscribe(userId, req, res, options);
+  return { req, res, connection };
+}
+
+describe('RealtimeHub', () => {
+  let hub;
+
+  afterEach(() => hub?.close());
+
+  it('caps connections per user and in total', () => {
+    hub = new RealtimeHub({ maxConnectionsPerUser: 2, maxConnections: 3 });
+    connect(hub, 'user_1');
+    connect(hub, 'user_1');
+
+    expect(() => connect(hub, 'user_1')).toThrow(expect.objectContaining({ code: 'too_many_connections', status: 429 }));
+    connect(hub, 'user_2');
+    expect(() => connect(hub, 'user_3')).toThrow(RealtimeHubError);
+    expect(() => connect(hub, 'user_3')).toThrow(expect.objectContaining({ status: 503 }));
+    expect(hub.getStats()).toMatchObject({ connections: 3, users: 2, rejected: 3 });
+  });
+
+  it('frees a slot and reports idle when a connection closes', () => {
+    hub = new RealtimeHub({ maxConnectionsPerUser: 1 });
+    const idle = [];
+    hub.on('idle', userId => idle.push(userId));
+    const { req, res } = connect(hub, 'user_1');
+
+    req.emit('close');
+
+    expect(res.ended).toBe(true);
+    expect(idle).toEqual(['user_1']);
+    expect(hub.hasSubscribers('user_1')).toBe(false);
+    expect(() => connect(hub, 'user_1')).not.toThrow();
+  });
+
+  it('fans out to every tab of the user only', () => {
+    hub = new RealtimeHub();
+    const first = connect(hub, 'user_1');
+    const second = connect(hub, 'user_1');
+    const other = connect(hub, 'user_2');
+
+    hub.publish('user_1', { type: 'pattern_detected', n: 1 });
+
+    expect(first.res.events()).toEqual([{ type: 'pattern_detected', n: 1 }]);
+    expect(second.res.events()).toEqual([{ type: 'pattern_detected', n: 1 }]);
+    expect(other.res.events()).toEqual([]);
+    expect(hub.getStats()).toMatchObject({ published: 1, delivered: 2 });
+  });
+
+  it('replays what a reconnecting client missed, within the limit', () => {
+    hub = new RealtimeHub({ replayLimit: 3 });
+    const seen = hub.publish('user_1', { n: 1 });
+    [2, 3, 4].forEach(n => hub.publish('user_1', { n }));
+    hub.publish('user_2', { n: 99 });
+
+    const { res } = connect(hub, 'user_1', { lastEventId: String(seen) });
+    expect(res.events()).toEqual([{ n: 2 }, { n: 3 }, { n: 4 }]);
+    expect(hub.getStats().replayed).toBe(3);
+
+    const fresh = connect(hub, 'user_1');
+    expect(fresh.res.events()).toEqual([]);
+  });
+
+  it('queues for a congested client and closes it past the queue limit', () => {
+    hub = new RealtimeHub({ maxQueuedFrames: 2 });
+    const { res, connection } = connect(hub, 'user_1');
+    res.blocked = true;
+
+    hub.publish('user_1', { n: 1 }); // written, socket now full
+    hub.publish('user_1', { n: 2 });
+    hub.publish('user_1', { n: 3 });
+    expect(connection.queue).toHaveLength(2);
+    expect(hub.getStats().congested).toBe(1);
+
+    res.blocked = false;
+    res.emit('drain');
+    expect(res.events().map(event => event.n)).toEqual([1, 2, 3]);
+
+    res.blocked = true;
+    [4, 5, 6, 7].forEach(n => hub.publish('user_1', { n }));
+    expect(res.ended).toBe(true);
+    expect(hub.hasSubscribers('user_1')).toBe(false);
+    expect(hub.getStats().dropped_slow).toBe(1);
+  });
+});
+
+describe('interventionEvent', () => {
+  let hub;
+
+  afterEach(() => hub?.close());
+
+  const pattern = { pattern_type: 'pricing_cowardice', severity: 'critical', confidence: 0.9, estimated_cost: 4000 };
+
+  it('carries the generated message and directive', () => {
+    const event = interventionEvent({
+      pattern,
+      intervention: { message: 'You charge $50. Market average: $120.', directive: 'Raise it today.', severity: 'warning' },
+      trackingId: 'track_1',
+      resistanceLevel: 2,
+      timestamp: 1
+    });
+
+    expect(event).toEqual({
+      type: 'intervention',
+      pattern: 'pricing_cowardice',
+      severity: 'critical',
+      confidence: 0.9,
+      estimated_cost: 4000,
+      message: 'You charge $50. Market average: $120.',
+      directive: 'Raise it today.',
+      tracking_id: 'track_1',
+      resistance_level: 2,
+      timestamp: 1
+    });
+  });
+
+  it('delivers a supportive response with its crisis resources', () => {
+    hub = new RealtimeHub();
+    const { res } = connect(hub, 'user_1');
+    const support = supportiveResponse('crisis');
+
+    hub.publish('user_1', interventionEvent({ pattern, intervention: support, trackingId: 'track_2', resistanceLevel: 4 }));
+
+    const [event] = res.events();
+    expect(event).toMatchObject({
+      type: 'intervention',
+      message: support.message,
+      directive: support.directive,
+      safe_response: true,
+      resources: support.resources,
+      tracking_id: 'track_2'
+    });
+    expect(event.resources.length).toBeGreaterThan(0);
+  });
+});
+
+describe('UserRefreshScheduler', () => {
+  afterEach(() => jest.useRealTimers());
+
+  // Resolves once every queued timer and promise has settled
+  const settle = async () => {
+    for (let i = 0; i < 5; i++) {
+      await jest.runOnlyPendingTimersAsync();
+    }
+  };
+
+  it('debounces a burst into one run with the merged options', async () => {
+    jest.useFakeTimers();
+    const runs = [];
+    const scheduler = new UserRefreshScheduler({ run: async (userId, options) => runs.push([userId, options]) });
+
+    scheduler.schedule('user_1');
+    scheduler.schedule('user_1', { skipCache: true });
+    scheduler.schedule('user_2');
+    await settle();
+
+    expect(runs).toEqual([['user_1', { skipCache: true }], ['user_2', {}]]);
+  });
+
+  it('never runs twice at once and queues exactly one more run', async () => {
+    jest.useFakeTimers();
+    let release;
+    let running = 0;
+    let maxRunning = 0;
+    let runs = 0;
+    const scheduler = new UserRefreshScheduler({
+      run: async () => {
+        runs++;
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        if (runs === 1) await new Promise(resolve => { release = resolve; });
+        running--;
+      }
+    });
+
+    scheduler.schedule('user_1');
+    await jest.advanceTimersByTimeAsync(500);
+    expect(runs).toBe(1);
+
+    scheduler.schedule('user_1');
+    scheduler.schedule('user_1');
+    release();
+    await settle();
+
+    expect(runs).toBe(2);
+    expect(maxRunning).toBe(1);
+    expect(scheduler.pending.size).toBe(0);
+  });
+
+  it('logs a failed run and lets the user be scheduled again', async () => {
+    jest.useFakeTimers();
+    const logger = { error: jest.fn() };
+    const scheduler = new UserRefreshScheduler({ run: async () => { throw new Error('query failed'); }, logger });
+
+    scheduler.schedule('user_1');
+    await settle();
+
+    expect(logger.error).toHaveBeenCalledTimes(1);
+    expect(scheduler.pending.size).toBe(0);
+  });
+
+  it('cancels a run that has not started', async () => {
+    jest.useFakeTimers();
+    const run = jest.fn(async () => {});
+    const scheduler = new UserRefreshScheduler({ run });
+
+    scheduler.schedule('user_1');
+    scheduler.cancel('user_1');
+    await settle();
+
+    expect(run).not.toHaveBeenCalled();
+  });
+});
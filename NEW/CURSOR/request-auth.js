@@ -0,0 +1,97 @@
+// CELESTE7 REQUEST AUTH
+// Express middleware for the endpoints that must not be open to anyone with the URL.
+// - requireAdminKey: operator endpoints (style bandit). x-admin-key must equal ADMIN_API_KEY;
+//   while ADMIN_API_KEY is unset they answer 503 rather than run unauthenticated.
+// - requireUser: per-user endpoints (consent, client patterns, intervention outcomes, client rules).
+//   Authorization: Bearer <user token>, where the host app mints the token server-side with
+//   signUserToken and USER_TOKEN_SECRET. The token's user must be the user the request is about.
+//   503 while USER_TOKEN_SECRET is unset.
+//   EventSource can't send headers, so the SSE stream also takes ?ticket=: a one-minute token
+//   from signStreamTicket that is only valid as a ticket, so the long-lived token stays out of URLs.
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+const DEFAULT_USER_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+export const STREAM_TICKET_TTL_MS = 60 * 1000;
+
+// Constant-time string comparison
+export function safeEqual(expected, received) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received ?? ''));
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+export function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ success: false, error: 'Admin API disabled: ADMIN_API_KEY is not set' });
+  }
+  if (!safeEqual(adminKey, req.get('x-admin-key'))) {
+    return res.status(401).json({ success: false, error: 'Admin key required' });
+  }
+  next();
+}
+
+// Tickets are signed under their own prefix, so a ticket is never accepted as a token or back
+const userTokenSignature = (secret, payload, kind = '') =>
+  createHmac('sha256', secret).update(`${kind}${payload}`).digest('base64url');
+
+function signToken(userId, secret, expiresAt, kind) {
+  if (!secret) throw new Error('USER_TOKEN_SECRET is not set');
+  const payload = `${Buffer.from(String(userId)).toString('base64url')}.${Math.floor(expiresAt / 1000)}`;
+  return `${payload}.${userTokenSignature(secret, payload, kind)}`;
+}
+
+function verifyToken(token, secret, now, kind) {
+  const [encodedUser, expires, signature] = String(token || '').split('.');
+  if (!encodedUser || !/^\d+$/.test(expires || '') || !signature) return null;
+  if (!safeEqual(userTokenSignature(secret, `${encodedUser}.${expires}`, kind), signature)) return null;
+  if (parseInt(expires, 10) * 1000 <= now) return null;
+  return Buffer.from(encodedUser, 'base64url').toString('utf8');
+}
+
+// "<base64url user id>.<expiry, unix seconds>.<HMAC-SHA256 of the first two parts>"
+export function signUserToken(userId, { secret = process.env.USER_TOKEN_SECRET, ttlMs = DEFAULT_USER_TOKEN_TTL_MS, now = Date.now() } = {}) {
+  return signToken(userId, secret, now + ttlMs, '');
+}
+
+// The user id in a valid, unexpired token, otherwise null
+export function verifyUserToken(token, secret, now = Date.now()) {
+  return verifyToken(token, secret, now, '');
+}
+
+export function signStreamTicket(userId, { secret = process.env.USER_TOKEN_SECRET, now = Date.now() } = {}) {
+  return signToken(userId, secret, now + STREAM_TICKET_TTL_MS, 'ticket:');
+}
+
+export function verifyStreamTicket(ticket, secret, now = Date.now()) {
+  return verifyToken(ticket, secret, now, 'ticket:');
+}
+
+// userIdFrom(req) names the user the request is about; requests without one get the token's user.
+// The verified id is left on req.userId. With { ticket: true } a ?ticket= is accepted instead of
+// the header.
+export function requireUser(userIdFrom, { ticket = false } = {}) {
+  return (req, res, next) => {
+    const secret = process.env.USER_TOKEN_SECRET;
+    if (!secret) {
+      return res.status(503).json({ success: false, error: 'User API disabled: USER_TOKEN_SECRET is not set' });
+    }
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    const userId = bearer
+      ? verifyUserToken(bearer[1].trim(), secret)
+      : ticket && typeof req.query.ticket === 'string' && verifyStreamTicket(req.query.ticket, secret);
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Valid user token required' });
+    }
+
+    const requested = userIdFrom(req);
+    if (requested !== undefined && requested !== null && String(requested) !== userId) {
+      return res.status(403).json({ success: false, error: 'Token does not belong to this user' });
+    }
+
+    req.userId = userId;
+    next();
+  };
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import {
+  requireAdminKey,
+  requireUser,
+  signStreamTicket,
+  signUserToken,
+  verifyStreamTicket,
+  verifyUserToken
+} from './request-auth.js';
+
+const app = express();
+app.use(express.json());
+app.get('/admin', requireAdminKey, (req, res) => res.json({ success: true }));
+app.get('/consent/:userId', requireUser(req => req.params.userId), (req, res) => res.json({ userId: req.userId }));
+app.post('/consent', requireUser(req => req.body?.userId), (req, res) => res.json({ userId: req.userId }));
+app.get('/stream/:userId', requireUser(req => req.params.userId, { ticket: true }), (req, res) => res.json({ userId: req.userId }));
+
+describe('requireAdminKey', () => {
+  const originalKey = process.env.ADMIN_API_KEY;
+
+  afterEach(() => {
+    if (originalKey === undefined) delete process.env.ADMIN_API_KEY;
+    else process.env.ADMIN_API_KEY = originalKey;
+  });
+
+  it('closes the route while ADMIN_API_KEY is unset', async () => {
+    delete process.env.ADMIN_API_KEY;
+    expect((await request(app).get('/admin')).status).toBe(503);
+  });
+
+  it('needs the exact key', async () => {
+    process.env.ADMIN_API_KEY = 'operator-key';
+
+    expect((await request(app).get('/admin')).status).toBe(401);
+    expect((await request(app).get('/admin').set('x-admin-key', 'operator')).status).toBe(401);
+    expect((await request(app).get('/admin').set('x-admin-key', 'operator-key')).status).toBe(200);
+  });
+});
+
+describe('user tokens', () => {
+  const secret = 'user-token-secret';
+
+  it('round-trip the user id until they expire', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    const token = signUserToken('user.1@example', { secret, ttlMs: 60000, now });
+
+    expect(verifyUserToken(token, secret, now)).toBe('user.1@example');
+    expect(verifyUserToken(token, secret, now + 60000)).toBeNull();
+    expect(verifyUserToken(token, 'other-secret', now)).toBeNull();
+    expect(verifyUserToken(token.replace(/^[^.]+/, Buffer.from('user_2').toString('base64url')), secret, now)).toBeNull();
+    expect(verifyUserToken('garbage', secret, now)).toBeNull();
+  });
+
+  it('keep stream tickets and tokens apart', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    const ticket = signStreamTicket('user_1', { secret, now });
+
+    expect(verifyStreamTicket(ticket, secret, now)).toBe('user_1');
+    expect(verifyStreamTicket(ticket, secret, now + 60000)).toBeNull();
+    expect(verifyUserToken(ticket, secret, now)).toBeNull();
+    expect(verifyStreamTicket(signUserToken('user_1', { secret, now }), secret, now)).toBeNull();
+  });
+});
+
+describe('requireUser', () => {
+  const originalSecret = process.env.USER_TOKEN_SECRET;
+
+  afterEach(() => {
+    if (originalSecret === undefined) delete process.env.USER_TOKEN_SECRET;
+    else process.env.USER_TOKEN_SECRET = originalSecret;
+  });
+
+  it('closes the route while USER_TOKEN_SECRET is unset', async () => {
+    delete process.env.USER_TOKEN_SECRET;
+    expect((await request(app).get('/consent/user_1')).status).toBe(503);
+  });
+
+  it('only lets a user at their own record', async () => {
+    process.env.USER_TOKEN_SECRET = 'user-token-secret';
+    const token = signUserToken('user_1');
+
+    expect((await request(app).get('/consent/user_1')).status).toBe(401);
+    expect((await request(app).get('/consent/user_2').set('Authorization', `Bearer ${token}`)).status).toBe(403);
+    expect((await request(app).post('/consent').set('Authorization', `Bearer ${token}`).send({ userId: 'user_2' })).status)
+      .toBe(403);
+
+    const own = await request(app).get('/consent/user_1').set('Authorization', `Bearer ${token}`);
+    expect(own.status).toBe(200);
+    expect(own.body.userId).toBe('user_1');
+  });
+
+  it('takes a ticket in the query only where allowed', async () => {
+    process.env.USER_TOKEN_SECRET = 'user-token-secret';
+    const ticket = signStreamTicket('user_1');
+
+    expect((await request(app).get(`/stream/user_1?ticket=${ticket}`)).status).toBe(200);
+    expect((await request(app).get(`/stream/user_2?ticket=${ticket}`)).status).toBe(403);
+    expect((await request(app).get(`/stream/user_1?ticket=${signUserToken('user_1')}`)).status).toBe(401);
+    expect((await request(app).get(`/consent/user_1?ticket=${ticket}`)).status).toBe(401);
+  });
+});
@@ -0,0 +1,16 @@
+// CELESTE7 Revenue Math
+// Monthly revenue turned into time-based figures, in one place so the intervention templates and
+// the pattern detectors put the same price on an hour of the user's time.
+
+// 40 hours a week x 4 weeks: a full-time founder. Users who work other hours set
+// monthly_working_hours in their context or business metrics.
+export const DEFAULT_MONTHLY_WORKING_HOURS = 160;
+
+// Revenue per working hour. An explicit hourly_rate wins; otherwise current_mrr spread over the
+// month's working hours. undefined when there is no revenue to derive it from.
+export function hourlyRate({ hourly_rate, current_mrr, monthly_working_hours } = {}) {
+  if (Number.isFinite(hourly_rate)) return hourly_rate;
+  if (!Number.isFinite(current_mrr)) return undefined;
+  const hours = monthly_working_hours > 0 ? monthly_working_hours : DEFAULT_MONTHLY_WORKING_HOURS;
+  return current_mrr / hours;
+}
@@ -0,0 +1,16 @@
+import { describe, it, expect } from '@jest/globals';
+import { DEFAULT_MONTHLY_WORKING_HOURS, hourlyRate } from './revenue-math.js';
+
+describe('hourlyRate', () => {
+  it('spreads monthly revenue over the hours the user works', () => {
+    expect(hourlyRate({ current_mrr: 8000 })).toBe(8000 / DEFAULT_MONTHLY_WORKING_HOURS);
+    expect(hourlyRate({ current_mrr: 8000, monthly_working_hours: 80 })).toBe(100);
+    expect(hourlyRate({ current_mrr: 8000, monthly_working_hours: 0 })).toBe(50);
+  });
+
+  it('prefers an explicit rate and has none without revenue', () => {
+    expect(hourlyRate({ current_mrr: 8000, hourly_rate: 120 })).toBe(120);
+    expect(hourlyRate({})).toBeUndefined();
+    expect(hourlyRate()).toBeUndefined();
+  });
+});
@@ -0,0 +1,286 @@
+// CELESTE7 STYLE BANDIT
+// Thompson sampling over (pattern, severity, style) arms for InterventionABTester.
+// Rewards are effectiveness scores in [0, 1], folded into a Beta posterior per arm.
+// Arms are shared across users, and every arm's prior is pooled from the same style across all
+// patterns and severities - so a brand-new pattern starts from what the style does elsewhere
+// instead of from a coin flip.
+// A select reads only its own (pattern, severity) arms. The pooled priors are refreshed at most
+// once a minute, and propensities are cached per posterior, since they only move when a reward lands.
+
+// ============================================
+// SAMPLING
+// ============================================
+
+function sampleNormal(random) {
+  // Box-Muller; 1 - random() keeps log() away from 0
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Marsaglia-Tsang
+function sampleGamma(shape, random) {
+  if (shape < 1) {
+    return sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+      return d * v;
+    }
+  }
+}
+
+export function sampleBeta(alpha, beta, random = Math.random) {
+  const x = sampleGamma(alpha, random);
+  const y = sampleGamma(beta, random);
+  return x / (x + y);
+}
+
+// ============================================
+// ARM STORES
+// ============================================
+
+// One row per arm: pattern, severity, style, pulls, successes (sum of rewards), failures (sum of 1 - reward)
+export class SupabaseBanditStore {
+  constructor(client, table = 'style_bandit_arms') {
+    this.client = client;
+    this.table = table;
+  }
+
+  // Every arm, or only those for a pattern and/or severity
+  async listArms({ pattern, severity } = {}) {
+    let query = this.client
+      .from(this.table)
+      .select('pattern, severity, style, pulls, successes, failures');
+
+    if (pattern) query = query.eq('pattern', pattern);
+    if (severity) query = query.eq('severity', severity);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async recordReward(pattern, severity, style, reward) {
+    const { data: current, error } = await this.client
+      .from(this.table)
+      .select('pulls, successes, failures')
+      .eq('pattern', pattern)
+      .eq('severity', severity)
+      .eq('style', style)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    // Read-then-write: two outcomes for the same arm in the same instant can lose one update,
+    // which costs a single observation, not correctness
+    const { error: upsertError } = await this.client
+      .from(this.table)
+      .upsert({
+        pattern,
+        severity,
+        style,
+        pulls: (current?.pulls || 0) + 1,
+        successes: (current?.successes || 0) + reward,
+        failures: (current?.failures || 0) + (1 - reward),
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'pattern,severity,style' });
+
+    if (upsertError) throw upsertError;
+  }
+}
+
+export class InMemoryBanditStore {
+  constructor(arms = []) {
+    this.arms = new Map(arms.map(arm => [this.key(arm.pattern, arm.severity, arm.style), { ...arm }]));
+  }
+
+  key(pattern, severity, style) {
+    return `${pattern}:${severity}:${style}`;
+  }
+
+  async listArms({ pattern, severity } = {}) {
+    return [...this.arms.values()]
+      .filter(arm => (!pattern || arm.pattern === pattern) && (!severity || arm.severity === severity))
+      .map(arm => ({ ...arm }));
+  }
+
+  async recordReward(pattern, severity, style, reward) {
+    const key = this.key(pattern, severity, style);
+    const arm = this.arms.get(key) || { pattern, severity, style, pulls: 0, successes: 0, failures: 0 };
+
+    this.arms.set(key, {
+      ...arm,
+      pulls: arm.pulls + 1,
+      successes: arm.successes + reward,
+      failures: arm.failures + (1 - reward)
+    });
+  }
+}
+
+// ============================================
+// BANDIT
+// ============================================
+
+export class StyleBandit {
+  constructor(options = {}) {
+    this.store = options.store || new InMemoryBanditStore();
+    // Pseudo-observations the pooled style prior is worth
+    this.priorStrength = options.priorStrength ?? 4;
+    // Draws used to estimate each style's selection probability for the choice log
+    this.propensitySamples = options.propensitySamples || 1000;
+    this.random = options.random || Math.random;
+    // How long the pooled style priors are reused before the whole table is read again
+    this.priorTtlMs = options.priorTtlMs ?? 60000;
+    this.now = options.now || (() => Date.now());
+    this.priors = null; // { loadedAt, priorFor }
+    // Posterior parameters -> propensities; Map order makes the oldest entry the first evicted
+    this.propensityCache = new Map();
+    this.propensityCacheSize = options.propensityCacheSize || 500;
+  }
+
+  // Beta(1, 1) nudged towards the style's pooled mean across every pattern and severity
+  stylePriors(arms) {
+    const totals = {};
+    arms.forEach(arm => {
+      const t = totals[arm.style] || (totals[arm.style] = { successes: 0, failures: 0 });
+      t.successes += arm.successes;
+      t.failures += arm.failures;
+    });
+
+    return (style) => {
+      const t = totals[style] || { successes: 0, failures: 0 };
+      const pooledMean = (t.successes + 1) / (t.successes + t.failures + 2);
+      return {
+        alpha: 1 + this.priorStrength * pooledMean,
+        beta: 1 + this.priorStrength * (1 - pooledMean)
+      };
+    };
+  }
+
+  async loadPriors() {
+    if (!this.priors || this.now() - this.priors.loadedAt >= this.priorTtlMs) {
+      this.priors = { loadedAt: this.now(), priorFor: this.stylePriors(await this.store.listArms()) };
+    }
+    return this.priors.priorFor;
+  }
+
+  async getPosteriors(pattern, severity, styles) {
+    const [arms, priorFor] = await Promise.all([
+      this.store.listArms({ pattern, severity }),
+      this.loadPriors()
+    ]);
+    return this.posteriorsFrom(arms, priorFor, pattern, severity, styles);
+  }
+
+  posteriorsFrom(arms, priorFor, pattern, severity, styles) {
+    return styles.map(style => {
+      const arm = arms.find(a => a.pattern === pattern && a.severity === severity && a.style === style);
+      const prior = priorFor(style);
+      const alpha = prior.alpha + (arm?.successes || 0);
+      const beta = prior.beta + (arm?.failures || 0);
+
+      return { pattern, severity, style, pulls: arm?.pulls || 0, prior, alpha, beta };
+    });
+  }
+
+  // Share of Thompson draws each style wins - the propensity of choosing it
+  estimatePropensities(posteriors) {
+    const key = posteriors.map(p => `${p.style}:${p.alpha}:${p.beta}`).join('|');
+    const cached = this.propensityCache.get(key);
+    if (cached) return cached;
+
+    const propensities = this.samplePropensities(posteriors);
+    this.propensityCache.set(key, propensities);
+    if (this.propensityCache.size > this.propensityCacheSize) {
+      this.propensityCache.delete(this.propensityCache.keys().next().value);
+    }
+    return propensities;
+  }
+
+  samplePropensities(posteriors) {
+    const wins = Object.fromEntries(posteriors.map(p => [p.style, 0]));
+
+    for (let i = 0; i < this.propensitySamples; i++) {
+      let best = null;
+      let bestDraw = -1;
+      posteriors.forEach(p => {
+        const draw = sampleBeta(p.alpha, p.beta, this.random);
+        if (draw > bestDraw) {
+          bestDraw = draw;
+          best = p.style;
+        }
+      });
+      wins[best]++;
+    }
+
+    // Never log a propensity of 0 for something that can be chosen
+    const floor = 1 / (this.propensitySamples * 10);
+    return Object.fromEntries(Object.entries(wins).map(([style, count]) => [
+      style,
+      Math.max(count / this.propensitySamples, floor)
+    ]));
+  }
+
+  async select({ pattern, severity, styles }) {
+    if (styles.length === 0) {
+      throw new Error('StyleBandit.select needs at least one style');
+    }
+
+    const posteriors = await this.getPosteriors(pattern, severity, styles);
+    const draws = posteriors.map(p => ({ style: p.style, draw: sampleBeta(p.alpha, p.beta, this.random) }));
+    const { style } = draws.reduce((best, d) => (d.draw > best.draw ? d : best));
+    const propensities = this.estimatePropensities(posteriors);
+
+    return { style, propensity: propensities[style], propensities };
+  }
+
+  async update({ pattern, severity, style, reward }) {
+    if (typeof reward !== 'number' || isNaN(reward) || reward < 0 || reward > 1) {
+      throw new Error(`Reward must be a number between 0 and 1 (got ${reward})`);
+    }
+    await this.store.recordReward(pattern, severity, style, reward);
+  }
+
+  // Every arm's posterior with mean, 95% interval (normal approximation) and chance of being best.
+  // Without a pattern/severity, lists every combination that has been pulled.
+  async describe({ pattern, severity, styles } = {}) {
+    const arms = await this.store.listArms({ pattern, severity });
+    const priorFor = await this.loadPriors();
+    const allStyles = styles || [...new Set(arms.map(a => a.style))];
+    const groups = pattern && severity
+      ? [[pattern, severity]]
+      : [...new Set(arms.map(a => `${a.pattern}\u0000${a.severity}`))].map(key => key.split('\u0000'));
+
+    const described = [];
+    groups.forEach(([p, s]) => {
+      const posteriors = this.posteriorsFrom(arms, priorFor, p, s, allStyles);
+      const pBest = posteriors.length ? this.estimatePropensities(posteriors) : {};
+
+      posteriors.forEach(post => {
+        const total = post.alpha + post.beta;
+        const mean = post.alpha / total;
+        const sd = Math.sqrt((post.alpha * post.beta) / (total * total * (total + 1)));
+        described.push({
+          ...post,
+          mean: Math.round(mean * 1000) / 1000,
+          ci95: [Math.max(0, mean - 1.96 * sd), Math.min(1, mean + 1.96 * sd)].map(v => Math.round(v * 1000) / 1000),
+          p_best: Math.round(pBest[post.style] * 1000) / 1000
+        });
+      });
+    });
+
+    return described;
+  }
+}
@@ -0,0 +1,109 @@
+import { describe, it, expect } from '@jest/globals';
+import { StyleBandit, InMemoryBanditStore, sampleBeta } from './style-bandit.js';
+
+// Deterministic stream in (0, 1) so draws are repeatable
+function seededRandom(seed = 42) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+const STYLES = ['brutal_numbers', 'gentle_mirror', 'peer_comparison'];
+
+class CountingStore extends InMemoryBanditStore {
+  constructor(arms) {
+    super(arms);
+    this.calls = [];
+  }
+
+  async listArms(filter = {}) {
+    this.calls.push(filter);
+    return super.listArms(filter);
+  }
+}
+
+describe('sampleBeta', () => {
+  it('centres on alpha / (alpha + beta)', () => {
+    const random = seededRandom(7);
+    const draws = Array.from({ length: 2000 }, () => sampleBeta(8, 2, random));
+    const mean = draws.reduce((sum, d) => sum + d, 0) / draws.length;
+    expect(mean).toBeGreaterThan(0.77);
+    expect(mean).toBeLessThan(0.83);
+    expect(draws.every(d => d > 0 && d < 1)).toBe(true);
+  });
+});
+
+describe('StyleBandit', () => {
+  it('pools a cold arm\'s prior from the style elsewhere', async () => {
+    const store = new InMemoryBanditStore([
+      { pattern: 'procrastination', severity: 'high', style: 'brutal_numbers', pulls: 20, successes: 18, failures: 2 }
+    ]);
+    const bandit = new StyleBandit({ store, priorStrength: 4 });
+
+    const [posterior] = await bandit.getPosteriors('pricing_fear', 'high', ['brutal_numbers']);
+    expect(posterior.pulls).toBe(0);
+    expect(posterior.prior.alpha).toBeCloseTo(1 + 4 * (19 / 22));
+    expect(posterior.alpha).toBe(posterior.prior.alpha);
+  });
+
+  it('reads only the selected arms and reuses the pooled priors', async () => {
+    const store = new CountingStore([
+      { pattern: 'procrastination', severity: 'high', style: 'gentle_mirror', pulls: 5, successes: 4, failures: 1 }
+    ]);
+    let now = 0;
+    const bandit = new StyleBandit({ store, random: seededRandom(), now: () => now, priorTtlMs: 1000 });
+
+    await bandit.select({ pattern: 'procrastination', severity: 'high', styles: STYLES });
+    await bandit.select({ pattern: 'procrastination', severity: 'high', styles: STYLES });
+    expect(store.calls).toEqual([
+      { pattern: 'procrastination', severity: 'high' },
+      {},
+      { pattern: 'procrastination', severity: 'high' }
+    ]);
+
+    now = 1000;
+    await bandit.select({ pattern: 'procrastination', severity: 'high', styles: STYLES });
+    expect(store.calls.filter(filter => !filter.pattern)).toHaveLength(2);
+  });
+
+  it('samples propensities once per posterior', async () => {
+    const bandit = new StyleBandit({ random: seededRandom(), propensitySamples: 200 });
+    let sampled = 0;
+    const samplePropensities = bandit.samplePropensities.bind(bandit);
+    bandit.samplePropensities = (posteriors) => {
+      sampled++;
+      return samplePropensities(posteriors);
+    };
+
+    const first = await bandit.select({ pattern: 'procrastination', severity: 'high', styles: STYLES });
+    await bandit.select({ pattern: 'procrastination', severity: 'high', styles: STYLES });
+    expect(sampled).toBe(1);
+    expect(Object.values(first.propensities).reduce((sum, p) => sum + p, 0)).toBeCloseTo(1, 1);
+    expect(first.propensity).toBe(first.propensities[first.style]);
+
+    await bandit.update({ pattern: 'procrastination', severity: 'high', style: 'gentle_mirror', reward: 1 });
+    await bandit.select({ pattern: 'procrastination', severity: 'high', styles: STYLES });
+    expect(sampled).toBe(2);
+  });
+
+  it('prefers the arm that keeps working', async () => {
+    const bandit = new StyleBandit({ random: seededRandom(3), propensitySamples: 500 });
+    for (let i = 0; i < 30; i++) {
+      await bandit.update({ pattern: 'procrastination', severity: 'high', style: 'peer_comparison', reward: 0.9 });
+      await bandit.update({ pattern: 'procrastination', severity: 'high', style: 'brutal_numbers', reward: 0.1 });
+    }
+
+    const described = await bandit.describe({ pattern: 'procrastination', severity: 'high', styles: STYLES });
+    const best = described.reduce((a, b) => (b.p_best > a.p_best ? b : a));
+    expect(best.style).toBe('peer_comparison');
+    expect(best.ci95[0]).toBeLessThan(best.mean);
+  });
+
+  it('rejects rewards outside [0, 1]', async () => {
+    const bandit = new StyleBandit();
+    await expect(bandit.update({ pattern: 'p', severity: 'high', style: 'brutal_numbers', reward: 2 }))
+      .rejects.toThrow('between 0 and 1');
+  });
+});
@@ -0,0 +1,292 @@
+// CELESTE7 TONE GOVERNANCE
+// Brutal is a product choice, not a default for everyone. This layer sits in front of the
+// intervention generators and:
+//   1. caps the resistance level per tenant and per user (a user can only be stricter than their tenant)
+//   2. blocks delivery styles outright (e.g. personal_attack, public_shame)
+//   3. detects distress/crisis language and overrides ANY escalation with a supportive response,
+//      logging the event for human review
+
+import pino from 'pino';
+
+const logger = pino({ name: 'tone-governance' });
+
+// ============================================
+// LEVELS AND STYLES
+// ============================================
+
+// Same order as BrutalInterventionGenerator.resistanceLevels
+export const TONE_LEVELS = [
+  'first_contact',
+  'gentle_nudge',
+  'uncomfortable_truth',
+  'brutal_reality',
+  'scorched_earth',
+  'existential_crisis'
+];
+
+export const MAX_TONE_LEVEL = TONE_LEVELS.length - 1;
+
+// Accepts a level index (3) or name ('brutal_reality')
+export function toLevelIndex(level) {
+  if (typeof level === 'string' && /^\d+$/.test(level)) {
+    level = parseInt(level, 10);
+  }
+  if (typeof level === 'number' && Number.isInteger(level)) {
+    return Math.max(0, Math.min(level, MAX_TONE_LEVEL));
+  }
+  const index = TONE_LEVELS.indexOf(level);
+  if (index === -1) {
+    throw new Error(`Unknown tone level: ${level}`);
+  }
+  return index;
+}
+
+const parseList = (value) => (value ? value.split(',').map(s => s.trim()).filter(Boolean) : []);
+
+// Checked once at load: a typo in TONE_MAX_LEVEL would otherwise throw on every policy merge.
+// It falls back to the full scale, which tenants and users can still narrow.
+export function parseMaxLevel(value) {
+  if (value === undefined || value === '') return MAX_TONE_LEVEL;
+  try {
+    return toLevelIndex(value);
+  } catch {
+    logger.warn({ value }, `Unknown TONE_MAX_LEVEL, using ${TONE_LEVELS[MAX_TONE_LEVEL]}`);
+    return MAX_TONE_LEVEL;
+  }
+}
+
+// Platform-wide defaults (TONE_MAX_LEVEL, TONE_BLOCKED_STYLES); tenants and users narrow from here
+export const DEFAULT_TONE_POLICY = {
+  max_level: parseMaxLevel(process.env.TONE_MAX_LEVEL),
+  blocked_styles: parseList(process.env.TONE_BLOCKED_STYLES)
+};
+
+// Stricter always wins: lowest cap, union of blocked styles
+export function mergeTonePolicies(...policies) {
+  return policies.filter(Boolean).reduce((merged, policy) => ({
+    max_level: policy.max_level !== undefined && policy.max_level !== null
+      ? Math.min(merged.max_level, toLevelIndex(policy.max_level))
+      : merged.max_level,
+    blocked_styles: [...new Set([...merged.blocked_styles, ...(policy.blocked_styles || [])])]
+  }), { max_level: MAX_TONE_LEVEL, blocked_styles: [] });
+}
+
+// ============================================
+// DISTRESS / CRISIS DETECTION
+// ============================================
+
+// Deliberately broad - a false positive costs one gentle message, a miss can cost far more
+const CRISIS_PATTERNS = [
+  /\b(kill|hurt|harm)(ing)? my ?self\b/,
+  /\bsuicid(e|al)\b/,
+  /\bend (it all|my life)\b/,
+  /\b(want|wanted|going) to die\b/,
+  /\bdon'?t want to (live|be alive|be here)\b/,
+  /\bno (reason|point) (to|in) (live|living|going on)\b/,
+  /\b(everyone|they)('d| would) be better off without me\b/,
+  /\bself[- ]harm\b/,
+  /\bquitar(me)? la vida\b/, /\bsuicid(io|arme)\b/, /\bquiero morir(me)?\b/,
+  /\bumbringen\b/, /\bselbstmord\b/, /\bsuizid\b/, /\bnicht mehr leben\b/
+];
+
+const DISTRESS_PATTERNS = [
+  /\bpanic attacks?\b/,
+  /\bcan'?t (stop crying|cope|breathe|go on|take (it|this) anymore)\b/,
+  /\b(mental|nervous) breakdown\b/,
+  /\bbreaking down\b/,
+  /\bfalling apart\b/,
+  /\b(hopeless|worthless)\b/,
+  /\b(severely |really |so )?depressed\b/,
+  /\bno salgo adelante\b/, /\bsin esperanza\b/, /\bataque de pánico\b/,
+  /\bhoffnungslos\b/, /\bpanikattacke\b/, /\bich kann nicht mehr\b/
+];
+
+export function detectDistress(text) {
+  if (!text || typeof text !== 'string') {
+    return { detected: false, level: null, matches: [] };
+  }
+
+  const normalized = text.toLowerCase().replace(/[‘’]/g, '\'');
+  const find = (patterns) => patterns
+    .map(pattern => normalized.match(pattern)?.[0])
+    .filter(Boolean);
+
+  const crisis = find(CRISIS_PATTERNS);
+  if (crisis.length > 0) {
+    return { detected: true, level: 'crisis', matches: crisis };
+  }
+
+  const distress = find(DISTRESS_PATTERNS);
+  if (distress.length > 0) {
+    return { detected: true, level: 'distress', matches: distress };
+  }
+
+  return { detected: false, level: null, matches: [] };
+}
+
+export function supportiveResponse(level) {
+  if (level === 'crisis') {
+    return {
+      message: 'It sounds like you are carrying something really heavy right now, and that matters far more than any business goal. You don\'t have to handle this alone.',
+      directive: 'Please reach out to someone now: in the US call or text 988, or find a local line at findahelpline.com. If you are in immediate danger, call your local emergency number.',
+      severity: 'support',
+      safe_response: true,
+      resources: [
+        { name: '988 Suicide & Crisis Lifeline (US)', contact: 'Call or text 988' },
+        { name: 'Find a Helpline (international)', contact: 'https://findahelpline.com' }
+      ]
+    };
+  }
+
+  return {
+    message: 'That sounds like a lot to deal with. The business can wait - how you are doing comes first.',
+    directive: 'Take a break, talk to someone you trust, and come back when you are ready. No pressure from us.',
+    severity: 'support',
+    safe_response: true
+  };
+}
+
+// ============================================
+// POLICY STORES
+// ============================================
+
+// Policies in a tone_policies table: scope ('tenant' | 'user'), scope_id, max_level, blocked_styles.
+// Safety events go to safety_events for review.
+export class SupabaseTonePolicyStore {
+  constructor(client, tables = {}) {
+    this.client = client;
+    this.policiesTable = tables.policies || 'tone_policies';
+    this.eventsTable = tables.events || 'safety_events';
+  }
+
+  async getPolicy(scope, scopeId) {
+    if (!scopeId) return null;
+
+    const { data, error } = await this.client
+      .from(this.policiesTable)
+      .select('max_level, blocked_styles')
+      .eq('scope', scope)
+      .eq('scope_id', scopeId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async recordSafetyEvent(event) {
+    const { error } = await this.client.from(this.eventsTable).insert(event);
+    if (error) throw error;
+  }
+}
+
+export class InMemoryTonePolicyStore {
+  constructor(policies = {}) {
+    // { tenant: { [tenantId]: policy }, user: { [userId]: policy } }
+    this.policies = { tenant: {}, user: {}, ...policies };
+    this.events = [];
+  }
+
+  async getPolicy(scope, scopeId) {
+    return this.policies[scope]?.[scopeId] || null;
+  }
+
+  async setPolicy(scope, scopeId, policy) {
+    this.policies[scope][scopeId] = policy;
+  }
+
+  async recordSafetyEvent(event) {
+    this.events.push(event);
+  }
+}
+
+// ============================================
+// GOVERNOR
+// ============================================
+
+export class ToneGovernor {
+  constructor(options = {}) {
+    this.store = options.store || new InMemoryTonePolicyStore();
+    // Normalized here so bad defaults fail at construction, not inside every review
+    this.defaults = mergeTonePolicies(options.defaults || DEFAULT_TONE_POLICY);
+  }
+
+  async resolvePolicy({ userId, tenantId } = {}) {
+    try {
+      const [tenantPolicy, userPolicy] = await Promise.all([
+        this.store.getPolicy('tenant', tenantId),
+        this.store.getPolicy('user', userId)
+      ]);
+
+      return mergeTonePolicies(this.defaults, tenantPolicy, userPolicy);
+
+    } catch (error) {
+      // Can't see the tenant's limits, so don't go past the middle of the scale
+      logger.error({ error }, 'Tone policy lookup failed, using conservative defaults');
+      return mergeTonePolicies(this.defaults, { max_level: 'uncomfortable_truth' });
+    }
+  }
+
+  isStyleAllowed(policy, style) {
+    return !policy.blocked_styles.includes(style);
+  }
+
+  // Decide what may be sent. Returns { policy, level, level_name, distress, safe_response? }.
+  // When safe_response is present, callers must send it instead of their intervention.
+  async review({ userId, tenantId, level = 0, text, source } = {}) {
+    const distress = detectDistress(text);
+    const policy = await this.resolvePolicy({ userId, tenantId });
+
+    if (distress.detected) {
+      await this.logSafetyEvent({ userId, tenantId, distress, text, source, requestedLevel: level });
+
+      return {
+        policy,
+        level: 0,
+        level_name: TONE_LEVELS[0],
+        distress,
+        safe_response: supportiveResponse(distress.level)
+      };
+    }
+
+    const requested = toLevelIndex(level);
+    const capped = Math.min(requested, policy.max_level);
+
+    return {
+      policy,
+      level: capped,
+      level_name: TONE_LEVELS[capped],
+      capped: capped < requested,
+      distress
+    };
+  }
+
+  async logSafetyEvent({ userId, tenantId, distress, text, source, requestedLevel }) {
+    const event = {
+      user_id: userId || null,
+      tenant_id: tenantId || null,
+      level: distress.level,
+      matched_phrases: distress.matches,
+      // Enough context for a reviewer without storing whole conversations
+      excerpt: typeof text === 'string' ? text.slice(0, 280) : null,
+      source: source || null,
+      requested_tone_level: requestedLevel,
+      review_status: 'pending',
+      detected_at: new Date().toISOString()
+    };
+
+    logger.warn({
+      userId: event.user_id,
+      level: event.level,
+      matches: event.matched_phrases
+    }, 'Safety event - escalation overridden');
+
+    try {
+      await this.store.recordSafetyEvent(event);
+    } catch (error) {
+      // Never let logging failures block the safe response
+      logger.error({ error }, 'Failed to record safety event');
+    }
+
+    return event;
+  }
+}
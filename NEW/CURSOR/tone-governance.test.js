@@ -0,0 +1,100 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  ToneGovernor,
+  InMemoryTonePolicyStore,
+  detectDistress,
+  MAX_TONE_LEVEL,
+  mergeTonePolicies,
+  parseMaxLevel,
+  toLevelIndex
+} from './tone-governance.js';
+
+const defaults = { max_level: 'existential_crisis', blocked_styles: [] };
+
+describe('tone policies', () => {
+  it('accepts level names and indexes', () => {
+    expect(toLevelIndex('brutal_reality')).toBe(3);
+    expect(toLevelIndex('2')).toBe(2);
+    expect(toLevelIndex(99)).toBe(5);
+    expect(() => toLevelIndex('nuclear')).toThrow('Unknown tone level');
+  });
+
+  it('falls back to the full scale for an unknown TONE_MAX_LEVEL', () => {
+    expect(parseMaxLevel('scorched_earth')).toBe(4);
+    expect(parseMaxLevel(undefined)).toBe(MAX_TONE_LEVEL);
+    expect(parseMaxLevel('nuclear')).toBe(MAX_TONE_LEVEL);
+    expect(() => mergeTonePolicies({ max_level: parseMaxLevel('nuclear'), blocked_styles: [] })).not.toThrow();
+  });
+
+  it('lets the stricter policy win', () => {
+    const merged = mergeTonePolicies(
+      defaults,
+      { max_level: 'scorched_earth', blocked_styles: ['public_shame'] },
+      { max_level: 1, blocked_styles: ['personal_attack'] }
+    );
+    expect(merged).toEqual({ max_level: 1, blocked_styles: ['public_shame', 'personal_attack'] });
+  });
+});
+
+describe('detectDistress', () => {
+  it('tells crisis from distress', () => {
+    expect(detectDistress('Honestly I want to die').level).toBe('crisis');
+    expect(detectDistress('I can’t cope with this launch').level).toBe('distress');
+    expect(detectDistress('I keep putting off the launch').detected).toBe(false);
+    expect(detectDistress(undefined).detected).toBe(false);
+  });
+});
+
+describe('ToneGovernor', () => {
+  it('caps the level by tenant and user policy', async () => {
+    const store = new InMemoryTonePolicyStore({
+      tenant: { acme: { max_level: 'brutal_reality' } },
+      user: { user_1: { max_level: 'gentle_nudge' } }
+    });
+    const governor = new ToneGovernor({ store, defaults });
+
+    const tenantOnly = await governor.review({ userId: 'user_2', tenantId: 'acme', level: 5 });
+    expect(tenantOnly).toMatchObject({ level: 3, level_name: 'brutal_reality', capped: true });
+
+    const both = await governor.review({ userId: 'user_1', tenantId: 'acme', level: 4 });
+    expect(both.level).toBe(1);
+
+    const uncapped = await governor.review({ userId: 'user_2', level: 4 });
+    expect(uncapped).toMatchObject({ level: 4, capped: false });
+  });
+
+  it('replaces any escalation with a supportive response and logs it for review', async () => {
+    const store = new InMemoryTonePolicyStore();
+    const governor = new ToneGovernor({ store, defaults });
+
+    const tone = await governor.review({
+      userId: 'user_1',
+      tenantId: 'acme',
+      level: 'existential_crisis',
+      text: 'I feel hopeless about all of it',
+      source: 'intervention:procrastination'
+    });
+
+    expect(tone.level).toBe(0);
+    expect(tone.safe_response).toMatchObject({ severity: 'support', safe_response: true });
+    expect(store.events).toHaveLength(1);
+    expect(store.events[0]).toMatchObject({
+      user_id: 'user_1',
+      tenant_id: 'acme',
+      level: 'distress',
+      requested_tone_level: 'existential_crisis',
+      review_status: 'pending'
+    });
+  });
+
+  it('falls back to a conservative cap when policies cannot be read', async () => {
+    const store = new InMemoryTonePolicyStore();
+    store.getPolicy = async () => {
+      throw new Error('tone_policies unavailable');
+    };
+    const governor = new ToneGovernor({ store, defaults });
+
+    const tone = await governor.review({ userId: 'user_1', tenantId: 'acme', level: 5 });
+    expect(tone.level_name).toBe('uncomfortable_truth');
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { InMemoryStorageAdapter } from './storage-adapters.js';
+import { Celeste7BehavioralAPI } from './behavioral-engine2.js';
+import { FrequencyGovernor, InMemoryFrequencyStore } from './NEW/CURSOR/frequency-caps.js';
+
+const createApp = () => new Celeste7BehavioralAPI({ database: new InMemoryStorageAdapter() }).app;
+
+describe('admin routes', () => {
+  const originalKey = process.env.ADMIN_API_KEY;
+
+  afterEach(() => {
+    if (originalKey === undefined) delete process.env.ADMIN_API_KEY;
+    else process.env.ADMIN_API_KEY = originalKey;
+  });
+
+  it('are disabled when ADMIN_API_KEY is not set', async () => {
+    delete process.env.ADMIN_API_KEY;
+
+    const res = await request(createApp()).get('/admin/experiments');
+
+    expect(res.status).toBe(503);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('reject a missing or wrong key', async () => {
+    process.env.ADMIN_API_KEY = 'secret-admin-key';
+    const app = createApp();
+
+    expect((await request(app).get('/admin/experiments')).status).toBe(401);
+    expect((await request(app).get('/admin/experiments').set('x-admin-key', 'secret')).status).toBe(401);
+    expect((await request(app).get('/admin/experiments').set('x-admin-key', 'secret-admin-kez')).status).toBe(401);
+  });
+
+  it('accept the configured key', async () => {
+    process.env.ADMIN_API_KEY = 'secret-admin-key';
+
+    const res = await request(createApp()).get('/admin/experiments').set('x-admin-key', 'secret-admin-key');
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+  });
+});
+
+describe('POST /analyze', () => {
+  it('creates no intervention or follow-up when nothing is detected', async () => {
+    const database = new InMemoryStorageAdapter();
+    const api = new Celeste7BehavioralAPI({ database });
+
+    const res = await request(api.app).post('/analyze').send({
+      message: 'Lovely weather today',
+      mlResults: {},
+      userContext: { user_id: 'user_quiet' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.pattern_analysis.severity).toBe('none');
+    expect(res.body.intervention).toBeNull();
+    expect(res.body.tracking_id).toBeNull();
+    expect(await database.getScheduledCollections('user_quiet')).toEqual([]);
+  });
+
+  it('answers without a userContext', async () => {
+    const res = await request(createApp()).post('/analyze').send({ message: 'Lovely weather today' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.intervention).toBeNull();
+  });
+
+  it('holds interventions to the frequency caps', async () => {
+    const store = new InMemoryFrequencyStore();
+    const frequencyGovernor = new FrequencyGovernor({
+      store,
+      policy: { daily_budget: 1, quiet_hours: 'off', timezone: 'UTC' }
+    });
+    const api = new Celeste7BehavioralAPI({ database: new InMemoryStorageAdapter(), frequencyGovernor, realtimeEngine: null });
+    const analyze = () => request(api.app).post('/analyze').send({
+      message: 'I will start tomorrow',
+      mlResults: { intent: 'procrastination', intent_confidence: 0.9 },
+      userContext: { user_id: 'user_busy' }
+    });
+
+    const first = await analyze();
+    expect(first.body.intervention).not.toBeNull();
+    expect(store.events.find(event => event.status === 'delivered').tracking_id).toBe(first.body.tracking_id);
+
+    const second = await analyze();
+    expect(second.status).toBe(200);
+    expect(second.body.intervention).toBeNull();
+    expect(second.body.tracking_id).toBeNull();
+    expect(second.body.should_intervene).toBe(false);
+    expect(second.body.suppressed.reason).toBe('daily_budget');
+  });
+});
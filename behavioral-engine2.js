@@ -1,124 +1,42 @@
 // CELESTE7 Behavioral Intelligence Engine
 // This is the brain of your system - deploy to Vercel/Railway/Render
 
+import { PatternPackRegistry, DEFAULT_PATTERN_PACKS_DIR } from './pattern-packs.js';
+import { evaluateTrigger } from './trigger-expressions.js';
+import { tokenize, findPhrase } from './linguistic-matcher.js';
+import { renderTemplate, currencyCode } from './intervention-templates.js';
+import { InterventionCatalog, DEFAULT_LOCALE } from './intervention-catalog.js';
+import { selectStrategy, strategyPropensities, sampleStrategy, decisionContext } from './strategy-policy.js';
+import { ExperimentRegistry, ExperimentValidationError, variantCopy } from './experiments.js';
+
 // ============================================
 // 1. PATTERN DETECTION ENGINE
 // ============================================
 
-class BehavioralPatternEngine {
-  constructor() {
-    // Pattern definitions with multi-dimensional triggers
-    this.patterns = {
-      procrastination: {
-        linguistic_markers: [
-          'later', 'tomorrow', 'next week', 'when i', 'should i',
-          'thinking about', 'planning to', 'going to', 'will do'
-        ],
-        semantic_patterns: [
-          'delaying action', 'avoiding commitment', 'future tense without specifics'
-        ],
-        contextual_triggers: {
-          message_frequency: 'decreasing',
-          task_completion_rate: '<0.3',
-          time_since_last_action: '>72h'
-        },
-        severity_indicators: {
-          high: ['months', 'eventually', 'someday', 'been meaning to'],
-          medium: ['next week', 'soon', 'later today'],
-          low: ['tomorrow', 'this afternoon', 'in a bit']
-        }
-      },
-      
-      planning_paralysis: {
-        linguistic_markers: [
-          'plan', 'strategy', 'roadmap', 'framework', 'structure',
-          'organize', 'blueprint', 'system', 'process'
-        ],
-        semantic_patterns: [
-          'excessive planning', 'analysis without action', 'perfectionist planning'
-        ],
-        contextual_triggers: {
-          plans_created_this_week: '>2',
-          execution_rate: '<0.2',
-          planning_to_action_ratio: '>5:1'
-        },
-        severity_indicators: {
-          high: ['another plan', 'revise my strategy', 'start over'],
-          medium: ['need to map out', 'figure out the best'],
-          low: ['quick plan', 'rough outline']
-        }
-      },
-      
-      perfectionism: {
-        linguistic_markers: [
-          'perfect', 'ready', 'polished', 'complete', 'finished',
-          'good enough', 'quality', 'professional', 'right way'
-        ],
-        semantic_patterns: [
-          'unrealistic standards', 'fear of judgment', 'endless refinement'
-        ],
-        contextual_triggers: {
-          revision_count: '>5',
-          time_on_single_task: '>2weeks',
-          launch_delay_count: '>0'
-        },
-        severity_indicators: {
-          high: ['not ready yet', 'needs more work', 'almost perfect'],
-          medium: ['could be better', 'few more tweaks'],
-          low: ['want it to be good', 'quality matters']
-        }
-      },
-      
-      pricing_anxiety: {
-        linguistic_markers: [
-          'price', 'charge', 'worth', 'value', 'cost', 'expensive',
-          'afford', 'budget', 'rate', 'fee'
-        ],
-        semantic_patterns: [
-          'undervaluing services', 'fear of rejection', 'imposter pricing'
-        ],
-        contextual_triggers: {
-          current_mrr: '<5000',
-          price_changes_last_30d: '0',
-          competitor_mentions: '>2'
-        },
-        severity_indicators: {
-          high: ['too expensive', 'no one will pay', 'should I charge less'],
-          medium: ['competitive pricing', 'market rate', 'fair price'],
-          low: ['value-based pricing', 'premium positioning']
-        }
-      },
-      
-      execution_blocking: {
-        linguistic_markers: [
-          'stuck', 'blocked', 'cant', 'unable', 'trying',
-          'struggling', 'difficult', 'hard', 'challenge'
-        ],
-        semantic_patterns: [
-          'perceived obstacles', 'capability doubt', 'resource excuses'
-        ],
-        contextual_triggers: {
-          same_blocker_mentioned: '>3times',
-          progress_stalled: '>1week',
-          help_seeking_without_action: 'true'
-        },
-        severity_indicators: {
-          high: ['completely stuck', 'impossible', 'can\'t move forward'],
-          medium: ['having trouble', 'finding it difficult'],
-          low: ['bit challenging', 'working through it']
-        }
-      }
-    };
-    
-    this.patternCombinations = {
-      'analysis_paralysis': ['planning_paralysis', 'perfectionism'],
-      'imposter_spiral': ['pricing_anxiety', 'perfectionism', 'execution_blocking'],
-      'chronic_avoidance': ['procrastination', 'execution_blocking'],
-      'fear_driven_stall': ['perfectionism', 'pricing_anxiety', 'procrastination']
-    };
+// Scoring rules, also reported as evidence weights in explain mode
+const ML_MIN_CONFIDENCE = 0.6;
+const LINGUISTIC_WEIGHTS = { marker: 0.1, high: 0.3, medium: 0.2, low: 0.1 };
+const LINGUISTIC_MIN_SCORE = 0.2;
+const LINGUISTIC_MAX_CONFIDENCE = 0.9;
+
+export class BehavioralPatternEngine {
+  constructor(options = {}) {
+    // Pattern definitions are loaded from versioned JSON/YAML packs (see patterns/)
+    this.packs = options.packs || new PatternPackRegistry({
+      dir: process.env.PATTERN_PACKS_DIR || DEFAULT_PATTERN_PACKS_DIR
+    });
+  }
+  
+  // Read through to the registry so hot reloads take effect immediately
+  get patterns() {
+    return this.packs.patterns;
   }
   
-  async detectPatterns(mlAnalysis, userContext) {
+  get patternCombinations() {
+    return this.packs.combinations;
+  }
+  
+  async detectPatterns(mlAnalysis, userContext, options = {}) {
     const detectedPatterns = [];
     
     // 1. Primary pattern detection from ML intent
@@ -128,7 +46,7 @@ class BehavioralPatternEngine {
     }
     
     // 2. Secondary patterns from linguistic analysis
-    const linguisticPatterns = this.detectLinguisticPatterns(mlAnalysis.message);
+    const linguisticPatterns = this.detectLinguisticPatterns(mlAnalysis.message, options.locale);
     detectedPatterns.push(...linguisticPatterns);
     
     // 3. Contextual patterns from user history
@@ -141,18 +59,47 @@ class BehavioralPatternEngine {
     // 5. Calculate composite severity
     const analysis = this.analyzePatternSeverity(detectedPatterns, combinations, userContext);
     
-    return {
-      patterns: detectedPatterns,
+    const result = {
+      // Per-pattern evidence only goes out in explain mode
+      patterns: options.explain ? detectedPatterns : detectedPatterns.map(({ evidence, ...pattern }) => pattern),
       combinations: combinations,
       severity: analysis.severity,
       confidence: analysis.confidence,
       primary_pattern: analysis.primary,
       urgency: analysis.urgency
     };
+    
+    if (options.explain) {
+      result.explanation = this.explainAnalysis(analysis, combinations);
+    }
+    
+    return result;
+  }
+  
+  // Which rules decided the primary pattern, severity and urgency, with the thresholds in force
+  explainAnalysis(analysis, combinations) {
+    return {
+      primary_pattern: analysis.primary
+        ? { pattern: analysis.primary, rule: 'highest_confidence', confidence: analysis.confidence }
+        : null,
+      severity: { value: analysis.severity, rules: analysis.rules.severity },
+      urgency: { value: analysis.urgency, rules: analysis.rules.urgency },
+      combinations: combinations.map(combo => ({
+        name: combo.name,
+        rule: `all_detected:${combo.patterns.join('+')}`,
+        severity: combo.severity
+      })),
+      thresholds: {
+        ml_min_confidence: ML_MIN_CONFIDENCE,
+        linguistic_min_score: LINGUISTIC_MIN_SCORE,
+        linguistic_max_confidence: LINGUISTIC_MAX_CONFIDENCE,
+        linguistic_weights: LINGUISTIC_WEIGHTS
+      }
+    };
   }
   
   detectPrimaryPattern(mlAnalysis) {
-    if (!mlAnalysis.intent || mlAnalysis.intent_confidence < 0.6) {
+    if (!mlAnalysis.intent || mlAnalysis.intent_confidence < ML_MIN_CONFIDENCE) {
       return null;
     }
     
@@ -163,44 +110,104 @@ class BehavioralPatternEngine {
       type: mlAnalysis.intent,
       confidence: mlAnalysis.intent_confidence,
       source: 'ml_classification',
-      severity: this.calculateSeverity(mlAnalysis)
+      severity: this.calculateSeverity(mlAnalysis),
+      evidence: [{
+        source: 'ml',
+        rule: `ml_intent:${mlAnalysis.intent}`,
+        weight: mlAnalysis.intent_confidence,
+        detail: {
+          intent_confidence: mlAnalysis.intent_confidence,
+          sentiment_score: mlAnalysis.sentiment_score ?? null,
+          urgency_detected: Boolean(mlAnalysis.urgency_detected)
+        }
+      }]
     };
   }
   
-  detectLinguisticPatterns(message) {
+  detectLinguisticPatterns(message = '', locale) {
     const patterns = [];
-    const lowerMessage = message.toLowerCase();
+    const tokens = tokenize(message);
+    const languages = locale ? [...new Set([locale, locale.split('-')[0]])] : [];
+    
+    // Matched spans carry offsets so the UI can highlight the triggering words
+    const toSpan = (span, extra) => ({
+      text: message.slice(span.start, span.end),
+      start: span.start,
+      end: span.end,
+      ...extra
+    });
     
     Object.entries(this.patterns).forEach(([patternType, pattern]) => {
       let matchScore = 0;
       let matchedMarkers = [];
+      const spans = [];
+      const ignored = [];
+      const evidence = [];
+      
+      const find = (phrase) => {
+        const found = findPhrase(tokens, phrase, { tense: pattern.tense });
+        found.filter(s => !s.counted).forEach(s => ignored.push(toSpan(s, { phrase, reason: s.reason })));
+        return found.filter(s => s.counted);
+      };
+      
+      // Base markers plus any the pack defines for the user's locale
+      const localised = languages.map(lang => pattern.locales?.[lang]).filter(Boolean);
+      const markers = [...new Set([
+        ...pattern.linguistic_markers,
+        ...localised.flatMap(l => l.linguistic_markers || [])
+      ])];
+      const severityIndicators = { ...pattern.severity_indicators };
+      localised.forEach(l => {
+        Object.entries(l.severity_indicators || {}).forEach(([level, indicators]) => {
+          severityIndicators[level] = [...(severityIndicators[level] || []), ...indicators];
+        });
+      });
       
       // Check linguistic markers
-      pattern.linguistic_markers.forEach(marker => {
-        if (lowerMessage.includes(marker)) {
-          matchScore += 0.1;
+      markers.forEach(marker => {
+        const found = find(marker);
+        if (found.length > 0) {
+          matchScore += LINGUISTIC_WEIGHTS.marker;
           matchedMarkers.push(marker);
+          found.forEach(s => spans.push(toSpan(s, { phrase: marker, kind: 'marker' })));
+          evidence.push({
+            source: 'linguistic',
+            rule: `marker:${marker}`,
+            weight: LINGUISTIC_WEIGHTS.marker,
+            detail: { matches: found.map(s => message.slice(s.start, s.end)) }
+          });
         }
       });
       
       // Check severity indicators
       let severity = 'low';
-      Object.entries(pattern.severity_indicators).forEach(([level, indicators]) => {
+      Object.entries(severityIndicators).forEach(([level, indicators]) => {
         indicators.forEach(indicator => {
-          if (lowerMessage.includes(indicator)) {
+          const found = find(indicator);
+          if (found.length > 0) {
             severity = level;
-            matchScore += level === 'high' ? 0.3 : level === 'medium' ? 0.2 : 0.1;
+            matchScore += LINGUISTIC_WEIGHTS[level] || LINGUISTIC_WEIGHTS.low;
+            found.forEach(s => spans.push(toSpan(s, { phrase: indicator, kind: 'severity', level })));
+            evidence.push({
+              source: 'linguistic',
+              rule: `severity_indicator:${level}:${indicator}`,
+              weight: LINGUISTIC_WEIGHTS[level] || LINGUISTIC_WEIGHTS.low,
+              detail: { matches: found.map(s => message.slice(s.start, s.end)) }
+            });
           }
         });
       });
       
-      if (matchScore > 0.2) {
+      if (matchScore > LINGUISTIC_MIN_SCORE) {
         patterns.push({
           type: patternType,
-          confidence: Math.min(matchScore, 0.9),
+          confidence: Math.min(matchScore, LINGUISTIC_MAX_CONFIDENCE),
           source: 'linguistic_analysis',
           severity: severity,
-          matched_markers: matchedMarkers
+          matched_markers: matchedMarkers,
+          spans: spans.sort((a, b) => a.start - b.start),
+          ignored_spans: ignored,
+          evidence
         });
       }
     });
@@ -208,27 +215,31 @@ class BehavioralPatternEngine {
     return patterns;
   }
   
-  detectContextualPatterns(userContext) {
+  detectContextualPatterns(userContext = {}) {
     const patterns = [];
     
-    // Check each pattern's contextual triggers
+    // Check each pattern's contextual triggers against the user's actual metrics
     Object.entries(this.patterns).forEach(([patternType, pattern]) => {
-      let triggersMet = 0;
-      let totalTriggers = 0;
+      const triggers = Object.entries(pattern.contextual_triggers || {}).map(([trigger, condition]) =>
+        evaluateTrigger(trigger, condition, userContext)
+      );
       
-      Object.entries(pattern.contextual_triggers).forEach(([trigger, condition]) => {
-        totalTriggers++;
-        if (this.evaluateContextualTrigger(trigger, condition, userContext)) {
-          triggersMet++;
-        }
-      });
+      const triggersMet = triggers.filter(t => t.met).length;
+      const totalTriggers = triggers.length;
       
       if (triggersMet > 0) {
         patterns.push({
           type: patternType,
           confidence: triggersMet / totalTriggers,
           source: 'contextual_analysis',
-          severity: triggersMet === totalTriggers ? 'high' : 'medium'
+          severity: triggersMet === totalTriggers ? 'high' : 'medium',
+          triggers_met: triggers.filter(t => t.met),
+          evidence: triggers.filter(t => t.met).map(t => ({
+            source: 'contextual',
+            rule: `trigger:${t.trigger} ${t.expression}`,
+            weight: 1 / totalTriggers,
+            detail: { value: t.value }
+          }))
         });
       }
     });
@@ -237,19 +248,8 @@ class BehavioralPatternEngine {
   }
   
   evaluateContextualTrigger(trigger, condition, context) {
-    // Parse conditions like '>72h', '<0.3', etc.
-    if (typeof condition === 'string') {
-      if (condition.startsWith('>')) {
-        const value = parseFloat(condition.substring(1));
-        return context[trigger] > value;
-      } else if (condition.startsWith('<')) {
-        const value = parseFloat(condition.substring(1));
-        return context[trigger] < value;
-      } else if (condition === 'true' || condition === 'false') {
-        return context[trigger] === (condition === 'true');
-      }
-    }
-    return context[trigger] === condition;
+    // Parses conditions like '>72h', '<0.3', '>5:1', '>3times', 'decreasing' - see trigger-expressions.js
+    return evaluateTrigger(trigger, condition, context).met;
   }
   
   detectPatternCombinations(patterns) {
@@ -275,18 +275,18 @@ class BehavioralPatternEngine {
   }
   
   getCombinationDescription(comboName) {
-    const descriptions = {
-      'analysis_paralysis': 'Overthinking and perfecting plans instead of executing',
-      'imposter_spiral': 'Self-doubt affecting pricing and execution',
-      'chronic_avoidance': 'Persistent procrastination with real blockers',
-      'fear_driven_stall': 'Fear manifesting as perfectionism and delay'
-    };
-    return descriptions[comboName] || 'Multiple behavioral patterns detected';
+    return this.packs.combinationDescriptions[comboName] || 'Multiple behavioral patterns detected';
   }
   
   analyzePatternSeverity(patterns, combinations, context) {
     if (patterns.length === 0) {
-      return { severity: 'none', confidence: 0, primary: null, urgency: 'low' };
+      return {
+        severity: 'none',
+        confidence: 0,
+        primary: null,
+        urgency: 'low',
+        rules: { severity: ['no_patterns'], urgency: ['no_patterns'] }
+      };
     }
     
     // Sort by confidence
@@ -295,27 +295,34 @@ class BehavioralPatternEngine {
     const primary = patterns[0];
     let severity = primary.severity;
     let urgency = 'medium';
+    // Rule names for explain mode, in the order they applied
+    const rules = { severity: [`primary_pattern_severity:${primary.severity}`], urgency: ['default:medium'] };
     
     // Escalate for combinations
     if (combinations.length > 0) {
       severity = 'critical';
       urgency = 'high';
+      rules.severity.push(`combination:${combinations[0].name}`);
+      rules.urgency.push(`combination:${combinations[0].name}`);
     }
     
     // Escalate based on business context
     if (context.current_mrr < 1000 && primary.type === 'pricing_anxiety') {
       urgency = 'critical';
+      rules.urgency.push('pricing_anxiety_with_mrr<1000');
     }
     
     if (context.days_since_last_sale > 30 && primary.type === 'execution_blocking') {
       urgency = 'critical';
+      rules.urgency.push('execution_blocking_with_days_since_last_sale>30');
     }
     
     return {
       severity,
       confidence: primary.confidence,
       primary: primary.type,
-      urgency
+      urgency,
+      rules
     };
   }
   
@@ -331,344 +338,194 @@ class BehavioralPatternEngine {
 // 2. INTERVENTION GENERATOR
 // ============================================
 
-class InterventionGenerator {
-  constructor() {
-    this.interventionStrategies = {
-      procrastination: {
-        low: {
-          gentle_nudge: "What's one small step you could take right now?",
-          reframe: "Progress beats perfection. Start with 10 minutes.",
-          accountability: "Tell me the first thing you'll do today."
-        },
-        medium: {
-          direct_challenge: "You've been planning this for {{days_mentioned}}. Time to act.",
-          pattern_interrupt: "Stop. Choose one task. Do it now. Report back in 1 hour.",
-          consequence_reminder: "Every day you wait costs you {{estimated_loss}}."
-        },
-        high: {
-          brutal_truth: "You're choosing failure by not starting. This pattern has cost you {{total_opportunity_cost}}.",
-          ultimatum: "Start today or admit you're not serious about this.",
-          breakdown: "You're overwhelmed. Let's do just THIS: {{micro_action}}"
-        },
-        critical: {
-          intervention: "🚨 PATTERN ALERT: You've said 'later' {{procrastination_count}} times this month. Your business is dying while you plan.",
-          directive: "Close this chat. Do ONE revenue-generating activity. Come back when it's done.",
-          reality_check: "At this rate, you'll be at ${{projected_mrr}} in 6 months. Still want to wait?"
-        }
-      },
-      
-      planning_paralysis: {
-        low: {
-          gentle_nudge: "Your plan is good enough. What's stopping you from starting?",
-          reframe: "Planning is procrastination in disguise. Pick one thing.",
-          accountability: "Which part of your existing plan will you execute today?"
-        },
-        medium: {
-          direct_challenge: "You have {{plan_count}} plans and {{execution_count}} completed tasks. See the problem?",
-          pattern_interrupt: "STOP planning. Your next message should be about what you DID, not what you'll do.",
-          consequence_reminder: "While you plan, competitors are shipping. You're losing {{days_lost}} days of progress."
-        },
-        high: {
-          brutal_truth: "Your planning addiction has prevented ${{lost_revenue}} in revenue. Enough.",
-          ultimatum: "No more plans for 30 days. Execution only. Can you commit?",
-          breakdown: "Forget the plan. What can you sell TODAY?"
-        },
-        critical: {
-          intervention: "🛑 PLANNING ADDICTION DETECTED: {{total_hours}} hours planning, {{execution_hours}} hours doing. This ends now.",
-          directive: "Delete all your plans except one. Execute page 1 only. Nothing else matters.",
-          reality_check: "You're a professional planner, not a business owner. Which do you want to be?"
-        }
-      },
-      
-      perfectionism: {
-        low: {
-          gentle_nudge: "What would 'good enough' look like for this?",
-          reframe: "Your customers need your solution now, not perfect later.",
-          accountability: "Set a deadline: When will you ship this?"
-        },
-        medium: {
-          direct_challenge: "You've revised this {{revision_count}} times. It's fear, not quality.",
-          pattern_interrupt: "Ship it at 70% quality TODAY or delete it forever. Choose.",
-          consequence_reminder: "Perfectionism has cost you {{perfectionism_cost}}. Still worth it?"
-        },
-        high: {
-          brutal_truth: "Your 'high standards' are just fear with makeup on. Ship or shut down.",
-          ultimatum: "Launch in 24 hours or admit you're afraid of judgment.",
-          breakdown: "What's the MINIMUM viable version? Do only that."
-        },
-        critical: {
-          intervention: "⚠️ PERFECTIONISM PARALYSIS: {{days_perfecting}} days on something that should take {{normal_time}}.",
-          directive: "You have 2 hours to launch. After that, I'm telling you to quit.",
-          reality_check: "Reid Hoffman: 'If you're not embarrassed by v1, you launched too late.' You're 10 versions past embarrassment."
-        }
-      },
-      
-      pricing_anxiety: {
-        low: {
-          gentle_nudge: "What would you charge if you truly valued your work?",
-          reframe: "Your pricing reflects your self-worth. What are you saying?",
-          accountability: "Add 20% to your current price. Just as an experiment."
-        },
-        medium: {
-          direct_challenge: "You're at ${{current_price}}. Market rate is ${{market_rate}}. Explain.",
-          pattern_interrupt: "Double your prices for the next 3 clients. No negotiation.",
-          consequence_reminder: "Underpricing has cost you ${{revenue_lost}} this year alone."
-        },
-        high: {
-          brutal_truth: "Your fear of rejection is making you broke. ${{current_mrr}} is poverty pricing.",
-          ultimatum: "Raise prices 50% today or accept you'll always be cheap.",
-          breakdown: "One client at new prices beats ten at charity rates."
-        },
-        critical: {
-          intervention: "💰 POVERTY MINDSET ALERT: You're charging ${{hourly_rate}}/hour. McDonald's pays more.",
-          directive: "3x your prices. Lose bad clients. Attract real business. Do it NOW.",
-          reality_check: "You're not afraid they'll say no. You're afraid they'll say yes and you'll have to deliver."
-        }
-      },
-      
-      execution_blocking: {
-        low: {
-          gentle_nudge: "What's really stopping you? Be specific.",
-          reframe: "Every expert was once a beginner who didn't quit.",
-          accountability: "What's one thing you CAN do with what you have?"
-        },
-        medium: {
-          direct_challenge: "You've mentioned '{{blocker}}' {{mention_count}} times. It's an excuse.",
-          pattern_interrupt: "Assume you can't fix the blocker. What would you do instead?",
-          consequence_reminder: "This 'blocker' has delayed {{delayed_revenue}} in revenue."
-        },
-        high: {
-          brutal_truth: "You're not blocked. You're scared. The block is imaginary.",
-          ultimatum: "Find a way or admit you don't want it badly enough.",
-          breakdown: "Who has solved this before? Copy them exactly."
-        },
-        critical: {
-          intervention: "🚫 EXCUSE PATTERN: Same 'blocker' for {{days_blocked}} days. You're choosing to stay stuck.",
-          directive: "You have 2 options: 1) Solve it today, or 2) Work around it. Staying stuck isn't an option.",
-          reality_check: "Winners find a way. Losers find an excuse. Which are you being?"
-        }
-      }
-    };
-    
-    this.combinationStrategies = {
-      analysis_paralysis: {
-        intervention: "📊 ANALYSIS PARALYSIS DETECTED: {{plan_count}} plans, {{perfect_attempts}} perfection loops, ZERO launches.",
-        prescription: "For the next 7 days: No planning. No perfecting. Only shipping. Can you handle that?",
-        accountability: "Send me proof of something you shipped within 24 hours or I'm calling you out."
-      },
-      imposter_spiral: {
-        intervention: "😰 IMPOSTER SPIRAL: Undercharging because you're scared, overworking because you feel inadequate.",
-        prescription: "Truth: You know more than your clients. Price like it. Ship like it. Own it.",
-        accountability: "Raise your prices TODAY and ship something IMPERFECT. Report back."
-      },
-      chronic_avoidance: {
-        intervention: "⏰ CHRONIC AVOIDANCE: {{days_avoiding}} days of excuses. Your dreams are dying.",
-        prescription: "You get 3 more excuses in your entire life. Use them wisely. Today isn't one of them.",
-        accountability: "Next message better be about something you DID, not why you couldn't."
-      },
-      fear_driven_stall: {
-        intervention: "😨 FEAR SPIRAL: Every pattern traces back to fear. Fear of judgment, rejection, failure.",
-        prescription: "Feel the fear. Do it anyway. Or quit now and save yourself the slow death.",
-        accountability: "What are you MOST afraid of? Do exactly that thing TODAY."
-      }
-    };
+export class InterventionGenerator {
+  constructor(options = {}) {
+    // Intervention copy lives in locales/<locale>.json, keyed by pattern/severity/strategy
+    this.catalog = options.catalog || new InterventionCatalog();
+    // Thresholds for selectStrategy; see strategy-policy.js
+    this.strategyThresholds = options.strategyThresholds;
+    // Share of decisions spread over all strategies so the replay simulator can compare policies
+    this.exploration = options.exploration ?? (parseFloat(process.env.STRATEGY_EXPLORATION) || 0);
   }
   
-  generateIntervention(patternAnalysis, userContext, mlResults) {
-    // Determine intervention strategy
-    const strategy = this.selectStrategy(patternAnalysis, userContext);
-    
-    // Get base intervention
-    let intervention = this.getBaseIntervention(
+  // options.experiments: assignments from ExperimentRegistry.assign (see experiments.js)
+  generateIntervention(patternAnalysis, userContext, mlResults, options = {}) {
+    // Locale fallback chain, e.g. ['es', 'en'] for es-MX
+    const locales = this.catalog.resolveChain(options.locale || userContext.locale);
+    const assignments = options.experiments || [];
+    const exposures = [];
+    
+    // Determine intervention strategy (propensity is logged for off-policy replay)
+    const { strategy: requestedStrategy, propensity } = this.chooseStrategy(patternAnalysis, userContext);
+    
+    // Use the first template we have real data for
+    const { strategy, text, skipped } = this.selectTemplate(
       patternAnalysis.primary_pattern,
       patternAnalysis.severity,
-      strategy
+      requestedStrategy,
+      userContext,
+      patternAnalysis,
+      locales
     );
-    
-    // Personalize with context
-    intervention = this.personalizeIntervention(intervention, userContext, patternAnalysis);
+    let intervention = this.applyExperiment(assignments, 'template', exposures, text, (treatment) => {
+      const template = variantCopy(treatment.template, locales);
+      const result = template && this.personalizeIntervention(template, userContext, patternAnalysis, locales);
+      return result && !result.skipped ? result.text : null;
+    });
     
     // Add combination interventions if needed
     if (patternAnalysis.combinations.length > 0) {
       intervention = this.addCombinationIntervention(
         intervention,
         patternAnalysis.combinations[0],
-        userContext
+        userContext,
+        locales
       );
     }
     
     // Add specific directives
-    const directive = this.generateDirective(patternAnalysis, userContext);
+    const directive = this.applyExperiment(
+      assignments,
+      'directive',
+      exposures,
+      this.generateDirective(patternAnalysis, userContext, locales),
+      (treatment) => variantCopy(treatment.directive, locales)
+    );
     
     // Add accountability hook
-    const accountability = this.createAccountabilityHook(patternAnalysis, userContext);
+    const accountability = this.createAccountabilityHook(patternAnalysis, userContext, locales);
     
     return {
       intervention,
+      strategy,
+      locale: locales[0],
+      skipped_templates: skipped,
       directive,
       accountability,
       follow_up_required: patternAnalysis.severity !== 'low',
-      follow_up_timing: this.getFollowUpTiming(patternAnalysis.severity)
+      follow_up_timing: this.applyExperiment(
+        assignments,
+        'timing',
+        exposures,
+        this.getFollowUpTiming(patternAnalysis.severity),
+        (treatment) => treatment.timings?.[patternAnalysis.severity] || treatment.follow_up_timing || null
+      ),
+      requested_strategy: requestedStrategy,
+      strategy_propensity: propensity,
+      decision_context: decisionContext(patternAnalysis, userContext),
+      experiments: exposures
     };
   }
   
-  selectStrategy(analysis, context) {
-    // High trust + high severity = brutal truth
-    if (context.trust_level > 7 && analysis.severity === 'high') {
-      return 'brutal_truth';
-    }
+  // The variant's value for one factor, or the shipped value. Control users are always exposed;
+  // treatment users only when their variant produced something (e.g. its template had the data).
+  applyExperiment(assignments, factor, exposures, value, variantValue) {
+    const assignment = assignments.find(a => a.factor === factor);
+    if (!assignment) return value;
     
-    // Low trust = gentle nudge
-    if (context.trust_level < 4) {
-      return 'gentle_nudge';
-    }
+    const treated = assignment.treatment ? variantValue(assignment.treatment) : value;
+    if (treated === null || treated === undefined) return value;
     
-    // Repeated patterns = pattern interrupt
-    if (context.pattern_repetition_count > 3) {
-      return 'pattern_interrupt';
+    exposures.push({ experiment_id: assignment.experiment_id, factor, variant: assignment.variant });
+    return treated;
+  }
+  
+  chooseStrategy(analysis, context) {
+    if (!this.exploration) {
+      return { strategy: this.selectStrategy(analysis, context), propensity: 1 };
     }
     
-    // Crisis = ultimatum
-    if (analysis.urgency === 'critical') {
-      return 'ultimatum';
-    }
+    return sampleStrategy(strategyPropensities(analysis, context, {
+      thresholds: this.strategyThresholds,
+      exploration: this.exploration
+    }));
+  }
+  
+  selectStrategy(analysis, context) {
+    return selectStrategy(analysis, context, this.strategyThresholds);
+  }
+  
+  // Requested strategy first, then the rest of that severity, then a data-free nudge
+  getCandidateTemplates(pattern, severity, strategy, locales) {
+    const candidates = [];
+    const preferred = [strategy, 'direct_challenge', ...this.catalog.strategyNames(locales, pattern, severity)];
+    
+    [...new Set(preferred)].forEach(name => {
+      const template = this.catalog.get(locales, ['strategies', pattern, severity, name]);
+      if (template) candidates.push([name, template]);
+    });
     
-    // Default based on severity
-    const defaultStrategies = {
-      low: 'gentle_nudge',
-      medium: 'direct_challenge',
-      high: 'brutal_truth',
-      critical: 'intervention'
-    };
+    const nudge = this.catalog.get(locales, ['strategies', pattern, 'low', 'gentle_nudge']);
+    if (nudge) candidates.push(['gentle_nudge', nudge]);
     
-    return defaultStrategies[analysis.severity] || 'direct_challenge';
+    candidates.push(['gentle_nudge', this.catalog.get(locales, ['fallback_intervention'])]);
+    return candidates;
   }
   
-  getBaseIntervention(pattern, severity, strategy) {
-    const patternInterventions = this.interventionStrategies[pattern];
-    if (!patternInterventions) return "Time to take action on this pattern.";
-    
-    const severityInterventions = patternInterventions[severity];
-    if (!severityInterventions) return patternInterventions.low.gentle_nudge;
+  selectTemplate(pattern, severity, strategy, context, analysis, locales) {
+    const skipped = [];
     
-    return severityInterventions[strategy] || severityInterventions.direct_challenge;
+    for (const [name, template] of this.getCandidateTemplates(pattern, severity, strategy, locales)) {
+      const result = this.personalizeIntervention(template, context, analysis, locales);
+      if (!result.skipped) {
+        return { strategy: name, text: result.text, skipped };
+      }
+      skipped.push({ strategy: name, missing: result.missing });
+    }
   }
   
-  personalizeIntervention(intervention, context, analysis) {
-    // Replace all template variables
-    const variables = {
-      days_mentioned: context.days_since_first_mention || 'several days',
-      estimated_loss: `${(context.daily_opportunity_cost * context.days_procrastinating) || 500}`,
-      total_opportunity_cost: `${context.total_opportunity_cost || 5000}`,
-      procrastination_count: context.procrastination_mentions || 'multiple',
-      plan_count: context.plans_created || 'several',
-      execution_count: context.tasks_completed || 0,
-      days_lost: context.days_spent_planning || 'countless',
-      lost_revenue: context.planning_opportunity_cost || 10000,
-      total_hours: context.total_planning_hours || 'dozens of',
-      execution_hours: context.total_execution_hours || 'almost zero',
-      revision_count: context.revision_count || 'countless',
-      perfectionism_cost: `${context.perfectionism_opportunity_cost || 5000}`,
-      days_perfecting: context.days_perfecting || 'too many',
-      normal_time: context.normal_task_time || '2 days',
-      current_price: `${context.current_average_price || 97}`,
-      market_rate: `${context.market_rate || 297}`,
-      revenue_lost: context.underpricing_loss || 50000,
-      current_mrr: context.current_mrr || 0,
-      hourly_rate: Math.round((context.current_mrr || 1000) / 160),
-      blocker: context.most_mentioned_blocker || 'that issue',
-      mention_count: context.blocker_mention_count || 'multiple',
-      delayed_revenue: context.blocker_delayed_revenue || 10000,
-      days_blocked: context.days_since_blocker_first_mentioned || 'many',
-      days_avoiding: context.total_avoidance_days || 30,
-      projected_mrr: context.current_mrr || 0,
-      user_name: context.user_name?.split(' ')[0] || 'Friend'
+  personalizeIntervention(template, context, analysis, locales = [DEFAULT_LOCALE]) {
+    // Fill template variables from real user data; templates missing data are skipped, never guessed.
+    // Amounts are in the context's currency (user or tenant), else the locale catalog's.
+    const options = {
+      locale: locales[0],
+      currency: currencyCode(context.currency) || this.catalog.get(locales, ['currency'])
     };
-    
-    // Replace variables in intervention
-    Object.entries(variables).forEach(([key, value]) => {
-      intervention = intervention.replace(new RegExp(`{{${key}}}`, 'g'), value);
-    });
+    const result = renderTemplate(template, context, options);
     
     // Add personal touch for high trust users
-    if (context.trust_level > 8 && analysis.severity === 'high') {
-      intervention = `${context.user_name}, real talk: ${intervention}`;
+    if (!result.skipped && context.trust_level > 8 && analysis.severity === 'high') {
+      const prefix = renderTemplate(this.catalog.get(locales, ['personal_prefix']), context, options);
+      if (!prefix.skipped) result.text = `${prefix.text}${result.text}`;
     }
     
-    return intervention;
+    return result;
   }
   
-  addCombinationIntervention(baseIntervention, combination, context) {
-    const comboStrategy = this.combinationStrategies[combination.name];
+  addCombinationIntervention(baseIntervention, combination, context, locales) {
+    const comboStrategy = this.catalog.get(locales, ['combinations', combination.name]);
     if (!comboStrategy) return baseIntervention;
     
-    let comboIntervention = this.personalizeIntervention(
+    const combo = this.personalizeIntervention(
       comboStrategy.intervention,
       context,
-      { severity: 'critical' }
+      { severity: 'critical' },
+      locales
     );
     
-    return `${comboIntervention}\n\n${baseIntervention}\n\n${comboStrategy.prescription}`;
+    // Without the numbers the combination alert would be hollow; keep the prescription
+    if (combo.skipped) {
+      return `${baseIntervention}\n\n${comboStrategy.prescription}`;
+    }
+    
+    return `${combo.text}\n\n${baseIntervention}\n\n${comboStrategy.prescription}`;
   }
   
-  generateDirective(analysis, context) {
-    const directives = {
-      procrastination: {
-        low: "Choose one small task and complete it today.",
-        medium: "Stop reading this. Go do the thing you're avoiding.",
-        high: "You have 1 hour to show progress or we're having a different conversation.",
-        critical: "No more messages until you've taken action. I'll know if you haven't."
-      },
-      planning_paralysis: {
-        low: "Execute page 1 of your plan. Ignore the rest.",
-        medium: "Delete all plans except one. Execute the first step only.",
-        high: "Planning ban for 7 days. Execution only.",
-        critical: "Ship something in the next 24 hours or shut down."
-      },
-      perfectionism: {
-        low: "Set a timer for 2 hours. Ship when it rings.",
-        medium: "Launch the 70% version today.",
-        high: "You have until midnight to go live.",
-        critical: "Ship in the next 4 hours. No excuses."
-      },
-      pricing_anxiety: {
-        low: "Increase your price by 20% for the next client.",
-        medium: "Double your prices this week. No exceptions.",
-        high: "3x your prices or find a job.",
-        critical: "Charge what scares you. Do it today."
-      },
-      execution_blocking: {
-        low: "Find three people who solved this. Copy one.",
-        medium: "You have 24 hours to eliminate this blocker.",
-        high: "Hire someone or find a workaround. Today.",
-        critical: "This excuse dies today. Find a way or quit."
-      }
-    };
-    
+  generateDirective(analysis, context, locales = [DEFAULT_LOCALE]) {
     const pattern = analysis.primary_pattern;
     const severity = analysis.severity;
     
-    return directives[pattern]?.[severity] || "Take action on this today.";
+    return this.catalog.get(locales, ['directives', pattern, severity]) ||
+      this.catalog.get(locales, ['default_directive']);
   }
   
-  createAccountabilityHook(analysis, context) {
-    const hooks = {
-      low: "Let me know what you accomplished today.",
-      medium: "Report back in 24 hours with proof of progress.",
-      high: "Send me evidence of action within 4 hours.",
-      critical: "If I don't see results in 24 hours, we're done talking."
-    };
-    
-    let hook = hooks[analysis.severity] || hooks.medium;
+  createAccountabilityHook(analysis, context, locales = [DEFAULT_LOCALE]) {
+    let hook = this.catalog.get(locales, ['accountability', analysis.severity]) ||
+      this.catalog.get(locales, ['accountability', 'medium']);
     
     // Add specific accountability for patterns
-    if (analysis.primary_pattern === 'procrastination') {
-      hook += " No explanations, just what you DID.";
-    } else if (analysis.primary_pattern === 'planning_paralysis') {
-      hook += " Show me what you EXECUTED, not planned.";
-    } else if (analysis.primary_pattern === 'perfectionism') {
-      hook += " It better be live and imperfect.";
-    }
+    const suffix = this.catalog.get(locales, ['accountability_suffix', analysis.primary_pattern]);
+    if (suffix) hook += suffix;
     
     return hook;
   }
@@ -688,14 +545,14 @@ class InterventionGenerator {
 // 3. LEARNING SYSTEM
 // ============================================
 
-class BehavioralLearningSystem {
+export class BehavioralLearningSystem {
   constructor(database) {
-    this.db = database;
+    this.db = assertStorageAdapter(database);
     this.cache = new Map();
   }
   
-  async trackIntervention(userId, intervention, patternAnalysis, mlResults) {
-    const trackingId = this.generateTrackingId();
+  // trackingId: pass the id the intervention was admitted under (frequency caps) to keep one id
+  async trackIntervention(userId, intervention, patternAnalysis, mlResults, trackingId = this.generateTrackingId()) {
     
     const trackingData = {
       tracking_id: trackingId,
@@ -710,12 +567,27 @@ class BehavioralLearningSystem {
       ml_confidence: mlResults.intent_confidence,
       awaiting_outcome: true,
       follow_up_required: intervention.follow_up_required,
-      follow_up_timing: intervention.follow_up_timing
+      follow_up_timing: intervention.follow_up_timing,
+      // Logged decision for policy replay (policy-replay.js)
+      requested_strategy: intervention.requested_strategy,
+      strategy_propensity: intervention.strategy_propensity,
+      decision_context: intervention.decision_context,
+      experiments: intervention.experiments || []
     };
     
     // Store in database
     await this.db.storeIntervention(trackingData);
     
+    // Experiment exposures (experiments.js); the outcome is attached in collectOutcome
+    for (const exposure of trackingData.experiments) {
+      await this.db.recordExperimentExposure({
+        ...exposure,
+        user_id: userId,
+        tracking_id: trackingId,
+        exposed_at: trackingData.timestamp
+      });
+    }
+    
     // Schedule follow-up checks
     await this.scheduleOutcomeCollection(trackingId, userId, intervention.follow_up_timing);
     
@@ -757,6 +629,13 @@ class BehavioralLearningSystem {
       effectiveness_factors: effectiveness.factors
     });
     
+    if (intervention.experiments?.length) {
+      await this.db.updateExperimentExposures(trackingId, {
+        effectiveness_score: effectiveness.score,
+        outcome_collected_at: new Date().toISOString()
+      });
+    }
+    
     // Update pattern effectiveness
     await this.updatePatternEffectiveness(
       intervention.pattern_detected,
@@ -901,7 +780,53 @@ class BehavioralLearningSystem {
     // Update global pattern weights
     await this.updateGlobalWeights();
   }
-  
+
+  async updateStrategyEffectiveness(pattern, strategy, effectivenessScore) {
+    if (!pattern || !strategy) return;
+
+    // Strategy scores are shared across users, keyed as pattern:strategy
+    await this.updatePatternEffectiveness(`${pattern}:${strategy}`, effectivenessScore, null);
+  }
+
+  async reinforceFeatures(intervention) {
+    this.adjustFeatureWeights(intervention, 0.05);
+  }
+
+  async penalizeFeatures(intervention) {
+    this.adjustFeatureWeights(intervention, -0.05);
+  }
+
+  adjustFeatureWeights(intervention, delta) {
+    const weights = this.cache.get('feature_weights') || {};
+    const features = [
+      `pattern:${intervention.pattern_detected}`,
+      `severity:${intervention.pattern_severity}`,
+      `strategy:${intervention.intervention_type}`
+    ];
+
+    features.forEach(feature => {
+      const current = weights[feature] ?? 1.0;
+      weights[feature] = Math.max(0.1, Math.min(current + delta, 2.0));
+    });
+
+    this.cache.set('feature_weights', weights);
+  }
+
+  async updateGlobalWeights() {
+    // Normalise so the average feature weight stays at 1.0
+    const weights = this.cache.get('feature_weights') || {};
+    const values = Object.values(weights);
+    if (values.length === 0) return;
+
+    const mean = values.reduce((sum, w) => sum + w, 0) / values.length;
+    const normalised = {};
+    Object.entries(weights).forEach(([feature, weight]) => {
+      normalised[feature] = weight / mean;
+    });
+
+    this.cache.set('global_weights', normalised);
+  }
+
   async predictInterventionSuccess(pattern, severity, userContext) {
     // Get historical effectiveness
     const history = await this.db.getInterventionHistory(
@@ -928,12 +853,13 @@ class BehavioralLearningSystem {
   async scheduleOutcomeCollection(trackingId, userId, timing) {
     const delayMs = this.parseTimingToMs(timing);
     
-    // In production, use a proper job queue
-    // For now, store scheduled time in DB
+    // Picked up by OutcomeScheduler, which calls collectOutcome when due
     await this.db.scheduleOutcomeCollection({
       tracking_id: trackingId,
       user_id: userId,
-      scheduled_time: new Date(Date.now() + delayMs).toISOString()
+      scheduled_time: new Date(Date.now() + delayMs).toISOString(),
+      status: JOB_STATUS.PENDING,
+      attempts: 0
     });
   }
   
@@ -957,13 +883,39 @@ class BehavioralLearningSystem {
 
 import express from 'express';
 import cors from 'cors';
+import { timingSafeEqual } from 'crypto';
+import { assertStorageAdapter, createStorageAdapter } from './storage-adapters.js';
+import { OutcomeScheduler, JOB_STATUS } from './outcome-scheduler.js';
+import { Oracle } from './oracle.js';
+import { FrequencyGovernor, InMemoryFrequencyStore, SupabaseFrequencyStore } from './NEW/CURSOR/frequency-caps.js';
+
+// ?explain=true or { "explain": true } - coaches review the evidence before an intervention goes out
+const isExplainRequest = (req) => req.body.explain === true || req.query.explain === 'true';
 
 export class Celeste7BehavioralAPI {
-  constructor() {
+  constructor(options = {}) {
     this.app = express();
     this.patternEngine = new BehavioralPatternEngine();
     this.interventionGenerator = new InterventionGenerator();
-    this.learningSystem = new BehavioralLearningSystem(this.initDatabase());
+    this.learningSystem = new BehavioralLearningSystem(options.database || this.initDatabase());
+    this.outcomeScheduler = new OutcomeScheduler(
+      this.learningSystem.db,
+      (job) => this.learningSystem.collectOutcome(job.tracking_id, job.user_id),
+      { pollIntervalMs: parseInt(process.env.OUTCOME_POLL_MS) || 30000 }
+    );
+    // A/B tests on wording, directives and follow-up timing (experiments.js)
+    this.experiments = new ExperimentRegistry(this.learningSystem.db);
+    // Quiet hours, daily budget and per-pattern cooldowns, shared with the realtime server
+    this.frequencyGovernor = options.frequencyGovernor || this.initFrequencyGovernor();
+    // Unified analysis over this engine and the realtime engine (REALTIME_ENGINE_URL)
+    this.oracle = new Oracle({
+      patternEngine: this.patternEngine,
+      interventionGenerator: this.interventionGenerator,
+      learningSystem: this.learningSystem,
+      realtimeEngine: options.realtimeEngine,
+      experiments: this.experiments,
+      frequencyGovernor: this.frequencyGovernor
+    });
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -987,6 +939,8 @@ export class Celeste7BehavioralAPI {
         status: 'healthy',
         service: 'celeste7-behavioral-engine',
         version: '1.0.0',
+        storage: this.learningSystem.db.name,
+        pattern_packs: this.patternEngine.packs.getStatus(),
         uptime: process.uptime()
       });
     });
@@ -999,9 +953,14 @@ export class Celeste7BehavioralAPI {
         status: 'running',
         endpoints: {
           health: '/health',
-          analyze: 'POST /analyze',
+          analyze: 'POST /api/analyze',
+          analyzeLegacy: 'POST /analyze',
           trackOutcome: 'POST /track-outcome',
-          patterns: 'GET /patterns/:userId'
+          patterns: 'GET /patterns/:userId',
+          reloadPatterns: 'POST /admin/patterns/reload',
+          followUps: 'GET|PATCH|DELETE /admin/users/:userId/follow-ups',
+          experiments: 'GET /admin/experiments, PUT /admin/experiments/:id',
+          experimentResults: 'GET /admin/experiments/:id/results'
         }
       });
     });
@@ -1009,39 +968,75 @@ export class Celeste7BehavioralAPI {
     // Main analysis endpoint
     this.app.post('/analyze', async (req, res) => {
       try {
-        const { mlResults, userContext, message } = req.body;
+        const { mlResults = {}, userContext = {}, message } = req.body;
+        
+        // Body locale wins over the user's saved locale and Accept-Language; falls back to English
+        const [locale] = this.interventionGenerator.catalog.resolveChain(
+          req.body.locale || userContext.locale || req.get('accept-language')
+        );
         
         // Add message to ML results for pattern detection
         mlResults.message = message;
         
-        // Detect patterns
+        // Detect patterns (explain mode adds the evidence and rules behind each one)
+        const explain = isExplainRequest(req);
         const patternAnalysis = await this.patternEngine.detectPatterns(
           mlResults,
-          userContext
-        );
-        
-        // Generate intervention
-        const intervention = this.interventionGenerator.generateIntervention(
-          patternAnalysis,
           userContext,
-          mlResults
+          { locale, explain }
         );
         
-        // Track for learning
-        const trackingId = await this.learningSystem.trackIntervention(
-          userContext.user_id,
-          intervention,
-          patternAnalysis,
-          mlResults
-        );
+        // Nothing detected: no generic intervention, no tracking row and no follow-up
+        let intervention = null;
+        let trackingId = null;
+        let suppressed = null;
+        if (patternAnalysis.severity !== 'none') {
+          // Experiment variants for this user, if any experiment targets them
+          const experiments = await this.experiments.assign(userContext.user_id, {
+            pattern: patternAnalysis.primary_pattern,
+            severity: patternAnalysis.severity,
+            locale,
+            context: userContext
+          });
+          
+          // Generate intervention
+          intervention = this.interventionGenerator.generateIntervention(
+            patternAnalysis,
+            userContext,
+            mlResults,
+            { locale, experiments }
+          );
+          
+          // Frequency caps: a capped intervention is logged as suppressed and never tracked
+          const gate = await this.admitIntervention(userContext.user_id, patternAnalysis, intervention, {
+            timezone: req.body.timezone || userContext.timezone,
+            source: 'behavioral_analyze'
+          });
+          
+          if (gate.allowed) {
+            // Track for learning
+            trackingId = await this.learningSystem.trackIntervention(
+              userContext.user_id,
+              intervention,
+              patternAnalysis,
+              mlResults,
+              gate.tracking_id
+            );
+          } else {
+            intervention = null;
+            suppressed = { reason: gate.reason, retry_at: gate.retry_at };
+          }
+        }
         
         res.json({
           success: true,
           pattern_analysis: patternAnalysis,
           intervention: intervention,
           tracking_id: trackingId,
-          should_intervene: patternAnalysis.confidence > 0.75,
-          confidence: patternAnalysis.confidence
+          locale,
+          should_intervene: !suppressed && patternAnalysis.confidence > 0.75,
+          confidence: patternAnalysis.confidence,
+          ...(suppressed && { suppressed })
         });
         
       } catch (error) {
@@ -1053,6 +1048,48 @@ export class Celeste7BehavioralAPI {
       }
     });
     
+    // Unified analysis: both engines, canonical pattern names, one response schema
+    this.app.post('/api/analyze', async (req, res) => {
+      try {
+        const { message, mlResults = {}, locale: requestedLocale } = req.body;
+        const userContext = req.body.userContext || req.body.context || {};
+        const userId = req.body.userId || userContext.user_id;
+        
+        if (typeof message !== 'string' || message.trim() === '') {
+          return res.status(400).json({
+            success: false,
+            error: 'message required'
+          });
+        }
+        
+        const [locale] = this.interventionGenerator.catalog.resolveChain(
+          requestedLocale || userContext.locale || req.get('accept-language')
+        );
+        
+        const data = await this.oracle.analyze({
+          userId,
+          message,
+          mlResults,
+          userContext,
+          locale,
+          timezone: req.body.timezone || userContext.timezone,
+          explain: isExplainRequest(req)
+        });
+        
+        res.json({
+          success: true,
+          data
+        });
+        
+      } catch (error) {
+        console.error('Oracle analysis error:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+    
     // Outcome tracking endpoint
     this.app.post('/track-outcome', async (req, res) => {
       try {
@@ -1096,84 +1133,215 @@ export class Celeste7BehavioralAPI {
         });
       }
     });
-  }
-  
-  initDatabase() {
-    // Database interface - implement with Supabase
-    return {
-      storeIntervention: async (data) => {
-        // Store in interventions table
-        console.log('Storing intervention:', data);
-      },
-      
-      getIntervention: async (trackingId) => {
-        // Retrieve intervention
-        console.log('Getting intervention:', trackingId);
-      },
-      
-      updateIntervention: async (trackingId, updates) => {
-        // Update intervention
-        console.log('Updating intervention:', trackingId, updates);
-      },
-      
-      getUserBehavior: async (userId, timestamp, period) => {
-        // Get behavior metrics
-        console.log('Getting user behavior:', userId, timestamp, period);
-        return {
-          avg_sentiment: 0.5,
-          action_word_count: 5,
-          future_tense_count: 3,
-          task_completion_rate: 0.3,
-          pattern_repetition: 2,
-          avg_response_time: 24
-        };
-      },
-      
-      getBusinessMetrics: async (userId, timestamp, period) => {
-        // Get business metrics
-        console.log('Getting business metrics:', userId, timestamp, period);
-        return {
-          mrr: 1000,
-          new_customers: 0,
-          average_price: 97,
-          products_launched: 0,
-          tasks_completed: 1,
-          sales_calls: 0
-        };
-      },
-      
-      getPatternEffectiveness: async (pattern, userId) => {
-        // Get pattern effectiveness
-        console.log('Getting pattern effectiveness:', pattern, userId);
-      },
-      
-      updatePatternEffectiveness: async (pattern, userId, data) => {
-        // Update effectiveness
-        console.log('Updating pattern effectiveness:', pattern, userId, data);
-      },
-      
-      getInterventionHistory: async (pattern, severity, userId) => {
-        // Get history
-        console.log('Getting intervention history:', pattern, severity, userId);
-        return [];
-      },
-      
-      getUserPatterns: async (userId) => {
-        // Get user patterns
-        console.log('Getting user patterns:', userId);
-        return [];
-      },
-      
-      scheduleOutcomeCollection: async (data) => {
-        // Schedule collection
-        console.log('Scheduling outcome collection:', data);
-      },
+    
+    // Admin routes are closed until ADMIN_API_KEY is set
+    const requireAdmin = (req, res, next) => {
+      const adminKey = process.env.ADMIN_API_KEY;
+      if (!adminKey) {
+        return res.status(503).json({ success: false, error: 'Admin API disabled: ADMIN_API_KEY is not set' });
+      }
       
-      storePatternHistory: async (data) => {
-        // Store pattern history
-        console.log('Storing pattern history:', data);
+      const expected = Buffer.from(adminKey);
+      const received = Buffer.from(req.get('x-admin-key') || '');
+      if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+        return res.status(401).json({ success: false, error: 'Admin key required' });
       }
+      next();
     };
+    
+    // Admin: pending outcome follow-ups per user
+    
+    this.app.get('/admin/users/:userId/follow-ups', requireAdmin, async (req, res) => {
+      try {
+        const jobs = await this.outcomeScheduler.listJobs(
+          req.params.userId,
+          req.query.status || JOB_STATUS.PENDING
+        );
+        
+        res.json({
+          success: true,
+          follow_ups: jobs
+        });
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+    
+    this.app.delete('/admin/users/:userId/follow-ups/:trackingId', requireAdmin, async (req, res) => {
+      try {
+        const job = await this.outcomeScheduler.cancelJob(req.params.userId, req.params.trackingId);
+        
+        if (!job) {
+          return res.status(404).json({
+            success: false,
+            error: 'No pending follow-up with that tracking_id for this user'
+          });
+        }
+        
+        res.json({
+          success: true,
+          follow_up: job
+        });
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+    
+    // Body: { scheduled_time: ISO string } or { delay: '4h' }
+    this.app.patch('/admin/users/:userId/follow-ups/:trackingId', requireAdmin, async (req, res) => {
+      try {
+        const { scheduled_time, delay } = req.body;
+        const scheduledTime = scheduled_time
+          ? new Date(scheduled_time)
+          : delay ? new Date(Date.now() + this.learningSystem.parseTimingToMs(delay)) : null;
+        
+        if (!scheduledTime || isNaN(scheduledTime.getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: 'scheduled_time (ISO date) or delay (e.g. 4h) required'
+          });
+        }
+        
+        const job = await this.outcomeScheduler.rescheduleJob(
+          req.params.userId,
+          req.params.trackingId,
+          scheduledTime
+        );
+        
+        if (!job) {
+          return res.status(404).json({
+            success: false,
+            error: 'No pending follow-up with that tracking_id for this user'
+          });
+        }
+        
+        res.json({
+          success: true,
+          follow_up: job
+        });
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+    
+    // Admin: experiment definitions (see experiments.js for the format)
+    this.app.get('/admin/experiments', requireAdmin, async (req, res) => {
+      try {
+        res.json({
+          success: true,
+          experiments: await this.experiments.list()
+        });
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+    
+    this.app.put('/admin/experiments/:id', requireAdmin, async (req, res) => {
+      try {
+        const experiment = await this.experiments.save({ ...req.body, id: req.params.id });
+        
+        res.json({
+          success: true,
+          experiment
+        });
+        
+      } catch (error) {
+        res.status(error instanceof ExperimentValidationError ? 400 : 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+    
+    // Admin: effectiveness per variant with Welch t-tests against the control
+    this.app.get('/admin/experiments/:id/results', requireAdmin, async (req, res) => {
+      try {
+        const alpha = req.query.alpha ? parseFloat(req.query.alpha) : undefined;
+        const results = await this.experiments.results(req.params.id, { alpha });
+        
+        if (!results) {
+          return res.status(404).json({
+            success: false,
+            error: 'No experiment with that id'
+          });
+        }
+        
+        res.json({
+          success: true,
+          results
+        });
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+    
+    // Admin: re-read pattern packs without a restart (invalid files keep their last good version)
+    this.app.post('/admin/patterns/reload', requireAdmin, (req, res) => {
+      try {
+        const status = this.patternEngine.packs.reload();
+        
+        res.status(status.healthy ? 200 : 422).json({
+          success: status.healthy,
+          pattern_packs: status
+        });
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+  }
+  
+  // Caps are per user: without a user id there is nothing to count against
+  async admitIntervention(userId, patternAnalysis, intervention, { timezone, source }) {
+    if (!userId) return { allowed: true, tracking_id: this.learningSystem.generateTrackingId() };
+    
+    return this.frequencyGovernor.admit({
+      userId,
+      pattern: patternAnalysis.primary_pattern,
+      severity: patternAnalysis.severity,
+      intervention,
+      timezone,
+      source,
+      trackingId: this.learningSystem.generateTrackingId()
+    });
+  }
+  
+  // The frequency log lives next to the other tables when Supabase is configured
+  initFrequencyGovernor() {
+    const { supabase } = this.learningSystem.db;
+    return new FrequencyGovernor({
+      store: supabase ? new SupabaseFrequencyStore(supabase) : new InMemoryFrequencyStore()
+    });
+  }
+  
+  initDatabase() {
+    // Supabase when credentials are configured, SQLite when STORAGE_FILE is set, otherwise in-memory
+    const database = createStorageAdapter();
+    console.log(`Storage adapter: ${database.name}`);
+    return database;
   }
   
   start(port = 3000) {
@@ -1181,6 +1349,28 @@ export class Celeste7BehavioralAPI {
       console.log(`CELESTE7 Behavioral Engine running on port ${port}`);
       console.log(`Health check: http://localhost:${port}/health`);
     });
+    
+    if (process.env.PATTERN_PACKS_WATCH !== 'false') {
+      this.patternEngine.packs.watch();
+    }
+    
+    // Long-running deployments only; serverless instances don't live long enough to poll
+    this.outcomeScheduler.start().catch(error => {
+      console.error('Outcome scheduler failed to start:', error);
+    });
+
+    // SQLite checkpoints its write-ahead log into the database file on close
+    const shutdown = () => {
+      this.outcomeScheduler.stop();
+      try {
+        this.learningSystem.db.close?.();
+      } catch (error) {
+        console.error('Closing storage failed:', error);
+      }
+      process.exit(0);
+    };
+    process.once('SIGTERM', shutdown);
+    process.once('SIGINT', shutdown);
   }
 }
 
@@ -1194,8 +1384,8 @@ const api = new Celeste7BehavioralAPI();
 // Export for Vercel deployment
 export default api.app;
 
-// Start server for local/other deployment (not Vercel)
-if (!process.env.VERCEL) {
+// Start server for local/other deployment (not Vercel, not under test)
+if (!process.env.VERCEL && process.env.NODE_ENV !== 'test') {
   api.start(process.env.PORT || 3000);
 }
 
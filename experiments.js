@@ -0,0 +1,405 @@
+// CELESTE7 Experiments
+// A/B tests on what InterventionGenerator says and when it follows up:
+//   template  - wording of the intervention (replaces the locales/<locale>.json strategy template)
+//   timing    - follow-up delay (replaces getFollowUpTiming)
+//   directive - the closing directive (replaces locales/<locale>.json directives)
+//
+// An experiment definition:
+//   {
+//     id: 'shorter_pricing_copy',
+//     factor: 'template',
+//     status: 'running',                    // draft | running | paused | completed
+//     allocation: 20,                       // % of matching users enrolled
+//     segment: {                            // all optional
+//       patterns: ['pricing_anxiety'],
+//       severities: ['high', 'critical'],
+//       locales: ['en'],
+//       context: { trust_level: '>=5' }     // trigger expressions, see trigger-expressions.js
+//     },
+//     control: 'control',                   // variant the others are compared against
+//     variants: [
+//       { name: 'control', weight: 1 },
+//       { name: 'short', weight: 1, template: { en: 'You charge ${{current_price}}. Double it.' } }
+//     ]
+//   }
+// Variant payloads: template -> template (string or { locale: string }), timing -> follow_up_timing
+// or timings ({ severity: '8h' }), directive -> directive (string or { locale: string }).
+//
+// Assignment hashes the experiment id with the user id, so a user always lands in the same variant.
+// A user is in at most one running experiment per factor (the oldest that matches). Exposures are
+// logged only when the variant actually reached the user, and pick up the effectiveness score once
+// BehavioralLearningSystem.collectOutcome has run.
+
+import crypto from 'crypto';
+import { evaluateTrigger, parseTriggerExpression } from './trigger-expressions.js';
+
+export const EXPERIMENT_FACTORS = ['template', 'timing', 'directive'];
+export const EXPERIMENT_STATUSES = ['draft', 'running', 'paused', 'completed'];
+
+const TIMING = /^\d+[hdw]$/;
+
+export class ExperimentValidationError extends Error {
+  constructor(id, reason) {
+    super(`Invalid experiment "${id}": ${reason}`);
+    this.name = 'ExperimentValidationError';
+    this.experimentId = id;
+  }
+}
+
+// ============================================
+// 1. DEFINITIONS
+// ============================================
+
+const isCopy = (value) =>
+  typeof value === 'string' ||
+  (value && typeof value === 'object' && Object.values(value).length > 0 &&
+    Object.values(value).every(v => typeof v === 'string'));
+
+function validateVariantPayload(id, factor, variant) {
+  const fail = (reason) => { throw new ExperimentValidationError(id, `variant "${variant.name}" ${reason}`); };
+
+  if (factor === 'template' && !isCopy(variant.template)) {
+    fail('needs a template (string or { locale: string })');
+  }
+  if (factor === 'directive' && !isCopy(variant.directive)) {
+    fail('needs a directive (string or { locale: string })');
+  }
+  if (factor === 'timing') {
+    const timings = variant.timings ? Object.values(variant.timings) : [variant.follow_up_timing];
+    if (timings.length === 0 || !timings.every(t => typeof t === 'string' && TIMING.test(t))) {
+      fail('needs follow_up_timing or timings like "12h", "2d", "1w"');
+    }
+  }
+}
+
+// Returns the definition with defaults filled in; throws ExperimentValidationError
+export function validateExperiment(definition) {
+  const id = definition?.id;
+  const fail = (reason) => { throw new ExperimentValidationError(id, reason); };
+
+  if (typeof id !== 'string' || !/^[a-z0-9_-]+$/i.test(id)) fail('id must be letters, digits, _ or -');
+  if (!EXPERIMENT_FACTORS.includes(definition.factor)) {
+    fail(`factor must be one of ${EXPERIMENT_FACTORS.join(', ')}`);
+  }
+
+  const status = definition.status || 'draft';
+  if (!EXPERIMENT_STATUSES.includes(status)) fail(`status must be one of ${EXPERIMENT_STATUSES.join(', ')}`);
+
+  const allocation = definition.allocation ?? 100;
+  if (typeof allocation !== 'number' || allocation < 0 || allocation > 100) fail('allocation must be 0-100');
+
+  const variants = definition.variants || [];
+  if (!Array.isArray(variants) || variants.length < 2) fail('needs at least two variants');
+
+  const names = variants.map(v => v?.name);
+  if (names.some(name => typeof name !== 'string' || !name)) fail('every variant needs a name');
+  if (new Set(names).size !== names.length) fail('variant names must be unique');
+
+  const control = definition.control || 'control';
+  if (!names.includes(control)) fail(`control variant "${control}" is not defined`);
+
+  variants.forEach(variant => {
+    if (variant.weight !== undefined && !(typeof variant.weight === 'number' && variant.weight > 0)) {
+      fail(`variant "${variant.name}" weight must be a positive number`);
+    }
+    if (variant.name !== control) validateVariantPayload(id, definition.factor, variant);
+  });
+
+  const segment = definition.segment || {};
+  ['patterns', 'severities', 'locales'].forEach(key => {
+    if (segment[key] !== undefined && !Array.isArray(segment[key])) fail(`segment.${key} must be a list`);
+  });
+  Object.entries(segment.context || {}).forEach(([field, expression]) => {
+    try {
+      parseTriggerExpression(expression);
+    } catch (error) {
+      fail(`segment.context.${field}: ${error.message}`);
+    }
+  });
+
+  return {
+    ...definition,
+    status,
+    allocation,
+    control,
+    segment,
+    variants: variants.map(v => ({ ...v, weight: v.weight ?? 1 })),
+    created_at: definition.created_at || new Date().toISOString()
+  };
+}
+
+// ============================================
+// 2. ASSIGNMENT
+// ============================================
+
+// Stable number in [0, 1) for this experiment and user
+export function assignmentHash(experimentId, userId, salt = '') {
+  const digest = crypto.createHash('sha256').update(`${experimentId}:${salt}:${userId}`).digest();
+  return digest.readUInt32BE(0) / 4294967296;
+}
+
+// target: { pattern, severity, locale, context }
+export function matchesSegment(segment = {}, target = {}) {
+  if (segment.patterns?.length && !segment.patterns.includes(target.pattern)) return false;
+  if (segment.severities?.length && !segment.severities.includes(target.severity)) return false;
+  if (segment.locales?.length && !segment.locales.includes(target.locale)) return false;
+
+  return Object.entries(segment.context || {})
+    .every(([field, expression]) => evaluateTrigger(field, expression, target.context || {}).met);
+}
+
+// Enrollment and variant use separate hashes, so raising the allocation never moves enrolled users
+export function assignVariant(experiment, userId) {
+  if (assignmentHash(experiment.id, userId, 'allocation') * 100 >= experiment.allocation) return null;
+
+  const total = experiment.variants.reduce((sum, v) => sum + v.weight, 0);
+  let point = assignmentHash(experiment.id, userId, 'variant') * total;
+  for (const variant of experiment.variants) {
+    if (point < variant.weight) return variant;
+    point -= variant.weight;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+// A variant's copy for the first locale in the chain that has one
+export function variantCopy(value, locales) {
+  if (typeof value === 'string') return value;
+  const locale = locales.find(l => typeof value?.[l] === 'string');
+  return locale ? value[locale] : null;
+}
+
+// ============================================
+// 3. STATISTICS
+// ============================================
+
+// Lanczos approximation
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  c.forEach(coefficient => { series += coefficient / ++y; });
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Continued fraction for the incomplete beta function (modified Lentz)
+function betaContinuedFraction(a, b, x) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 3e-12) break;
+  }
+  return h;
+}
+
+function regularizedIncompleteBeta(a, b, x) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+function describeScores(scores) {
+  const n = scores.length;
+  const mean = n ? scores.reduce((a, b) => a + b, 0) / n : null;
+  const variance = n > 1 ? scores.reduce((a, x) => a + (x - mean) ** 2, 0) / (n - 1) : null;
+  return { n, mean, variance };
+}
+
+// Welch's two-sample t-test (unequal variances), two-sided
+export function welchTTest(treatment, control) {
+  const a = describeScores(treatment);
+  const b = describeScores(control);
+  if (a.n < 2 || b.n < 2) return null;
+
+  const va = a.variance / a.n;
+  const vb = b.variance / b.n;
+  const stderr = Math.sqrt(va + vb);
+  const diff = a.mean - b.mean;
+
+  // Identical constant scores: nothing to test
+  if (stderr === 0) return { diff, stderr: 0, t: 0, df: a.n + b.n - 2, p_value: diff === 0 ? 1 : 0 };
+
+  const t = diff / stderr;
+  const df = (va + vb) ** 2 / (va ** 2 / (a.n - 1) + vb ** 2 / (b.n - 1));
+  const pValue = regularizedIncompleteBeta(df / 2, 0.5, df / (df + t * t));
+
+  return { diff, stderr, t, df, p_value: Math.min(1, pValue) };
+}
+
+const round = (value, places = 4) =>
+  (value === null || value === undefined ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+// Each variant against the control; p-values are Bonferroni-corrected for the number of comparisons.
+// The unit is the user: one user's exposures are correlated, so each user contributes the mean of
+// their scores as a single observation. Exposures without a user_id count as their own unit.
+export function summarizeExperiment(experiment, exposures, options = {}) {
+  const alpha = options.alpha ?? 0.05;
+  const comparisons = experiment.variants.length - 1;
+
+  const byVariant = Object.fromEntries(experiment.variants.map(v => [v.name, []]));
+  exposures.forEach(e => {
+    if (byVariant[e.variant]) byVariant[e.variant].push(e);
+  });
+
+  const scored = (name) => byVariant[name].filter(e => typeof e.effectiveness_score === 'number');
+  const userScores = (name) => {
+    const byUser = new Map();
+    scored(name).forEach((e, i) => {
+      const unit = e.user_id ?? `exposure:${i}`;
+      byUser.set(unit, [...(byUser.get(unit) || []), e.effectiveness_score]);
+    });
+    return [...byUser.values()].map(values => describeScores(values).mean);
+  };
+  const controlScores = userScores(experiment.control);
+
+  const variants = experiment.variants.map(variant => {
+    const variantScores = userScores(variant.name);
+    const stats = describeScores(variantScores);
+    const summary = {
+      variant: variant.name,
+      control: variant.name === experiment.control,
+      exposures: byVariant[variant.name].length,
+      outcomes: scored(variant.name).length,
+      users: stats.n,
+      mean_effectiveness: round(stats.mean),
+      stderr: round(stats.n > 1 ? Math.sqrt(stats.variance / stats.n) : null)
+    };
+
+    if (summary.control) return summary;
+
+    const test = welchTTest(variantScores, controlScores);
+    if (!test) return { ...summary, test: null, significant: false, note: 'needs outcomes from at least 2 users per arm' };
+
+    const adjusted = Math.min(1, test.p_value * comparisons);
+    return {
+      ...summary,
+      lift: round(test.diff),
+      ci95: [round(test.diff - 1.96 * test.stderr), round(test.diff + 1.96 * test.stderr)],
+      test: 'welch_t',
+      t: round(test.t),
+      df: round(test.df, 1),
+      p_value: round(test.p_value),
+      p_value_adjusted: round(adjusted),
+      significant: adjusted < alpha
+    };
+  });
+
+  return {
+    experiment_id: experiment.id,
+    factor: experiment.factor,
+    status: experiment.status,
+    allocation: experiment.allocation,
+    metric: 'effectiveness_score',
+    unit: 'user',
+    alpha,
+    correction: 'bonferroni',
+    total_exposures: exposures.length,
+    variants
+  };
+}
+
+// ============================================
+// 4. REGISTRY
+// ============================================
+
+// Definitions and exposures live in the storage adapter (saveExperiment, getExperiments,
+// recordExperimentExposure, updateExperimentExposures, getExperimentExposures)
+export class ExperimentRegistry {
+  constructor(db, options = {}) {
+    this.db = db;
+    // Definitions are read on every analysis; cache them briefly
+    this.cacheMs = options.cacheMs ?? 60000;
+    this.cached = null;
+    this.cachedAt = 0;
+  }
+
+  async list() {
+    if (!this.cached || Date.now() - this.cachedAt > this.cacheMs) {
+      const experiments = await this.db.getExperiments();
+      this.cached = experiments.sort((a, b) => a.created_at.localeCompare(b.created_at));
+      this.cachedAt = Date.now();
+    }
+    return this.cached;
+  }
+
+  async get(id) {
+    return (await this.list()).find(e => e.id === id) || null;
+  }
+
+  async save(definition) {
+    const existing = await this.get(definition?.id);
+    const experiment = validateExperiment({ ...definition, created_at: existing?.created_at });
+
+    await this.db.saveExperiment({ ...experiment, updated_at: new Date().toISOString() });
+    this.cached = null;
+    return experiment;
+  }
+
+  // One assignment per factor: { experiment_id, factor, variant, treatment }
+  async assign(userId, target = {}) {
+    if (!userId) return [];
+
+    let experiments;
+    try {
+      experiments = await this.list();
+    } catch (error) {
+      // Experiments never block an intervention; everyone gets the shipped behaviour
+      console.error('Failed to load experiments:', error.message);
+      return [];
+    }
+
+    const assignments = [];
+    for (const experiment of experiments) {
+      if (experiment.status !== 'running') continue;
+      if (assignments.some(a => a.factor === experiment.factor)) continue;
+      if (!matchesSegment(experiment.segment, target)) continue;
+
+      const variant = assignVariant(experiment, userId);
+      if (!variant) continue;
+
+      assignments.push({
+        experiment_id: experiment.id,
+        factor: experiment.factor,
+        variant: variant.name,
+        // The control variant changes nothing
+        treatment: variant.name === experiment.control ? null : variant
+      });
+    }
+    return assignments;
+  }
+
+  async results(id, options = {}) {
+    const experiment = await this.get(id);
+    if (!experiment) return null;
+
+    const exposures = await this.db.getExperimentExposures(id);
+    return summarizeExperiment(experiment, exposures, options);
+  }
+}
@@ -0,0 +1,161 @@
+import { describe, it, expect } from '@jest/globals';
+import { InMemoryStorageAdapter } from './storage-adapters.js';
+import { InterventionGenerator, BehavioralLearningSystem } from './behavioral-engine2.js';
+import {
+  ExperimentRegistry,
+  ExperimentValidationError,
+  assignVariant,
+  validateExperiment,
+  welchTTest
+} from './experiments.js';
+
+const timingExperiment = {
+  id: 'faster_follow_up',
+  factor: 'timing',
+  status: 'running',
+  allocation: 50,
+  segment: { severities: ['high'], context: { trust_level: '>=5' } },
+  variants: [
+    { name: 'control' },
+    { name: 'fast', follow_up_timing: '1h' }
+  ]
+};
+
+const analysis = {
+  primary_pattern: 'pricing_anxiety',
+  severity: 'high',
+  urgency: 'high',
+  confidence: 0.82,
+  combinations: []
+};
+
+const users = Array.from({ length: 2000 }, (_, i) => `user_${i}`);
+
+describe('Experiment registry', () => {
+  it('assigns users deterministically at the configured allocation', () => {
+    const experiment = validateExperiment(timingExperiment);
+    const assigned = users.map(user => assignVariant(experiment, user));
+
+    expect(users.map(user => assignVariant(experiment, user)?.name)).toEqual(assigned.map(v => v?.name));
+
+    const enrolled = assigned.filter(Boolean);
+    expect(enrolled.length / users.length).toBeCloseTo(0.5, 1);
+    expect(enrolled.filter(v => v.name === 'fast').length / enrolled.length).toBeCloseTo(0.5, 1);
+
+    // Raising the allocation keeps everyone already enrolled where they were
+    const wider = validateExperiment({ ...timingExperiment, allocation: 80 });
+    users.forEach((user, i) => {
+      if (assigned[i]) expect(assignVariant(wider, user).name).toBe(assigned[i].name);
+    });
+  });
+
+  it('only targets the segment and rejects broken definitions', async () => {
+    const registry = new ExperimentRegistry(new InMemoryStorageAdapter());
+    await registry.save({ ...timingExperiment, allocation: 100 });
+
+    const target = { pattern: 'pricing_anxiety', severity: 'high', locale: 'en', context: { trust_level: 6 } };
+    expect(await registry.assign('user_1', target)).toHaveLength(1);
+    expect(await registry.assign('user_1', { ...target, severity: 'low' })).toEqual([]);
+    expect(await registry.assign('user_1', { ...target, context: { trust_level: 3 } })).toEqual([]);
+    expect(await registry.assign(null, target)).toEqual([]);
+
+    await expect(registry.save({ ...timingExperiment, variants: [{ name: 'control' }, { name: 'fast' }] }))
+      .rejects.toThrow(ExperimentValidationError);
+    expect(() => validateExperiment({ ...timingExperiment, segment: { context: { mrr: '<<1' } } }))
+      .toThrow(/segment.context.mrr/);
+    expect(() => validateExperiment({ ...timingExperiment, control: 'baseline' })).toThrow(/control variant/);
+  });
+
+  it('applies variants and logs exposures that pick up the outcome', async () => {
+    const db = new InMemoryStorageAdapter();
+    const registry = new ExperimentRegistry(db);
+    const generator = new InterventionGenerator();
+    const learning = new BehavioralLearningSystem(db);
+    await registry.save({
+      id: 'short_directive',
+      factor: 'directive',
+      status: 'running',
+      variants: [{ name: 'control' }, { name: 'short', directive: { en: 'Raise prices today.' } }]
+    });
+
+    const target = { pattern: 'pricing_anxiety', severity: 'high', locale: 'en', context: {} };
+    const byVariant = {};
+    for (const user of users.slice(0, 40)) {
+      const [assignment] = await registry.assign(user, target);
+      byVariant[assignment.variant] = byVariant[assignment.variant] || user;
+    }
+
+    const treated = generator.generateIntervention(analysis, {}, {}, {
+      experiments: await registry.assign(byVariant.short, target)
+    });
+    const control = generator.generateIntervention(analysis, {}, {}, {
+      experiments: await registry.assign(byVariant.control, target)
+    });
+
+    expect(treated.directive).toBe('Raise prices today.');
+    expect(control.directive).not.toBe('Raise prices today.');
+    expect(treated.experiments).toEqual([{ experiment_id: 'short_directive', factor: 'directive', variant: 'short' }]);
+
+    const trackingId = await learning.trackIntervention(byVariant.short, treated, analysis, {});
+    await db.recordBusinessMetrics(byVariant.short, { mrr: 2000 }, new Date(Date.now() + 3600000).toISOString());
+    const effectiveness = await learning.collectOutcome(trackingId, byVariant.short);
+
+    const [exposure] = await db.getExperimentExposures('short_directive');
+    expect(exposure).toMatchObject({ variant: 'short', tracking_id: trackingId, effectiveness_score: effectiveness.score });
+  });
+
+  it('tests each variant against the control', async () => {
+    // Welch: t = -1.897, df = 5.88, p = 0.1075
+    const test = welchTTest([1, 2, 3, 4, 5], [2, 4, 6, 8, 10]);
+    expect(test.t).toBeCloseTo(-1.8974, 3);
+    expect(test.df).toBeCloseTo(5.8824, 3);
+    expect(test.p_value).toBeCloseTo(0.1075, 3);
+
+    const db = new InMemoryStorageAdapter();
+    const registry = new ExperimentRegistry(db);
+    await registry.save({ ...timingExperiment, variants: [...timingExperiment.variants, { name: 'slow', follow_up_timing: '2d' }] });
+
+    const scores = { control: [0.3, 0.35, 0.4, 0.32, 0.38, 0.36], fast: [0.5, 0.6, 0.7, 0.55, 0.65, 0.62], slow: [0.3, 0.4] };
+    for (const [variant, values] of Object.entries(scores)) {
+      for (const [i, score] of values.entries()) {
+        await db.recordExperimentExposure({
+          experiment_id: 'faster_follow_up',
+          variant,
+          user_id: `${variant}_${i}`,
+          effectiveness_score: score
+        });
+      }
+    }
+    await db.recordExperimentExposure({ experiment_id: 'faster_follow_up', variant: 'fast', user_id: 'fast_0' });
+
+    const results = await registry.results('faster_follow_up');
+    const fast = results.variants.find(v => v.variant === 'fast');
+    expect(fast).toMatchObject({ exposures: 7, outcomes: 6, users: 6, test: 'welch_t', significant: true });
+    expect(fast.p_value_adjusted).toBeCloseTo(fast.p_value * 2, 4);
+    expect(results.variants.find(v => v.variant === 'slow').significant).toBe(false);
+    expect(await registry.results('missing')).toBeNull();
+  });
+
+  it('tests one averaged score per user, not per exposure', async () => {
+    const db = new InMemoryStorageAdapter();
+    const registry = new ExperimentRegistry(db);
+    await registry.save(timingExperiment);
+
+    // One enthusiastic user seen 20 times must not look like 20 independent wins
+    const record = (variant, userId, score) => db.recordExperimentExposure({
+      experiment_id: 'faster_follow_up',
+      variant,
+      user_id: userId,
+      effectiveness_score: score
+    });
+    for (let i = 0; i < 20; i++) await record('fast', 'power_user', 0.9 + (i % 2) * 0.01);
+    await record('fast', 'fast_user', 0.3);
+    for (const [i, score] of [0.3, 0.35, 0.4, 0.32].entries()) await record('control', `control_${i}`, score);
+
+    const results = await registry.results('faster_follow_up');
+    const fast = results.variants.find(v => v.variant === 'fast');
+    expect(results.unit).toBe('user');
+    expect(fast).toMatchObject({ exposures: 21, outcomes: 21, users: 2, significant: false });
+    expect(fast.mean_effectiveness).toBeCloseTo((0.905 + 0.3) / 2, 3);
+  });
+});
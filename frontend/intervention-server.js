@@ -16,14 +16,14 @@ interventionServer.start()
   });
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down intervention server...');
-  interventionServer.stop();
+  await interventionServer.stop();
   process.exit(0);
 });
 
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('\n🛑 Shutting down intervention server...');
-  interventionServer.stop();
+  await interventionServer.stop();
   process.exit(0);
 });
\ No newline at end of file
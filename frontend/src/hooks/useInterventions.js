@@ -1,37 +1,77 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const INTERVENTION_SERVER_URL = process.env.REACT_APP_INTERVENTION_SERVER_URL || 'http://localhost:3001';
+const INTERVENTION_TRANSPORT = process.env.REACT_APP_INTERVENTION_TRANSPORT || 'sse'; // 'sse' | 'websocket'
+
+// Reconnect backoff: 1s, 2s, 4s ... capped at 30s, with jitter so clients don't reconnect in lockstep
+const reconnectDelay = (attempt) =>
+  Math.min(30000, 1000 * 2 ** attempt) * (0.5 + Math.random() / 2);
+
+// The session token from sign-in; the intervention server takes the user from it
+const sessionToken = () =>
+  (typeof localStorage !== 'undefined' && localStorage.getItem('celeste7_token')) || null;
+
+// EventSource and WebSocket can't send an Authorization header, and a token in the URL ends up in
+// proxy and access logs. The token buys a single-use, short-lived ticket and the stream opens with that.
+const fetchStreamTicket = async (serverUrl, token) => {
+  const response = await fetch(`${serverUrl}/api/interventions/stream-ticket`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const { ticket } = await response.json();
+  return ticket;
+};
+
+const streamUrl = (serverUrl, path, userId, lastEventId, ticket) => {
+  const url = new URL(path, serverUrl);
+  if (userId) url.searchParams.set('user_id', userId);
+  if (ticket) url.searchParams.set('ticket', ticket);
+  if (lastEventId) url.searchParams.set('last_event_id', lastEventId);
+  return url.toString();
+};
 
 // Intervention Hook for React components
-export const useInterventions = (userId) => {
+// options: { serverUrl, transport: 'sse' | 'websocket', token } (token defaults to the stored session)
+export const useInterventions = (userId, options = {}) => {
+  const serverUrl = options.serverUrl || INTERVENTION_SERVER_URL;
+  const transport = options.transport || INTERVENTION_TRANSPORT;
+  const token = options.token || sessionToken();
+
   const [interventions, setInterventions] = useState([]);
   const [pendingIntervention, setPendingIntervention] = useState(null);
+  const [connectionStatus, setConnectionStatus] = useState('connecting');
 
-  // Connect to intervention server via WebSocket or Server-Sent Events
-  // For now, we'll use polling as a fallback, but ideally use WebSocket
-  useEffect(() => {
-    let eventSource;
-    
-    // Try to establish connection to intervention server
-    const connectToInterventionServer = () => {
-      // For now, we'll simulate the connection
-      // In production, you'd set up WebSocket or SSE connection here
-      console.log('🎯 Connected to intervention delivery system');
-    };
+  // Ids already received; the same intervention can arrive by replay, retry or the demo event
+  const seenIdsRef = useRef(new Set());
+  const lastEventIdRef = useRef(null);
 
-    connectToInterventionServer();
+  // Status updates for the server-side queue (shown, used); best effort
+  const acknowledge = useCallback((interventionId, status) => {
+    if (!userId || !interventionId || !token) return;
 
-    return () => {
-      if (eventSource) {
-        eventSource.close();
-      }
-    };
-  }, [userId]);
+    fetch(`${serverUrl}/api/interventions/${encodeURIComponent(interventionId)}/${status}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify({ user_id: userId })
+    }).catch(error => console.warn(`Failed to mark intervention ${status}:`, error));
+  }, [userId, serverUrl, token]);
+
+  // Receive intervention (pushed by the intervention server, or dispatched locally).
+  // surface: false only records it, without making it the pending intervention.
+  const receiveIntervention = useCallback((intervention, { surface = true } = {}) => {
+    if (intervention?.id) {
+      if (seenIdsRef.current.has(intervention.id)) return;
+      seenIdsRef.current.add(intervention.id);
+    }
 
-  // Receive intervention (called when n8n posts to frontend API)
-  const receiveIntervention = useCallback((intervention) => {
     console.log('📨 Received intervention:', intervention);
     
     setInterventions(prev => [...prev, intervention]);
+    if (!surface) return;
+
     setPendingIntervention(intervention);
+    acknowledge(intervention.id, 'shown');
     
     // Auto-clear pending intervention after 10 minutes if not used
     setTimeout(() => {
@@ -40,7 +80,132 @@ export const useInterventions = (userId) => {
       );
     }, 10 * 60 * 1000);
     
-  }, []);
+  }, [acknowledge]);
+
+  // Push delivery from the intervention server over SSE (default) or WebSocket
+  useEffect(() => {
+    let eventSource;
+    let socket;
+    let retryTimer;
+    let attempt = 0;
+    let closed = false;
+
+    const scheduleReconnect = () => {
+      if (closed) return;
+      setConnectionStatus('reconnecting');
+      retryTimer = setTimeout(connect, reconnectDelay(attempt++));
+    };
+
+    const handleEvent = (id, intervention) => {
+      if (id) lastEventIdRef.current = id;
+      receiveIntervention(intervention);
+    };
+
+    // Anything queued while we were offline; the highest priority one becomes pending
+    const loadPending = async () => {
+      if (!userId || !token) return;
+      try {
+        const response = await fetch(
+          `${serverUrl}/api/interventions/pending?user_id=${encodeURIComponent(userId)}`,
+          { headers: { 'Authorization': `Bearer ${token}` } }
+        );
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { pending = [] } = await response.json();
+        if (closed) return;
+        pending.forEach((intervention, index) => receiveIntervention(intervention, { surface: index === 0 }));
+      } catch (error) {
+        console.warn('Failed to load pending interventions:', error);
+      }
+    };
+
+    const connectSSE = (ticket) => {
+      eventSource = new EventSource(
+        streamUrl(serverUrl, '/api/interventions/stream', userId, lastEventIdRef.current, ticket)
+      );
+
+      eventSource.onopen = () => {
+        attempt = 0;
+        setConnectionStatus('open');
+        loadPending();
+        console.log('🎯 Connected to intervention delivery system (SSE)');
+      };
+
+      eventSource.addEventListener('intervention', (event) => {
+        try {
+          handleEvent(event.lastEventId, JSON.parse(event.data));
+        } catch (error) {
+          console.error('Invalid intervention event:', error);
+        }
+      });
+
+      // EventSource's own retry would reuse the spent ticket; reconnect with a fresh one instead
+      eventSource.onerror = () => {
+        eventSource.close();
+        scheduleReconnect();
+      };
+    };
+
+    const connectWebSocket = (ticket) => {
+      socket = new WebSocket(
+        streamUrl(serverUrl, '/api/interventions/ws', userId, lastEventIdRef.current, ticket).replace(/^http/, 'ws')
+      );
+
+      socket.onopen = () => {
+        attempt = 0;
+        setConnectionStatus('open');
+        loadPending();
+        console.log('🎯 Connected to intervention delivery system (WebSocket)');
+      };
+
+      socket.onmessage = (message) => {
+        try {
+          const event = JSON.parse(message.data);
+          if (event.type === 'intervention') handleEvent(event.id, event.intervention);
+        } catch (error) {
+          console.error('Invalid intervention message:', error);
+        }
+      };
+
+      socket.onclose = scheduleReconnect;
+    };
+
+    async function connect() {
+      const open = transport === 'websocket' && typeof WebSocket !== 'undefined'
+        ? connectWebSocket
+        : typeof EventSource !== 'undefined' ? connectSSE : null;
+      if (!open) {
+        setConnectionStatus('closed');
+        return;
+      }
+
+      let ticket = null;
+      if (token) {
+        try {
+          ticket = await fetchStreamTicket(serverUrl, token);
+        } catch (error) {
+          console.warn('Failed to get a stream ticket:', error);
+          scheduleReconnect();
+          return;
+        }
+      }
+      if (!closed) open(ticket);
+    }
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (eventSource) {
+        eventSource.close();
+      }
+      if (socket) {
+        socket.onclose = null;
+        socket.close();
+      }
+      setConnectionStatus('closed');
+    };
+  }, [userId, serverUrl, transport, token, receiveIntervention]);
 
   // Get pending intervention ID for next text chat
   const getPendingInterventionId = useCallback(() => {
@@ -49,6 +214,8 @@ export const useInterventions = (userId) => {
 
   // Mark intervention as used (called after sending with text chat)
   const markInterventionUsed = useCallback((interventionId) => {
+    acknowledge(interventionId, 'used');
+
     setPendingIntervention(current => 
       current?.id === interventionId ? null : current
     );
@@ -60,7 +227,7 @@ export const useInterventions = (userId) => {
           : intervention
       )
     );
-  }, []);
+  }, [acknowledge]);
 
   // Clear all interventions
   const clearInterventions = useCallback(() => {
@@ -71,6 +238,7 @@ export const useInterventions = (userId) => {
   return {
     interventions,
     pendingIntervention,
+    connectionStatus,
     receiveIntervention,
     getPendingInterventionId,
     markInterventionUsed,
@@ -88,15 +256,16 @@ export const simulateInterventionDelivery = (intervention) => {
 };
 
 // Enhanced useInterventions that listens to custom events
-export const useInterventionsWithEvents = (userId) => {
+export const useInterventionsWithEvents = (userId, options) => {
   const {
     interventions,
     pendingIntervention,
+    connectionStatus,
     receiveIntervention,
     getPendingInterventionId,
     markInterventionUsed,
     clearInterventions
-  } = useInterventions(userId);
+  } = useInterventions(userId, options);
 
   useEffect(() => {
     const handleInterventionReceived = (event) => {
@@ -113,6 +282,7 @@ export const useInterventionsWithEvents = (userId) => {
   return {
     interventions,
     pendingIntervention,
+    connectionStatus,
     getPendingInterventionId,
     markInterventionUsed,
     clearInterventions
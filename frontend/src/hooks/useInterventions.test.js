@@ -0,0 +1,155 @@
+/**
+ * @jest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { act, createElement } from 'react';
+import { createRoot } from 'react-dom/client';
+import { useInterventions } from './useInterventions.js';
+
+const SERVER = 'http://interventions.test';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+// Stands in for the browser's EventSource, which jsdom doesn't have
+class FakeEventSource {
+  static instances = [];
+
+  constructor(url) {
+    this.url = new URL(url);
+    this.listeners = {};
+    this.closed = false;
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  open() {
+    this.onopen();
+  }
+
+  deliver(id, intervention) {
+    this.listeners.intervention({ lastEventId: id, data: JSON.stringify(intervention) });
+  }
+
+  fail() {
+    this.onerror();
+  }
+}
+
+// The intervention server: hands out numbered tickets, has nothing queued, accepts acknowledgements
+const createFetch = () => {
+  let tickets = 0;
+  return jest.fn(async (url) => {
+    const { pathname } = new URL(url);
+    const body = pathname === '/api/interventions/stream-ticket' ? { ticket: `ticket-${++tickets}` }
+      : pathname === '/api/interventions/pending' ? { pending: [] }
+        : { success: true };
+    return { ok: true, status: 200, json: async () => body };
+  });
+};
+
+// Renders the hook in a throwaway component; result.current is its latest return value
+function renderHook(hook) {
+  const result = {};
+  const Probe = () => {
+    result.current = hook();
+    return null;
+  };
+  const root = createRoot(document.createElement('div'));
+  act(() => root.render(createElement(Probe)));
+  return { result, unmount: () => act(() => root.unmount()) };
+}
+
+// Lets the ticket fetch resolve and the stream open
+const settle = () => act(() => jest.advanceTimersByTimeAsync(0));
+
+const latestStream = () => FakeEventSource.instances[FakeEventSource.instances.length - 1];
+
+const calls = (path) => fetch.mock.calls.filter(([url]) => new URL(url).pathname === path);
+
+let view;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  FakeEventSource.instances = [];
+  window.EventSource = FakeEventSource;
+  globalThis.fetch = createFetch();
+});
+
+afterEach(() => {
+  view?.unmount();
+  view = null;
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  delete window.EventSource;
+  delete globalThis.fetch;
+});
+
+const render = async () => {
+  view = renderHook(() => useInterventions('alice', { serverUrl: SERVER, transport: 'sse', token: 'session-token' }));
+  await settle();
+  return view.result;
+};
+
+describe('useInterventions', () => {
+  it('opens the stream with a ticket and keeps the session token out of the URL', async () => {
+    await render();
+
+    const [[, ticketRequest]] = calls('/api/interventions/stream-ticket');
+    expect(ticketRequest.headers.Authorization).toBe('Bearer session-token');
+    expect(latestStream().url.searchParams.get('ticket')).toBe('ticket-1');
+    expect(latestStream().url.toString()).not.toContain('session-token');
+  });
+
+  it('reconnects with a fresh ticket and the last event id it saw', async () => {
+    const result = await render();
+    const first = latestStream();
+    act(() => first.open());
+    act(() => first.deliver('epoch:7', { id: 'raise-prices', message: 'Raise your prices' }));
+
+    act(() => first.fail());
+    expect(first.closed).toBe(true);
+    expect(result.current.connectionStatus).toBe('reconnecting');
+
+    await act(() => jest.advanceTimersByTimeAsync(30000));
+    const second = latestStream();
+    expect(second).not.toBe(first);
+    expect(second.url.searchParams.get('ticket')).toBe('ticket-2');
+    expect(second.url.searchParams.get('last_event_id')).toBe('epoch:7');
+  });
+
+  it('drops an intervention it already has when it is replayed', async () => {
+    const result = await render();
+    act(() => latestStream().open());
+
+    act(() => latestStream().deliver('epoch:1', { id: 'raise-prices', message: 'Raise your prices' }));
+    act(() => latestStream().deliver('epoch:1', { id: 'raise-prices', message: 'Raise your prices' }));
+
+    expect(result.current.interventions.map(intervention => intervention.id)).toEqual(['raise-prices']);
+    expect(calls('/api/interventions/raise-prices/shown')).toHaveLength(1);
+  });
+
+  it('acknowledges an intervention as shown, then as used', async () => {
+    const result = await render();
+    act(() => latestStream().open());
+    act(() => latestStream().deliver('epoch:1', { id: 'raise-prices', message: 'Raise your prices' }));
+
+    expect(result.current.pendingIntervention.id).toBe('raise-prices');
+    act(() => result.current.markInterventionUsed('raise-prices'));
+
+    expect(result.current.pendingIntervention).toBeNull();
+    const acknowledgements = fetch.mock.calls.filter(([url]) => new URL(url).pathname.startsWith('/api/interventions/raise-prices/'));
+    expect(acknowledgements.map(([url, init]) => [new URL(url).pathname, init.method, init.headers.Authorization, init.body]))
+      .toEqual([
+        ['/api/interventions/raise-prices/shown', 'POST', 'Bearer session-token', JSON.stringify({ user_id: 'alice' })],
+        ['/api/interventions/raise-prices/used', 'POST', 'Bearer session-token', JSON.stringify({ user_id: 'alice' })]
+      ]);
+  });
+});
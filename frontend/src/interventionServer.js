@@ -1,22 +1,54 @@
 const express = require('express');
 const cors = require('cors');
+const { WebSocketServer } = require('ws');
+const { PendingInterventionStore, PendingInterventionError } = require('./pendingInterventionStore');
+const { WebhookVerifier, WebhookError, validateInterventionPayload } = require('./webhookAuth');
+const { SubscriberAuthenticator, SubscriberAuthError, tokenFrom } = require('./subscriberAuth');
+
+// Deliveries kept for Last-Event-ID replay after a reconnect
+const REPLAY_LIMIT = 500;
+const REPLAY_TTL_MS = 10 * 60 * 1000; // same as the hook's pending-intervention timeout
+const HEARTBEAT_MS = 25000;
 
 class InterventionServer {
-  constructor() {
+  // options: { subscriberAuth, pendingStore, webhookVerifier, allowBroadcast } replace the defaults (tests)
+  constructor(options = {}) {
     this.app = express();
     this.port = 3001; // Different port from main React app
     this.interventionCallbacks = new Set();
+    // Browsers connected over SSE or WebSocket: { userId, send(event) }
+    this.subscribers = new Set();
+    this.deliveries = [];
+    this.nextSequence = 1;
+    // Event ids are "<epoch>:<sequence>"; a new epoch after a restart tells clients their id is stale
+    this.epoch = Date.now().toString(36);
+    // Survives restarts and offline users; see pendingInterventionStore.js
+    this.pendingStore = options.pendingStore || new PendingInterventionStore();
+    // HMAC signatures, replay protection and per-source rate limits; see webhookAuth.js
+    this.webhookVerifier = options.webhookVerifier || new WebhookVerifier();
+    // Browser sessions; subscribers only ever get their own interventions. See subscriberAuth.js
+    this.subscriberAuth = options.subscriberAuth || new SubscriberAuthenticator();
+    // Interventions for every subscriber at once need broadcast: true in the payload and this switch
+    this.allowBroadcast = options.allowBroadcast ?? process.env.INTERVENTION_ALLOW_BROADCAST === 'true';
+    if (this.webhookVerifier.allowUnsigned) {
+      console.warn('⚠️  INTERVENTION_WEBHOOK_ALLOW_UNSIGNED is set: accepting unsigned interventions (development only)');
+    }
     this.setupMiddleware();
     this.setupRoutes();
+    this.setupErrorHandler();
   }
 
   setupMiddleware() {
     this.app.use(cors({
       origin: ['http://localhost:3000', 'https://chatgpt-replica.preview.emergentagent.com'],
       methods: ['POST', 'GET', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization']
+      allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID']
+    }));
+    // Keep the raw body: signatures are over the exact bytes n8n sent
+    this.app.use(express.json({
+      limit: '10mb',
+      verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); }
     }));
-    this.app.use(express.json({ limit: '10mb' }));
   }
 
   setupRoutes() {
@@ -28,8 +60,17 @@ class InterventionServer {
     // Main intervention delivery endpoint
     this.app.post('/api/interventions', (req, res) => {
       try {
-        console.log('Received intervention:', req.body);
-        
+        const source = this.webhookVerifier.verify(req);
+
+        const invalid = validateInterventionPayload(req.body);
+        if (invalid.length > 0) {
+          throw new WebhookError('invalid_payload', 'Intervention payload failed validation', 422, { fields: invalid });
+        }
+        const broadcast = req.body.broadcast === true;
+        if (broadcast && !this.allowBroadcast) {
+          throw new WebhookError('broadcast_disabled', 'Broadcast interventions are disabled; send a user_id', 422);
+        }
+
         const intervention = {
           id: req.body.intervention_id || `intervention_${Date.now()}`,
           message: req.body.message,
@@ -42,15 +83,16 @@ class InterventionServer {
           status: req.body.status || 'received',
           rawData: req.body
         };
+        // Identifiers only: the payload carries the message and the user's personalization data
+        console.debug(`Received intervention ${intervention.id} from ${source} for ${broadcast ? 'broadcast' : req.body.user_id}`);
 
-        // Notify all registered callbacks (React components)
-        this.interventionCallbacks.forEach(callback => {
-          try {
-            callback(intervention);
-          } catch (error) {
-            console.error('Error in intervention callback:', error);
-          }
-        });
+        // Queue for the user until it's used or expires (broadcasts are live-only)
+        if (!broadcast) {
+          this.pendingStore.add(req.body.user_id, intervention, { expiresAt: req.body.expires_at });
+        }
+
+        // Push to connected browsers and notify registered callbacks
+        this.publish(intervention, req.body.user_id, { broadcast });
 
         res.json({ 
           success: true, 
@@ -60,59 +102,317 @@ class InterventionServer {
         });
 
       } catch (error) {
-        console.error('Intervention processing error:', error);
-        res.status(500).json({ 
+        if (error instanceof WebhookError) {
+          console.warn(`Rejected intervention (${error.code}): ${error.message}`);
+          if (error.details?.retry_after) res.set('Retry-After', String(error.details.retry_after));
+        } else {
+          console.error('Intervention processing error:', error);
+        }
+        res.status(error.status || 500).json({ 
           success: false, 
-          error: error.message,
+          error: { code: error.code || 'internal_error', message: error.message, ...error.details },
           timestamp: new Date().toISOString()
         });
       }
     });
 
-    // Endpoint to get pending interventions (if needed)
-    this.app.get('/api/interventions/pending', (req, res) => {
+    // Single-use ticket for opening a stream; EventSource and WebSocket can't send the bearer token
+    this.app.post('/api/interventions/stream-ticket', async (req, res) => {
+      let userId;
+      try {
+        userId = await this.authenticateRequest(req, req.body?.user_id);
+      } catch (error) {
+        return this.sendAuthError(res, error);
+      }
+
+      const { ticket, expiresIn } = this.subscriberAuth.issueTicket(userId);
+      res.json({ success: true, ticket, expires_in: expiresIn, timestamp: new Date().toISOString() });
+    });
+
+    // Live deliveries over Server-Sent Events for the signed-in user (plus broadcasts, when
+    // enabled), opened with ?ticket= or a bearer header; Last-Event-ID or ?last_event_id= replays
+    // missed ones. ?user_id=, if given, must be the signed-in user.
+    this.app.get('/api/interventions/stream', async (req, res) => {
+      let userId;
+      try {
+        userId = await this.subscriberAuth.authenticateStream(
+          req.headers, new URL(req.originalUrl, 'http://localhost').searchParams
+        );
+      } catch (error) {
+        return this.sendAuthError(res, error);
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.write('retry: 3000\n\n');
+
+      const subscriber = {
+        userId,
+        send: (event) => {
+          res.write(`id: ${event.id}\nevent: intervention\ndata: ${JSON.stringify(event.intervention)}\n\n`);
+        }
+      };
+
+      this.subscribe(subscriber, req.get('Last-Event-ID') || req.query.last_event_id);
+
+      const heartbeat = setInterval(() => res.write(':heartbeat\n\n'), HEARTBEAT_MS);
+
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        this.subscribers.delete(subscriber);
+      });
+    });
+
+    // Queued interventions for the signed-in user, highest priority first
+    this.app.get('/api/interventions/pending', async (req, res) => {
+      let userId;
+      try {
+        userId = await this.authenticateRequest(req);
+      } catch (error) {
+        return this.sendAuthError(res, error);
+      }
+
       res.json({ 
-        pending: [], // Could implement pending intervention storage if needed
+        pending: this.pendingStore.pending(userId).map(this.toPendingIntervention),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Acknowledgements from the chat: shown when it's surfaced, used once sent with a message.
+    // Only the signed-in user's own queue can be changed.
+    ['shown', 'used'].forEach(status => {
+      this.app.post(`/api/interventions/:id/${status}`, async (req, res) => {
+        let userId;
+        try {
+          userId = await this.authenticateRequest(req, req.body?.user_id || req.query.user_id);
+        } catch (error) {
+          return this.sendAuthError(res, error);
+        }
+
+        try {
+          const entry = this.pendingStore.transition(userId, req.params.id, status);
+          res.json({
+            success: true,
+            intervention: this.toPendingIntervention(entry),
+            timestamp: new Date().toISOString()
+          });
+        } catch (error) {
+          if (!(error instanceof PendingInterventionError)) {
+            console.error('Acknowledgement error:', error);
+          }
+          res.status(error.status || 500).json({
+            success: false,
+            error: { code: error.code || 'internal_error', message: error.message },
+            timestamp: new Date().toISOString()
+          });
+        }
+      });
+    });
+  }
+
+  // Verified user id for a browser request; requestedUserId (default ?user_id=) must match it.
+  // See subscriberAuth.js
+  authenticateRequest(req, requestedUserId = req.query.user_id) {
+    return this.subscriberAuth.authenticate(tokenFrom(req.headers), requestedUserId);
+  }
+
+  sendAuthError(res, error) {
+    if (!(error instanceof SubscriberAuthError)) {
+      console.error('Authentication error:', error);
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: { code: error.code || 'internal_error', message: error.message },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Malformed JSON bodies get the same structured error shape as everything else
+  setupErrorHandler() {
+    this.app.use((error, req, res, next) => {
+      if (error.type !== 'entity.parse.failed' && error.type !== 'entity.too.large') return next(error);
+      res.status(error.status).json({
+        success: false,
+        error: {
+          code: error.type === 'entity.too.large' ? 'payload_too_large' : 'invalid_json',
+          message: error.message
+        },
         timestamp: new Date().toISOString()
       });
     });
   }
 
+  toPendingIntervention(entry) {
+    return {
+      ...entry.intervention,
+      status: entry.status,
+      priority_score: entry.priority_score,
+      received_at: entry.received_at,
+      expires_at: entry.expires_at,
+      shown_at: entry.shown_at,
+      used_at: entry.used_at
+    };
+  }
+
   // Method for React components to register for intervention notifications
   registerCallback(callback) {
     this.interventionCallbacks.add(callback);
     return () => this.interventionCallbacks.delete(callback);
   }
 
+  isFor(userId, event) {
+    return event.broadcast || event.userId === userId;
+  }
+
+  // Goes to userId's subscribers only, or to everyone when broadcast is set
+  publish(intervention, userId, { broadcast = false } = {}) {
+    if (!userId && !broadcast) {
+      throw new Error('publish() needs a userId, or broadcast: true to reach every subscriber');
+    }
+
+    const event = {
+      id: `${this.epoch}:${this.nextSequence++}`,
+      sequence: this.nextSequence - 1,
+      userId: broadcast ? null : userId,
+      broadcast,
+      intervention,
+      publishedAt: Date.now()
+    };
+
+    this.deliveries.push(event);
+    this.pruneDeliveries();
+
+    this.subscribers.forEach(subscriber => {
+      if (!this.isFor(subscriber.userId, event)) return;
+      try {
+        subscriber.send(event);
+      } catch (error) {
+        console.error('Error pushing intervention:', error);
+      }
+    });
+
+    this.interventionCallbacks.forEach(callback => {
+      try {
+        callback(intervention);
+      } catch (error) {
+        console.error('Error in intervention callback:', error);
+      }
+    });
+
+    return event;
+  }
+
+  pruneDeliveries() {
+    const cutoff = Date.now() - REPLAY_TTL_MS;
+    while (this.deliveries.length > REPLAY_LIMIT || this.deliveries[0]?.publishedAt < cutoff) {
+      this.deliveries.shift();
+    }
+  }
+
+  // Deliveries after lastEventId. An id from an earlier epoch (server restarted) replays everything
+  // still buffered; clients drop duplicates by intervention id.
+  eventsSince(lastEventId, userId) {
+    this.pruneDeliveries();
+    const [epoch, sequence] = String(lastEventId || '').split(':');
+    const after = epoch === this.epoch ? parseInt(sequence, 10) || 0 : 0;
+
+    return this.deliveries.filter(event => event.sequence > after && this.isFor(userId, event));
+  }
+
+  subscribe(subscriber, lastEventId) {
+    if (lastEventId) {
+      this.eventsSince(lastEventId, subscriber.userId).forEach(event => subscriber.send(event));
+    }
+    this.subscribers.add(subscriber);
+  }
+
+  // WebSocket alternative at /api/interventions/ws?ticket=&last_event_id=
+  // Messages: { type: 'intervention', id, intervention }. Connections without a valid session are
+  // refused during the handshake with the same status the SSE route would answer.
+  attachWebSocket(server) {
+    this.wss = new WebSocketServer({
+      server,
+      path: '/api/interventions/ws',
+      verifyClient: ({ req }, done) => {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        this.subscriberAuth.authenticateStream(req.headers, params)
+          .then(userId => {
+            req.userId = userId;
+            done(true);
+          })
+          .catch(error => {
+            if (!(error instanceof SubscriberAuthError)) console.error('Authentication error:', error);
+            done(false, error.status || 500, error.message);
+          });
+      }
+    });
+
+    this.wss.on('connection', (socket, req) => {
+      const params = new URL(req.url, 'http://localhost').searchParams;
+      const subscriber = {
+        userId: req.userId,
+        send: (event) => {
+          socket.send(JSON.stringify({ type: 'intervention', id: event.id, intervention: event.intervention }));
+        }
+      };
+
+      this.subscribe(subscriber, params.get('last_event_id'));
+
+      let alive = true;
+      socket.on('pong', () => { alive = true; });
+      const heartbeat = setInterval(() => {
+        if (!alive) return socket.terminate();
+        alive = false;
+        socket.ping();
+      }, HEARTBEAT_MS);
+
+      socket.on('close', () => {
+        clearInterval(heartbeat);
+        this.subscribers.delete(subscriber);
+      });
+    });
+  }
+
   start() {
     return new Promise((resolve, reject) => {
       try {
         this.server = this.app.listen(this.port, () => {
           console.log(`🎯 Intervention server running on port ${this.port}`);
           console.log(`📡 Ready to receive interventions at: http://localhost:${this.port}/api/interventions`);
+          console.log(`🔌 Browsers connect to: http://localhost:${this.port}/api/interventions/stream (SSE) or ws://localhost:${this.port}/api/interventions/ws`);
           resolve(this.server);
         });
+        this.attachWebSocket(this.server);
       } catch (error) {
         reject(error);
       }
     });
   }
 
+  // Resolves once the pending queue's last batched write is on disk
   stop() {
+    if (this.wss) {
+      this.wss.close();
+    }
     if (this.server) {
       this.server.close();
       console.log('🛑 Intervention server stopped');
     }
+    return this.pendingStore.flush();
   }
 }
 
 // Export singleton instance
 const interventionServer = new InterventionServer();
 
-// Auto-start the server
-if (typeof window === 'undefined') {
-  // Only start if running in Node.js environment
+// Auto-start when run directly (node src/interventionServer.js); intervention-server.js starts it itself
+if (require.main === module) {
   interventionServer.start().catch(console.error);
 }
 
-module.exports = interventionServer;
\ No newline at end of file
+module.exports = interventionServer;
+module.exports.InterventionServer = InterventionServer;
\ No newline at end of file
@@ -0,0 +1,325 @@
+const http = require('http');
+const WebSocket = require('ws');
+const request = require('supertest');
+const { InterventionServer } = require('./interventionServer');
+const { PendingInterventionStore } = require('./pendingInterventionStore');
+const { SubscriberAuthenticator } = require('./subscriberAuth');
+const { WebhookVerifier, sign } = require('./webhookAuth');
+
+const TOKENS = { 'token-alice': 'alice', 'token-bob': 'bob' };
+
+const createServer = (options = {}) => new InterventionServer({
+  subscriberAuth: new SubscriberAuthenticator({ verify: async (token) => TOKENS[token] || null }),
+  pendingStore: new PendingInterventionStore({ filePath: null }),
+  webhookVerifier: new WebhookVerifier({ secrets: { n8n: 'test-secret' } }),
+  allowBroadcast: false,
+  ...options
+});
+
+// Posts an intervention signed the way n8n signs it
+const deliver = (interventionServer, payload) => {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  return request(interventionServer.app)
+    .post('/api/interventions')
+    .set('Content-Type', 'application/json')
+    .set('X-Webhook-Timestamp', String(timestamp))
+    .set('X-Webhook-Signature', sign('test-secret', timestamp, body))
+    .send(body);
+};
+
+const listen = (interventionServer) => new Promise(resolve => {
+  const server = interventionServer.app.listen(0, () => resolve(server));
+  interventionServer.attachWebSocket(server);
+});
+
+// Opens an SSE stream; resolves with the response status and the parsed intervention events so far
+const openStream = (port, query) => new Promise((resolve, reject) => {
+  const req = http.get(`http://127.0.0.1:${port}/api/interventions/stream?${query}`, res => {
+    const stream = { status: res.statusCode, events: [], close: () => req.destroy() };
+    let buffer = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => {
+      buffer += chunk;
+      const frames = buffer.split('\n\n');
+      buffer = frames.pop();
+      frames.forEach(frame => {
+        const data = frame.split('\n').find(line => line.startsWith('data: '));
+        if (frame.includes('event: intervention') && data) stream.events.push(JSON.parse(data.slice(6)));
+      });
+    });
+    resolve(stream);
+  });
+  req.on('error', error => (error.code === 'ECONNRESET' ? null : reject(error)));
+});
+
+const openSocket = (port, query) => new Promise(resolve => {
+  const socket = new WebSocket(`ws://127.0.0.1:${port}/api/interventions/ws?${query}`);
+  const messages = [];
+  socket.on('message', data => messages.push(JSON.parse(data)));
+  socket.on('open', () => resolve({ status: 101, socket, messages }));
+  socket.on('unexpected-response', (req, res) => resolve({ status: res.statusCode }));
+});
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 50));
+
+// What the browser does before opening a stream: swap the session token for a ticket
+const ticketFor = async (interventionServer, token) => {
+  const response = await request(interventionServer.app)
+    .post('/api/interventions/stream-ticket')
+    .set('Authorization', `Bearer ${token}`)
+    .expect(200);
+  return `ticket=${encodeURIComponent(response.body.ticket)}`;
+};
+
+describe('intervention subscriptions', () => {
+  let interventionServer;
+  let server;
+  let port;
+
+  beforeEach(async () => {
+    interventionServer = createServer();
+    server = await listen(interventionServer);
+    port = server.address().port;
+  });
+
+  afterEach(() => new Promise(resolve => {
+    interventionServer.wss.close();
+    server.close(resolve);
+  }));
+
+  it('refuses SSE streams without a valid session', async () => {
+    const missing = await openStream(port, 'user_id=alice');
+    const invalid = await openStream(port, 'ticket=forged');
+    // The session token is only accepted in the Authorization header
+    const tokenInUrl = await openStream(port, 'access_token=token-alice');
+    const impersonating = await openStream(port, `${await ticketFor(interventionServer, 'token-bob')}&user_id=alice`);
+
+    expect(missing.status).toBe(401);
+    expect(invalid.status).toBe(401);
+    expect(tokenInUrl.status).toBe(401);
+    expect(impersonating.status).toBe(403);
+    [missing, invalid, tokenInUrl, impersonating].forEach(stream => stream.close());
+    await request(interventionServer.app).post('/api/interventions/stream-ticket').expect(401);
+  });
+
+  it('opens one stream per ticket', async () => {
+    const ticket = await ticketFor(interventionServer, 'token-alice');
+
+    const first = await openStream(port, ticket);
+    const reused = await openStream(port, ticket);
+
+    expect(first.status).toBe(200);
+    expect(reused.status).toBe(401);
+    [first, reused].forEach(stream => stream.close());
+  });
+
+  it('streams only the signed-in user\'s interventions', async () => {
+    const stream = await openStream(port, await ticketFor(interventionServer, 'token-alice'));
+    expect(stream.status).toBe(200);
+    await tick();
+
+    interventionServer.publish({ id: 'for-bob' }, 'bob');
+    interventionServer.publish({ id: 'for-alice' }, 'alice');
+    interventionServer.publish({ id: 'for-everyone' }, null, { broadcast: true });
+    await tick();
+
+    expect(stream.events.map(event => event.id)).toEqual(['for-alice', 'for-everyone']);
+    expect(() => interventionServer.publish({ id: 'for-nobody' })).toThrow(/needs a userId/);
+    stream.close();
+  });
+
+  it('replays only the signed-in user\'s missed interventions', async () => {
+    const first = interventionServer.publish({ id: 'seen' }, 'alice');
+    interventionServer.publish({ id: 'missed-bob' }, 'bob');
+    interventionServer.publish({ id: 'missed-alice' }, 'alice');
+
+    const ticket = await ticketFor(interventionServer, 'token-alice');
+    const stream = await openStream(port, `${ticket}&last_event_id=${encodeURIComponent(first.id)}`);
+    await tick();
+
+    expect(stream.events.map(event => event.id)).toEqual(['missed-alice']);
+    stream.close();
+  });
+
+  it('accepts the token as a bearer header', async () => {
+    const response = await new Promise(resolve => {
+      const req = http.get({
+        port,
+        host: '127.0.0.1',
+        path: '/api/interventions/stream',
+        headers: { Authorization: 'Bearer token-alice' }
+      }, res => {
+        resolve(res.statusCode);
+        req.destroy();
+      });
+      req.on('error', () => {});
+    });
+    expect(response).toBe(200);
+  });
+
+  it('refuses WebSocket handshakes without a valid session', async () => {
+    expect((await openSocket(port, 'user_id=alice')).status).toBe(401);
+    expect((await openSocket(port, 'access_token=token-bob')).status).toBe(401);
+    expect((await openSocket(port, `${await ticketFor(interventionServer, 'token-bob')}&user_id=alice`)).status).toBe(403);
+  });
+
+  it('sends WebSocket subscribers only their own interventions', async () => {
+    const { status, socket, messages } = await openSocket(port, await ticketFor(interventionServer, 'token-bob'));
+    expect(status).toBe(101);
+
+    interventionServer.publish({ id: 'for-alice' }, 'alice');
+    interventionServer.publish({ id: 'for-bob' }, 'bob');
+    await tick();
+
+    expect(messages.map(message => message.intervention.id)).toEqual(['for-bob']);
+    socket.close();
+  });
+});
+
+describe('webhook deliveries', () => {
+  it('refuses interventions without a user unless broadcasts are enabled', async () => {
+    const interventionServer = createServer();
+    const published = jest.fn();
+    interventionServer.registerCallback(published);
+
+    const missingUser = await deliver(interventionServer, { message: 'ship it' }).expect(422);
+    expect(missingUser.body.error.fields.map(error => error.field)).toEqual(['user_id']);
+    const broadcast = await deliver(interventionServer, { message: 'ship it', broadcast: true }).expect(422);
+    expect(broadcast.body.error.code).toBe('broadcast_disabled');
+    expect(published).not.toHaveBeenCalled();
+  });
+
+  it('sends an explicit broadcast to everyone when enabled, without queueing it', async () => {
+    const interventionServer = createServer({ allowBroadcast: true });
+
+    await deliver(interventionServer, { intervention_id: 'all-hands', message: 'ship it', broadcast: true }).expect(200);
+
+    expect(interventionServer.eventsSince(null, 'alice').map(event => event.intervention.id)).toEqual(['all-hands']);
+    expect(interventionServer.eventsSince(null, 'bob').map(event => event.intervention.id)).toEqual(['all-hands']);
+    expect(interventionServer.pendingStore.pending('alice')).toEqual([]);
+  });
+
+  it('queues and streams a targeted intervention for its user only', async () => {
+    const interventionServer = createServer();
+
+    await deliver(interventionServer, { intervention_id: 'for-alice', message: 'ship it', user_id: 'alice' }).expect(200);
+
+    expect(interventionServer.eventsSince(null, 'alice').map(event => event.intervention.id)).toEqual(['for-alice']);
+    expect(interventionServer.eventsSince(null, 'bob')).toEqual([]);
+    expect(interventionServer.pendingStore.pending('alice').map(entry => entry.id)).toEqual(['for-alice']);
+  });
+
+  it('logs who the intervention is for, never its content', async () => {
+    const interventionServer = createServer();
+    const logged = [];
+    const spies = ['log', 'debug', 'info'].map(level =>
+      jest.spyOn(console, level).mockImplementation((...args) => logged.push(args.join(' '))));
+
+    try {
+      await deliver(interventionServer, { intervention_id: 'for-alice', message: 'raise your prices', user_id: 'alice' }).expect(200);
+    } finally {
+      spies.forEach(spy => spy.mockRestore());
+    }
+
+    expect(logged).toEqual(['Received intervention for-alice from n8n for alice']);
+  });
+});
+
+describe('pending interventions and acknowledgements', () => {
+  let interventionServer;
+
+  beforeEach(() => {
+    interventionServer = createServer();
+    interventionServer.pendingStore.add('alice', { id: 'alice-1', priority: 5 });
+    interventionServer.pendingStore.add('bob', { id: 'bob-1', priority: 5 });
+  });
+
+  it('lists only the signed-in user\'s queue', async () => {
+    const response = await request(interventionServer.app)
+      .get('/api/interventions/pending')
+      .set('Authorization', 'Bearer token-alice')
+      .expect(200);
+
+    expect(response.body.pending.map(intervention => intervention.id)).toEqual(['alice-1']);
+  });
+
+  it('refuses to list someone else\'s queue', async () => {
+    await request(interventionServer.app).get('/api/interventions/pending?user_id=bob').expect(401);
+    const response = await request(interventionServer.app)
+      .get('/api/interventions/pending?user_id=bob')
+      .set('Authorization', 'Bearer token-alice')
+      .expect(403);
+
+    expect(response.body.error.code).toBe('forbidden');
+  });
+
+  it('acknowledges the signed-in user\'s interventions', async () => {
+    const response = await request(interventionServer.app)
+      .post('/api/interventions/alice-1/shown')
+      .set('Authorization', 'Bearer token-alice')
+      .send({ user_id: 'alice' })
+      .expect(200);
+
+    expect(response.body.intervention.status).toBe('shown');
+  });
+
+  it('refuses to change someone else\'s queue', async () => {
+    await request(interventionServer.app)
+      .post('/api/interventions/bob-1/used')
+      .send({ user_id: 'bob' })
+      .expect(401);
+    await request(interventionServer.app)
+      .post('/api/interventions/bob-1/used')
+      .set('Authorization', 'Bearer token-alice')
+      .send({ user_id: 'bob' })
+      .expect(403);
+    await request(interventionServer.app)
+      .post('/api/interventions/bob-1/used')
+      .set('Authorization', 'Bearer token-alice')
+      .expect(404);
+
+    expect(interventionServer.pendingStore.pending('bob')[0].status).toBe('received');
+  });
+});
+
+describe('SubscriberAuthenticator', () => {
+  it('caches accepted tokens until they expire', async () => {
+    let now = 0;
+    let calls = 0;
+    const auth = new SubscriberAuthenticator({
+      verify: async (token) => { calls++; return TOKENS[token] || null; },
+      ttlMs: 1000,
+      now: () => now
+    });
+
+    expect(await auth.authenticate('token-alice')).toBe('alice');
+    expect(await auth.authenticate('token-alice', 'alice')).toBe('alice');
+    expect(calls).toBe(1);
+
+    now = 1001;
+    await auth.authenticate('token-alice');
+    expect(calls).toBe(2);
+  });
+
+  it('lets a stream ticket expire unused', () => {
+    let now = 0;
+    const auth = new SubscriberAuthenticator({ verify: async () => null, ticketTtlMs: 1000, now: () => now });
+    const { ticket, expiresIn } = auth.issueTicket('alice');
+
+    expect(expiresIn).toBe(1);
+    now = 1000;
+    expect(() => auth.redeemTicket(ticket)).toThrow(expect.objectContaining({ status: 401 }));
+  });
+
+  it('answers 503 when the verifier is unreachable', async () => {
+    const auth = new SubscriberAuthenticator({ verify: async () => { throw new Error('ECONNREFUSED'); } });
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      await expect(auth.authenticate('token-alice')).rejects.toMatchObject({ status: 503, code: 'auth_unavailable' });
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// Per-user queue of interventions waiting for the chat, so deliveries made while the user was
+// offline are still there when they come back. Backed by a JSON file (write-then-rename), written
+// off the request path: changes inside WRITE_DELAY_MS share one async write, and flush() forces it.
+//
+// Status flow: received -> shown -> used, and received/shown -> expired once past expires_at.
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'pending-interventions.json');
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const WRITE_DELAY_MS = 200;
+// Open entries per user; past this the oldest are expired to make room
+const DEFAULT_MAX_PENDING = 50;
+// Used and expired entries are kept this long for acknowledgements that arrive late
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const TRANSITIONS = {
+  received: ['shown', 'used', 'expired'],
+  shown: ['used', 'expired'],
+  used: [],
+  expired: []
+};
+
+const OPEN_STATUSES = ['received', 'shown'];
+
+class PendingInterventionError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = 'PendingInterventionError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// final_priority is 0-100; priority is 1-10
+const priorityScore = (intervention) => {
+  const raw = intervention.rawData || {};
+  if (typeof raw.final_priority === 'number') return raw.final_priority;
+  if (typeof intervention.priority === 'number') return intervention.priority * 10;
+  return 0;
+};
+
+class PendingInterventionStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined
+      ? (process.env.PENDING_INTERVENTIONS_FILE || DEFAULT_FILE)
+      : options.filePath;
+    this.ttlMs = options.ttlMs || (parseFloat(process.env.PENDING_INTERVENTION_TTL_HOURS) * 3600000) || DEFAULT_TTL_MS;
+    this.maxPending = options.maxPending ||
+      parseInt(process.env.PENDING_INTERVENTIONS_MAX_PER_USER, 10) || DEFAULT_MAX_PENDING;
+    this.writeDelayMs = options.writeDelayMs ?? WRITE_DELAY_MS;
+    this.now = options.now || (() => Date.now());
+    this.entries = {}; // userId -> { interventionId -> entry }
+    this.writeTimer = null;
+    this.writing = null; // in-flight write
+    this.dirty = false;
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      console.error('Pending intervention store unreadable, starting empty:', error.message);
+    }
+  }
+
+  // Marks the store changed; the write happens later, once per burst of changes
+  persist() {
+    if (!this.filePath) return;
+
+    this.dirty = true;
+    if (this.writeTimer || this.writing) return;
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.write();
+    }, this.writeDelayMs);
+    this.writeTimer.unref?.();
+  }
+
+  write() {
+    this.dirty = false;
+    this.writing = this.writeSnapshot(JSON.stringify(this.entries))
+      .catch(error => console.error('Pending intervention store write failed:', error.message))
+      .finally(() => {
+        this.writing = null;
+        // Changes made while this write was running go out in the next one
+        if (this.dirty) this.persist();
+      });
+    return this.writing;
+  }
+
+  async writeSnapshot(snapshot) {
+    const tmpPath = `${this.filePath}.tmp`;
+    await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fsp.writeFile(tmpPath, snapshot);
+    await fsp.rename(tmpPath, this.filePath);
+  }
+
+  // Writes anything still pending now (shutdown, tests)
+  async flush() {
+    while (this.writing || this.dirty) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+      await (this.writing || this.write());
+    }
+  }
+
+  // expiresAt: explicit ISO date from the sender, otherwise now + TTL.
+  // Adding an id that's already queued keeps the original entry (n8n retries).
+  add(userId, intervention, { expiresAt } = {}) {
+    const queue = this.entries[userId] || (this.entries[userId] = {});
+    if (queue[intervention.id]) return queue[intervention.id];
+
+    const now = this.now();
+    const expires = expiresAt ? new Date(expiresAt).getTime() : NaN;
+
+    queue[intervention.id] = {
+      id: intervention.id,
+      user_id: userId,
+      status: 'received',
+      priority_score: priorityScore(intervention),
+      received_at: new Date(now).toISOString(),
+      expires_at: new Date(Number.isFinite(expires) ? expires : now + this.ttlMs).toISOString(),
+      shown_at: null,
+      used_at: null,
+      intervention
+    };
+    this.enforceLimit(queue, now);
+    this.persist();
+    return queue[intervention.id];
+  }
+
+  // Keeps a flooded user's queue bounded: the oldest open entries expire (so a late
+  // acknowledgement gets a 409, not a 404), and closed entries beyond the cap are forgotten
+  enforceLimit(queue, now) {
+    const oldestFirst = (a, b) => a.received_at.localeCompare(b.received_at);
+    const open = Object.values(queue).filter(entry => OPEN_STATUSES.includes(entry.status)).sort(oldestFirst);
+    open.slice(0, Math.max(0, open.length - this.maxPending)).forEach(entry => {
+      entry.status = 'expired';
+      entry.expired_at = new Date(now).toISOString();
+    });
+
+    const closed = Object.values(queue).filter(entry => !OPEN_STATUSES.includes(entry.status)).sort(oldestFirst);
+    closed.slice(0, Math.max(0, closed.length - this.maxPending)).forEach(entry => {
+      delete queue[entry.id];
+    });
+  }
+
+  // Moves overdue entries to expired and forgets closed ones past retention
+  sweep() {
+    const now = this.now();
+    let changed = false;
+
+    Object.entries(this.entries).forEach(([userId, queue]) => {
+      Object.values(queue).forEach(entry => {
+        if (OPEN_STATUSES.includes(entry.status) && Date.parse(entry.expires_at) <= now) {
+          entry.status = 'expired';
+          entry.expired_at = new Date(now).toISOString();
+          changed = true;
+        }
+
+        const closedAt = Date.parse(entry.used_at || entry.expired_at || '');
+        if (!OPEN_STATUSES.includes(entry.status) && closedAt + RETENTION_MS <= now) {
+          delete queue[entry.id];
+          changed = true;
+        }
+      });
+      if (Object.keys(queue).length === 0) delete this.entries[userId];
+    });
+
+    if (changed) this.persist();
+  }
+
+  // Open interventions, highest priority first, then oldest first
+  pending(userId) {
+    this.sweep();
+    return Object.values(this.entries[userId] || {})
+      .filter(entry => OPEN_STATUSES.includes(entry.status))
+      .sort((a, b) => b.priority_score - a.priority_score || a.received_at.localeCompare(b.received_at));
+  }
+
+  transition(userId, interventionId, status) {
+    if (!TRANSITIONS[status]) {
+      throw new PendingInterventionError('invalid_status', `Unknown status: ${status}`, 400);
+    }
+
+    this.sweep();
+    const entry = this.entries[userId]?.[interventionId];
+    if (!entry) {
+      throw new PendingInterventionError('not_found', `No intervention ${interventionId} for this user`, 404);
+    }
+    if (entry.status === status) return entry; // repeated acknowledgement
+    if (!TRANSITIONS[entry.status].includes(status)) {
+      throw new PendingInterventionError(
+        'invalid_transition',
+        `Intervention ${interventionId} is ${entry.status} and can't become ${status}`,
+        409
+      );
+    }
+
+    entry.status = status;
+    entry[`${status}_at`] = new Date(this.now()).toISOString();
+    this.persist();
+    return entry;
+  }
+}
+
+module.exports = { PendingInterventionStore, PendingInterventionError, priorityScore };
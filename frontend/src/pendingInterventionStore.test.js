@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PendingInterventionStore, priorityScore } = require('./pendingInterventionStore');
+
+const HOUR = 60 * 60 * 1000;
+
+const createStore = (options = {}) => {
+  let now = Date.parse('2026-01-01T00:00:00Z');
+  const store = new PendingInterventionStore({ filePath: null, now: () => now, ...options });
+  store.advance = (ms) => { now += ms; };
+  return store;
+};
+
+describe('PendingInterventionStore', () => {
+  it('lists open interventions by priority, then oldest first', () => {
+    const store = createStore();
+    store.add('alice', { id: 'low', priority: 2 });
+    store.advance(1000);
+    store.add('alice', { id: 'high', rawData: { final_priority: 90 } });
+    store.advance(1000);
+    store.add('alice', { id: 'also-low', priority: 2 });
+    store.add('bob', { id: 'bobs', priority: 10 });
+
+    expect(store.pending('alice').map(entry => entry.id)).toEqual(['high', 'low', 'also-low']);
+    expect(store.pending('bob').map(entry => entry.id)).toEqual(['bobs']);
+  });
+
+  it('keeps the first entry when the same intervention is added again', () => {
+    const store = createStore();
+    const first = store.add('alice', { id: 'retry', priority: 3 });
+    store.advance(1000);
+    const second = store.add('alice', { id: 'retry', priority: 9 });
+
+    expect(second).toBe(first);
+    expect(store.pending('alice')).toHaveLength(1);
+  });
+
+  it('expires entries past their expiry and forgets them after retention', () => {
+    const store = createStore({ ttlMs: HOUR });
+    store.add('alice', { id: 'default-ttl' });
+    store.add('alice', { id: 'explicit', priority: 5 }, { expiresAt: '2026-01-01T03:00:00Z' });
+
+    store.advance(HOUR);
+    expect(store.pending('alice').map(entry => entry.id)).toEqual(['explicit']);
+    expect(() => store.transition('alice', 'default-ttl', 'shown')).toThrow(expect.objectContaining({ status: 409 }));
+
+    store.advance(25 * HOUR);
+    expect(() => store.transition('alice', 'default-ttl', 'shown')).toThrow(expect.objectContaining({ status: 404 }));
+  });
+
+  it('moves received -> shown -> used and rejects going back', () => {
+    const store = createStore();
+    store.add('alice', { id: 'one' });
+
+    expect(store.transition('alice', 'one', 'shown').shown_at).not.toBeNull();
+    expect(store.transition('alice', 'one', 'shown').status).toBe('shown');
+    expect(store.transition('alice', 'one', 'used').status).toBe('used');
+    expect(store.pending('alice')).toEqual([]);
+    expect(() => store.transition('alice', 'one', 'shown')).toThrow(expect.objectContaining({ code: 'invalid_transition' }));
+    expect(() => store.transition('alice', 'one', 'deleted')).toThrow(expect.objectContaining({ code: 'invalid_status' }));
+  });
+
+  it('only finds an intervention in its own user\'s queue', () => {
+    const store = createStore();
+    store.add('alice', { id: 'private' });
+
+    expect(() => store.transition('bob', 'private', 'used')).toThrow(expect.objectContaining({ code: 'not_found' }));
+    expect(store.pending('alice')[0].status).toBe('received');
+  });
+
+  it('expires the oldest open entries past the per-user cap', () => {
+    const store = createStore({ maxPending: 2 });
+    store.add('alice', { id: 'first', priority: 9 });
+    store.advance(1000);
+    store.add('alice', { id: 'second' });
+    store.advance(1000);
+    store.add('alice', { id: 'third' });
+    store.add('bob', { id: 'bobs' });
+
+    expect(store.pending('alice').map(entry => entry.id)).toEqual(['second', 'third']);
+    expect(store.pending('bob')).toHaveLength(1);
+    expect(() => store.transition('alice', 'first', 'used')).toThrow(expect.objectContaining({ status: 409 }));
+
+    store.advance(1000);
+    store.add('alice', { id: 'fourth' });
+    store.add('alice', { id: 'fifth' });
+    store.add('alice', { id: 'sixth' });
+    // Closed entries are capped too, oldest forgotten first
+    expect(() => store.transition('alice', 'first', 'used')).toThrow(expect.objectContaining({ status: 404 }));
+    expect(Object.keys(store.entries.alice)).toHaveLength(4);
+  });
+
+  it('batches a burst of changes into one write off the request path', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pending-interventions-'));
+    const filePath = path.join(dir, 'pending.json');
+    try {
+      const store = createStore({ filePath, writeDelayMs: 1000 });
+      const writeSnapshot = jest.spyOn(store, 'writeSnapshot');
+      store.add('alice', { id: 'one' });
+      store.add('alice', { id: 'two' });
+      store.transition('alice', 'one', 'shown');
+      expect(fs.existsSync(filePath)).toBe(false);
+
+      await store.flush();
+      expect(writeSnapshot).toHaveBeenCalledTimes(1);
+      expect(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')).alice)).toEqual(['one', 'two']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('survives a restart', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pending-interventions-'));
+    const filePath = path.join(dir, 'pending.json');
+    try {
+      const store = createStore({ filePath });
+      store.add('alice', { id: 'persisted', priority: 4 });
+      const first = store.flush();
+      // Added while the first write is running: goes out in a follow-up write
+      store.add('alice', { id: 'late' });
+      await Promise.all([first, store.flush()]);
+
+      const reloaded = createStore({ filePath });
+      expect(reloaded.pending('alice').map(entry => entry.id)).toEqual(['persisted', 'late']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('priorityScore', () => {
+  it('puts final_priority and priority on the same 0-100 scale', () => {
+    expect(priorityScore({ rawData: { final_priority: 75 }, priority: 1 })).toBe(75);
+    expect(priorityScore({ priority: 7 })).toBe(70);
+    expect(priorityScore({})).toBe(0);
+  });
+});
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+// Who is on the other end of a browser connection. The chat signs in with n8n and keeps the session
+// token in localStorage (celeste7_token); the intervention server checks that token with the same
+// verify-token webhook the app uses and takes the user id from the answer, never from the request.
+//
+//   Authorization: Bearer <token>   fetch requests (pending, acknowledgements, stream tickets)
+//   ?ticket=<ticket>                EventSource and WebSocket, which can't set headers
+//
+// The token itself never goes in a URL, where proxies and access logs would keep it. Browsers swap
+// it for a stream ticket (POST /api/interventions/stream-ticket): random, single-use and valid for
+// STREAM_TICKET_TTL_MS.
+//
+// The webhook must answer { success: true, user: { id } } (or { success: true, user_id }).
+// INTERVENTION_AUTH_VERIFY_URL overrides its address.
+
+const DEFAULT_VERIFY_URL = 'https://ventruk.app.n8n.cloud/webhook/c7/auth/verify-token';
+const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_CACHED_TOKENS = 1000;
+const STREAM_TICKET_TTL_MS = 60 * 1000;
+const MAX_OPEN_TICKETS = 10000;
+
+class SubscriberAuthError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = 'SubscriberAuthError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const bearerToken = (authorization) => {
+  const match = /^Bearer\s+(.+)$/i.exec(authorization || '');
+  return match ? match[1].trim() : null;
+};
+
+// Token from a request's Authorization header
+const tokenFrom = (headers = {}) => bearerToken(headers.authorization);
+
+// Default verifier: the n8n verify-token webhook. Resolves to the user id, or null when rejected.
+const verifyWithWebhook = (url) => async (token) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body: JSON.stringify({ token })
+  });
+  if (!response.ok) throw new Error(`verify-token HTTP ${response.status}`);
+
+  const data = await response.json();
+  if (!data.success) return null;
+  return data.user?.id || data.user_id || null;
+};
+
+const matchRequested = (userId, requestedUserId) => {
+  if (requestedUserId && String(requestedUserId) !== String(userId)) {
+    throw new SubscriberAuthError('forbidden', 'user_id does not match the signed-in user', 403);
+  }
+  return String(userId);
+};
+
+class SubscriberAuthenticator {
+  constructor(options = {}) {
+    this.verify = options.verify ||
+      verifyWithWebhook(options.verifyUrl || process.env.INTERVENTION_AUTH_VERIFY_URL || DEFAULT_VERIFY_URL);
+    this.ttlMs = options.ttlMs || DEFAULT_CACHE_TTL_MS;
+    this.now = options.now || (() => Date.now());
+    // token -> { userId, expiresAt }; only accepted tokens are cached
+    this.cache = new Map();
+    this.ticketTtlMs = options.ticketTtlMs || STREAM_TICKET_TTL_MS;
+    // ticket -> { userId, expiresAt }, oldest first
+    this.tickets = new Map();
+  }
+
+  // Resolves to the verified user id. Rejects with 401 for a missing or refused token, 503 when the
+  // verifier can't be reached, and 403 when requestedUserId names someone else.
+  async authenticate(token, requestedUserId) {
+    if (!token) throw new SubscriberAuthError('unauthorized', 'Bearer token required', 401);
+
+    return matchRequested(await this.userFor(token), requestedUserId);
+  }
+
+  // SSE and WebSocket: a bearer header (server-side clients) or a stream ticket (browsers)
+  authenticateStream(headers, params) {
+    const token = tokenFrom(headers);
+    if (token) return this.authenticate(token, params.get('user_id'));
+    return Promise.resolve().then(() => this.redeemTicket(params.get('ticket'), params.get('user_id')));
+  }
+
+  // For a user already verified by their token
+  issueTicket(userId) {
+    const now = this.now();
+    for (const [ticket, issued] of this.tickets) {
+      if (issued.expiresAt > now && this.tickets.size < MAX_OPEN_TICKETS) break;
+      this.tickets.delete(ticket);
+    }
+
+    const ticket = crypto.randomBytes(24).toString('base64url');
+    this.tickets.set(ticket, { userId: String(userId), expiresAt: now + this.ticketTtlMs });
+    return { ticket, expiresIn: Math.round(this.ticketTtlMs / 1000) };
+  }
+
+  // A ticket opens one stream; reconnects fetch a new one
+  redeemTicket(ticket, requestedUserId) {
+    const issued = ticket ? this.tickets.get(ticket) : null;
+    if (issued) this.tickets.delete(ticket);
+    if (!issued || issued.expiresAt <= this.now()) {
+      throw new SubscriberAuthError('unauthorized', 'Bearer token or a valid stream ticket required', 401);
+    }
+    return matchRequested(issued.userId, requestedUserId);
+  }
+
+  async userFor(token) {
+    const cached = this.cache.get(token);
+    if (cached && cached.expiresAt > this.now()) return cached.userId;
+    this.cache.delete(token);
+
+    let userId;
+    try {
+      userId = await this.verify(token);
+    } catch (error) {
+      console.error('Token verification failed:', error.message);
+      throw new SubscriberAuthError('auth_unavailable', 'Could not verify the session token', 503);
+    }
+    if (!userId) throw new SubscriberAuthError('unauthorized', 'Invalid or expired session token', 401);
+
+    if (this.cache.size >= MAX_CACHED_TOKENS) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(token, { userId, expiresAt: this.now() + this.ttlMs });
+    return userId;
+  }
+}
+
+module.exports = {
+  SubscriberAuthenticator,
+  SubscriberAuthError,
+  tokenFrom
+};
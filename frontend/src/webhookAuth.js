@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+
+// Checks for intervention posts from n8n (or any other configured source):
+//
+//   X-Webhook-Source:    source name, must have a secret (default "n8n")
+//   X-Webhook-Timestamp: unix seconds when the request was signed
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with the source secret>
+//
+// Secrets: INTERVENTION_WEBHOOK_SECRETS="n8n:secret,staging:other" or INTERVENTION_WEBHOOK_SECRET for
+// n8n alone. Unsigned posts are refused unless INTERVENTION_WEBHOOK_ALLOW_UNSIGNED=true, no secrets are
+// set and NODE_ENV isn't production (local demo). Unsigned posts share one rate limit, whatever
+// X-Webhook-Source they claim.
+
+const DEFAULT_SOURCE = 'n8n';
+const UNSIGNED_SOURCE = 'unsigned';
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+const RATE_WINDOW_MS = 60 * 1000;
+const DEFAULT_RATE_LIMIT = 120; // posts per source per minute
+const MAX_MESSAGE_LENGTH = 4000;
+
+class WebhookError extends Error {
+  constructor(code, message, status, details) {
+    super(message);
+    this.name = 'WebhookError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const parseSecrets = (env = process.env) => {
+  const secrets = {};
+  if (env.INTERVENTION_WEBHOOK_SECRET) secrets[DEFAULT_SOURCE] = env.INTERVENTION_WEBHOOK_SECRET;
+
+  (env.INTERVENTION_WEBHOOK_SECRETS || '').split(',').forEach(pair => {
+    const separator = pair.indexOf(':');
+    if (separator > 0) secrets[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+  });
+  return secrets;
+};
+
+const sign = (secret, timestamp, rawBody) =>
+  'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isDate = (value) => typeof value === 'string' && Number.isFinite(Date.parse(value));
+
+// n8n payload fields the server and the chat rely on; anything else is passed through untouched.
+// Returns a list of { field, message }, empty when valid.
+const validateInterventionPayload = (body) => {
+  if (!isObject(body)) return [{ field: 'body', message: 'must be a JSON object' }];
+
+  const errors = [];
+  const check = (field, ok, message) => { if (!ok) errors.push({ field, message }); };
+  const present = (field) => body[field] !== undefined && body[field] !== null;
+
+  if (typeof body.message !== 'string' || body.message.trim().length === 0) {
+    errors.push({ field: 'message', message: 'required non-empty string' });
+  } else {
+    check('message', body.message.length <= MAX_MESSAGE_LENGTH, `at most ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  if (present('intervention_id')) {
+    check('intervention_id', typeof body.intervention_id === 'string' && /^[\w.:-]{1,128}$/.test(body.intervention_id),
+      'string of letters, digits, _ . : - (max 128)');
+  }
+  if (present('priority')) {
+    check('priority', Number.isFinite(body.priority) && body.priority >= 1 && body.priority <= 10,
+      'number from 1 to 10');
+  }
+  if (present('final_priority')) {
+    check('final_priority', Number.isFinite(body.final_priority) && body.final_priority >= 0 && body.final_priority <= 100,
+      'number from 0 to 100');
+  }
+  if (present('personalization_data')) {
+    const data = body.personalization_data;
+    check('personalization_data', isObject(data), 'must be an object');
+    if (isObject(data) && data.pattern_confidence !== undefined) {
+      check('personalization_data.pattern_confidence',
+        Number.isFinite(data.pattern_confidence) && data.pattern_confidence >= 0 && data.pattern_confidence <= 1,
+        'number from 0 to 1');
+    }
+  }
+  // Every intervention names its user, unless it is an explicit broadcast
+  if (present('broadcast')) {
+    check('broadcast', typeof body.broadcast === 'boolean', 'boolean');
+  }
+  if (body.broadcast === true) {
+    check('user_id', !present('user_id'), 'must be left out of a broadcast');
+  } else {
+    check('user_id', typeof body.user_id === 'string' && body.user_id.length > 0, 'required non-empty string');
+  }
+  ['expires_at', 'delivery_timestamp', 'created_at'].forEach(field => {
+    if (present(field)) check(field, isDate(body[field]), 'ISO date string');
+  });
+
+  return errors;
+};
+
+// Fixed one-minute window per source
+class SourceRateLimiter {
+  constructor({ limit = DEFAULT_RATE_LIMIT, windowMs = RATE_WINDOW_MS, now = () => Date.now() } = {}) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.now = now;
+    this.windows = new Map(); // source -> { start, count }
+  }
+
+  // Throws rate_limited with retryAfter (seconds) once the source is over its limit
+  take(source) {
+    const now = this.now();
+    let window = this.windows.get(source);
+    if (!window || now - window.start >= this.windowMs) {
+      window = { start: now, count: 0 };
+      this.windows.set(source, window);
+    }
+
+    if (window.count >= this.limit) {
+      const retryAfter = Math.ceil((window.start + this.windowMs - now) / 1000);
+      throw new WebhookError('rate_limited', `Too many interventions from ${source}; retry in ${retryAfter}s`, 429,
+        { retry_after: retryAfter });
+    }
+    window.count++;
+  }
+}
+
+class WebhookVerifier {
+  constructor(options = {}) {
+    this.secrets = options.secrets || parseSecrets();
+    this.toleranceMs = options.toleranceMs || SIGNATURE_TOLERANCE_MS;
+    this.now = options.now || (() => Date.now());
+    this.allowUnsigned = options.allowUnsigned !== undefined
+      ? options.allowUnsigned
+      : process.env.INTERVENTION_WEBHOOK_ALLOW_UNSIGNED === 'true' &&
+        Object.keys(this.secrets).length === 0 &&
+        process.env.NODE_ENV !== 'production';
+    this.rateLimiter = options.rateLimiter || new SourceRateLimiter({
+      limit: parseInt(process.env.INTERVENTION_RATE_LIMIT, 10) || DEFAULT_RATE_LIMIT,
+      now: this.now
+    });
+    // Signatures already accepted, until they fall outside the timestamp tolerance
+    this.seenSignatures = new Map();
+  }
+
+  // Verifies req (with req.rawBody from express.json's verify hook) and returns the source name
+  verify(req) {
+    if (this.allowUnsigned && !req.get('X-Webhook-Signature')) {
+      this.rateLimiter.take(UNSIGNED_SOURCE);
+      return UNSIGNED_SOURCE;
+    }
+
+    const source = req.get('X-Webhook-Source') || DEFAULT_SOURCE;
+
+    const secret = this.secrets[source];
+    if (!secret) {
+      throw new WebhookError('unknown_source', `No webhook secret configured for source ${source}`, 401);
+    }
+
+    const timestamp = req.get('X-Webhook-Timestamp');
+    const signature = req.get('X-Webhook-Signature');
+    if (!timestamp || !signature) {
+      throw new WebhookError('signature_required', 'X-Webhook-Timestamp and X-Webhook-Signature headers required', 401);
+    }
+
+    const signedAt = parseInt(timestamp, 10) * 1000;
+    if (!/^\d+$/.test(timestamp) || Math.abs(this.now() - signedAt) > this.toleranceMs) {
+      throw new WebhookError('stale_timestamp',
+        `X-Webhook-Timestamp must be unix seconds within ${this.toleranceMs / 1000}s of server time`, 401);
+    }
+
+    const expected = Buffer.from(sign(secret, timestamp, req.rawBody || ''));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new WebhookError('invalid_signature', 'Signature does not match the request body', 401);
+    }
+
+    this.pruneSeen();
+    if (this.seenSignatures.has(signature)) {
+      throw new WebhookError('replayed_request', 'This signed request was already received', 409);
+    }
+    this.seenSignatures.set(signature, signedAt + this.toleranceMs);
+
+    this.rateLimiter.take(source);
+    return source;
+  }
+
+  pruneSeen() {
+    const now = this.now();
+    this.seenSignatures.forEach((expiresAt, signature) => {
+      if (expiresAt < now) this.seenSignatures.delete(signature);
+    });
+  }
+}
+
+module.exports = {
+  WebhookVerifier,
+  WebhookError,
+  SourceRateLimiter,
+  validateInterventionPayload,
+  parseSecrets,
+  sign
+};
@@ -0,0 +1,125 @@
+const { WebhookVerifier, SourceRateLimiter, validateInterventionPayload, sign } = require('./webhookAuth');
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+
+// Minimal stand-in for an express request
+const fakeRequest = (headers = {}, rawBody = '{"message":"ship it"}') => {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { rawBody, get: (name) => lower[name.toLowerCase()] };
+};
+
+const signedRequest = (secret, { source, timestamp = Math.floor(NOW / 1000), body = '{"message":"ship it"}' } = {}) =>
+  fakeRequest({
+    ...(source && { 'X-Webhook-Source': source }),
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': sign(secret, timestamp, body)
+  }, body);
+
+// Runs fn with process.env overridden, then restores it
+const withEnv = (overrides, fn) => {
+  const saved = Object.fromEntries(Object.keys(overrides).map(name => [name, process.env[name]]));
+  Object.entries(overrides).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+  try {
+    return fn();
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+};
+
+const unsignedEnv = (overrides = {}) => ({
+  INTERVENTION_WEBHOOK_ALLOW_UNSIGNED: undefined,
+  INTERVENTION_WEBHOOK_SECRET: undefined,
+  INTERVENTION_WEBHOOK_SECRETS: undefined,
+  NODE_ENV: 'development',
+  ...overrides
+});
+
+describe('unsigned interventions', () => {
+  it('are refused unless explicitly allowed', () => {
+    const verifier = withEnv(unsignedEnv(), () => new WebhookVerifier({ now: () => NOW }));
+
+    expect(verifier.allowUnsigned).toBe(false);
+    expect(() => verifier.verify(fakeRequest())).toThrow(expect.objectContaining({ status: 401 }));
+  });
+
+  it('are accepted with INTERVENTION_WEBHOOK_ALLOW_UNSIGNED outside production', () => {
+    const verifier = withEnv(unsignedEnv({ INTERVENTION_WEBHOOK_ALLOW_UNSIGNED: 'true' }),
+      () => new WebhookVerifier({ now: () => NOW }));
+
+    expect(verifier.verify(fakeRequest())).toBe('unsigned');
+  });
+
+  it('stay refused in production or once a secret is set', () => {
+    const production = withEnv(unsignedEnv({ INTERVENTION_WEBHOOK_ALLOW_UNSIGNED: 'true', NODE_ENV: 'production' }),
+      () => new WebhookVerifier());
+    const withSecret = withEnv(unsignedEnv({ INTERVENTION_WEBHOOK_ALLOW_UNSIGNED: 'true', INTERVENTION_WEBHOOK_SECRET: 's' }),
+      () => new WebhookVerifier());
+
+    expect(production.allowUnsigned).toBe(false);
+    expect(withSecret.allowUnsigned).toBe(false);
+  });
+
+  it('share one rate limit whatever source they claim', () => {
+    const verifier = new WebhookVerifier({
+      secrets: {},
+      allowUnsigned: true,
+      rateLimiter: new SourceRateLimiter({ limit: 2, now: () => NOW })
+    });
+
+    verifier.verify(fakeRequest({ 'X-Webhook-Source': 'a' }));
+    verifier.verify(fakeRequest({ 'X-Webhook-Source': 'b' }));
+    expect(() => verifier.verify(fakeRequest({ 'X-Webhook-Source': 'c' })))
+      .toThrow(expect.objectContaining({ code: 'rate_limited', status: 429 }));
+  });
+});
+
+describe('signed interventions', () => {
+  const createVerifier = () => new WebhookVerifier({
+    secrets: { n8n: 'n8n-secret', staging: 'staging-secret' },
+    now: () => NOW
+  });
+
+  it('accept a valid signature and name its source', () => {
+    const verifier = createVerifier();
+
+    expect(verifier.verify(signedRequest('n8n-secret'))).toBe('n8n');
+    expect(verifier.verify(signedRequest('staging-secret', { source: 'staging' }))).toBe('staging');
+  });
+
+  it('reject a wrong secret, an unknown source, a stale timestamp and a replay', () => {
+    const verifier = createVerifier();
+    const request = signedRequest('n8n-secret');
+
+    expect(() => verifier.verify(signedRequest('guessed'))).toThrow(expect.objectContaining({ code: 'invalid_signature' }));
+    expect(() => verifier.verify(signedRequest('n8n-secret', { source: 'other' })))
+      .toThrow(expect.objectContaining({ code: 'unknown_source' }));
+    expect(() => verifier.verify(signedRequest('n8n-secret', { timestamp: Math.floor(NOW / 1000) - 600 })))
+      .toThrow(expect.objectContaining({ code: 'stale_timestamp' }));
+
+    verifier.verify(request);
+    expect(() => verifier.verify(request)).toThrow(expect.objectContaining({ code: 'replayed_request', status: 409 }));
+  });
+});
+
+describe('validateInterventionPayload', () => {
+  it('lists each invalid field', () => {
+    expect(validateInterventionPayload({ message: 'ship it', priority: 5, user_id: 'alice' })).toEqual([]);
+    expect(validateInterventionPayload({ message: ' ', priority: 11, expires_at: 'soon' }).map(error => error.field))
+      .toEqual(['message', 'priority', 'user_id', 'expires_at']);
+  });
+
+  it('requires a user_id unless the intervention is an explicit broadcast', () => {
+    expect(validateInterventionPayload({ message: 'ship it' }).map(error => error.field)).toEqual(['user_id']);
+    expect(validateInterventionPayload({ message: 'ship it', broadcast: true })).toEqual([]);
+    expect(validateInterventionPayload({ message: 'ship it', broadcast: 'yes' }).map(error => error.field))
+      .toEqual(['broadcast', 'user_id']);
+    expect(validateInterventionPayload({ message: 'ship it', broadcast: true, user_id: 'alice' }).map(error => error.field))
+      .toEqual(['user_id']);
+  });
+});
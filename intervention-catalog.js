@@ -0,0 +1,109 @@
+// CELESTE7 Intervention Catalog
+// Localised intervention copy, one JSON file per locale in locales/ (en, es, de).
+// Lookups walk a fallback chain (e.g. es-MX -> es -> en), so a locale only needs
+// the strings it actually translates.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const DEFAULT_LOCALES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'locales'
+);
+
+const LOCALE_TAG = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+
+// 'es-mx' -> 'es-MX'
+export function normalizeLocale(tag) {
+  if (typeof tag !== 'string' || !LOCALE_TAG.test(tag.trim())) return null;
+  const [lang, ...rest] = tag.trim().split('-');
+  return [lang.toLowerCase(), ...rest.map(part => (part.length === 2 ? part.toUpperCase() : part))].join('-');
+}
+
+// Accepts a single tag or an Accept-Language header ("de-CH,de;q=0.9,en;q=0.8")
+export function parseLocalePreferences(input) {
+  if (!input) return [];
+
+  return String(input)
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag: normalizeLocale(tag), q: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(pref => pref.tag && !isNaN(pref.q) && pref.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(pref => pref.tag);
+}
+
+export class InterventionCatalog {
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_LOCALES_DIR;
+    this.defaultLocale = options.defaultLocale || DEFAULT_LOCALE;
+    this.catalogs = options.catalogs || this.loadCatalogs();
+
+    if (!this.catalogs[this.defaultLocale]) {
+      throw new Error(`Intervention catalog has no default locale "${this.defaultLocale}"`);
+    }
+  }
+
+  loadCatalogs() {
+    const catalogs = {};
+
+    fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const catalog = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        const locale = normalizeLocale(catalog.locale || path.basename(file, '.json'));
+        if (!locale) throw new Error(`Invalid locale in ${file}`);
+        catalogs[locale] = catalog;
+      });
+
+    return catalogs;
+  }
+
+  get locales() {
+    return Object.keys(this.catalogs);
+  }
+
+  // Requested locales (most preferred first) -> supported locales to try, always ending with the default
+  resolveChain(requested) {
+    const chain = [];
+    const add = (locale) => {
+      if (this.catalogs[locale] && !chain.includes(locale)) chain.push(locale);
+    };
+
+    parseLocalePreferences(Array.isArray(requested) ? requested.join(',') : requested).forEach(tag => {
+      add(tag);
+      add(tag.split('-')[0]);
+    });
+    add(this.defaultLocale);
+
+    return chain;
+  }
+
+  // First locale in the chain that has a value at keyPath, e.g. ['strategies', 'perfectionism', 'high']
+  lookup(chain, keyPath) {
+    for (const locale of chain) {
+      const value = keyPath.reduce((node, key) => node?.[key], this.catalogs[locale]);
+      if (value !== undefined) return { value, locale };
+    }
+    return { value: undefined, locale: null };
+  }
+
+  get(chain, keyPath) {
+    return this.lookup(chain, keyPath).value;
+  }
+
+  // Strategy names defined for pattern/severity in any locale of the chain
+  strategyNames(chain, pattern, severity) {
+    const names = new Set();
+    chain.forEach(locale => {
+      Object.keys(this.catalogs[locale].strategies?.[pattern]?.[severity] || {}).forEach(name => names.add(name));
+    });
+    return [...names];
+  }
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from '@jest/globals';
+import { InterventionCatalog, parseLocalePreferences } from './intervention-catalog.js';
+import { renderTemplate, compileTemplate } from './intervention-templates.js';
+
+describe('InterventionCatalog', () => {
+  const catalog = new InterventionCatalog();
+
+  it('negotiates a fallback chain from tags and Accept-Language headers', () => {
+    expect(parseLocalePreferences('de-CH,de;q=0.9,en;q=0.8')).toEqual(['de-CH', 'de', 'en']);
+    expect(catalog.resolveChain('es-MX')).toEqual(['es', 'en']);
+    expect(catalog.resolveChain('fr;q=1, de;q=0.5')).toEqual(['de', 'en']);
+    expect(catalog.resolveChain(undefined)).toEqual(['en']);
+  });
+
+  it('falls back per key to the next locale in the chain', () => {
+    const partial = new InterventionCatalog({
+      catalogs: {
+        en: { directives: { perfectionism: { low: 'Ship it.', high: 'Ship it now.' } } },
+        es: { directives: { perfectionism: { low: 'Lánzalo.' } } }
+      }
+    });
+    const chain = partial.resolveChain('es');
+
+    expect(partial.lookup(chain, ['directives', 'perfectionism', 'low'])).toEqual({ value: 'Lánzalo.', locale: 'es' });
+    expect(partial.lookup(chain, ['directives', 'perfectionism', 'high'])).toEqual({ value: 'Ship it now.', locale: 'en' });
+  });
+
+  it('uses the same template variables in every locale', () => {
+    const { strategies } = catalog.catalogs.en;
+
+    catalog.locales.forEach(locale => {
+      Object.entries(strategies).forEach(([pattern, severities]) => {
+        Object.entries(severities).forEach(([severity, templates]) => {
+          Object.entries(templates).forEach(([name, template]) => {
+            const localised = catalog.get([locale], ['strategies', pattern, severity, name]);
+            expect(compileTemplate(localised).requires).toEqual(compileTemplate(template).requires);
+          });
+        });
+      });
+    });
+  });
+
+  it('formats numbers for the locale', () => {
+    const template = catalog.get(['de'], ['strategies', 'pricing_anxiety', 'medium', 'direct_challenge']);
+
+    // Intl puts a non-breaking space before the currency sign
+    const { text } = renderTemplate(template, { current_average_price: 97, market_rate: 1500 }, { locale: 'de' });
+    expect(text.replace(/\u00a0/g, ' ')).toBe('Du liegst bei 97 $. Der Marktpreis ist 1.500 $. Erklär das.');
+  });
+});
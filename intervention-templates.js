@@ -0,0 +1,188 @@
+// CELESTE7 Intervention Templates
+// Templates use {{variable}} placeholders. Every variable is declared below with a type (for formatting)
+// and where its value comes from in the user context. A template needs all of its variables:
+// if any are missing it is skipped (or renders its fallback text) - we never fill in made-up numbers.
+
+import { hourlyRate } from './NEW/CURSOR/revenue-math.js';
+
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+// ============================================
+// 1. VARIABLES
+// ============================================
+
+const present = (value) =>
+  value !== undefined && value !== null && value !== '' && !(typeof value === 'number' && isNaN(value));
+
+const product = (a, b) => (present(a) && present(b) ? a * b : undefined);
+
+export const TEMPLATE_VARIABLES = {
+  days_mentioned: { type: 'days', from: ctx => ctx.days_since_first_mention },
+  estimated_loss: { type: 'currency', from: ctx => product(ctx.daily_opportunity_cost, ctx.days_procrastinating) },
+  total_opportunity_cost: { type: 'currency', from: ctx => ctx.total_opportunity_cost },
+  procrastination_count: { type: 'count', from: ctx => ctx.procrastination_mentions },
+  micro_action: { type: 'text', from: ctx => ctx.micro_action },
+  projected_mrr: { type: 'currency', from: ctx => ctx.projected_mrr ?? ctx.current_mrr },
+  plan_count: { type: 'count', from: ctx => ctx.plans_created },
+  execution_count: { type: 'count', from: ctx => ctx.tasks_completed },
+  days_lost: { type: 'days', from: ctx => ctx.days_spent_planning },
+  lost_revenue: { type: 'currency', from: ctx => ctx.planning_opportunity_cost },
+  total_hours: { type: 'hours', from: ctx => ctx.total_planning_hours },
+  execution_hours: { type: 'hours', from: ctx => ctx.total_execution_hours },
+  revision_count: { type: 'count', from: ctx => ctx.revision_count },
+  perfect_attempts: { type: 'count', from: ctx => ctx.perfection_attempts },
+  perfectionism_cost: { type: 'currency', from: ctx => ctx.perfectionism_opportunity_cost },
+  days_perfecting: { type: 'days', from: ctx => ctx.days_perfecting },
+  normal_time: { type: 'days', from: ctx => ctx.normal_task_time },
+  current_price: { type: 'currency', from: ctx => ctx.current_average_price },
+  market_rate: { type: 'currency', from: ctx => ctx.market_rate },
+  revenue_lost: { type: 'currency', from: ctx => ctx.underpricing_loss },
+  current_mrr: { type: 'currency', from: ctx => ctx.current_mrr },
+  // hourly_rate, or current_mrr over monthly_working_hours (see revenue-math.js)
+  hourly_rate: { type: 'currency', from: hourlyRate },
+  blocker: { type: 'text', from: ctx => ctx.most_mentioned_blocker },
+  mention_count: { type: 'count', from: ctx => ctx.blocker_mention_count },
+  delayed_revenue: { type: 'currency', from: ctx => ctx.blocker_delayed_revenue },
+  days_blocked: { type: 'days', from: ctx => ctx.days_since_blocker_first_mentioned },
+  days_avoiding: { type: 'days', from: ctx => ctx.total_avoidance_days },
+  user_name: { type: 'text', from: ctx => ctx.user_name?.split(' ')[0] }
+};
+
+// ============================================
+// 2. FORMATTING
+// ============================================
+
+// Unit names per language: [singular, plural]
+const UNITS = {
+  en: { hour: ['hour', 'hours'], day: ['day', 'days'], week: ['week', 'weeks'], month: ['month', 'months'] },
+  es: { hour: ['hora', 'horas'], day: ['día', 'días'], week: ['semana', 'semanas'], month: ['mes', 'meses'] },
+  de: { hour: ['Stunde', 'Stunden'], day: ['Tag', 'Tage'], week: ['Woche', 'Wochen'], month: ['Monat', 'Monate'] }
+};
+
+const NUMBER_LOCALES = { en: 'en-US', es: 'es-ES', de: 'de-DE' };
+
+const language = (locale = 'en') => locale.split('-')[0].toLowerCase();
+
+const numberLocale = (locale) => NUMBER_LOCALES[language(locale)] || locale;
+
+const plural = (n, unit, locale) => {
+  const [one, many] = (UNITS[language(locale)] || UNITS.en)[unit];
+  return `${n.toLocaleString(numberLocale(locale))} ${n === 1 ? one : many}`;
+};
+
+const round = (n, digits = 0) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Upper-cased ISO 4217 code, or null; a malformed code would make Intl.NumberFormat throw
+export const currencyCode = (value) =>
+  (typeof value === 'string' && /^[a-z]{3}$/i.test(value) ? value.toUpperCase() : null);
+
+export const FORMATTERS = {
+  currency: (value, locale, currency = DEFAULT_CURRENCY) => {
+    const amount = Number(value);
+    // Cents only matter for small amounts
+    const digits = Number.isInteger(amount) || amount >= 100 ? 0 : 2;
+    return new Intl.NumberFormat(numberLocale(locale), {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }).format(amount);
+  },
+
+  // Numbers are days; pre-formatted strings ("2 days") pass through
+  days: (value, locale) => {
+    if (typeof value === 'string') return value;
+    if (value < 1) return plural(round(value * 24), 'hour', locale);
+    if (value < 14) return plural(round(value), 'day', locale);
+    if (value < 60) return plural(round(value / 7), 'week', locale);
+    return plural(round(value / 30), 'month', locale);
+  },
+
+  hours: (value, locale) => (typeof value === 'string' ? value : plural(round(Number(value), 1), 'hour', locale)),
+
+  count: (value, locale) =>
+    (typeof value === 'number' ? Math.round(value).toLocaleString(numberLocale(locale)) : String(value)),
+
+  text: (value) => String(value)
+};
+
+// ============================================
+// 3. COMPILING AND RENDERING
+// ============================================
+
+const PLACEHOLDER = /{{\s*([a-z0-9_]+)\s*}}/g;
+
+const compiledCache = new Map();
+
+// Accepts a plain string (skipped when data is missing) or
+// { text, missing: 'skip' | 'fallback', fallback } for templates with a data-free alternative
+export function compileTemplate(source) {
+  if (typeof source === 'string' && compiledCache.has(source)) return compiledCache.get(source);
+
+  const spec = typeof source === 'string' ? { text: source } : source;
+  if (!spec || typeof spec.text !== 'string') {
+    throw new TemplateError('Template must be a string or { text }');
+  }
+
+  const missing = spec.missing || 'skip';
+  if (!['skip', 'fallback'].includes(missing)) {
+    throw new TemplateError(`Unknown missing-data policy "${missing}"`);
+  }
+  if (missing === 'fallback' && typeof spec.fallback !== 'string') {
+    throw new TemplateError('Templates with missing: "fallback" need fallback text');
+  }
+
+  const requires = [...new Set(Array.from(spec.text.matchAll(PLACEHOLDER), m => m[1]))];
+  const unknown = requires.filter(name => !TEMPLATE_VARIABLES[name]);
+  if (unknown.length > 0) {
+    throw new TemplateError(`Unknown template variables: ${unknown.join(', ')}`);
+  }
+
+  const compiled = { text: spec.text, requires, missing, fallback: spec.fallback || null };
+  if (typeof source === 'string') compiledCache.set(source, compiled);
+  return compiled;
+}
+
+export function resolveVariables(names, context = {}) {
+  const values = {};
+  const missing = [];
+
+  names.forEach(name => {
+    const value = TEMPLATE_VARIABLES[name].from(context);
+    if (present(value)) {
+      values[name] = value;
+    } else {
+      missing.push(name);
+    }
+  });
+
+  return { values, missing };
+}
+
+// Returns { text, missing, skipped }. text is null when the template was skipped.
+// options.locale picks number formats and unit names (en, es, de; defaults to en).
+// options.currency is the ISO 4217 code the context's amounts are in (defaults to USD).
+export function renderTemplate(source, context = {}, options = {}) {
+  const template = compileTemplate(source);
+  const { values, missing } = resolveVariables(template.requires, context);
+
+  if (missing.length > 0) {
+    return template.missing === 'fallback'
+      ? { text: template.fallback, missing, skipped: false, used_fallback: true }
+      : { text: null, missing, skipped: true };
+  }
+
+  const currency = currencyCode(options.currency) || DEFAULT_CURRENCY;
+  const text = template.text.replace(PLACEHOLDER, (_, name) =>
+    FORMATTERS[TEMPLATE_VARIABLES[name].type](values[name], options.locale || 'en', currency)
+  );
+
+  return { text, missing, skipped: false };
+}
@@ -0,0 +1,59 @@
+import { describe, it, expect } from '@jest/globals';
+import { renderTemplate, compileTemplate, FORMATTERS, TemplateError } from './intervention-templates.js';
+
+describe('intervention templates', () => {
+  it('declares required variables from placeholders', () => {
+    expect(compileTemplate("You're at {{current_price}}. Market rate is {{market_rate}}.").requires)
+      .toEqual(['current_price', 'market_rate']);
+    expect(() => compileTemplate('{{made_up}}')).toThrow(TemplateError);
+  });
+
+  it('formats currency, durations and counts', () => {
+    expect(FORMATTERS.currency(5000)).toBe('$5,000');
+    expect(FORMATTERS.currency(18.5)).toBe('$18.50');
+    expect(FORMATTERS.days(1)).toBe('1 day');
+    expect(FORMATTERS.days(21)).toBe('3 weeks');
+    expect(FORMATTERS.hours(0)).toBe('0 hours');
+    expect(FORMATTERS.count(1200)).toBe('1,200');
+  });
+
+  it('renders with real data only', () => {
+    const result = renderTemplate('Underpricing has cost you {{revenue_lost}}.', { underpricing_loss: 12000 });
+    expect(result).toEqual({ text: 'Underpricing has cost you $12,000.', missing: [], skipped: false });
+  });
+
+  it('formats amounts in the currency they are in, not always dollars', () => {
+    const template = 'Underpricing has cost you {{revenue_lost}}.';
+    const context = { underpricing_loss: 12000 };
+
+    expect(renderTemplate(template, context, { locale: 'de', currency: 'EUR' }).text)
+      .toBe('Underpricing has cost you 12.000\u00a0€.');
+    expect(renderTemplate(template, context, { locale: 'en-GB', currency: 'gbp' }).text)
+      .toBe('Underpricing has cost you £12,000.');
+    // A malformed code falls back to dollars instead of throwing
+    expect(renderTemplate(template, context, { currency: 'euros' }).text).toBe('Underpricing has cost you $12,000.');
+  });
+
+  it('prices an hour from the hours the user actually works', () => {
+    const template = 'Every hour you stall costs {{hourly_rate}}.';
+
+    expect(renderTemplate(template, { current_mrr: 8000 }).text).toBe('Every hour you stall costs $50.');
+    expect(renderTemplate(template, { current_mrr: 8000, monthly_working_hours: 80 }).text)
+      .toBe('Every hour you stall costs $100.');
+    expect(renderTemplate(template, {}).skipped).toBe(true);
+  });
+
+  it('skips templates when data is missing instead of inventing numbers', () => {
+    const result = renderTemplate('Market rate is {{market_rate}}.', { current_average_price: 97 });
+    expect(result).toEqual({ text: null, missing: ['market_rate'], skipped: true });
+  });
+
+  it('uses fallback text when the template allows it', () => {
+    const result = renderTemplate({
+      text: 'You will be at {{projected_mrr}}.',
+      missing: 'fallback',
+      fallback: 'Where will your revenue be?'
+    }, {});
+    expect(result).toMatchObject({ text: 'Where will your revenue be?', used_fallback: true });
+  });
+});
@@ -0,0 +1,218 @@
+// CELESTE7 Linguistic Matcher
+// Token-based phrase matching for pattern markers. Compared with raw substring checks it:
+//   - matches whole words only ("plan" no longer fires on "airplane"; plurals still match)
+//   - normalises contractions, with or without the apostrophe ("cant" == "can't")
+//   - skips phrases inside a negation scope ("not later", "never going to"); the scope ends at a
+//     wh-word or subordinate clause, so "I don't know what to charge" still matches "charge"
+//   - tags each clause past/present/future so future-tense markers can ignore past events
+//   - knows common English, Spanish and German negation and tense cues
+//   - never matches across a clause boundary (punctuation, "but", ...)
+// Every match carries character offsets so the UI can highlight the exact words.
+
+// Contractions people type without the apostrophe. Ambiguous ones (ill, id, well, were) are left out.
+const CONTRACTIONS = {
+  cant: 'can\'t', wont: 'won\'t', dont: 'don\'t', doesnt: 'doesn\'t', didnt: 'didn\'t',
+  isnt: 'isn\'t', arent: 'aren\'t', wasnt: 'wasn\'t', werent: 'weren\'t',
+  havent: 'haven\'t', hasnt: 'hasn\'t', hadnt: 'hadn\'t',
+  shouldnt: 'shouldn\'t', couldnt: 'couldn\'t', wouldnt: 'wouldn\'t', mustnt: 'mustn\'t',
+  im: 'i\'m', ive: 'i\'ve', youre: 'you\'re', theyre: 'they\'re', thats: 'that\'s',
+  whats: 'what\'s', gonna: 'going to', wanna: 'want to'
+};
+
+// English, Spanish and German negators
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'without', 'nothing', 'nobody', 'none', 'neither', 'nor', 'cannot',
+  'nunca', 'jamás', 'nada', 'nadie', 'ningún', 'ninguna', 'tampoco',
+  'nicht', 'kein', 'keine', 'keinen', 'keinem', 'keiner', 'nie', 'niemals', 'ohne', 'nichts', 'niemand'
+]);
+
+// Words that start a new clause (negation and tense don't carry across them)
+const CLAUSE_BREAKS = new Set([
+  'but', 'however', 'though', 'although', 'yet', 'whereas',
+  'pero', 'aunque', 'sino', 'aber', 'sondern', 'obwohl', 'jedoch'
+]);
+
+// Words that end a negator's scope without starting a new clause for tense:
+// "I don't know [why I'm stuck]" negates the knowing, not the being stuck.
+// 'that' and 'so' are left out: "not that busy", "not so sure" are still negated.
+const SCOPE_BREAKS = new Set([
+  'what', 'why', 'how', 'when', 'where', 'who', 'whom', 'whose', 'which', 'whether',
+  'if', 'because', 'since', 'until', 'unless', 'while',
+  'qué', 'cómo', 'cuándo', 'dónde', 'quién', 'porque', 'si', 'cuando',
+  'warum', 'wie', 'wann', 'wo', 'wer', 'ob', 'dass', 'weil', 'wenn'
+]);
+
+const FUTURE_CUES = new Set([
+  'will', 'shall', 'tomorrow', 'soon', 'later', 'next', 'eventually', 'someday', 'tonight',
+  'mañana', 'luego', 'después', 'pronto', 'próxima', 'próximo', 'voy', 'vamos',
+  'morgen', 'später', 'bald', 'nächste', 'nächsten', 'werde', 'wird', 'werden'
+]);
+const PAST_CUES = new Set([
+  'did', 'was', 'were', 'had', 'yesterday', 'ago', 'already', 'last', 'went', 'got',
+  'made', 'sent', 'built', 'wrote', 'took', 'gave', 'began', 'done',
+  'ayer', 'ya', 'hice', 'terminé', 'gestern', 'schon', 'bereits', 'habe', 'hatte'
+]);
+// -ed words that aren't past tense
+const NOT_PAST = new Set(['need', 'feed', 'speed', 'indeed', 'seed', 'proceed', 'succeed', 'exceed', 'bed', 'red', 'shed', 'embed']);
+
+// How many tokens back a negator reaches
+const NEGATION_WINDOW = 4;
+
+export const TENSES = ['past', 'future'];
+
+const WORD = /[\p{L}\p{N}]+(?:'\p{L}+)*|[.!?;:,()"¿¡]/gu;
+
+// ============================================
+// 1. TOKENIZING
+// ============================================
+
+export function tokenize(text = '') {
+  const tokens = [];
+  const normalised = text.replace(/[‘’`]/g, '\'');
+  let clause = 0;
+  let match;
+
+  WORD.lastIndex = 0;
+  while ((match = WORD.exec(normalised)) !== null) {
+    const raw = match[0];
+
+    if (!/[\p{L}\p{N}]/u.test(raw)) {
+      clause++;
+      continue;
+    }
+
+    const lower = raw.toLowerCase();
+    const expanded = (CONTRACTIONS[lower] || lower).split(' ');
+
+    if (CLAUSE_BREAKS.has(lower)) clause++;
+
+    // An expansion ("gonna" -> "going to") shares the original token's span
+    expanded.forEach(norm => {
+      tokens.push({
+        text: raw,
+        norm,
+        start: match.index,
+        end: match.index + raw.length,
+        clause
+      });
+    });
+  }
+
+  return tokens;
+}
+
+const phraseCache = new Map();
+
+function phraseTokens(phrase) {
+  if (!phraseCache.has(phrase)) {
+    phraseCache.set(phrase, tokenize(phrase).map(t => t.norm));
+  }
+  return phraseCache.get(phrase);
+}
+
+// ============================================
+// 2. SCOPE AND TENSE
+// ============================================
+
+function isNegator(norm) {
+  return NEGATORS.has(norm) || norm.endsWith('n\'t');
+}
+
+function isNegated(tokens, index) {
+  const { clause } = tokens[index];
+
+  for (let i = index - 1; i >= 0 && i >= index - NEGATION_WINDOW; i--) {
+    if (tokens[i].clause !== clause || SCOPE_BREAKS.has(tokens[i].norm)) break;
+    if (isNegator(tokens[i].norm)) return true;
+  }
+  return false;
+}
+
+function isPastCue(norm) {
+  return PAST_CUES.has(norm) || (norm.length > 3 && norm.endsWith('ed') && !NOT_PAST.has(norm));
+}
+
+// Tense of the clause around a match, ignoring the matched words themselves
+export function clauseTense(tokens, clause, from = -1, to = -1) {
+  let future = false;
+  let past = false;
+
+  tokens.forEach((token, i) => {
+    if (token.clause !== clause || (i >= from && i < to)) return;
+
+    const next = tokens[i + 1];
+    if (FUTURE_CUES.has(token.norm) || token.norm.endsWith('\'ll') ||
+        (token.norm === 'going' && next?.norm === 'to' && next.clause === clause)) {
+      future = true;
+    } else if (isPastCue(token.norm)) {
+      past = true;
+    }
+  });
+
+  // Reported plans ("yesterday I said I'll do it") are still plans
+  if (future) return 'future';
+  return past ? 'past' : 'present';
+}
+
+// ============================================
+// 3. MATCHING
+// ============================================
+
+function tokenMatches(token, expected, isLast) {
+  if (token.norm === expected) return true;
+  // Allow plurals on the final word of a phrase
+  return isLast && (token.norm === `${expected}s` || token.norm === `${expected}es`);
+}
+
+// Returns every occurrence of the phrase. Occurrences that shouldn't count have counted: false and a reason.
+// options.tense: 'future' ignores matches in past-tense clauses, 'past' ignores future ones.
+export function findPhrase(tokens, phrase, options = {}) {
+  const expected = phraseTokens(phrase);
+  const results = [];
+  if (expected.length === 0) return results;
+
+  for (let i = 0; i + expected.length <= tokens.length; i++) {
+    const clause = tokens[i].clause;
+    const matched = expected.every((word, k) =>
+      tokens[i + k].clause === clause && tokenMatches(tokens[i + k], word, k === expected.length - 1)
+    );
+    if (!matched) continue;
+
+    // Contraction expansions share a span, so take offsets from the first and last token
+    const first = tokens[i];
+    const last = tokens[i + expected.length - 1];
+    const tense = clauseTense(tokens, clause, i, i + expected.length);
+
+    const span = {
+      phrase,
+      start: first.start,
+      end: last.end,
+      tense,
+      counted: true
+    };
+
+    if (isNegated(tokens, i)) {
+      span.counted = false;
+      span.reason = 'negated';
+    } else if (options.tense === 'future' && tense === 'past') {
+      span.counted = false;
+      span.reason = 'past_tense';
+    } else if (options.tense === 'past' && tense === 'future') {
+      span.counted = false;
+      span.reason = 'future_tense';
+    }
+
+    results.push(span);
+    i += expected.length - 1;
+  }
+
+  return results;
+}
+
+// Convenience for callers that only have the raw text
+export function matchPhrases(text, phrases, options = {}) {
+  const tokens = tokenize(text);
+  return phrases.flatMap(phrase =>
+    findPhrase(tokens, phrase, options).map(span => ({ ...span, text: text.slice(span.start, span.end) }))
+  );
+}
@@ -0,0 +1,42 @@
+import { describe, it, expect } from '@jest/globals';
+import { matchPhrases, tokenize, clauseTense } from './linguistic-matcher.js';
+
+const counted = (text, phrases, options) =>
+  matchPhrases(text, phrases, options).filter(m => m.counted).map(m => m.text);
+
+describe('linguistic matcher', () => {
+  it('matches whole words and contractions without apostrophes', () => {
+    expect(counted('Booked an airplane', ['plan'])).toEqual([]);
+    expect(counted('Three plans so far', ['plan'])).toEqual(['plans']);
+    expect(counted('I cant keep up', ['can\'t keep up'])).toEqual(['cant keep up']);
+  });
+
+  it('does not match across clause boundaries', () => {
+    expect(counted('Next, week one is done', ['next week'])).toEqual([]);
+  });
+
+  it('skips phrases inside a negation scope', () => {
+    const [match] = matchPhrases('I did it yesterday, not later', ['later']);
+    expect(match).toMatchObject({ counted: false, reason: 'negated', start: 24, end: 29 });
+  });
+
+  it('ends the negation scope at wh-words and subordinate clauses', () => {
+    expect(counted('I don\'t know what to charge', ['charge'])).toEqual(['charge']);
+    expect(counted('I don\'t know why I\'m stuck', ['stuck'])).toEqual(['stuck']);
+    expect(counted('I dont know if I should charge more', ['charge'])).toEqual(['charge']);
+    expect(counted('I\'m not stuck', ['stuck'])).toEqual([]);
+    expect(counted('I\'m not that stuck', ['stuck'])).toEqual([]);
+  });
+
+  it('ignores future-tense markers in past-tense clauses', () => {
+    expect(counted('I finished it, planning to ship', ['planning to'], { tense: 'future' })).toEqual(['planning to']);
+    expect(matchPhrases('I was planning to ship it', ['planning to'], { tense: 'future' })[0].reason).toBe('past_tense');
+    expect(counted('I\'ll get to it later', ['later'], { tense: 'future' })).toEqual(['later']);
+  });
+
+  it('tags clause tense', () => {
+    const tokens = tokenize('Yesterday I launched. I will call them');
+    expect(clauseTense(tokens, 0)).toBe('past');
+    expect(clauseTense(tokens, 1)).toBe('future');
+  });
+});
@@ -0,0 +1,364 @@
+// CELESTE7 Oracle
+// One entry point over both analysis engines:
+//   - behavioral engine (behavioral-engine2.js): ML intent + linguistic markers + contextual triggers
+//   - realtime engine (NEW/CURSOR/celeste7-real-engine.js): data-driven detectors over Supabase history
+// Both run on every request, their patterns are mapped onto one canonical taxonomy and merged,
+// and callers get a single response schema whichever engines actually answered.
+
+export const ORACLE_SCHEMA_VERSION = 1;
+
+// ============================================
+// 1. CANONICAL TAXONOMY
+// ============================================
+
+// Canonical pattern -> names the engines have used for it
+export const PATTERN_TAXONOMY = {
+  procrastination: { aliases: [] },
+  planning_paralysis: { aliases: ['analysis_paralysis'] },
+  perfectionism: { aliases: [] },
+  pricing_anxiety: { aliases: ['pricing_cowardice', 'pricing_fear'] },
+  execution_blocking: { aliases: ['execution_paralysis'] },
+  competitive_delusion: { aliases: [] },
+  revenue_stagnation: { aliases: [] }
+};
+
+const ALIASES = Object.entries(PATTERN_TAXONOMY).reduce((map, [canonical, { aliases }]) => {
+  map[canonical] = canonical;
+  aliases.forEach(alias => { map[alias] = canonical; });
+  return map;
+}, {});
+
+// Unknown types pass through so new pattern packs don't need a taxonomy change first
+export function canonicalPatternType(type) {
+  return ALIASES[type] || type;
+}
+
+export const SEVERITY_LEVELS = ['none', 'low', 'medium', 'high', 'critical'];
+
+const severityRank = (severity) => Math.max(0, SEVERITY_LEVELS.indexOf(severity));
+
+export function maxSeverity(...severities) {
+  return severities.reduce((max, s) => (severityRank(s) > severityRank(max) ? s : max), 'none');
+}
+
+// ============================================
+// 2. RECONCILIATION
+// ============================================
+
+// behavioral engine pattern -> canonical pattern
+function fromBehavioral(pattern) {
+  return {
+    type: canonicalPatternType(pattern.type),
+    severity: pattern.severity || 'low',
+    confidence: pattern.confidence,
+    engines: ['behavioral'],
+    sources: [pattern.source],
+    aliases: pattern.type !== canonicalPatternType(pattern.type) ? [pattern.type] : [],
+    matched_markers: pattern.matched_markers || [],
+    spans: pattern.spans || [],
+    triggers_met: pattern.triggers_met || [],
+    evidence: null,
+    estimated_cost: 0,
+    insight: null,
+    weighted_evidence: pattern.evidence || []
+  };
+}
+
+// realtime engine pattern -> canonical pattern
+function fromRealtime(pattern) {
+  return {
+    type: canonicalPatternType(pattern.type),
+    severity: pattern.severity || 'medium',
+    confidence: pattern.confidence,
+    engines: ['realtime'],
+    sources: ['data_driven'],
+    aliases: pattern.type !== canonicalPatternType(pattern.type) ? [pattern.type] : [],
+    matched_markers: [],
+    spans: [],
+    triggers_met: [],
+    evidence: pattern.evidence || null,
+    estimated_cost: pattern.cost || 0,
+    insight: pattern.specific_insight || null,
+    // A detector's whole verdict rests on its queries, so it is one rule weighted by its confidence
+    weighted_evidence: [{
+      source: 'db',
+      rule: `detector:${pattern.type}`,
+      weight: pattern.confidence,
+      detail: pattern.evidence || null
+    }]
+  };
+}
+
+const union = (a, b) => [...new Set([...a, ...b])];
+
+// Same canonical type from several signals: independent evidence raises confidence (noisy-or),
+// severity takes the worst reading, everything else is kept side by side
+function mergePattern(existing, incoming) {
+  return {
+    ...existing,
+    severity: maxSeverity(existing.severity, incoming.severity),
+    confidence: Math.min(1 - (1 - existing.confidence) * (1 - incoming.confidence), 0.99),
+    engines: union(existing.engines, incoming.engines),
+    sources: union(existing.sources, incoming.sources),
+    aliases: union(existing.aliases, incoming.aliases),
+    matched_markers: union(existing.matched_markers, incoming.matched_markers),
+    spans: [...existing.spans, ...incoming.spans].sort((a, b) => a.start - b.start),
+    triggers_met: [...existing.triggers_met, ...incoming.triggers_met],
+    evidence: existing.evidence || incoming.evidence,
+    estimated_cost: Math.max(existing.estimated_cost, incoming.estimated_cost),
+    insight: existing.insight || incoming.insight,
+    weighted_evidence: [...existing.weighted_evidence, ...incoming.weighted_evidence]
+  };
+}
+
+export function reconcilePatterns(behavioralPatterns = [], realtimePatterns = []) {
+  const merged = new Map();
+
+  [...behavioralPatterns.map(fromBehavioral), ...realtimePatterns.map(fromRealtime)].forEach(pattern => {
+    const existing = merged.get(pattern.type);
+    merged.set(pattern.type, existing ? mergePattern(existing, pattern) : pattern);
+  });
+
+  return [...merged.values()].sort((a, b) =>
+    b.confidence - a.confidence || b.estimated_cost - a.estimated_cost
+  );
+}
+
+// ============================================
+// 3. REMOTE REALTIME ENGINE
+// ============================================
+
+// The realtime engine is its own deployment; this speaks to its POST /api/analyze
+export class RemoteRealtimeEngine {
+  constructor(options = {}) {
+    this.url = (options.url || '').replace(/\/$/, '');
+    this.timeoutMs = options.timeoutMs || 3000;
+  }
+
+  async analyzeUser(userId, message) {
+    const response = await fetch(`${this.url}/api/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ userId, message }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.success === false) {
+      throw new Error(`Realtime engine responded ${response.status}: ${body.error || response.statusText}`);
+    }
+
+    return body;
+  }
+}
+
+// REALTIME_ENGINE_URL points at a running celeste7-real-engine; without it the oracle runs behavioral only
+export function createRealtimeEngine(env = process.env) {
+  if (!env.REALTIME_ENGINE_URL) return null;
+
+  return new RemoteRealtimeEngine({
+    url: env.REALTIME_ENGINE_URL,
+    timeoutMs: parseInt(env.REALTIME_ENGINE_TIMEOUT_MS) || 3000
+  });
+}
+
+// ============================================
+// 4. ORACLE
+// ============================================
+
+export class Oracle {
+  constructor(options = {}) {
+    if (!options.patternEngine || !options.interventionGenerator) {
+      throw new Error('Oracle needs a patternEngine and an interventionGenerator');
+    }
+
+    this.patternEngine = options.patternEngine;
+    this.interventionGenerator = options.interventionGenerator;
+    this.learningSystem = options.learningSystem || null;
+    // Anything with analyzeUser(userId, message): RealTimeBehavioralIntelligence or RemoteRealtimeEngine
+    this.realtimeEngine = options.realtimeEngine === undefined ? createRealtimeEngine() : options.realtimeEngine;
+    // ExperimentRegistry (experiments.js); optional
+    this.experiments = options.experiments || null;
+    // FrequencyGovernor (NEW/CURSOR/frequency-caps.js); optional
+    this.frequencyGovernor = options.frequencyGovernor || null;
+  }
+
+  // explain: true adds weighted_evidence to each pattern and an explanation of the decisions
+  // timezone: the user's, for quiet hours when the frequency governor has no stored preference
+  async analyze({ userId, message = '', mlResults = {}, userContext = {}, locale, timezone, explain = false } = {}) {
+    const startTime = Date.now();
+    const context = { ...userContext, user_id: userContext.user_id || userId };
+    const ml = { ...mlResults, intent: canonicalPatternType(mlResults.intent), message };
+
+    // Both engines at once; the realtime engine is optional and never fails the request
+    const [behavioral, realtime] = await Promise.all([
+      this.runBehavioral(ml, context, locale, explain),
+      this.runRealtime(userId, message)
+    ]);
+
+    const reconciled = reconcilePatterns(behavioral.analysis.patterns, realtime.result?.patterns);
+    const patterns = explain ? reconciled : reconciled.map(({ weighted_evidence, ...pattern }) => pattern);
+    const analysis = this.summarize(patterns, context);
+
+    let intervention = null;
+    if (patterns.length > 0) {
+      const assignments = this.experiments
+        ? await this.experiments.assign(context.user_id, {
+          pattern: analysis.primary_pattern,
+          severity: analysis.severity,
+          locale,
+          context
+        })
+        : [];
+      intervention = this.buildIntervention(analysis, context, ml, locale, realtime.result, assignments);
+    }
+
+    // A capped intervention is logged as suppressed by the governor and not tracked
+    let gate = null;
+    if (intervention && this.frequencyGovernor && context.user_id) {
+      gate = await this.frequencyGovernor.admit({
+        userId: context.user_id,
+        pattern: analysis.primary_pattern,
+        severity: analysis.severity,
+        intervention,
+        timezone,
+        source: 'oracle',
+        trackingId: this.learningSystem?.generateTrackingId?.()
+      });
+      if (!gate.allowed) intervention = null;
+    }
+
+    let trackingId = gate?.tracking_id || null;
+    if (intervention && this.learningSystem) {
+      trackingId = await this.learningSystem.trackIntervention(
+        context.user_id,
+        { ...intervention, intervention: intervention.text },
+        analysis,
+        ml,
+        gate?.tracking_id
+      );
+    }
+
+    const result = {
+      schema_version: ORACLE_SCHEMA_VERSION,
+      user_id: context.user_id || null,
+      locale: intervention?.locale || locale || null,
+      patterns,
+      combinations: analysis.combinations,
+      primary_pattern: analysis.primary_pattern,
+      severity: analysis.severity,
+      confidence: analysis.confidence,
+      urgency: analysis.urgency,
+      should_intervene: gate?.allowed !== false && (analysis.confidence > 0.75 ||
+        patterns.some(p => p.severity === 'critical' || p.estimated_cost > 1000)),
+      intervention,
+      tracking_id: trackingId,
+      ...(gate?.allowed === false && { suppressed: { reason: gate.reason, retry_at: gate.retry_at } }),
+      engines: {
+        behavioral: behavioral.status,
+        realtime: realtime.status
+      },
+      processing_time_ms: Date.now() - startTime
+    };
+
+    if (explain) {
+      result.explanation = {
+        ...this.patternEngine.explainAnalysis(analysis.raw, analysis.combinations),
+        merge: {
+          rule: 'same_canonical_type',
+          confidence: 'noisy_or',
+          severity: 'max'
+        },
+        intervention: intervention
+          ? { engine: intervention.engine, strategy: intervention.strategy }
+          : null
+      };
+    }
+
+    return result;
+  }
+
+  async runBehavioral(ml, context, locale, explain) {
+    const analysis = await this.patternEngine.detectPatterns(ml, context, { locale, explain });
+    return { analysis, status: { status: 'ok', patterns: analysis.patterns.length } };
+  }
+
+  async runRealtime(userId, message) {
+    if (!this.realtimeEngine) {
+      return { result: null, status: { status: 'disabled' } };
+    }
+    if (!userId) {
+      return { result: null, status: { status: 'skipped', reason: 'userId required' } };
+    }
+
+    try {
+      const result = await this.realtimeEngine.analyzeUser(userId, message);
+      return {
+        result,
+        status: {
+          status: 'ok',
+          patterns: result.patterns?.length || 0,
+          confidence: result.confidence ?? null,
+          data_sources_used: result.data_sources_used || null
+        }
+      };
+    } catch (error) {
+      console.error('Realtime engine failed, continuing with behavioral engine only:', error.message);
+      return { result: null, status: { status: 'error', error: error.message } };
+    }
+  }
+
+  // Severity, urgency and combinations over the merged set, so a combination can span both engines
+  summarize(patterns, context) {
+    const combinations = this.patternEngine.detectPatternCombinations(patterns);
+
+    // analyzePatternSeverity sorts in place; ours is already ordered
+    const analysis = this.patternEngine.analyzePatternSeverity([...patterns], combinations, context);
+
+    return {
+      patterns,
+      combinations,
+      severity: analysis.severity,
+      confidence: analysis.confidence,
+      primary_pattern: analysis.primary,
+      urgency: analysis.urgency,
+      raw: analysis
+    };
+  }
+
+  buildIntervention(analysis, context, ml, locale, realtimeResult, assignments = []) {
+    const primary = analysis.patterns[0];
+    const generated = this.interventionGenerator.generateIntervention(analysis, context, ml, {
+      locale,
+      experiments: assignments
+    });
+
+    // Only the realtime engine saw this pattern: its copy carries the real numbers, ours would be generic
+    const realtimeIntervention = realtimeResult?.intervention;
+    const useRealtime = !primary.engines.includes('behavioral') &&
+      canonicalPatternType(realtimeIntervention?.pattern) === primary.type;
+
+    return {
+      text: useRealtime ? realtimeIntervention.intervention : generated.intervention,
+      directive: useRealtime ? realtimeIntervention.directive : generated.directive,
+      accountability: generated.accountability,
+      strategy: generated.strategy,
+      engine: useRealtime ? 'realtime' : 'behavioral',
+      pattern: primary.type,
+      severity: analysis.severity,
+      locale: useRealtime ? null : generated.locale,
+      estimated_cost: primary.estimated_cost,
+      skipped_templates: useRealtime ? [] : generated.skipped_templates,
+      follow_up_required: generated.follow_up_required,
+      follow_up_timing: generated.follow_up_timing,
+      requested_strategy: generated.requested_strategy,
+      strategy_propensity: generated.strategy_propensity,
+      decision_context: generated.decision_context,
+      // Realtime copy replaces our wording and directive, so only timing variants reached the user
+      experiments: useRealtime
+        ? generated.experiments.filter(e => e.factor === 'timing')
+        : generated.experiments,
+      realtime_tracking_id: realtimeIntervention?.tracking_id || null
+    };
+  }
+}
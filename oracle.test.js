@@ -0,0 +1,110 @@
+import { describe, it, expect } from '@jest/globals';
+import { BehavioralPatternEngine, InterventionGenerator } from './behavioral-engine2.js';
+import { Oracle, canonicalPatternType, reconcilePatterns } from './oracle.js';
+
+const realtimeResult = {
+  patterns: [
+    {
+      type: 'pricing_cowardice',
+      severity: 'critical',
+      confidence: 0.8,
+      evidence: { your_price: 97, market_average: 1500 },
+      cost: 4200,
+      specific_insight: 'Charging 6% of market rate'
+    }
+  ],
+  intervention: {
+    intervention: 'You charge $97. Market charges $1500.',
+    directive: 'Raise prices before midnight.',
+    pattern: 'pricing_cowardice',
+    tracking_id: 'rt_1'
+  },
+  confidence: 0.7
+};
+
+function createOracle(realtimeEngine) {
+  return new Oracle({
+    patternEngine: new BehavioralPatternEngine(),
+    interventionGenerator: new InterventionGenerator(),
+    realtimeEngine
+  });
+}
+
+describe('Oracle', () => {
+  it('maps engine-specific names onto the canonical taxonomy', () => {
+    expect(canonicalPatternType('pricing_cowardice')).toBe('pricing_anxiety');
+    expect(canonicalPatternType('execution_paralysis')).toBe('execution_blocking');
+    expect(canonicalPatternType('shiny_object_syndrome')).toBe('shiny_object_syndrome');
+  });
+
+  it('merges the same pattern from both engines', () => {
+    const [pattern] = reconcilePatterns(
+      [{ type: 'pricing_anxiety', severity: 'medium', confidence: 0.5, source: 'linguistic_analysis' }],
+      realtimeResult.patterns
+    );
+
+    expect(pattern.type).toBe('pricing_anxiety');
+    expect(pattern.engines).toEqual(['behavioral', 'realtime']);
+    expect(pattern.aliases).toEqual(['pricing_cowardice']);
+    expect(pattern.severity).toBe('critical');
+    expect(pattern.confidence).toBeCloseTo(0.9);
+    expect(pattern.estimated_cost).toBe(4200);
+  });
+
+  it('uses the realtime intervention when only that engine saw the primary pattern', async () => {
+    const oracle = createOracle({ analyzeUser: async () => realtimeResult });
+
+    const result = await oracle.analyze({ userId: 'user_1', message: 'Shipped the update today.' });
+
+    expect(result.primary_pattern).toBe('pricing_anxiety');
+    expect(result.should_intervene).toBe(true);
+    expect(result.intervention.engine).toBe('realtime');
+    expect(result.intervention.text).toBe('You charge $97. Market charges $1500.');
+    expect(result.engines.realtime.status).toBe('ok');
+  });
+
+  it('answers from the behavioral engine when the realtime engine fails', async () => {
+    const oracle = createOracle({
+      analyzeUser: async () => { throw new Error('connection refused'); }
+    });
+
+    const result = await oracle.analyze({
+      userId: 'user_1',
+      message: 'I want another plan and a new strategy for the roadmap'
+    });
+
+    expect(result.engines.realtime).toEqual({ status: 'error', error: 'connection refused' });
+    expect(result.primary_pattern).toBe('planning_paralysis');
+    expect(result.intervention.engine).toBe('behavioral');
+  });
+});
+
+describe('explain mode', () => {
+  it('returns weighted evidence per pattern and the rules that fired', async () => {
+    const oracle = createOracle({ analyzeUser: async () => realtimeResult });
+
+    const result = await oracle.analyze({
+      userId: 'user_1',
+      message: 'No one will pay that price',
+      mlResults: { intent: 'pricing_anxiety', intent_confidence: 0.7 },
+      userContext: { current_mrr: 800 },
+      explain: true
+    });
+
+    const [pricing] = result.patterns;
+    expect(pricing.weighted_evidence.map(e => e.source).sort()).toEqual(['contextual', 'db', 'linguistic', 'linguistic', 'ml']);
+    expect(pricing.weighted_evidence).toContainEqual(expect.objectContaining({
+      source: 'linguistic',
+      rule: 'severity_indicator:high:no one will pay',
+      weight: 0.3
+    }));
+    expect(result.explanation.urgency.rules).toContain('pricing_anxiety_with_mrr<1000');
+  });
+
+  it('leaves evidence out unless asked', async () => {
+    const result = await createOracle(null).analyze({ userId: 'user_1', message: 'No one will pay that price' });
+
+    expect(result.patterns[0].weighted_evidence).toBeUndefined();
+    expect(result.explanation).toBeUndefined();
+  });
+});
@@ -0,0 +1,185 @@
+// CELESTE7 Outcome Scheduler
+// Durable job queue for follow-up outcome collection (1h/4h/24h/48h after an intervention).
+// Jobs live in the storage adapter, so they survive restarts; failures retry with exponential backoff.
+// Several instances can share one store: a job is claimed with a conditional pending -> running update
+// and a lease (lease_expires_at), and only jobs whose lease ran out are handed back to the queue.
+
+// Job lifecycle: pending -> running -> completed | failed, or pending -> cancelled
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+export class OutcomeScheduler {
+  constructor(database, handler, options = {}) {
+    this.db = database;
+    this.handler = handler; // async (job) => result, e.g. learningSystem.collectOutcome
+    this.pollIntervalMs = options.pollIntervalMs || 30000;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.baseBackoffMs = options.baseBackoffMs || 60000;
+    this.maxBackoffMs = options.maxBackoffMs || 6 * 3600000;
+    this.batchSize = options.batchSize || 50;
+    this.leaseMs = options.leaseMs || 10 * 60000;
+
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  async start() {
+    if (this.timer) return;
+
+    // A job left 'running' past its lease means the worker died mid-collection
+    await this.recoverInterruptedJobs();
+
+    this.timer = setInterval(() => {
+      this.recoverInterruptedJobs()
+        .then(() => this.runDueJobs())
+        .catch(error => {
+          console.error('Outcome scheduler tick failed:', error);
+        });
+    }, this.pollIntervalMs);
+
+    // Don't keep the process alive just for the poll loop
+    if (this.timer.unref) this.timer.unref();
+
+    await this.runDueJobs();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Requeues running jobs whose lease has expired (or that predate leases); a live lease means
+  // another instance is still collecting
+  async recoverInterruptedJobs(now = Date.now()) {
+    const expiredBefore = new Date(now).toISOString();
+    const running = await this.db.getScheduledCollections(null, JOB_STATUS.RUNNING);
+    let recovered = 0;
+
+    for (const job of running) {
+      if (job.lease_expires_at && job.lease_expires_at >= expiredBefore) continue;
+
+      const requeued = await this.db.claimOutcomeCollection(job.tracking_id, {
+        status: JOB_STATUS.RUNNING,
+        expiredBefore
+      }, {
+        status: JOB_STATUS.PENDING,
+        lease_expires_at: null,
+        updated_at: new Date().toISOString()
+      });
+      if (requeued) recovered++;
+    }
+
+    return recovered;
+  }
+
+  async runDueJobs(now = Date.now()) {
+    // Skip overlapping ticks if a slow batch is still going
+    if (this.ticking) return [];
+    this.ticking = true;
+
+    try {
+      const due = await this.db.getDueOutcomeCollections(new Date(now).toISOString(), this.batchSize);
+      const results = [];
+
+      for (const job of due) {
+        const result = await this.runJob(job);
+        if (result) results.push(result);
+      }
+
+      return results;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Returns null when another instance claimed the job first
+  async runJob(job) {
+    const attempts = (job.attempts || 0) + 1;
+
+    const claimed = await this.db.claimOutcomeCollection(job.tracking_id, { status: JOB_STATUS.PENDING }, {
+      status: JOB_STATUS.RUNNING,
+      attempts,
+      lease_expires_at: new Date(Date.now() + this.leaseMs).toISOString(),
+      updated_at: new Date().toISOString()
+    });
+    if (!claimed) return null;
+
+    try {
+      const result = await this.handler(job);
+
+      await this.db.updateOutcomeCollection(job.tracking_id, {
+        status: JOB_STATUS.COMPLETED,
+        completed_at: new Date().toISOString(),
+        last_error: null,
+        lease_expires_at: null,
+        updated_at: new Date().toISOString()
+      });
+
+      return { tracking_id: job.tracking_id, status: JOB_STATUS.COMPLETED, result };
+
+    } catch (error) {
+      const exhausted = attempts >= this.maxAttempts;
+      const updates = {
+        status: exhausted ? JOB_STATUS.FAILED : JOB_STATUS.PENDING,
+        last_error: error.message,
+        lease_expires_at: null,
+        updated_at: new Date().toISOString()
+      };
+
+      if (!exhausted) {
+        updates.scheduled_time = new Date(Date.now() + this.getBackoffMs(attempts)).toISOString();
+      }
+
+      await this.db.updateOutcomeCollection(job.tracking_id, updates);
+      console.error('Outcome collection failed:', { trackingId: job.tracking_id, attempts, error: error.message });
+
+      return { tracking_id: job.tracking_id, status: updates.status, error: error.message };
+    }
+  }
+
+  getBackoffMs(attempts) {
+    // 1m, 2m, 4m, 8m... capped
+    return Math.min(this.baseBackoffMs * Math.pow(2, attempts - 1), this.maxBackoffMs);
+  }
+
+  // ============================================
+  // ADMIN OPERATIONS
+  // ============================================
+
+  async listJobs(userId, status) {
+    return this.db.getScheduledCollections(userId, status);
+  }
+
+  async findUserJob(userId, trackingId) {
+    const jobs = await this.db.getScheduledCollections(userId);
+    return jobs.find(job => job.tracking_id === trackingId) || null;
+  }
+
+  async cancelJob(userId, trackingId) {
+    const job = await this.findUserJob(userId, trackingId);
+    if (!job || job.status !== JOB_STATUS.PENDING) return null;
+
+    // Conditional, so a job claimed since the lookup isn't cancelled mid-run
+    return this.db.claimOutcomeCollection(trackingId, { status: JOB_STATUS.PENDING }, {
+      status: JOB_STATUS.CANCELLED,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  async rescheduleJob(userId, trackingId, scheduledTime) {
+    const job = await this.findUserJob(userId, trackingId);
+    if (!job || job.status !== JOB_STATUS.PENDING) return null;
+
+    return this.db.claimOutcomeCollection(trackingId, { status: JOB_STATUS.PENDING }, {
+      scheduled_time: new Date(scheduledTime).toISOString(),
+      updated_at: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,116 @@
+import { describe, it, expect } from '@jest/globals';
+import { InMemoryStorageAdapter } from './storage-adapters.js';
+import { OutcomeScheduler, JOB_STATUS } from './outcome-scheduler.js';
+
+const past = (ms) => new Date(Date.now() - ms).toISOString();
+
+async function seedJob(db, trackingId, overrides = {}) {
+  await db.scheduleOutcomeCollection({
+    tracking_id: trackingId,
+    user_id: 'user_1',
+    scheduled_time: past(1000),
+    status: JOB_STATUS.PENDING,
+    attempts: 0,
+    ...overrides
+  });
+}
+
+describe('OutcomeScheduler', () => {
+  it('runs due jobs and marks them completed', async () => {
+    const db = new InMemoryStorageAdapter();
+    const collected = [];
+    const scheduler = new OutcomeScheduler(db, async (job) => collected.push(job.tracking_id));
+
+    await seedJob(db, 'track_due');
+    await seedJob(db, 'track_later', { scheduled_time: new Date(Date.now() + 3600000).toISOString() });
+
+    await scheduler.runDueJobs();
+
+    expect(collected).toEqual(['track_due']);
+    const [done] = await db.getScheduledCollections('user_1', JOB_STATUS.COMPLETED);
+    expect(done.tracking_id).toBe('track_due');
+  });
+
+  it('retries with exponential backoff and gives up after maxAttempts', async () => {
+    const db = new InMemoryStorageAdapter();
+    const scheduler = new OutcomeScheduler(db, async () => {
+      throw new Error('metrics unavailable');
+    }, { maxAttempts: 2, baseBackoffMs: 60000 });
+
+    await seedJob(db, 'track_flaky');
+
+    await scheduler.runDueJobs();
+    let [job] = await db.getScheduledCollections('user_1');
+    expect(job.status).toBe(JOB_STATUS.PENDING);
+    expect(job.attempts).toBe(1);
+    expect(new Date(job.scheduled_time).getTime()).toBeGreaterThan(Date.now() + 50000);
+
+    await scheduler.runDueJobs(Date.now() + 120000);
+    [job] = await db.getScheduledCollections('user_1');
+    expect(job.status).toBe(JOB_STATUS.FAILED);
+    expect(job.last_error).toBe('metrics unavailable');
+  });
+
+  it('requeues jobs interrupted by a restart', async () => {
+    const db = new InMemoryStorageAdapter();
+    await seedJob(db, 'track_interrupted', { status: JOB_STATUS.RUNNING, attempts: 1 });
+
+    const scheduler = new OutcomeScheduler(db, async () => 'ok');
+    expect(await scheduler.recoverInterruptedJobs()).toBe(1);
+
+    const results = await scheduler.runDueJobs();
+    expect(results[0]).toMatchObject({ tracking_id: 'track_interrupted', status: JOB_STATUS.COMPLETED });
+  });
+
+  it('leaves running jobs with a live lease alone', async () => {
+    const db = new InMemoryStorageAdapter();
+    await seedJob(db, 'track_leased', {
+      status: JOB_STATUS.RUNNING,
+      attempts: 1,
+      lease_expires_at: new Date(Date.now() + 60000).toISOString()
+    });
+    await seedJob(db, 'track_expired', { status: JOB_STATUS.RUNNING, attempts: 1, lease_expires_at: past(1000) });
+
+    const scheduler = new OutcomeScheduler(db, async () => 'ok');
+    expect(await scheduler.recoverInterruptedJobs()).toBe(1);
+
+    const [leased] = await db.getScheduledCollections('user_1', JOB_STATUS.RUNNING);
+    expect(leased.tracking_id).toBe('track_leased');
+    expect(await scheduler.recoverInterruptedJobs(Date.now() + 120000)).toBe(1);
+  });
+
+  it('runs a job once when two schedulers share the store', async () => {
+    const db = new InMemoryStorageAdapter();
+    const collected = [];
+    const handler = async (job) => {
+      collected.push(job.tracking_id);
+      await new Promise(resolve => setTimeout(resolve, 10));
+    };
+    const first = new OutcomeScheduler(db, handler);
+    const second = new OutcomeScheduler(db, handler);
+    await seedJob(db, 'track_shared');
+
+    const [a, b] = await Promise.all([first.runDueJobs(), second.runDueJobs()]);
+
+    expect(collected).toEqual(['track_shared']);
+    expect([...a, ...b]).toHaveLength(1);
+    const [done] = await db.getScheduledCollections('user_1', JOB_STATUS.COMPLETED);
+    expect(done.lease_expires_at).toBeNull();
+  });
+
+  it('only cancels or reschedules pending jobs owned by the user', async () => {
+    const db = new InMemoryStorageAdapter();
+    const scheduler = new OutcomeScheduler(db, async () => 'ok');
+    await seedJob(db, 'track_1');
+
+    expect(await scheduler.cancelJob('someone_else', 'track_1')).toBeNull();
+
+    const later = new Date(Date.now() + 4 * 3600000);
+    const rescheduled = await scheduler.rescheduleJob('user_1', 'track_1', later);
+    expect(rescheduled.scheduled_time).toBe(later.toISOString());
+
+    const cancelled = await scheduler.cancelJob('user_1', 'track_1');
+    expect(cancelled.status).toBe(JOB_STATUS.CANCELLED);
+    expect(await scheduler.rescheduleJob('user_1', 'track_1', later)).toBeNull();
+  });
+});
@@ -0,0 +1,234 @@
+// CELESTE7 Pattern Evaluation
+// Scores pattern detectors against a labelled JSONL corpus, one message per line:
+//   {"id": "p-01", "text": "...", "labels": ["pricing_anxiety"], "locale": "en", "context": {...}, "ml": {...}}
+// Only "text" and "labels" are required; an empty labels array marks a message with no pattern.
+// Labels and predictions are compared in the canonical taxonomy (oracle.js), so detectors that
+// still say pricing_cowardice are scored against pricing_anxiety.
+
+import fs from 'fs';
+import { canonicalPatternType } from './oracle.js';
+
+export const NO_PATTERN = 'none';
+
+// ============================================
+// 1. CORPUS
+// ============================================
+
+export function parseCorpus(source, file = 'corpus') {
+  const examples = [];
+
+  source.split('\n').forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('//')) return;
+
+    let example;
+    try {
+      example = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${file}:${index + 1}: invalid JSON (${error.message})`);
+    }
+
+    if (typeof example.text !== 'string' || !Array.isArray(example.labels)) {
+      throw new Error(`${file}:${index + 1}: every line needs "text" (string) and "labels" (array)`);
+    }
+
+    examples.push({
+      id: example.id || `${file}:${index + 1}`,
+      text: example.text,
+      labels: [...new Set(example.labels.map(canonicalPatternType))],
+      locale: example.locale,
+      context: example.context || {},
+      ml: example.ml || {}
+    });
+  });
+
+  return examples;
+}
+
+export function loadCorpus(file) {
+  return parseCorpus(fs.readFileSync(file, 'utf8'), file);
+}
+
+// ============================================
+// 2. DETECTORS
+// ============================================
+
+// A detector is { name, patterns: [canonical types it can emit], detect: async (example) => [types] }
+
+export function createEngineDetector(engine, options = {}) {
+  const minConfidence = options.minConfidence || 0;
+
+  return {
+    name: 'engine',
+    patterns: [...new Set(Object.keys(engine.patterns).map(canonicalPatternType))],
+    detect: async (example) => {
+      const analysis = await engine.detectPatterns(
+        { ...example.ml, message: example.text },
+        example.context,
+        { locale: example.locale }
+      );
+      return analysis.patterns
+        .filter(p => p.confidence >= minConfidence)
+        .map(p => canonicalPatternType(p.type));
+    }
+  };
+}
+
+// fallback: a HuggingFaceFallback, or anything with fallbackDetection(message, patternType)
+export function createFallbackDetector(fallback, patternTypes) {
+  return {
+    name: 'fallback',
+    patterns: [...new Set(patternTypes.map(canonicalPatternType))],
+    detect: async (example) => patternTypes
+      .filter(type => fallback.fallbackDetection(example.text, type))
+      .map(canonicalPatternType)
+  };
+}
+
+// ============================================
+// 3. METRICS
+// ============================================
+
+const ratio = (a, b) => (b === 0 ? 0 : a / b);
+const round = (value) => Math.round(value * 1000) / 1000;
+
+function scores(tp, fp, fn) {
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  return {
+    precision: round(precision),
+    recall: round(recall),
+    f1: round(ratio(2 * precision * recall, precision + recall))
+  };
+}
+
+// Labels the detector can't emit are ignored, so a three-pattern fallback isn't marked down
+// for missing perfectionism; a message left with no in-scope labels counts as "none"
+export async function evaluateDetector(detector, examples) {
+  const scope = new Set(detector.patterns);
+  const counts = Object.fromEntries(detector.patterns.map(p => [p, { tp: 0, fp: 0, fn: 0, support: 0 }]));
+  const axis = [...detector.patterns, NO_PATTERN];
+  const matrix = Object.fromEntries(axis.map(t => [t, Object.fromEntries(axis.map(p => [p, 0]))]));
+  const errors = [];
+
+  for (const example of examples) {
+    const expected = example.labels.filter(l => scope.has(l));
+    const predicted = [...new Set(await detector.detect(example))].filter(p => scope.has(p));
+
+    expected.forEach(label => {
+      counts[label].support++;
+      if (predicted.includes(label)) counts[label].tp++;
+      else counts[label].fn++;
+    });
+    predicted.filter(p => !expected.includes(p)).forEach(p => counts[p].fp++);
+
+    // Multi-label confusion: every true label (or none) against every prediction (or none)
+    (expected.length ? expected : [NO_PATTERN]).forEach(t => {
+      (predicted.length ? predicted : [NO_PATTERN]).forEach(p => matrix[t][p]++);
+    });
+
+    const missed = expected.filter(l => !predicted.includes(l));
+    const extra = predicted.filter(p => !expected.includes(p));
+    if (missed.length || extra.length) {
+      errors.push({ id: example.id, text: example.text, missed, extra });
+    }
+  }
+
+  const patterns = Object.fromEntries(Object.entries(counts).map(([pattern, c]) => [
+    pattern,
+    { ...scores(c.tp, c.fp, c.fn), support: c.support, tp: c.tp, fp: c.fp, fn: c.fn }
+  ]));
+  const totals = Object.values(counts).reduce(
+    (sum, c) => ({ tp: sum.tp + c.tp, fp: sum.fp + c.fp, fn: sum.fn + c.fn }),
+    { tp: 0, fp: 0, fn: 0 }
+  );
+  const f1s = Object.values(patterns).map(p => p.f1);
+
+  return {
+    detector: detector.name,
+    examples: examples.length,
+    patterns,
+    micro: scores(totals.tp, totals.fp, totals.fn),
+    macro_f1: round(ratio(f1s.reduce((a, b) => a + b, 0), f1s.length)),
+    confusion: { labels: axis, matrix },
+    errors
+  };
+}
+
+// ============================================
+// 4. BASELINE
+// ============================================
+
+// The parts of a report worth pinning: per-pattern and overall scores
+export function toBaseline(reports) {
+  return {
+    generated_at: new Date().toISOString(),
+    detectors: Object.fromEntries(reports.map(report => [report.detector, {
+      examples: report.examples,
+      micro: report.micro,
+      macro_f1: report.macro_f1,
+      patterns: Object.fromEntries(Object.entries(report.patterns).map(([pattern, s]) => [
+        pattern,
+        { precision: s.precision, recall: s.recall, f1: s.f1 }
+      ]))
+    }]))
+  };
+}
+
+// Every metric that fell more than `tolerance` below the baseline
+export function compareToBaseline(reports, baseline, options = {}) {
+  const tolerance = options.tolerance ?? 0.02;
+  const regressions = [];
+
+  const check = (detector, pattern, metric, before, after) => {
+    if (typeof before === 'number' && before - (after ?? 0) > tolerance) {
+      regressions.push({ detector, pattern, metric, baseline: before, current: after ?? 0 });
+    }
+  };
+
+  reports.forEach(report => {
+    const pinned = baseline.detectors?.[report.detector];
+    if (!pinned) return;
+
+    ['precision', 'recall', 'f1'].forEach(metric => {
+      check(report.detector, 'micro', metric, pinned.micro?.[metric], report.micro[metric]);
+      Object.entries(pinned.patterns || {}).forEach(([pattern, scored]) => {
+        check(report.detector, pattern, metric, scored[metric], report.patterns[pattern]?.[metric]);
+      });
+    });
+    check(report.detector, 'macro', 'f1', pinned.macro_f1, report.macro_f1);
+  });
+
+  return regressions;
+}
+
+// ============================================
+// 5. REPORTING
+// ============================================
+
+const pad = (value, width) => String(value).padEnd(width);
+const padLeft = (value, width) => String(value).padStart(width);
+
+export function formatReport(report) {
+  const nameWidth = Math.max(9, ...report.confusion.labels.map(l => l.length)) + 2;
+  const lines = [
+    `== ${report.detector} (${report.examples} messages) ==`,
+    `${pad('pattern', nameWidth)}${padLeft('precision', 10)}${padLeft('recall', 8)}${padLeft('f1', 8)}${padLeft('support', 9)}`
+  ];
+
+  Object.entries(report.patterns).forEach(([pattern, s]) => {
+    lines.push(`${pad(pattern, nameWidth)}${padLeft(s.precision.toFixed(3), 10)}${padLeft(s.recall.toFixed(3), 8)}${padLeft(s.f1.toFixed(3), 8)}${padLeft(s.support, 9)}`);
+  });
+  lines.push(`${pad('micro', nameWidth)}${padLeft(report.micro.precision.toFixed(3), 10)}${padLeft(report.micro.recall.toFixed(3), 8)}${padLeft(report.micro.f1.toFixed(3), 8)}`);
+  lines.push(`${pad('macro', nameWidth)}${padLeft('', 18)}${padLeft(report.macro_f1.toFixed(3), 8)}`);
+
+  // Rows are true labels, columns are predictions
+  const { labels, matrix } = report.confusion;
+  const cell = Math.max(5, ...labels.map(l => Math.min(l.length, 12))) + 1;
+  lines.push('', 'confusion (rows: expected, columns: predicted)');
+  lines.push(pad('', nameWidth) + labels.map(l => padLeft(l.slice(0, cell - 1), cell)).join(''));
+  labels.forEach(t => {
+    lines.push(pad(t, nameWidth) + labels.map(p => padLeft(matrix[t][p], cell)).join(''));
+  });
+
+  return lines.join('\n');
+}
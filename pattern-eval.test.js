@@ -0,0 +1,47 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseCorpus, evaluateDetector, toBaseline, compareToBaseline } from './pattern-eval.js';
+
+const corpus = parseCorpus([
+  '{"id": "a", "text": "tomorrow", "labels": ["procrastination"]}',
+  '{"id": "b", "text": "too expensive", "labels": ["pricing_cowardice"]}',
+  '{"id": "c", "text": "shipped it", "labels": []}',
+  '{"id": "d", "text": "tomorrow, too expensive", "labels": ["procrastination", "pricing_anxiety"]}'
+].join('\n'));
+
+// Finds procrastination everywhere, pricing never
+const detector = {
+  name: 'test',
+  patterns: ['procrastination', 'pricing_anxiety'],
+  detect: async () => ['procrastination']
+};
+
+describe('pattern evaluation', () => {
+  it('rejects corpus lines without text and labels', () => {
+    expect(() => parseCorpus('{"text": "hi"}', 'bad.jsonl')).toThrow('bad.jsonl:1');
+    expect(corpus[1].labels).toEqual(['pricing_anxiety']);
+  });
+
+  it('scores each pattern and fills the confusion matrix', async () => {
+    const report = await evaluateDetector(detector, corpus);
+
+    expect(report.patterns.procrastination).toMatchObject({ tp: 2, fp: 2, fn: 0, precision: 0.5, recall: 1 });
+    expect(report.patterns.pricing_anxiety).toMatchObject({ tp: 0, fn: 2, f1: 0 });
+    expect(report.confusion.matrix.pricing_anxiety.procrastination).toBe(2);
+    expect(report.confusion.matrix.none.procrastination).toBe(1);
+  });
+
+  it('reports metrics that fell below the baseline', async () => {
+    const before = toBaseline([await evaluateDetector(detector, corpus)]);
+    const worse = await evaluateDetector({ ...detector, detect: async () => [] }, corpus);
+
+    const regressions = compareToBaseline([worse], before);
+    expect(regressions).toContainEqual(expect.objectContaining({
+      detector: 'test',
+      pattern: 'procrastination',
+      metric: 'recall',
+      baseline: 1,
+      current: 0
+    }));
+    expect(compareToBaseline([worse], toBaseline([worse]))).toEqual([]);
+  });
+});
@@ -0,0 +1,317 @@
+// CELESTE7 Pattern Packs
+// Pattern definitions live in versioned JSON/YAML files instead of code, so new patterns ship without a deploy.
+// Packs are schema-checked on load, merged in filename order and hot-reloaded when the directory changes.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { parseTriggerExpression } from './trigger-expressions.js';
+import { TENSES } from './linguistic-matcher.js';
+
+export const DEFAULT_PATTERN_PACKS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'patterns'
+);
+
+const PACK_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const SEVERITY_LEVELS = ['high', 'medium', 'low'];
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const PATTERN_KEY = /^[a-z][a-z0-9_]*$/;
+const LOCALE_KEY = /^[a-z]{2,3}(?:-[A-Z]{2})?$/;
+const SEMVER = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/;
+
+// ============================================
+// 1. SCHEMA
+// ============================================
+
+const isStringList = (value) =>
+  Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim().length > 0);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Returns a list of human-readable errors; empty means the pack is valid
+export function validatePatternPack(pack) {
+  const errors = [];
+
+  if (!isPlainObject(pack)) {
+    return ['pack must be an object'];
+  }
+
+  if (typeof pack.name !== 'string' || !NAME_PATTERN.test(pack.name)) {
+    errors.push('name must be lowercase letters, digits, "-" or "_"');
+  }
+  if (typeof pack.version !== 'string' || !SEMVER.test(pack.version)) {
+    errors.push('version must be semver (e.g. 1.2.0)');
+  }
+  if (pack.description !== undefined && typeof pack.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  if (!isPlainObject(pack.patterns)) {
+    errors.push('patterns must be an object');
+  } else {
+    Object.entries(pack.patterns).forEach(([key, pattern]) => {
+      const at = `patterns.${key}`;
+
+      if (!PATTERN_KEY.test(key)) {
+        errors.push(`${at}: pattern names must be snake_case`);
+      }
+      if (!isPlainObject(pattern)) {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      if (!isStringList(pattern.linguistic_markers) || pattern.linguistic_markers.length === 0) {
+        errors.push(`${at}.linguistic_markers must be a non-empty list of strings`);
+      }
+      if (pattern.tense !== undefined && !TENSES.includes(pattern.tense)) {
+        errors.push(`${at}.tense must be one of ${TENSES.join(', ')}`);
+      }
+      if (pattern.locales !== undefined) {
+        if (!isPlainObject(pattern.locales)) {
+          errors.push(`${at}.locales must be an object keyed by locale`);
+        } else {
+          Object.entries(pattern.locales).forEach(([locale, localised]) => {
+            const where = `${at}.locales.${locale}`;
+            if (!LOCALE_KEY.test(locale)) {
+              errors.push(`${where}: locale must look like "es" or "es-MX"`);
+            }
+            if (localised?.linguistic_markers !== undefined && !isStringList(localised.linguistic_markers)) {
+              errors.push(`${where}.linguistic_markers must be a list of strings`);
+            }
+            Object.entries(localised?.severity_indicators || {}).forEach(([level, indicators]) => {
+              if (!SEVERITY_LEVELS.includes(level) || !isStringList(indicators)) {
+                errors.push(`${where}.severity_indicators.${level} must be a list of strings under high, medium or low`);
+              }
+            });
+          });
+        }
+      }
+      if (pattern.semantic_patterns !== undefined && !isStringList(pattern.semantic_patterns)) {
+        errors.push(`${at}.semantic_patterns must be a list of strings`);
+      }
+      if (pattern.contextual_triggers !== undefined) {
+        if (!isPlainObject(pattern.contextual_triggers)) {
+          errors.push(`${at}.contextual_triggers must be an object`);
+        } else {
+          Object.entries(pattern.contextual_triggers).forEach(([trigger, condition]) => {
+            try {
+              parseTriggerExpression(condition);
+            } catch (error) {
+              errors.push(`${at}.contextual_triggers.${trigger}: ${error.message}`);
+            }
+          });
+        }
+      }
+      if (!isPlainObject(pattern.severity_indicators)) {
+        errors.push(`${at}.severity_indicators must be an object`);
+      } else {
+        Object.entries(pattern.severity_indicators).forEach(([level, indicators]) => {
+          if (!SEVERITY_LEVELS.includes(level)) {
+            errors.push(`${at}.severity_indicators.${level}: level must be one of ${SEVERITY_LEVELS.join(', ')}`);
+          } else if (!isStringList(indicators)) {
+            errors.push(`${at}.severity_indicators.${level} must be a list of strings`);
+          }
+        });
+      }
+    });
+  }
+
+  if (pack.combinations !== undefined) {
+    if (!isPlainObject(pack.combinations)) {
+      errors.push('combinations must be an object');
+    } else {
+      Object.entries(pack.combinations).forEach(([key, combo]) => {
+        const at = `combinations.${key}`;
+        if (!isPlainObject(combo) || !isStringList(combo.patterns) || combo.patterns.length < 2) {
+          errors.push(`${at}.patterns must list at least two patterns`);
+        }
+        if (combo?.description !== undefined && typeof combo.description !== 'string') {
+          errors.push(`${at}.description must be a string`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+export function parsePatternPack(source, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return ext === '.json' ? JSON.parse(source) : yaml.load(source);
+}
+
+// ============================================
+// 2. REGISTRY
+// ============================================
+
+export class PatternPackRegistry {
+  constructor(options = {}) {
+    this.dir = options.dir || null;
+    this.packsByFile = new Map();
+    this.errors = [];
+    this.reloadCount = 0;
+    this.loadedAt = null;
+    this.watcher = null;
+
+    this.patterns = {};
+    this.combinations = {};
+    this.combinationDescriptions = {};
+
+    if (options.packs) {
+      this.loadPacks(options.packs);
+    } else if (this.dir) {
+      this.reload();
+    }
+  }
+
+  // Load packs given as objects (tests, programmatic use)
+  loadPacks(packs) {
+    const entries = new Map();
+    this.errors = [];
+
+    packs.forEach((pack, index) => {
+      const file = `inline:${index}`;
+      const errors = validatePatternPack(pack);
+      if (errors.length > 0) {
+        this.errors.push({ file, errors });
+      } else {
+        entries.set(file, { file, pack, stale: false });
+      }
+    });
+
+    this.apply(entries);
+  }
+
+  reload() {
+    if (!this.dir) return this.getStatus();
+
+    if (!fs.existsSync(this.dir)) {
+      throw new Error(`Pattern pack directory not found: ${this.dir}`);
+    }
+
+    const files = fs.readdirSync(this.dir)
+      .filter(file => PACK_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort();
+
+    const entries = new Map();
+    this.errors = [];
+
+    files.forEach(file => {
+      const filePath = path.join(this.dir, file);
+      try {
+        const pack = parsePatternPack(fs.readFileSync(filePath, 'utf8'), filePath);
+        const errors = validatePatternPack(pack);
+        if (errors.length > 0) {
+          throw Object.assign(new Error('Invalid pattern pack'), { details: errors });
+        }
+        entries.set(file, { file, pack, stale: false });
+
+      } catch (error) {
+        this.errors.push({ file, errors: error.details || [error.message] });
+
+        // Keep serving the last good version rather than dropping the pack mid-edit
+        const previous = this.packsByFile.get(file);
+        if (previous) {
+          entries.set(file, { ...previous, stale: true });
+        }
+      }
+    });
+
+    this.apply(entries);
+    return this.getStatus();
+  }
+
+  apply(entries) {
+    const patterns = {};
+    const combinations = {};
+    const descriptions = {};
+    const seenNames = new Map();
+
+    for (const [file, entry] of entries) {
+      const { pack } = entry;
+
+      if (seenNames.has(pack.name)) {
+        this.errors.push({ file, errors: [`duplicate pack name "${pack.name}" (also in ${seenNames.get(pack.name)})`] });
+        entries.delete(file);
+        continue;
+      }
+      seenNames.set(pack.name, file);
+
+      // Later packs may override earlier pattern definitions
+      Object.assign(patterns, pack.patterns);
+      Object.entries(pack.combinations || {}).forEach(([name, combo]) => {
+        combinations[name] = combo.patterns;
+        if (combo.description) descriptions[name] = combo.description;
+      });
+    }
+
+    // Combinations can reference patterns from any pack, so check after merging
+    Object.entries(combinations).forEach(([name, required]) => {
+      const unknown = required.filter(p => !patterns[p]);
+      if (unknown.length > 0) {
+        this.errors.push({ file: 'combinations', errors: [`${name} references unknown patterns: ${unknown.join(', ')}`] });
+        delete combinations[name];
+        delete descriptions[name];
+      }
+    });
+
+    this.packsByFile = entries;
+    this.patterns = patterns;
+    this.combinations = combinations;
+    this.combinationDescriptions = descriptions;
+    this.loadedAt = new Date().toISOString();
+    this.reloadCount++;
+
+    if (this.errors.length > 0) {
+      console.warn('Pattern pack problems:', JSON.stringify(this.errors));
+    }
+  }
+
+  // Hot reload on file changes (debounced - editors write several events per save)
+  watch(debounceMs = 250) {
+    if (!this.dir || this.watcher) return;
+
+    let pending = null;
+    this.watcher = fs.watch(this.dir, () => {
+      clearTimeout(pending);
+      pending = setTimeout(() => {
+        try {
+          const status = this.reload();
+          console.log('Pattern packs reloaded:', status.packs.map(p => `${p.name}@${p.version}`).join(', '));
+        } catch (error) {
+          console.error('Pattern pack reload failed:', error);
+        }
+      }, debounceMs);
+    });
+
+    if (this.watcher.unref) this.watcher.unref();
+  }
+
+  unwatch() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      healthy: this.errors.length === 0 && Object.keys(this.patterns).length > 0,
+      dir: this.dir,
+      loaded_at: this.loadedAt,
+      reload_count: this.reloadCount,
+      watching: !!this.watcher,
+      packs: Array.from(this.packsByFile.values()).map(({ file, pack, stale }) => ({
+        name: pack.name,
+        version: pack.version,
+        file,
+        stale,
+        patterns: Object.keys(pack.patterns),
+        combinations: Object.keys(pack.combinations || {})
+      })),
+      errors: this.errors
+    };
+  }
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PatternPackRegistry, validatePatternPack, DEFAULT_PATTERN_PACKS_DIR } from './pattern-packs.js';
+
+const pack = (overrides = {}) => ({
+  name: 'test-pack',
+  version: '1.0.0',
+  patterns: {
+    overthinking: {
+      linguistic_markers: ['what if'],
+      severity_indicators: { high: ['spiralling'] }
+    }
+  },
+  ...overrides
+});
+
+describe('validatePatternPack', () => {
+  it('reports problems with their path', () => {
+    const errors = validatePatternPack(pack({
+      version: 'v1',
+      patterns: { overthinking: { linguistic_markers: [], severity_indicators: { extreme: ['x'] } } }
+    }));
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'version must be semver (e.g. 1.2.0)',
+      'patterns.overthinking.linguistic_markers must be a non-empty list of strings',
+      'patterns.overthinking.severity_indicators.extreme: level must be one of high, medium, low'
+    ]));
+  });
+});
+
+describe('PatternPackRegistry', () => {
+  it('loads the bundled packs', () => {
+    const registry = new PatternPackRegistry({ dir: DEFAULT_PATTERN_PACKS_DIR });
+
+    expect(registry.getStatus().healthy).toBe(true);
+    expect(Object.keys(registry.patterns)).toEqual(expect.arrayContaining([
+      'procrastination', 'pricing_anxiety', 'burnout'
+    ]));
+    expect(registry.combinationDescriptions.analysis_paralysis).toBe(
+      'Overthinking and perfecting plans instead of executing'
+    );
+  });
+
+  it('drops combinations that reference unknown patterns', () => {
+    const registry = new PatternPackRegistry({
+      packs: [pack({ combinations: { doom: { patterns: ['overthinking', 'missing'] } } })]
+    });
+
+    expect(registry.combinations).toEqual({});
+    expect(registry.getStatus().errors[0].errors[0]).toMatch(/unknown patterns: missing/);
+  });
+
+  it('keeps the last good version when a pack becomes invalid on reload', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'packs-'));
+    const file = path.join(dir, 'test.yaml');
+
+    try {
+      fs.writeFileSync(file, 'name: test-pack\nversion: 1.0.0\npatterns:\n  overthinking:\n    linguistic_markers: [what if]\n    severity_indicators: {}\n');
+      const registry = new PatternPackRegistry({ dir });
+      expect(registry.patterns.overthinking).toBeDefined();
+
+      fs.writeFileSync(file, 'name: test-pack\nversion: 1.1.0\npatterns: [broken\n');
+      const status = registry.reload();
+
+      expect(status.healthy).toBe(false);
+      expect(status.packs[0]).toMatchObject({ version: '1.0.0', stale: true });
+      expect(registry.patterns.overthinking).toBeDefined();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,266 @@
+// CELESTE7 Policy Replay
+// Estimates how alternative intervention policies would have done on logged decisions, without
+// shipping them. Each logged decision carries the context the policy saw, the action taken, the
+// probability the logging policy gave that action (propensity) and the measured outcome:
+//   { id, action_type: 'strategy' | 'style', action, propensity, context: {...}, reward }
+// A candidate policy is scored by inverse propensity scoring: every outcome is reweighted by
+// how much more (or less) likely the candidate was to take the logged action.
+//
+// Sources: strategy decisions stored by BehavioralLearningSystem.trackIntervention, and style
+// choices logged by InterventionABTester (NEW/CURSOR/brutal-interventions.js, intervention_choices).
+// Actions the logging policy never takes can't be evaluated; keep STRATEGY_EXPLORATION above 0.
+
+import { strategyPropensities, DEFAULT_STRATEGY_THRESHOLDS } from './strategy-policy.js';
+
+// ============================================
+// 1. DECISION LOGS
+// ============================================
+
+// Stored values come back as null; policies compare against undefined (null < 4 is true)
+const withoutNulls = (object = {}) =>
+  Object.fromEntries(Object.entries(object || {}).filter(([, value]) => value !== null));
+
+// A BehavioralLearningSystem intervention row
+export function fromStrategyLog(intervention) {
+  return {
+    id: intervention.tracking_id,
+    user_id: intervention.user_id,
+    action_type: 'strategy',
+    action: intervention.requested_strategy || intervention.intervention_type,
+    propensity: intervention.strategy_propensity ?? null,
+    context: withoutNulls(intervention.decision_context || {
+      pattern: intervention.pattern_detected,
+      severity: intervention.pattern_severity
+    }),
+    reward: intervention.effectiveness_score ?? null
+  };
+}
+
+// An InterventionABTester choice plus its intervention_effectiveness row
+export function fromChoiceLog(choice, outcome) {
+  return {
+    id: choice.intervention_id || choice.id,
+    user_id: choice.user_id,
+    action_type: choice.action_type || 'style',
+    action: choice.action,
+    propensity: choice.propensity ?? null,
+    context: withoutNulls(choice.context),
+    reward: outcome?.effectiveness_score ?? null
+  };
+}
+
+export function parseDecisionLog(source, file = 'decisions') {
+  return source.split('\n')
+    .map((line, index) => [line.trim(), index])
+    .filter(([line]) => line)
+    .map(([line, index]) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${index + 1}: invalid JSON (${error.message})`);
+      }
+      if (!record.action_type || !record.action) {
+        throw new Error(`${file}:${index + 1}: every decision needs action_type and action`);
+      }
+      return { ...record, context: withoutNulls(record.context) };
+    });
+}
+
+// Style choices with their outcomes, straight from Supabase
+export async function loadChoiceLogs(client, { since, limit = 10000 } = {}) {
+  let query = client
+    .from('intervention_choices')
+    .select('*')
+    .order('chosen_at', { ascending: true })
+    .limit(limit);
+  if (since) query = query.gte('chosen_at', since);
+
+  const { data: choices, error } = await query;
+  if (error) throw error;
+
+  const ids = choices.map(c => c.intervention_id).filter(Boolean);
+  const outcomes = new Map();
+  // Keep the id lists short enough for the query string
+  for (let i = 0; i < ids.length; i += 200) {
+    const { data, error: outcomeError } = await client
+      .from('intervention_effectiveness')
+      .select('intervention_id, effectiveness_score')
+      .in('intervention_id', ids.slice(i, i + 200));
+    if (outcomeError) throw outcomeError;
+    (data || []).forEach(row => outcomes.set(row.intervention_id, row));
+  }
+
+  return choices.map(choice => fromChoiceLog(choice, outcomes.get(choice.intervention_id)));
+}
+
+// ============================================
+// 2. POLICIES
+// ============================================
+
+// A policy is { name, action_type, distribution: (context) => ({ [action]: probability }) }
+
+// selectStrategy with different thresholds, e.g. { trust_high: 6 }
+export function thresholdPolicy(name, thresholds = {}, options = {}) {
+  const merged = { ...DEFAULT_STRATEGY_THRESHOLDS, ...thresholds };
+
+  return {
+    name,
+    action_type: 'strategy',
+    thresholds: merged,
+    distribution: (context) => strategyPropensities(
+      { severity: context.severity, urgency: context.urgency, primary_pattern: context.pattern },
+      context,
+      { thresholds: merged, exploration: options.exploration }
+    )
+  };
+}
+
+export function fixedPolicy(name, actionType, action) {
+  return { name, action_type: actionType, distribution: () => ({ [action]: 1 }) };
+}
+
+export function uniformPolicy(name, actionType, actions) {
+  return {
+    name,
+    action_type: actionType,
+    distribution: () => Object.fromEntries(actions.map(action => [action, 1 / actions.length]))
+  };
+}
+
+// "trust_high=6,repetition=2" -> { trust_high: 6, repetition: 2 }
+export function parseThresholds(spec = '') {
+  return Object.fromEntries(spec.split(',').filter(Boolean).map(pair => {
+    const [key, value] = pair.split('=').map(s => s.trim());
+    if (!(key in DEFAULT_STRATEGY_THRESHOLDS)) {
+      throw new Error(`Unknown threshold "${key}" (expected ${Object.keys(DEFAULT_STRATEGY_THRESHOLDS).join(', ')})`);
+    }
+    if (value === undefined || isNaN(parseFloat(value))) {
+      throw new Error(`Threshold "${key}" needs a number`);
+    }
+    return [key, parseFloat(value)];
+  }));
+}
+
+// ============================================
+// 3. ESTIMATORS
+// ============================================
+
+const round = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+
+// Only decisions of the policy's action type with a reward and a usable propensity count
+export function usableDecisions(logs, actionType) {
+  return logs.filter(d =>
+    d.action_type === actionType &&
+    typeof d.reward === 'number' &&
+    typeof d.propensity === 'number' && d.propensity > 0
+  );
+}
+
+// options.maxWeight clips importance weights: a little bias for a lot less variance
+export function replayPolicy(policy, logs, options = {}) {
+  const maxWeight = options.maxWeight ?? 10;
+  const decisions = usableDecisions(logs, policy.action_type);
+  const n = decisions.length;
+
+  let matched = 0;
+  let clipped = 0;
+  const weights = decisions.map(d => {
+    const p = policy.distribution(d.context)[d.action] || 0;
+    if (p > 0) matched++;
+    const w = p / d.propensity;
+    if (w > maxWeight) clipped++;
+    return Math.min(w, maxWeight);
+  });
+
+  const weighted = decisions.map((d, i) => weights[i] * d.reward);
+  const sumW = weights.reduce((a, b) => a + b, 0);
+  const sumW2 = weights.reduce((a, w) => a + w * w, 0);
+
+  const ips = n ? weighted.reduce((a, b) => a + b, 0) / n : null;
+  const variance = n > 1 ? weighted.reduce((a, x) => a + (x - ips) ** 2, 0) / (n - 1) : null;
+  const stderr = variance === null ? null : Math.sqrt(variance / n);
+
+  return {
+    policy: policy.name,
+    action_type: policy.action_type,
+    thresholds: policy.thresholds,
+    decisions: n,
+    matched,
+    support: round(n ? matched / n : 0),
+    ips: round(ips),
+    // Self-normalised: steadier when weights don't average to 1
+    snips: round(sumW > 0 ? weighted.reduce((a, b) => a + b, 0) / sumW : null),
+    stderr: round(stderr),
+    ci95: stderr === null ? null : [round(ips - 1.96 * stderr), round(ips + 1.96 * stderr)],
+    effective_sample_size: round(sumW2 > 0 ? (sumW * sumW) / sumW2 : 0),
+    clipped
+  };
+}
+
+// Every policy against the same logs, plus what the logging policy actually achieved
+export function comparePolicies(logs, policies, options = {}) {
+  const actionTypes = [...new Set(policies.map(p => p.action_type))];
+
+  const logged = Object.fromEntries(actionTypes.map(type => {
+    const decisions = usableDecisions(logs, type);
+    const mean = decisions.length
+      ? decisions.reduce((a, d) => a + d.reward, 0) / decisions.length
+      : null;
+    return [type, { decisions: decisions.length, mean_reward: round(mean) }];
+  }));
+
+  const skipped = {
+    missing_reward: logs.filter(d => typeof d.reward !== 'number').length,
+    missing_propensity: logs.filter(d => typeof d.reward === 'number' && !(d.propensity > 0)).length
+  };
+
+  const results = policies
+    .map(policy => {
+      const result = replayPolicy(policy, logs, options);
+      const baseline = logged[policy.action_type].mean_reward;
+      return {
+        ...result,
+        lift_vs_logged: result.snips === null || baseline === null ? null : round(result.snips - baseline)
+      };
+    })
+    .sort((a, b) => (b.snips ?? -Infinity) - (a.snips ?? -Infinity));
+
+  return { logged, skipped, results, max_weight: options.maxWeight ?? 10 };
+}
+
+// ============================================
+// 4. REPORTING
+// ============================================
+
+const fmt = (value) => (value === null || value === undefined ? '-' : value.toFixed(3));
+
+export function formatReplayReport(report) {
+  const lines = [];
+
+  Object.entries(report.logged).forEach(([type, logged]) => {
+    lines.push(`== ${type} policies (${logged.decisions} decisions, logged mean reward ${fmt(logged.mean_reward)}) ==`);
+    const rows = report.results.filter(r => r.action_type === type);
+    const nameWidth = Math.max(6, ...rows.map(r => r.policy.length)) + 2;
+
+    lines.push(`${'policy'.padEnd(nameWidth)}${'snips'.padStart(8)}${'ips'.padStart(8)}${'95% ci'.padStart(18)}${'lift'.padStart(8)}${'support'.padStart(9)}${'ess'.padStart(8)}`);
+    rows.forEach(r => {
+      const ci = r.ci95 ? `[${fmt(r.ci95[0])}, ${fmt(r.ci95[1])}]` : '-';
+      const lift = r.lift_vs_logged === null ? '-' : `${r.lift_vs_logged >= 0 ? '+' : ''}${fmt(r.lift_vs_logged)}`;
+      lines.push(`${r.policy.padEnd(nameWidth)}${fmt(r.snips).padStart(8)}${fmt(r.ips).padStart(8)}${ci.padStart(18)}${lift.padStart(8)}${fmt(r.support).padStart(9)}${r.effective_sample_size.toFixed(1).padStart(8)}`);
+    });
+
+    // An estimate resting on a handful of decisions isn't one
+    rows.filter(r => r.decisions > 0 && r.support < 0.1).forEach(r => {
+      lines.push(`  ! ${r.policy}: only ${r.matched} logged decisions match this policy; raise STRATEGY_EXPLORATION to evaluate it`);
+    });
+    lines.push('');
+  });
+
+  if (report.skipped.missing_reward || report.skipped.missing_propensity) {
+    lines.push(`Skipped ${report.skipped.missing_reward} decisions without an outcome and ${report.skipped.missing_propensity} without a propensity`);
+  }
+  lines.push(`Importance weights clipped at ${report.max_weight}`);
+
+  return lines.join('\n');
+}
@@ -0,0 +1,92 @@
+import { describe, it, expect } from '@jest/globals';
+import { STRATEGIES, strategyPropensities, sampleStrategy, selectStrategy } from './strategy-policy.js';
+import {
+  thresholdPolicy,
+  fixedPolicy,
+  replayPolicy,
+  comparePolicies,
+  fromStrategyLog,
+  parseThresholds
+} from './policy-replay.js';
+
+// Deterministic stand-in for Math.random
+function seeded(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+// Logged with 30% exploration; pattern_interrupt works, everything else doesn't
+function simulateLogs(count, random) {
+  return Array.from({ length: count }, (_, i) => {
+    const context = { severity: 'medium', trust_level: 6, pattern_repetition_count: i % 5 };
+    const propensities = strategyPropensities(context, context, { exploration: 0.3 });
+    const { strategy, propensity } = sampleStrategy(propensities, random);
+    return {
+      id: `d${i}`,
+      action_type: 'strategy',
+      action: strategy,
+      propensity,
+      context,
+      reward: strategy === 'pattern_interrupt' ? 1 : 0
+    };
+  });
+}
+
+describe('policy replay', () => {
+  it('applies the thresholds selectStrategy uses', () => {
+    const repeated = { trust_level: 5, pattern_repetition_count: 4 };
+    expect(selectStrategy({ severity: 'high' }, repeated)).toBe('pattern_interrupt');
+    expect(selectStrategy({ severity: 'high' }, repeated, { repetition: 4 })).toBe('brutal_truth');
+    expect(selectStrategy({ severity: 'medium' }, { trust_level: 4 })).toBe('direct_challenge');
+    expect(selectStrategy({ severity: 'medium' }, { trust_level: 4 }, { trust_low: 5 })).toBe('gentle_nudge');
+
+    const propensities = strategyPropensities({ severity: 'low' }, {}, { exploration: 0.3 });
+    expect(Object.keys(propensities)).toEqual(STRATEGIES);
+    expect(propensities.gentle_nudge).toBeCloseTo(0.75);
+  });
+
+  it('estimates the value of a policy that was never run', () => {
+    const logs = simulateLogs(4000, seeded(42));
+
+    // repetition > 1 interrupts 3 of every 5 contexts; the shipped > 3 only 1 of 5.
+    // Exploration gives pattern_interrupt 0.05 elsewhere, so weights reach 20: don't clip
+    const looser = replayPolicy(thresholdPolicy('rep1', { repetition: 1 }), logs, { maxWeight: Infinity });
+    const current = replayPolicy(thresholdPolicy('current'), logs, { maxWeight: Infinity });
+
+    expect(looser.snips).toBeCloseTo(0.6, 1);
+    expect(current.snips).toBeCloseTo(0.2, 1);
+    expect(replayPolicy(fixedPolicy('always', 'strategy', 'pattern_interrupt'), logs).snips).toBeCloseTo(1, 5);
+  });
+
+  it('reports lift against the logged policy and skips unusable decisions', () => {
+    const logs = [
+      ...simulateLogs(500, seeded(7)),
+      { action_type: 'strategy', action: 'ultimatum', propensity: null, context: {}, reward: 1 },
+      { action_type: 'strategy', action: 'ultimatum', propensity: 1, context: {}, reward: null }
+    ];
+
+    const report = comparePolicies(logs, [thresholdPolicy('current'), thresholdPolicy('rep1', { repetition: 1 })]);
+
+    expect(report.skipped).toEqual({ missing_reward: 1, missing_propensity: 1 });
+    expect(report.results[0].policy).toBe('rep1');
+    expect(report.results[0].lift_vs_logged).toBeGreaterThan(0);
+  });
+
+  it('reads stored interventions without turning missing trust into low trust', () => {
+    const decision = fromStrategyLog({
+      tracking_id: 't1',
+      intervention_type: 'direct_challenge',
+      requested_strategy: 'direct_challenge',
+      strategy_propensity: 1,
+      decision_context: { severity: 'medium', trust_level: null },
+      effectiveness_score: 0.4
+    });
+
+    expect(decision.context).toEqual({ severity: 'medium' });
+    expect(thresholdPolicy('current').distribution(decision.context).direct_challenge).toBe(1);
+    expect(() => parseThresholds('trust=5')).toThrow('Unknown threshold');
+  });
+});
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// Fits a confidence calibrator per detector on verified outcomes and prints a reliability
+// report (expected calibration error, Brier score and the reliability curve, before and after).
+//
+//   npm run calibrate
+//   npm run calibrate -- --method isotonic --since 2024-01-01
+//   npm run calibrate -- --samples predictions.jsonl --json
+//   npm run calibrate -- --save
+//
+// Options:
+//   --samples <file>      JSONL instead of Supabase: behavioral_predictions rows or
+//                         { source, confidence, outcome }
+//   --since <date>        only predictions created at or after this ISO date
+//   --method <name>       platt | isotonic | auto (default auto: isotonic from 1000 outcomes)
+//   --bins <n>            reliability curve bins (default 10)
+//   --min-samples <n>     skip sources with fewer verified outcomes (default 50)
+//   --save                store the fitted models in confidence_calibrations for the detectors
+//   --json                print the full results as JSON
+
+import fs from 'fs';
+import path from 'path';
+import { createClient } from '@supabase/supabase-js';
+import {
+  fromPrediction,
+  isUsableSample,
+  loadVerifiedPredictions,
+  calibrateSources,
+  formatReliabilityReport,
+  SupabaseCalibrationStore
+} from '../NEW/CURSOR/confidence-calibration.js';
+
+function parseArgs(argv) {
+  const args = { samples: null, since: null, method: 'auto', bins: 10, minSamples: 50, save: false, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (argv[i + 1] === undefined) throw new Error(`${flag} needs a value`);
+      return argv[++i];
+    };
+
+    switch (flag) {
+      case '--samples': args.samples = path.resolve(value()); break;
+      case '--since': args.since = new Date(value()).toISOString(); break;
+      case '--method': args.method = value(); break;
+      case '--bins': args.bins = parseInt(value(), 10); break;
+      case '--min-samples': args.minSamples = parseInt(value(), 10); break;
+      case '--save': args.save = true; break;
+      case '--json': args.json = true; break;
+      default: throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+
+  if (!['platt', 'isotonic', 'auto'].includes(args.method)) {
+    throw new Error(`--method must be platt, isotonic or auto (got ${args.method})`);
+  }
+  return args;
+}
+
+function supabaseClient() {
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_KEY || process.env.SUPABASE_ANON_KEY;
+  if (!url || !key) throw new Error('SUPABASE_URL and SUPABASE_KEY (or SUPABASE_ANON_KEY) are required');
+  return createClient(url, key, { auth: { persistSession: false } });
+}
+
+function readSamples(file) {
+  return fs.readFileSync(file, 'utf8').split('\n')
+    .map((line, index) => [line.trim(), index])
+    .filter(([line]) => line)
+    .map(([line, index]) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${index + 1}: invalid JSON (${error.message})`);
+      }
+      return 'outcome' in record ? record : fromPrediction(record);
+    })
+    .filter(isUsableSample);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const samples = args.samples
+    ? readSamples(args.samples).filter(s => !args.since || !s.created_at || s.created_at >= args.since)
+    : await loadVerifiedPredictions(supabaseClient(), { since: args.since });
+
+  if (samples.length === 0) {
+    console.warn('No verified predictions to calibrate on');
+    return 0;
+  }
+
+  const results = calibrateSources(samples, { method: args.method, bins: args.bins, minSamples: args.minSamples });
+  console.log(args.json ? JSON.stringify(results, null, 2) : formatReliabilityReport(results));
+
+  if (args.save) {
+    const store = new SupabaseCalibrationStore(supabaseClient());
+    const fitted = results.filter(r => r.model);
+    for (const result of fitted) {
+      await store.saveCalibration(result.model);
+    }
+    console.log(`Saved ${fitted.length} calibrators to confidence_calibrations`);
+  }
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(2);
+  });
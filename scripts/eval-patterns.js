@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// Offline detector evaluation: precision/recall/F1 and a confusion matrix per detector,
+// failing (exit 1) when any score drops below the stored baseline.
+//
+//   npm run eval
+//   npm run eval -- --corpus my-corpus.jsonl --detector engine --min-confidence 0.5
+//   npm run eval -- --update-baseline
+//
+// Options:
+//   --corpus <file>          labelled JSONL (default eval/corpus.jsonl)
+//   --baseline <file>        stored scores (default eval/baseline.json)
+//   --detector <name>        engine | fallback | all (default all)
+//   --min-confidence <n>     ignore engine patterns below this confidence (default 0)
+//   --tolerance <n>          allowed drop per metric before failing (default 0.02)
+//   --update-baseline        write the current scores as the new baseline
+//   --errors                 list every misclassified message
+//   --json                   print the full reports as JSON
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import {
+  loadCorpus,
+  createEngineDetector,
+  createFallbackDetector,
+  evaluateDetector,
+  toBaseline,
+  compareToBaseline,
+  formatReport
+} from '../pattern-eval.js';
+import { FALLBACK_RULES, detectWithFallbackRules } from '../NEW/CURSOR/fallback-rules.js';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function parseArgs(argv) {
+  const args = {
+    corpus: path.join(root, 'eval', 'corpus.jsonl'),
+    baseline: path.join(root, 'eval', 'baseline.json'),
+    detector: 'all',
+    minConfidence: 0,
+    tolerance: 0.02,
+    updateBaseline: false,
+    errors: false,
+    json: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (argv[i + 1] === undefined) throw new Error(`${flag} needs a value`);
+      return argv[++i];
+    };
+
+    switch (flag) {
+      case '--corpus': args.corpus = path.resolve(value()); break;
+      case '--baseline': args.baseline = path.resolve(value()); break;
+      case '--detector': args.detector = value(); break;
+      case '--min-confidence': args.minConfidence = parseFloat(value()); break;
+      case '--tolerance': args.tolerance = parseFloat(value()); break;
+      case '--update-baseline': args.updateBaseline = true; break;
+      case '--errors': args.errors = true; break;
+      case '--json': args.json = true; break;
+      default: throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+
+  if (!['engine', 'fallback', 'all'].includes(args.detector)) {
+    throw new Error(`--detector must be engine, fallback or all (got ${args.detector})`);
+  }
+  if (isNaN(args.minConfidence) || isNaN(args.tolerance)) {
+    throw new Error('--min-confidence and --tolerance must be numbers');
+  }
+
+  return args;
+}
+
+async function buildDetectors(args) {
+  const detectors = [];
+
+  if (args.detector !== 'fallback') {
+    // The engine module starts a server on import unless NODE_ENV is test
+    process.env.NODE_ENV = 'test';
+    const { BehavioralPatternEngine } = await import('../behavioral-engine2.js');
+    detectors.push(createEngineDetector(new BehavioralPatternEngine(), { minConfidence: args.minConfidence }));
+  }
+
+  if (args.detector !== 'engine') {
+    // Same rules HuggingFaceFallback.fallbackDetection applies when HuggingFace is down
+    const fallback = {
+      fallbackDetection: (message, patternType) => detectWithFallbackRules(message, FALLBACK_RULES[patternType])
+    };
+    detectors.push(createFallbackDetector(fallback, Object.keys(FALLBACK_RULES)));
+  }
+
+  return detectors;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const examples = loadCorpus(args.corpus);
+  const detectors = await buildDetectors(args);
+
+  const reports = [];
+  for (const detector of detectors) {
+    reports.push(await evaluateDetector(detector, examples));
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    reports.forEach(report => {
+      console.log(formatReport(report));
+      if (args.errors && report.errors.length > 0) {
+        console.log('\nmisclassified:');
+        report.errors.forEach(e => {
+          console.log(`  ${e.id}  missed=[${e.missed.join(', ')}] extra=[${e.extra.join(', ')}]  "${e.text}"`);
+        });
+      }
+      console.log('');
+    });
+  }
+
+  if (args.updateBaseline) {
+    fs.mkdirSync(path.dirname(args.baseline), { recursive: true });
+    fs.writeFileSync(args.baseline, `${JSON.stringify(toBaseline(reports), null, 2)}\n`);
+    console.log(`Baseline written to ${path.relative(process.cwd(), args.baseline)}`);
+    return 0;
+  }
+
+  if (!fs.existsSync(args.baseline)) {
+    console.warn(`No baseline at ${args.baseline}; run with --update-baseline to create one`);
+    return 0;
+  }
+
+  const baseline = JSON.parse(fs.readFileSync(args.baseline, 'utf8'));
+  const regressions = compareToBaseline(reports, baseline, { tolerance: args.tolerance });
+
+  if (regressions.length > 0) {
+    console.error(`Quality regressed against ${path.relative(process.cwd(), args.baseline)}:`);
+    regressions.forEach(r => {
+      console.error(`  ${r.detector} ${r.pattern} ${r.metric}: ${r.baseline.toFixed(3)} -> ${r.current.toFixed(3)}`);
+    });
+    return 1;
+  }
+
+  console.log(`No regressions against baseline (tolerance ${args.tolerance})`);
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(2);
+  });
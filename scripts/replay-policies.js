@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+// Replays logged intervention decisions through alternative policies and prints an
+// off-policy (inverse propensity scoring) comparison.
+//
+//   npm run replay
+//   npm run replay -- --policy trust6:trust_high=6 --policy rep2:repetition=2
+//   npm run replay -- --source choices --since 2024-01-01
+//   npm run replay -- --logs decisions.jsonl --json
+//
+// Options:
+//   --source <name>       storage: strategy decisions from the storage adapter (default)
+//                         choices: InterventionABTester style choices from Supabase
+//   --logs <file>         JSONL of decisions instead ({ action_type, action, propensity, context, reward })
+//   --since <date>        only decisions at or after this ISO date
+//   --policy <name:spec>  strategy thresholds to compare, e.g. strict:trust_high=8,repetition=5 (repeatable)
+//   --style <style>       also score always using this delivery style (repeatable)
+//   --max-weight <n>      clip importance weights (default 10)
+//   --json                print the full report as JSON
+
+import fs from 'fs';
+import path from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { createStorageAdapter } from '../storage-adapters.js';
+import { STRATEGIES, DEFAULT_STRATEGY_THRESHOLDS } from '../strategy-policy.js';
+import {
+  fromStrategyLog,
+  parseDecisionLog,
+  loadChoiceLogs,
+  thresholdPolicy,
+  fixedPolicy,
+  uniformPolicy,
+  parseThresholds,
+  comparePolicies,
+  formatReplayReport
+} from '../policy-replay.js';
+
+// Same list as InterventionABTester.styles
+const STYLES = ['brutal_numbers', 'personal_attack', 'peer_comparison', 'future_projection', 'legacy_destroyer', 'public_shame'];
+
+function parseArgs(argv) {
+  const args = { source: 'storage', logs: null, since: null, policies: [], styles: [], maxWeight: 10, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (argv[i + 1] === undefined) throw new Error(`${flag} needs a value`);
+      return argv[++i];
+    };
+
+    switch (flag) {
+      case '--source': args.source = value(); break;
+      case '--logs': args.logs = path.resolve(value()); break;
+      case '--since': args.since = new Date(value()).toISOString(); break;
+      case '--policy': {
+        const spec = value();
+        const [name, thresholds] = spec.includes(':') ? spec.split(/:(.*)/s) : [spec, spec];
+        args.policies.push(thresholdPolicy(name, parseThresholds(thresholds)));
+        break;
+      }
+      case '--style': args.styles.push(value()); break;
+      case '--max-weight': args.maxWeight = parseFloat(value()); break;
+      case '--json': args.json = true; break;
+      default: throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+
+  if (!['storage', 'choices'].includes(args.source)) {
+    throw new Error(`--source must be storage or choices (got ${args.source})`);
+  }
+  return args;
+}
+
+async function loadLogs(args) {
+  if (args.logs) {
+    return parseDecisionLog(fs.readFileSync(args.logs, 'utf8'), args.logs);
+  }
+
+  if (args.source === 'choices') {
+    const client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY || process.env.SUPABASE_ANON_KEY, {
+      auth: { persistSession: false }
+    });
+    return loadChoiceLogs(client, { since: args.since });
+  }
+
+  const db = createStorageAdapter();
+  const interventions = await db.getCollectedInterventions({ since: args.since });
+  return interventions.map(fromStrategyLog);
+}
+
+// The shipped thresholds and one step either side of each
+function defaultStrategyPolicies() {
+  const policies = [thresholdPolicy('current', {})];
+  Object.entries(DEFAULT_STRATEGY_THRESHOLDS).forEach(([key, value]) => {
+    policies.push(thresholdPolicy(`${key}=${value - 1}`, { [key]: value - 1 }));
+    policies.push(thresholdPolicy(`${key}=${value + 1}`, { [key]: value + 1 }));
+  });
+  return policies;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const logs = await loadLogs(args);
+  const types = new Set(logs.map(d => d.action_type));
+
+  const policies = [];
+  if (types.has('strategy')) {
+    policies.push(...(args.policies.length ? [thresholdPolicy('current', {}), ...args.policies] : defaultStrategyPolicies()));
+    policies.push(uniformPolicy('uniform_strategy', 'strategy', STRATEGIES));
+  }
+  if (types.has('style')) {
+    policies.push(uniformPolicy('uniform_style', 'style', STYLES));
+    (args.styles.length ? args.styles : ['brutal_numbers']).forEach(style => {
+      policies.push(fixedPolicy(`always_${style}`, 'style', style));
+    });
+  }
+
+  if (policies.length === 0) {
+    console.warn('No decisions to replay');
+    return 0;
+  }
+
+  const report = comparePolicies(logs, policies, { maxWeight: args.maxWeight });
+  console.log(args.json ? JSON.stringify(report, null, 2) : formatReplayReport(report));
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(2);
+  });
@@ -0,0 +1,942 @@
+// CELESTE7 Storage Adapters
+// Persistence contract for BehavioralLearningSystem plus the three backends we ship:
+// Supabase for production, SQLite for single-node deployments and local runs that should
+// survive a restart, and an in-memory store for tests.
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { createClient } from '@supabase/supabase-js';
+
+// ============================================
+// 1. ADAPTER CONTRACT
+// ============================================
+
+// Every adapter must implement these (all async)
+export const STORAGE_ADAPTER_METHODS = [
+  // Interventions
+  'storeIntervention',
+  'getIntervention',
+  'updateIntervention',
+  'getInterventionHistory',
+  'getCollectedInterventions',
+  // Behavior metrics
+  'recordBehaviorMetrics',
+  'getUserBehavior',
+  // Business metrics
+  'recordBusinessMetrics',
+  'getBusinessMetrics',
+  // Pattern effectiveness
+  'getPatternEffectiveness',
+  'updatePatternEffectiveness',
+  // Pattern history
+  'storePatternHistory',
+  'getUserPatterns',
+  // Scheduled collections
+  'scheduleOutcomeCollection',
+  'getScheduledCollections',
+  'getDueOutcomeCollections',
+  'updateOutcomeCollection',
+  'claimOutcomeCollection',
+  // Experiments (experiments.js)
+  'saveExperiment',
+  'getExperiments',
+  'recordExperimentExposure',
+  'updateExperimentExposures',
+  'getExperimentExposures'
+];
+
+// Effectiveness rows not tied to one user (e.g. strategy scores) use this scope
+export const GLOBAL_SCOPE = 'global';
+
+const EMPTY_BEHAVIOR = {
+  avg_sentiment: 0,
+  action_word_count: 0,
+  future_tense_count: 0,
+  task_completion_rate: 0,
+  pattern_repetition: 0,
+  avg_response_time: 0
+};
+
+const EMPTY_BUSINESS = {
+  mrr: 0,
+  new_customers: 0,
+  average_price: 0,
+  products_launched: 0,
+  tasks_completed: 0,
+  sales_calls: 0
+};
+
+export function assertStorageAdapter(adapter) {
+  const missing = STORAGE_ADAPTER_METHODS.filter(method => typeof adapter?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage adapter is missing methods: ${missing.join(', ')}`);
+  }
+  return adapter;
+}
+
+// Pick the metrics snapshot for one side of an intervention.
+// 'before' = latest snapshot at or before the timestamp, 'after' = latest snapshot since.
+// If only one side was observed, both sides use it so the computed change is zero rather than invented.
+function pickSnapshot(before, after, period, empty) {
+  const chosen = period === 'before' ? (before || after) : (after || before);
+  return { ...empty, ...(chosen?.metrics || {}) };
+}
+
+// ============================================
+// 2. IN-MEMORY ADAPTER
+// ============================================
+
+export class InMemoryStorageAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.data = {
+      interventions: {},
+      behavior_metrics: [],
+      business_metrics: [],
+      pattern_effectiveness: {},
+      pattern_history: [],
+      scheduled_collections: [],
+      experiments: {},
+      experiment_exposures: []
+    };
+  }
+
+  // Interventions
+
+  async storeIntervention(data) {
+    this.data.interventions[data.tracking_id] = { ...data };
+  }
+
+  async getIntervention(trackingId) {
+    const intervention = this.data.interventions[trackingId];
+    return intervention ? { ...intervention } : null;
+  }
+
+  async updateIntervention(trackingId, updates) {
+    const intervention = this.data.interventions[trackingId];
+    if (!intervention) return null;
+
+    this.data.interventions[trackingId] = { ...intervention, ...updates };
+    return { ...this.data.interventions[trackingId] };
+  }
+
+  async getInterventionHistory(pattern, severity, userId) {
+    return Object.values(this.data.interventions)
+      .filter(i =>
+        i.user_id === userId &&
+        i.pattern_detected === pattern &&
+        i.pattern_severity === severity &&
+        i.outcome_collected
+      )
+      .map(i => ({ ...i, effectiveness: i.effectiveness_score }));
+  }
+
+  // Interventions with a collected outcome, oldest first (policy replay input)
+  async getCollectedInterventions({ since, until, limit = 10000 } = {}) {
+    return Object.values(this.data.interventions)
+      .filter(i =>
+        i.outcome_collected &&
+        (!since || i.timestamp >= since) &&
+        (!until || i.timestamp < until)
+      )
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .slice(0, limit)
+      .map(i => ({ ...i }));
+  }
+
+  // Behavior metrics
+
+  async recordBehaviorMetrics(userId, metrics, timestamp = new Date().toISOString()) {
+    this.data.behavior_metrics.push({ user_id: userId, recorded_at: timestamp, metrics });
+  }
+
+  async getUserBehavior(userId, timestamp, period) {
+    const { before, after } = this.findSnapshots(this.data.behavior_metrics, userId, timestamp);
+    return pickSnapshot(before, after, period, EMPTY_BEHAVIOR);
+  }
+
+  // Business metrics
+
+  async recordBusinessMetrics(userId, metrics, timestamp = new Date().toISOString()) {
+    this.data.business_metrics.push({ user_id: userId, recorded_at: timestamp, metrics });
+  }
+
+  async getBusinessMetrics(userId, timestamp, period) {
+    const { before, after } = this.findSnapshots(this.data.business_metrics, userId, timestamp);
+    return pickSnapshot(before, after, period, EMPTY_BUSINESS);
+  }
+
+  // One pass: the latest row on each side of the pivot
+  findSnapshots(rows, userId, timestamp) {
+    const pivot = new Date(timestamp).getTime();
+    let before;
+    let after;
+    for (const row of rows) {
+      if (row.user_id !== userId) continue;
+      const at = new Date(row.recorded_at).getTime();
+      const latest = at <= pivot ? before : after;
+      if (latest && new Date(latest.recorded_at).getTime() >= at) continue;
+      if (at <= pivot) before = row;
+      else after = row;
+    }
+    return { before, after };
+  }
+
+  // Pattern effectiveness
+
+  async getPatternEffectiveness(pattern, userId) {
+    const row = this.data.pattern_effectiveness[`${pattern}:${userId || GLOBAL_SCOPE}`];
+    return row ? { ...row } : null;
+  }
+
+  async updatePatternEffectiveness(pattern, userId, data) {
+    const key = `${pattern}:${userId || GLOBAL_SCOPE}`;
+    this.data.pattern_effectiveness[key] = {
+      pattern_type: pattern,
+      user_id: userId || GLOBAL_SCOPE,
+      ...data
+    };
+  }
+
+  // Pattern history
+
+  async storePatternHistory(data) {
+    this.data.pattern_history.push({ ...data });
+  }
+
+  async getUserPatterns(userId) {
+    return this.data.pattern_history
+      .filter(p => p.user_id === userId)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  // Scheduled collections
+
+  async scheduleOutcomeCollection(data) {
+    this.data.scheduled_collections.push({ ...data });
+  }
+
+  async getScheduledCollections(userId, status) {
+    return this.data.scheduled_collections
+      .filter(c => (!userId || c.user_id === userId) && (!status || c.status === status))
+      .sort((a, b) => new Date(a.scheduled_time) - new Date(b.scheduled_time))
+      .map(c => ({ ...c }));
+  }
+
+  async getDueOutcomeCollections(now, limit = 50) {
+    const cutoff = new Date(now).getTime();
+    return this.data.scheduled_collections
+      .filter(c => c.status === 'pending' && new Date(c.scheduled_time).getTime() <= cutoff)
+      .sort((a, b) => new Date(a.scheduled_time) - new Date(b.scheduled_time))
+      .slice(0, limit)
+      .map(c => ({ ...c }));
+  }
+
+  async updateOutcomeCollection(trackingId, updates) {
+    const job = this.data.scheduled_collections.find(c => c.tracking_id === trackingId);
+    if (!job) return null;
+
+    Object.assign(job, updates);
+    return { ...job };
+  }
+
+  async claimOutcomeCollection(trackingId, { status, expiredBefore }, updates) {
+    const job = this.data.scheduled_collections.find(c => c.tracking_id === trackingId);
+    if (!job || job.status !== status) return null;
+    if (expiredBefore && job.lease_expires_at && job.lease_expires_at >= expiredBefore) return null;
+
+    Object.assign(job, updates);
+    return { ...job };
+  }
+
+  // Experiments
+
+  async saveExperiment(experiment) {
+    this.data.experiments[experiment.id] = { ...experiment };
+  }
+
+  async getExperiments() {
+    return Object.values(this.data.experiments).map(e => ({ ...e }));
+  }
+
+  async recordExperimentExposure(exposure) {
+    this.data.experiment_exposures.push({ ...exposure });
+  }
+
+  // Every exposure behind one intervention (a user can be in one experiment per factor)
+  async updateExperimentExposures(trackingId, updates) {
+    const exposures = this.data.experiment_exposures.filter(e => e.tracking_id === trackingId);
+    exposures.forEach(e => Object.assign(e, updates));
+    return exposures.map(e => ({ ...e }));
+  }
+
+  async getExperimentExposures(experimentId) {
+    return this.data.experiment_exposures
+      .filter(e => e.experiment_id === experimentId)
+      .map(e => ({ ...e }));
+  }
+}
+
+// ============================================
+// 3. SQLITE ADAPTER
+// ============================================
+
+// better-sqlite3 is a native optional dependency, so it is only loaded when this adapter is picked
+const require = createRequire(import.meta.url);
+
+// Each row is kept whole as JSON in `data`; the columns beside it copy the fields the adapter
+// filters and sorts on, so every lookup is an indexed query instead of a scan.
+const SQLITE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS interventions (
+    tracking_id TEXT PRIMARY KEY,
+    user_id TEXT,
+    pattern_detected TEXT,
+    pattern_severity TEXT,
+    outcome_collected INTEGER NOT NULL DEFAULT 0,
+    timestamp TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS interventions_history
+    ON interventions (user_id, pattern_detected, pattern_severity);
+  CREATE INDEX IF NOT EXISTS interventions_collected ON interventions (outcome_collected, timestamp);
+
+  CREATE TABLE IF NOT EXISTS behavior_metrics (
+    id INTEGER PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    recorded_at TEXT NOT NULL,
+    metrics TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS behavior_metrics_user ON behavior_metrics (user_id, recorded_at);
+
+  CREATE TABLE IF NOT EXISTS business_metrics (
+    id INTEGER PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    recorded_at TEXT NOT NULL,
+    metrics TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS business_metrics_user ON business_metrics (user_id, recorded_at);
+
+  CREATE TABLE IF NOT EXISTS pattern_effectiveness (
+    pattern_type TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (pattern_type, user_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS pattern_history (
+    id INTEGER PRIMARY KEY,
+    user_id TEXT,
+    timestamp TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS pattern_history_user ON pattern_history (user_id, timestamp);
+
+  CREATE TABLE IF NOT EXISTS scheduled_collections (
+    tracking_id TEXT PRIMARY KEY,
+    user_id TEXT,
+    status TEXT,
+    scheduled_time TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS scheduled_collections_due ON scheduled_collections (status, scheduled_time);
+  CREATE INDEX IF NOT EXISTS scheduled_collections_user ON scheduled_collections (user_id, scheduled_time);
+
+  CREATE TABLE IF NOT EXISTS experiments (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS experiment_exposures (
+    id INTEGER PRIMARY KEY,
+    experiment_id TEXT,
+    tracking_id TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS experiment_exposures_experiment ON experiment_exposures (experiment_id);
+  CREATE INDEX IF NOT EXISTS experiment_exposures_tracking ON experiment_exposures (tracking_id);
+`;
+
+// Sort columns hold ISO strings so they compare in time order whatever format the caller passed
+const isoOrNull = (value) => (value ? new Date(value).toISOString() : null);
+
+const parseData = (row) => (row ? JSON.parse(row.data) : null);
+
+function loadSqlite() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error(`SQLite storage needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+  }
+}
+
+export class SqliteStorageAdapter {
+  // filePath: database file, created if missing; ':memory:' for a throwaway database
+  constructor({ filePath = ':memory:', Database = loadSqlite() } = {}) {
+    this.name = 'sqlite';
+    this.filePath = filePath;
+    if (filePath !== ':memory:') fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    this.db = new Database(filePath);
+    // WAL keeps reads off the writer's lock; NORMAL syncs at checkpoints rather than every commit
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.exec(SQLITE_SCHEMA);
+    this.statements = new Map();
+  }
+
+  // Prepared once per SQL string and reused
+  statement(sql) {
+    let prepared = this.statements.get(sql);
+    if (!prepared) {
+      prepared = this.db.prepare(sql);
+      this.statements.set(sql, prepared);
+    }
+    return prepared;
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  // Interventions
+
+  async storeIntervention(data) {
+    this.saveIntervention(data);
+  }
+
+  saveIntervention(row) {
+    this.statement(`
+      INSERT OR REPLACE INTO interventions
+        (tracking_id, user_id, pattern_detected, pattern_severity, outcome_collected, timestamp, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      row.tracking_id,
+      row.user_id ?? null,
+      row.pattern_detected ?? null,
+      row.pattern_severity ?? null,
+      row.outcome_collected ? 1 : 0,
+      row.timestamp ?? null,
+      JSON.stringify(row)
+    );
+  }
+
+  async getIntervention(trackingId) {
+    return parseData(this.statement('SELECT data FROM interventions WHERE tracking_id = ?').get(trackingId));
+  }
+
+  async updateIntervention(trackingId, updates) {
+    return this.db.transaction(() => {
+      const intervention = parseData(this.statement('SELECT data FROM interventions WHERE tracking_id = ?').get(trackingId));
+      if (!intervention) return null;
+
+      const updated = { ...intervention, ...updates };
+      this.saveIntervention(updated);
+      return updated;
+    })();
+  }
+
+  async getInterventionHistory(pattern, severity, userId) {
+    return this.statement(`
+      SELECT data FROM interventions
+      WHERE user_id = ? AND pattern_detected = ? AND pattern_severity = ? AND outcome_collected = 1
+    `).all(userId, pattern, severity)
+      .map(parseData)
+      .map(i => ({ ...i, effectiveness: i.effectiveness_score }));
+  }
+
+  // Interventions with a collected outcome, oldest first (policy replay input)
+  async getCollectedInterventions({ since, until, limit = 10000 } = {}) {
+    return this.statement(`
+      SELECT data FROM interventions
+      WHERE outcome_collected = 1
+        AND (@since IS NULL OR timestamp >= @since)
+        AND (@until IS NULL OR timestamp < @until)
+      ORDER BY timestamp
+      LIMIT @limit
+    `).all({ since: since || null, until: until || null, limit })
+      .map(parseData);
+  }
+
+  // Behavior metrics
+
+  async recordBehaviorMetrics(userId, metrics, timestamp = new Date().toISOString()) {
+    this.insertSnapshot('behavior_metrics', userId, metrics, timestamp);
+  }
+
+  async getUserBehavior(userId, timestamp, period) {
+    const { before, after } = this.findSnapshots('behavior_metrics', userId, timestamp);
+    return pickSnapshot(before, after, period, EMPTY_BEHAVIOR);
+  }
+
+  // Business metrics
+
+  async recordBusinessMetrics(userId, metrics, timestamp = new Date().toISOString()) {
+    this.insertSnapshot('business_metrics', userId, metrics, timestamp);
+  }
+
+  async getBusinessMetrics(userId, timestamp, period) {
+    const { before, after } = this.findSnapshots('business_metrics', userId, timestamp);
+    return pickSnapshot(before, after, period, EMPTY_BUSINESS);
+  }
+
+  insertSnapshot(table, userId, metrics, timestamp) {
+    this.statement(`INSERT INTO ${table} (user_id, recorded_at, metrics) VALUES (?, ?, ?)`)
+      .run(userId, isoOrNull(timestamp), JSON.stringify(metrics));
+  }
+
+  // Two index seeks: the latest row at or before the pivot and the latest row after it
+  findSnapshots(table, userId, timestamp) {
+    const pivot = isoOrNull(timestamp);
+    const latest = (comparison) => {
+      const row = this.statement(`
+        SELECT recorded_at, metrics FROM ${table}
+        WHERE user_id = ? AND recorded_at ${comparison} ?
+        ORDER BY recorded_at DESC
+        LIMIT 1
+      `).get(userId, pivot);
+      return row && { recorded_at: row.recorded_at, metrics: JSON.parse(row.metrics) };
+    };
+    return { before: latest('<='), after: latest('>') };
+  }
+
+  // Pattern effectiveness
+
+  async getPatternEffectiveness(pattern, userId) {
+    return parseData(this.statement('SELECT data FROM pattern_effectiveness WHERE pattern_type = ? AND user_id = ?')
+      .get(pattern, userId || GLOBAL_SCOPE));
+  }
+
+  async updatePatternEffectiveness(pattern, userId, data) {
+    const row = { pattern_type: pattern, user_id: userId || GLOBAL_SCOPE, ...data };
+    this.statement('INSERT OR REPLACE INTO pattern_effectiveness (pattern_type, user_id, data) VALUES (?, ?, ?)')
+      .run(pattern, userId || GLOBAL_SCOPE, JSON.stringify(row));
+  }
+
+  // Pattern history
+
+  async storePatternHistory(data) {
+    this.statement('INSERT INTO pattern_history (user_id, timestamp, data) VALUES (?, ?, ?)')
+      .run(data.user_id ?? null, isoOrNull(data.timestamp), JSON.stringify(data));
+  }
+
+  async getUserPatterns(userId) {
+    return this.statement('SELECT data FROM pattern_history WHERE user_id = ? ORDER BY timestamp DESC')
+      .all(userId)
+      .map(parseData);
+  }
+
+  // Scheduled collections
+
+  async scheduleOutcomeCollection(data) {
+    this.saveCollection(data);
+  }
+
+  saveCollection(job) {
+    this.statement(`
+      INSERT OR REPLACE INTO scheduled_collections (tracking_id, user_id, status, scheduled_time, data)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(job.tracking_id, job.user_id ?? null, job.status ?? null, isoOrNull(job.scheduled_time), JSON.stringify(job));
+  }
+
+  getCollection(trackingId) {
+    return parseData(this.statement('SELECT data FROM scheduled_collections WHERE tracking_id = ?').get(trackingId));
+  }
+
+  async getScheduledCollections(userId, status) {
+    return this.statement(`
+      SELECT data FROM scheduled_collections
+      WHERE (@user_id IS NULL OR user_id = @user_id) AND (@status IS NULL OR status = @status)
+      ORDER BY scheduled_time
+    `).all({ user_id: userId || null, status: status || null })
+      .map(parseData);
+  }
+
+  async getDueOutcomeCollections(now, limit = 50) {
+    return this.statement(`
+      SELECT data FROM scheduled_collections
+      WHERE status = 'pending' AND scheduled_time <= ?
+      ORDER BY scheduled_time
+      LIMIT ?
+    `).all(isoOrNull(now), limit)
+      .map(parseData);
+  }
+
+  async updateOutcomeCollection(trackingId, updates) {
+    return this.db.transaction(() => {
+      const job = this.getCollection(trackingId);
+      if (!job) return null;
+
+      const updated = { ...job, ...updates };
+      this.saveCollection(updated);
+      return updated;
+    })();
+  }
+
+  // IMMEDIATE takes the write lock before the read, so two workers sharing the file can't both claim
+  async claimOutcomeCollection(trackingId, { status, expiredBefore }, updates) {
+    return this.db.transaction(() => {
+      const job = this.getCollection(trackingId);
+      if (!job || job.status !== status) return null;
+      if (expiredBefore && job.lease_expires_at && job.lease_expires_at >= expiredBefore) return null;
+
+      const updated = { ...job, ...updates };
+      this.saveCollection(updated);
+      return updated;
+    }).immediate();
+  }
+
+  // Experiments
+
+  async saveExperiment(experiment) {
+    this.statement('INSERT OR REPLACE INTO experiments (id, data) VALUES (?, ?)')
+      .run(experiment.id, JSON.stringify(experiment));
+  }
+
+  async getExperiments() {
+    return this.statement('SELECT data FROM experiments').all().map(parseData);
+  }
+
+  async recordExperimentExposure(exposure) {
+    this.statement('INSERT INTO experiment_exposures (experiment_id, tracking_id, data) VALUES (?, ?, ?)')
+      .run(exposure.experiment_id ?? null, exposure.tracking_id ?? null, JSON.stringify(exposure));
+  }
+
+  // Every exposure behind one intervention (a user can be in one experiment per factor)
+  async updateExperimentExposures(trackingId, updates) {
+    return this.db.transaction(() => {
+      const update = this.statement('UPDATE experiment_exposures SET data = ? WHERE id = ?');
+      return this.statement('SELECT id, data FROM experiment_exposures WHERE tracking_id = ?')
+        .all(trackingId)
+        .map(row => {
+          const exposure = { ...parseData(row), ...updates };
+          update.run(JSON.stringify(exposure), row.id);
+          return exposure;
+        });
+    })();
+  }
+
+  async getExperimentExposures(experimentId) {
+    return this.statement('SELECT data FROM experiment_exposures WHERE experiment_id = ?')
+      .all(experimentId)
+      .map(parseData);
+  }
+}
+
+// ============================================
+// 4. SUPABASE ADAPTER
+// ============================================
+
+// Table names can be overridden per deployment. Expected columns:
+//   interventions          - tracking_id (unique), user_id, pattern_detected, pattern_severity, ... (trackIntervention payload)
+//   behavior_metrics       - user_id, recorded_at, metrics (jsonb)
+//   business_metrics       - user_id, recorded_at, metrics (jsonb)
+//   pattern_effectiveness  - pattern_type + user_id (unique), effectiveness, sample_size, last_updated
+//   pattern_history        - user_id, pattern_type, confidence, severity, timestamp
+//   scheduled_collections  - tracking_id (unique), user_id, scheduled_time, status, attempts, last_error, updated_at
+//   experiments            - id (unique), factor, status, allocation, segment (jsonb), control, variants (jsonb), created_at, updated_at
+//   experiment_exposures   - experiment_id, variant, user_id, tracking_id, exposed_at, effectiveness_score, outcome_collected_at
+export const DEFAULT_SUPABASE_TABLES = {
+  interventions: 'behavioral_interventions',
+  behavior_metrics: 'user_behavior_metrics',
+  business_metrics: 'user_business_metrics',
+  pattern_effectiveness: 'pattern_effectiveness',
+  pattern_history: 'pattern_history',
+  scheduled_collections: 'outcome_collections',
+  experiments: 'experiments',
+  experiment_exposures: 'experiment_exposures'
+};
+
+export class SupabaseStorageAdapter {
+  constructor(client, options = {}) {
+    if (!client) {
+      throw new Error('SupabaseStorageAdapter requires a Supabase client');
+    }
+    this.name = 'supabase';
+    this.supabase = client;
+    this.tables = { ...DEFAULT_SUPABASE_TABLES, ...(options.tables || {}) };
+  }
+
+  async run(query) {
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+
+  // Interventions
+
+  async storeIntervention(data) {
+    await this.run(this.supabase.from(this.tables.interventions).insert(data));
+  }
+
+  async getIntervention(trackingId) {
+    return this.run(
+      this.supabase
+        .from(this.tables.interventions)
+        .select('*')
+        .eq('tracking_id', trackingId)
+        .maybeSingle()
+    );
+  }
+
+  async updateIntervention(trackingId, updates) {
+    const rows = await this.run(
+      this.supabase
+        .from(this.tables.interventions)
+        .update(updates)
+        .eq('tracking_id', trackingId)
+        .select()
+    );
+    return rows?.[0] || null;
+  }
+
+  async getInterventionHistory(pattern, severity, userId) {
+    const rows = await this.run(
+      this.supabase
+        .from(this.tables.interventions)
+        .select('*')
+        .eq('user_id', userId)
+        .eq('pattern_detected', pattern)
+        .eq('pattern_severity', severity)
+        .eq('outcome_collected', true)
+    );
+    return (rows || []).map(i => ({ ...i, effectiveness: i.effectiveness_score }));
+  }
+
+  async getCollectedInterventions({ since, until, limit = 10000 } = {}) {
+    let query = this.supabase
+      .from(this.tables.interventions)
+      .select('*')
+      .eq('outcome_collected', true);
+
+    if (since) query = query.gte('timestamp', since);
+    if (until) query = query.lt('timestamp', until);
+
+    const rows = await this.run(query.order('timestamp', { ascending: true }).limit(limit));
+    return rows || [];
+  }
+
+  // Behavior metrics
+
+  async recordBehaviorMetrics(userId, metrics, timestamp = new Date().toISOString()) {
+    await this.run(
+      this.supabase
+        .from(this.tables.behavior_metrics)
+        .insert({ user_id: userId, recorded_at: timestamp, metrics })
+    );
+  }
+
+  async getUserBehavior(userId, timestamp, period) {
+    const { before, after } = await this.findSnapshots(this.tables.behavior_metrics, userId, timestamp);
+    return pickSnapshot(before, after, period, EMPTY_BEHAVIOR);
+  }
+
+  // Business metrics
+
+  async recordBusinessMetrics(userId, metrics, timestamp = new Date().toISOString()) {
+    await this.run(
+      this.supabase
+        .from(this.tables.business_metrics)
+        .insert({ user_id: userId, recorded_at: timestamp, metrics })
+    );
+  }
+
+  async getBusinessMetrics(userId, timestamp, period) {
+    const { before, after } = await this.findSnapshots(this.tables.business_metrics, userId, timestamp);
+    return pickSnapshot(before, after, period, EMPTY_BUSINESS);
+  }
+
+  async findSnapshots(table, userId, timestamp) {
+    const [before, after] = await Promise.all([
+      this.run(
+        this.supabase
+          .from(table)
+          .select('recorded_at, metrics')
+          .eq('user_id', userId)
+          .lte('recorded_at', timestamp)
+          .order('recorded_at', { ascending: false })
+          .limit(1)
+      ),
+      this.run(
+        this.supabase
+          .from(table)
+          .select('recorded_at, metrics')
+          .eq('user_id', userId)
+          .gt('recorded_at', timestamp)
+          .order('recorded_at', { ascending: false })
+          .limit(1)
+      )
+    ]);
+
+    return { before: before?.[0], after: after?.[0] };
+  }
+
+  // Pattern effectiveness
+
+  async getPatternEffectiveness(pattern, userId) {
+    return this.run(
+      this.supabase
+        .from(this.tables.pattern_effectiveness)
+        .select('*')
+        .eq('pattern_type', pattern)
+        .eq('user_id', userId || GLOBAL_SCOPE)
+        .maybeSingle()
+    );
+  }
+
+  async updatePatternEffectiveness(pattern, userId, data) {
+    await this.run(
+      this.supabase
+        .from(this.tables.pattern_effectiveness)
+        .upsert(
+          { pattern_type: pattern, user_id: userId || GLOBAL_SCOPE, ...data },
+          { onConflict: 'pattern_type,user_id' }
+        )
+    );
+  }
+
+  // Pattern history
+
+  async storePatternHistory(data) {
+    await this.run(this.supabase.from(this.tables.pattern_history).insert(data));
+  }
+
+  async getUserPatterns(userId) {
+    const rows = await this.run(
+      this.supabase
+        .from(this.tables.pattern_history)
+        .select('*')
+        .eq('user_id', userId)
+        .order('timestamp', { ascending: false })
+    );
+    return rows || [];
+  }
+
+  // Scheduled collections
+
+  async scheduleOutcomeCollection(data) {
+    await this.run(this.supabase.from(this.tables.scheduled_collections).insert(data));
+  }
+
+  async getScheduledCollections(userId, status) {
+    let query = this.supabase
+      .from(this.tables.scheduled_collections)
+      .select('*')
+      .order('scheduled_time', { ascending: true });
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+    return (await this.run(query)) || [];
+  }
+
+  async getDueOutcomeCollections(now, limit = 50) {
+    const rows = await this.run(
+      this.supabase
+        .from(this.tables.scheduled_collections)
+        .select('*')
+        .eq('status', 'pending')
+        .lte('scheduled_time', new Date(now).toISOString())
+        .order('scheduled_time', { ascending: true })
+        .limit(limit)
+    );
+    return rows || [];
+  }
+
+  async updateOutcomeCollection(trackingId, updates) {
+    const rows = await this.run(
+      this.supabase
+        .from(this.tables.scheduled_collections)
+        .update(updates)
+        .eq('tracking_id', trackingId)
+        .select()
+    );
+    return rows?.[0] || null;
+  }
+
+  // A single conditional UPDATE, so only one worker can win the claim
+  async claimOutcomeCollection(trackingId, { status, expiredBefore }, updates) {
+    let query = this.supabase
+      .from(this.tables.scheduled_collections)
+      .update(updates)
+      .eq('tracking_id', trackingId)
+      .eq('status', status);
+
+    if (expiredBefore) {
+      query = query.or(`lease_expires_at.is.null,lease_expires_at.lt.${expiredBefore}`);
+    }
+    const rows = await this.run(query.select());
+    return rows?.[0] || null;
+  }
+
+  // Experiments
+
+  async saveExperiment(experiment) {
+    await this.run(this.supabase.from(this.tables.experiments).upsert(experiment, { onConflict: 'id' }));
+  }
+
+  async getExperiments() {
+    return (await this.run(this.supabase.from(this.tables.experiments).select('*'))) || [];
+  }
+
+  async recordExperimentExposure(exposure) {
+    await this.run(this.supabase.from(this.tables.experiment_exposures).insert(exposure));
+  }
+
+  async updateExperimentExposures(trackingId, updates) {
+    const rows = await this.run(
+      this.supabase
+        .from(this.tables.experiment_exposures)
+        .update(updates)
+        .eq('tracking_id', trackingId)
+        .select()
+    );
+    return rows || [];
+  }
+
+  async getExperimentExposures(experimentId) {
+    const rows = await this.run(
+      this.supabase
+        .from(this.tables.experiment_exposures)
+        .select('*')
+        .eq('experiment_id', experimentId)
+        .order('exposed_at', { ascending: true })
+    );
+    return rows || [];
+  }
+}
+
+// ============================================
+// 5. FACTORY
+// ============================================
+
+// STORAGE_ADAPTER=supabase|sqlite|memory picks explicitly; otherwise Supabase when credentials exist,
+// then SQLite when STORAGE_FILE names a database file, then in-memory.
+export function createStorageAdapter(options = {}) {
+  const env = options.env || process.env;
+  const supabaseUrl = env.SUPABASE_URL;
+  const supabaseKey = env.SUPABASE_KEY || env.SUPABASE_ANON_KEY;
+  const filePath = options.filePath || env.STORAGE_FILE;
+  const kind = options.adapter || env.STORAGE_ADAPTER ||
+    (supabaseUrl && supabaseKey ? 'supabase' : filePath ? 'sqlite' : 'memory');
+
+  if (kind === 'supabase') {
+    const client = options.client || createClient(supabaseUrl, supabaseKey, {
+      auth: { persistSession: false }
+    });
+    return new SupabaseStorageAdapter(client, { tables: options.tables });
+  }
+
+  if (kind === 'sqlite') {
+    return new SqliteStorageAdapter({ filePath });
+  }
+
+  if (kind === 'memory') {
+    return new InMemoryStorageAdapter();
+  }
+
+  throw new Error(`Unknown storage adapter: ${kind}`);
+}
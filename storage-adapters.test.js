@@ -0,0 +1,154 @@
+import { describe, it, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  InMemoryStorageAdapter,
+  SqliteStorageAdapter,
+  SupabaseStorageAdapter,
+  assertStorageAdapter,
+  createStorageAdapter
+} from './storage-adapters.js';
+import { BehavioralLearningSystem } from './behavioral-engine2.js';
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 3600000).toISOString();
+
+const intervention = {
+  intervention: 'Raise prices 50% today or accept you\'ll always be cheap.',
+  strategy: 'ultimatum',
+  follow_up_required: true,
+  follow_up_timing: '24h'
+};
+
+const patternAnalysis = {
+  primary_pattern: 'pricing_anxiety',
+  severity: 'high',
+  confidence: 0.82
+};
+
+describe('Storage adapters', () => {
+  it('both backends satisfy the adapter contract', () => {
+    expect(() => assertStorageAdapter(new InMemoryStorageAdapter())).not.toThrow();
+    expect(() => assertStorageAdapter(new SupabaseStorageAdapter({}))).not.toThrow();
+    expect(() => assertStorageAdapter({ storeIntervention: async () => {} })).toThrow(/missing methods/);
+  });
+
+  it('picks the in-memory adapter when Supabase is not configured', () => {
+    expect(createStorageAdapter({ env: {} }).name).toBe('memory');
+    expect(() => createStorageAdapter({ env: { STORAGE_ADAPTER: 'mongo' } })).toThrow(/Unknown storage adapter/);
+  });
+
+  it('reports zero change when only one side of an intervention was observed', async () => {
+    const db = new InMemoryStorageAdapter();
+    await db.recordBusinessMetrics('user_1', { mrr: 2000 }, hoursFromNow(-2));
+
+    const before = await db.getBusinessMetrics('user_1', new Date().toISOString(), 'before');
+    const after = await db.getBusinessMetrics('user_1', new Date().toISOString(), 'after');
+
+    expect(before.mrr).toBe(2000);
+    expect(after.mrr).toBe(2000);
+  });
+
+});
+
+describe('SQLite adapter', () => {
+  const tempDatabase = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'celeste7-')), 'celeste7.db');
+
+  it('satisfies the adapter contract and is picked by STORAGE_FILE', () => {
+    const filePath = tempDatabase();
+    const db = createStorageAdapter({ env: { STORAGE_FILE: filePath } });
+
+    expect(db).toBeInstanceOf(SqliteStorageAdapter);
+    expect(() => assertStorageAdapter(db)).not.toThrow();
+    expect(fs.existsSync(filePath)).toBe(true);
+    db.close();
+  });
+
+  it('keeps everything across a restart', async () => {
+    const filePath = tempDatabase();
+    const db = new SqliteStorageAdapter({ filePath });
+    await db.storeIntervention({ tracking_id: 'track_1', user_id: 'user_1', timestamp: hoursFromNow(-1) });
+    await db.updatePatternEffectiveness('pricing_anxiety', null, { effectiveness: 0.6, sample_size: 3 });
+    await db.scheduleOutcomeCollection({ tracking_id: 'track_1', user_id: 'user_1', status: 'pending', scheduled_time: hoursFromNow(-1) });
+    db.close();
+
+    const reopened = new SqliteStorageAdapter({ filePath });
+    expect(await reopened.getIntervention('track_1')).toMatchObject({ user_id: 'user_1' });
+    expect(await reopened.getPatternEffectiveness('pricing_anxiety', null))
+      .toEqual({ pattern_type: 'pricing_anxiety', user_id: 'global', effectiveness: 0.6, sample_size: 3 });
+    expect((await reopened.getDueOutcomeCollections(new Date())).map(job => job.tracking_id)).toEqual(['track_1']);
+    reopened.close();
+  });
+
+  it('picks the snapshot on each side of an intervention', async () => {
+    const db = new SqliteStorageAdapter();
+    await db.recordBusinessMetrics('user_1', { mrr: 1000 }, hoursFromNow(-48));
+    await db.recordBusinessMetrics('user_1', { mrr: 1200 }, hoursFromNow(-24));
+    await db.recordBusinessMetrics('user_1', { mrr: 1800 }, hoursFromNow(2));
+    await db.recordBusinessMetrics('user_2', { mrr: 9000 }, hoursFromNow(-1));
+
+    const now = new Date().toISOString();
+    expect((await db.getBusinessMetrics('user_1', now, 'before')).mrr).toBe(1200);
+    expect((await db.getBusinessMetrics('user_1', now, 'after')).mrr).toBe(1800);
+    expect((await db.getBusinessMetrics('user_3', now, 'after')).mrr).toBe(0);
+    db.close();
+  });
+
+  it('claims a collection job for one worker only', async () => {
+    const db = new SqliteStorageAdapter();
+    await db.scheduleOutcomeCollection({ tracking_id: 'track_1', user_id: 'user_1', status: 'pending', scheduled_time: hoursFromNow(-1) });
+
+    const claim = () => db.claimOutcomeCollection('track_1', { status: 'pending' }, { status: 'running' });
+    const [first, second] = await Promise.all([claim(), claim()]);
+
+    expect(first).toMatchObject({ tracking_id: 'track_1', status: 'running' });
+    expect(second).toBeNull();
+    expect(await db.getDueOutcomeCollections(new Date())).toEqual([]);
+    db.close();
+  });
+});
+
+describe.each([
+  ['in-memory', () => new InMemoryStorageAdapter()],
+  ['SQLite', () => new SqliteStorageAdapter()]
+])('Learning loop on the %s adapter', (name, createAdapter) => {
+  it('tracks, collects the outcome and updates pattern effectiveness', async () => {
+    const db = createAdapter();
+    const learning = new BehavioralLearningSystem(db);
+
+    await db.recordBusinessMetrics('user_1', { mrr: 1000, average_price: 97 }, hoursFromNow(-24));
+    await db.recordBehaviorMetrics('user_1', { pattern_repetition: 4 }, hoursFromNow(-24));
+
+    const trackingId = await learning.trackIntervention('user_1', intervention, patternAnalysis, {
+      intent: 'pricing_anxiety',
+      intent_confidence: 0.82
+    });
+
+    const scheduled = await db.getScheduledCollections('user_1');
+    expect(scheduled).toHaveLength(1);
+    expect(scheduled[0].tracking_id).toBe(trackingId);
+
+    await db.recordBusinessMetrics('user_1', { mrr: 1500, average_price: 147, tasks_completed: 2 }, hoursFromNow(1));
+    await db.recordBehaviorMetrics('user_1', { pattern_repetition: 1 }, hoursFromNow(1));
+
+    const effectiveness = await learning.collectOutcome(trackingId, 'user_1');
+    expect(effectiveness.factors).toEqual(expect.arrayContaining([
+      'revenue_increased',
+      'pattern_broken',
+      'pricing_confidence_improved'
+    ]));
+
+    const stored = await db.getIntervention(trackingId);
+    expect(stored.outcome_collected).toBe(true);
+    expect(stored.intervention_type).toBe('ultimatum');
+
+    const patternScore = await db.getPatternEffectiveness('pricing_anxiety', 'user_1');
+    expect(patternScore.sample_size).toBe(1);
+    expect(patternScore.effectiveness).toBe(effectiveness.score);
+
+    const strategyScore = await db.getPatternEffectiveness('pricing_anxiety:ultimatum', null);
+    expect(strategyScore.effectiveness).toBe(effectiveness.score);
+
+    expect(await db.getUserPatterns('user_1')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,92 @@
+// CELESTE7 Strategy Policy
+// How InterventionGenerator picks an intervention strategy, as a pure function of the analysis and
+// user context so the replay simulator (policy-replay.js) can evaluate alternative thresholds.
+// With exploration > 0 a small share of decisions is spread uniformly over all strategies; every
+// decision's propensity is logged so those decisions can be reweighted offline.
+
+export const STRATEGIES = [
+  'gentle_nudge',
+  'direct_challenge',
+  'brutal_truth',
+  'pattern_interrupt',
+  'ultimatum',
+  'intervention'
+];
+
+export const DEFAULT_STRATEGY_THRESHOLDS = {
+  trust_high: 7,   // above this + high severity -> brutal_truth
+  trust_low: 4,    // below this -> gentle_nudge
+  repetition: 3    // pattern repeated more than this -> pattern_interrupt
+};
+
+const SEVERITY_STRATEGIES = {
+  low: 'gentle_nudge',
+  medium: 'direct_challenge',
+  high: 'brutal_truth',
+  critical: 'intervention'
+};
+
+export function selectStrategy(analysis, context, thresholds = DEFAULT_STRATEGY_THRESHOLDS) {
+  const t = { ...DEFAULT_STRATEGY_THRESHOLDS, ...thresholds };
+
+  // High trust + high severity = brutal truth
+  if (context.trust_level > t.trust_high && analysis.severity === 'high') {
+    return 'brutal_truth';
+  }
+
+  // Low trust = gentle nudge
+  if (context.trust_level < t.trust_low) {
+    return 'gentle_nudge';
+  }
+
+  // Repeated patterns = pattern interrupt
+  if (context.pattern_repetition_count > t.repetition) {
+    return 'pattern_interrupt';
+  }
+
+  // Crisis = ultimatum
+  if (analysis.urgency === 'critical') {
+    return 'ultimatum';
+  }
+
+  // Default based on severity
+  return SEVERITY_STRATEGIES[analysis.severity] || 'direct_challenge';
+}
+
+// Probability of each strategy under the policy: the threshold pick gets 1 - exploration on top
+// of its uniform share
+export function strategyPropensities(analysis, context, options = {}) {
+  const exploration = options.exploration || 0;
+  const chosen = selectStrategy(analysis, context, options.thresholds);
+  const share = exploration / STRATEGIES.length;
+
+  return Object.fromEntries(STRATEGIES.map(strategy => [
+    strategy,
+    (strategy === chosen ? 1 - exploration : 0) + share
+  ]));
+}
+
+export function sampleStrategy(propensities, random = Math.random) {
+  const entries = Object.entries(propensities);
+  let r = random();
+
+  for (const [strategy, p] of entries) {
+    if (r < p) return { strategy, propensity: p };
+    r -= p;
+  }
+  // Rounding left a sliver at the end
+  const [strategy, propensity] = entries.filter(([, p]) => p > 0).pop();
+  return { strategy, propensity };
+}
+
+// The context fields a policy reads, stored with each logged decision. Missing values stay
+// missing (not null): null < 4 is true and would replay as a low-trust user.
+export function decisionContext(analysis, context) {
+  return {
+    pattern: analysis.primary_pattern,
+    severity: analysis.severity,
+    urgency: analysis.urgency,
+    trust_level: context.trust_level,
+    pattern_repetition_count: context.pattern_repetition_count
+  };
+}
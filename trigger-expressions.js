@@ -0,0 +1,237 @@
+// CELESTE7 Trigger Expressions
+// Small expression language for pattern contextual_triggers, e.g.
+//   '<0.3'  '>= 2'  '0'  'true'         plain comparisons / equality
+//   '>72h'  '>2weeks'  '<30min'         durations (numeric context values are hours)
+//   '>5:1'                              ratios (context: number, 'a:b' string or [a, b])
+//   '>3times'                           counts (context: number or a list of occurrences)
+//   'decreasing' 'increasing' 'stable'  trends over a metric history
+// Parse errors throw TriggerExpressionError so bad pattern packs fail at load time.
+
+export class TriggerExpressionError extends Error {
+  constructor(expression, reason) {
+    super(`Invalid trigger expression "${expression}": ${reason}`);
+    this.name = 'TriggerExpressionError';
+    this.expression = expression;
+  }
+}
+
+// Durations normalise to hours
+const DURATION_UNITS = {
+  m: 1 / 60, min: 1 / 60, mins: 1 / 60, minute: 1 / 60, minutes: 1 / 60,
+  h: 1, hr: 1, hrs: 1, hour: 1, hours: 1,
+  d: 24, day: 24, days: 24,
+  w: 168, wk: 168, week: 168, weeks: 168,
+  mo: 720, month: 720, months: 720
+};
+
+const COUNT_UNITS = ['x', 'time', 'times'];
+const TRENDS = ['increasing', 'decreasing', 'stable'];
+const OPERATORS = ['>=', '<=', '!=', '==', '=', '>', '<'];
+
+// Relative change per step (vs the history mean) below which a series counts as stable
+const TREND_TOLERANCE = 0.05;
+
+const EXPRESSION = /^(>=|<=|!=|==|=|>|<)?\s*(-?\d+(?:\.\d+)?)\s*(?::\s*(\d+(?:\.\d+)?))?\s*([a-z%]+)?$/i;
+
+// ============================================
+// 1. PARSING
+// ============================================
+
+const parsedCache = new Map();
+
+export function parseTriggerExpression(expression) {
+  if (typeof expression !== 'string') {
+    throw new TriggerExpressionError(String(expression), 'expected a string');
+  }
+
+  if (parsedCache.has(expression)) return parsedCache.get(expression);
+
+  const source = expression.trim().toLowerCase();
+  let parsed;
+
+  if (source === 'true' || source === 'false') {
+    parsed = { kind: 'boolean', value: source === 'true' };
+
+  } else if (TRENDS.includes(source)) {
+    parsed = { kind: 'trend', direction: source };
+
+  } else {
+    const match = source.match(EXPRESSION);
+    if (!match) {
+      throw new TriggerExpressionError(
+        expression,
+        `expected a comparison like '>3', '<0.3', '>72h', '>5:1', '>3times' or one of ${TRENDS.join(', ')}`
+      );
+    }
+
+    const [, operator = '=', number, denominator, unit] = match;
+    let value = parseFloat(number);
+    let type = 'number';
+
+    if (denominator !== undefined) {
+      if (unit) throw new TriggerExpressionError(expression, 'ratios take no unit');
+      if (parseFloat(denominator) === 0) throw new TriggerExpressionError(expression, 'ratio denominator is zero');
+      value = value / parseFloat(denominator);
+      type = 'ratio';
+
+    } else if (unit === '%') {
+      value = value / 100;
+
+    } else if (unit && DURATION_UNITS[unit] !== undefined) {
+      value = value * DURATION_UNITS[unit];
+      type = 'duration';
+
+    } else if (unit && COUNT_UNITS.includes(unit)) {
+      type = 'count';
+
+    } else if (unit) {
+      throw new TriggerExpressionError(expression, `unknown unit '${unit}'`);
+    }
+
+    parsed = { kind: 'compare', operator: operator === '==' ? '=' : operator, value, type };
+  }
+
+  parsedCache.set(expression, parsed);
+  return parsed;
+}
+
+// ============================================
+// 2. CONTEXT VALUES
+// ============================================
+
+function toDurationHours(value, now) {
+  if (typeof value === 'number') return value;
+
+  if (value instanceof Date) return (now - value.getTime()) / 3600000;
+
+  if (typeof value === 'string') {
+    const match = value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([a-z]+)$/);
+    if (match && DURATION_UNITS[match[2]] !== undefined) {
+      return parseFloat(match[1]) * DURATION_UNITS[match[2]];
+    }
+
+    // An ISO timestamp means "time since"
+    const timestamp = Date.parse(value);
+    if (!isNaN(timestamp)) return (now - timestamp) / 3600000;
+  }
+
+  return null;
+}
+
+function toRatio(value) {
+  if (typeof value === 'number') return value;
+
+  const parts = Array.isArray(value)
+    ? value
+    : typeof value === 'string' ? value.split(':') : null;
+
+  if (parts && parts.length === 2) {
+    const [numerator, denominator] = parts.map(Number);
+    if (isNaN(numerator) || isNaN(denominator)) return null;
+    return denominator === 0 ? Infinity : numerator / denominator;
+  }
+
+  return null;
+}
+
+function historyValues(history) {
+  return history
+    .map(point => (point !== null && typeof point === 'object' ? point.value : point))
+    .filter(value => typeof value === 'number' && !isNaN(value));
+}
+
+function toNumber(value, type, now) {
+  switch (type) {
+    case 'duration':
+      return toDurationHours(value, now);
+    case 'ratio':
+      return toRatio(value);
+    case 'count':
+      return Array.isArray(value) ? value.length : typeof value === 'number' ? value : null;
+    default: {
+      if (typeof value === 'number') return value;
+      if (typeof value === 'boolean') return value ? 1 : 0;
+      if (Array.isArray(value)) return historyValues(value).at(-1) ?? null;
+      const number = Number(value);
+      return typeof value === 'string' && value.trim() !== '' && !isNaN(number) ? number : null;
+    }
+  }
+}
+
+// Least-squares slope over the series, relative to its mean
+export function detectTrend(history) {
+  const values = historyValues(history);
+  if (values.length < 2) return null;
+
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((y, x) => {
+    numerator += (x - meanX) * (y - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+
+  const slope = numerator / denominator;
+  const relative = meanY === 0 ? slope : slope / Math.abs(meanY);
+
+  if (Math.abs(relative) < TREND_TOLERANCE) return 'stable';
+  return relative > 0 ? 'increasing' : 'decreasing';
+}
+
+function compare(actual, operator, expected) {
+  switch (operator) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '!=': return actual !== expected;
+    default: return actual === expected;
+  }
+}
+
+// ============================================
+// 3. EVALUATION
+// ============================================
+
+// Looks the trigger up in the context; trends may also read context.metric_history[trigger]
+export function evaluateTrigger(trigger, expression, context = {}, now = Date.now()) {
+  const parsed = parseTriggerExpression(expression);
+  const raw = context[trigger];
+  const result = { trigger, expression, met: false, value: raw ?? null };
+
+  if (parsed.kind === 'trend') {
+    const history = Array.isArray(raw) ? raw : context.metric_history?.[trigger];
+
+    if (Array.isArray(history)) {
+      const trend = detectTrend(history);
+      if (trend === null) return { ...result, value: null, reason: 'not enough history' };
+      return { ...result, value: trend, met: trend === parsed.direction };
+    }
+
+    // Callers may already have classified the trend
+    if (typeof raw === 'string') {
+      return { ...result, met: raw.toLowerCase() === parsed.direction };
+    }
+
+    return { ...result, reason: 'no metric history' };
+  }
+
+  if (raw === undefined || raw === null) {
+    return { ...result, reason: 'missing' };
+  }
+
+  if (parsed.kind === 'boolean') {
+    const value = typeof raw === 'string' ? raw.toLowerCase() === 'true' : Boolean(raw);
+    return { ...result, value, met: value === parsed.value };
+  }
+
+  const actual = toNumber(raw, parsed.type, now);
+  if (actual === null) {
+    return { ...result, reason: `cannot read ${JSON.stringify(raw)} as a ${parsed.type}` };
+  }
+
+  return { ...result, value: actual, met: compare(actual, parsed.operator, parsed.value) };
+}
@@ -0,0 +1,56 @@
+import { describe, it, expect } from '@jest/globals';
+import { evaluateTrigger, parseTriggerExpression, detectTrend, TriggerExpressionError } from './trigger-expressions.js';
+
+const met = (expression, value, context = {}) =>
+  evaluateTrigger('metric', expression, { metric: value, ...context }).met;
+
+describe('trigger expressions', () => {
+  it('compares plain numbers, percentages and booleans', () => {
+    expect(met('<0.3', 0.2)).toBe(true);
+    expect(met('<0.3', 0.5)).toBe(false);
+    expect(met('>=2', 2)).toBe(true);
+    expect(met('0', 0)).toBe(true);
+    expect(met('0', 3)).toBe(false);
+    expect(met('<30%', 0.25)).toBe(true);
+    expect(met('true', true)).toBe(true);
+    expect(met('true', 'false')).toBe(false);
+  });
+
+  it('normalises durations to hours', () => {
+    expect(met('>72h', 80)).toBe(true);
+    expect(met('>2weeks', '15d')).toBe(true);
+    expect(met('>2weeks', 300)).toBe(false);
+    expect(met('>1week', new Date(Date.now() - 10 * 86400000).toISOString())).toBe(true);
+  });
+
+  it('handles ratios and counts', () => {
+    expect(met('>5:1', 6)).toBe(true);
+    expect(met('>5:1', '12:2')).toBe(true);
+    expect(met('>5:1', [4, 1])).toBe(false);
+    expect(met('>3times', 4)).toBe(true);
+    expect(met('>3times', ['a', 'b'])).toBe(false);
+  });
+
+  it('detects trends from a metric history', () => {
+    expect(detectTrend([10, 8, 7, 4])).toBe('decreasing');
+    expect(detectTrend([{ value: 1 }, { value: 3 }])).toBe('increasing');
+    expect(detectTrend([5, 5, 5])).toBe('stable');
+
+    const result = evaluateTrigger('message_frequency', 'decreasing', {
+      metric_history: { message_frequency: [12, 9, 6] }
+    });
+    expect(result).toMatchObject({ met: true, value: 'decreasing' });
+  });
+
+  it('reports missing or unreadable context instead of matching', () => {
+    expect(evaluateTrigger('metric', '>3', {})).toMatchObject({ met: false, reason: 'missing' });
+    expect(evaluateTrigger('metric', '>72h', { metric: 'soon' }).reason).toMatch(/as a duration/);
+  });
+
+  it('rejects malformed expressions with a clear error', () => {
+    expect(() => parseTriggerExpression('>5parsecs')).toThrow(TriggerExpressionError);
+    expect(() => parseTriggerExpression('>5parsecs')).toThrow("unknown unit 'parsecs'");
+    expect(() => parseTriggerExpression('sometimes')).toThrow(/expected a comparison/);
+    expect(() => parseTriggerExpression('>1:0')).toThrow(/denominator is zero/);
+  });
+});